@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+/**
+ * Safety alert raised when an analyzed message crosses the family's
+ * alert thresholds (see services/messageMonitor.js)
+ */
+const alertSchema = new mongoose.Schema({
+  familyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Family',
+    required: true
+  },
+  childId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  platform: String,
+  senderId: String,
+  category: {
+    type: String,
+    enum: ['predatory_behavior', 'cyberbullying', 'inappropriate_content', 'scam', 'child_wellbeing'],
+    required: true
+  },
+  severity: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'critical'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'reviewed', 'resolved', 'dismissed', 'escalated'],
+    default: 'pending'
+  },
+  description: String,
+  riskScore: {
+    type: Number,
+    min: 0,
+    max: 10
+  },
+  confidence: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+  // Leaked personal details are masked before the message is stored
+  message: String,
+  language: String,
+  threats: [{
+    _id: false,
+    type: { type: String },
+    category: String,
+    riskScore: Number,
+    confidence: Number,
+    description: String
+  }],
+  // Sent back with reviews so dismissals count against the right patterns
+  matchedPatterns: [{
+    _id: false,
+    type: { type: String },
+    category: String,
+    pattern: String
+  }],
+  recommendations: [mongoose.Schema.Types.Mixed],
+  // 'guardians' alerts are never shown to the child or the other party
+  audience: {
+    type: String,
+    enum: ['family', 'guardians'],
+    default: 'family'
+  },
+  crisisResources: mongoose.Schema.Types.Mixed,
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  reviewedAt: Date,
+  reviewedBy: String,
+  reviewNotes: String
+}, {
+  timestamps: true
+});
+
+// Dashboard queries are always scoped to a family, newest first
+alertSchema.index({ familyId: 1, timestamp: -1 });
+alertSchema.index({ familyId: 1, status: 1, timestamp: -1 });
+alertSchema.index({ familyId: 1, severity: 1, timestamp: -1 });
+alertSchema.index({ familyId: 1, childId: 1, timestamp: -1 });
+
+module.exports = mongoose.model('Alert', alertSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+/**
+ * One analyzed message, flagged or not; the history behind GET /api/interactions
+ * and the activity counts in GET /api/status (see services/messageMonitor.js)
+ */
+const interactionSchema = new mongoose.Schema({
+  familyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Family',
+    required: true
+  },
+  childId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  platform: String,
+  senderId: String,
+  speakerRole: {
+    type: String,
+    enum: ['child', 'other'],
+    default: 'other'
+  },
+  // Leaked personal details are masked before the message is stored
+  message: String,
+  flagged: {
+    type: Boolean,
+    default: false
+  },
+  riskScore: {
+    type: Number,
+    min: 0,
+    max: 10,
+    default: 0
+  },
+  severity: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'critical']
+  },
+  category: {
+    type: String,
+    enum: ['predatory_behavior', 'cyberbullying', 'inappropriate_content', 'scam', 'child_wellbeing']
+  },
+  language: String,
+  // 'guardians' interactions are never shown to the child or the other party
+  audience: {
+    type: String,
+    enum: ['family', 'guardians'],
+    default: 'family'
+  },
+  // Contact handles the other party sent and the message's threat categories,
+  // from which the handle index is rebuilt at startup (see services/handleIndex.js)
+  contactHandles: [{
+    _id: false,
+    handleType: String,
+    value: String,
+    normalized: String
+  }],
+  threatCategories: {
+    type: [String],
+    default: undefined
+  },
+  // Set when the message raised an alert
+  alertId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert'
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Dashboard queries are always scoped to a family, newest first
+interactionSchema.index({ familyId: 1, timestamp: -1 });
+interactionSchema.index({ familyId: 1, childId: 1, timestamp: -1 });
+interactionSchema.index({ familyId: 1, flagged: 1, timestamp: -1 });
+interactionSchema.index({ familyId: 1, severity: 1, timestamp: -1 });
+
+module.exports = mongoose.model('Interaction', interactionSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+/**
+ * A family's monitoring settings from /api/config. Content filters, alert
+ * thresholds, custom rules, suppressed patterns, sensitivity overrides and
+ * children's schedules are loaded into the in-memory stores detection reads (see services/monitoringConfig.js)
+ */
+const monitoringConfigSchema = new mongoose.Schema({
+  familyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Family',
+    required: true,
+    unique: true
+  },
+  monitoringEnabled: {
+    type: Boolean,
+    default: true
+  },
+  // { inappropriate, suspicious, excessive }, validated by FamilySettingsService
+  alertThresholds: mongoose.Schema.Types.Mixed,
+  notifications: {
+    email: {
+      enabled: { type: Boolean, default: false },
+      address: { type: String, default: '' }
+    },
+    sms: {
+      enabled: { type: Boolean, default: false },
+      phone: { type: String, default: '' }
+    },
+    push: {
+      enabled: { type: Boolean, default: true }
+    }
+  },
+  // { profanity, violence, adult, personalInfo }
+  contentFilters: mongoose.Schema.Types.Mixed,
+  dataRetention: {
+    interactions: { type: Number, min: 1, max: 365, default: 90 }, // days
+    alerts: { type: Number, min: 1, max: 365, default: 365 } // days
+  },
+  // Stored rules from CustomRuleService.setRules
+  customRules: [mongoose.Schema.Types.Mixed],
+  // { type, category, pattern, suppressedAt } from /api/patterns/suppressions
+  suppressedPatterns: [mongoose.Schema.Types.Mixed],
+  // childId -> { profile, riskAdjustments, recommendationThresholds, updatedAt }
+  // from /api/children/:childId/sensitivity
+  sensitivityOverrides: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // childId -> { timeZone, quietHours: { start, end }, updatedAt }
+  // from /api/children/:childId/schedule
+  childSchedules: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  updatedBy: String
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+module.exports = mongoose.model('MonitoringConfig', monitoringConfigSchema);
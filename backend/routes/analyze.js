@@ -0,0 +1,99 @@
+const express = require('express');
+const router = express.Router();
+const { messageMonitor } = require('../services/messageMonitor');
+
+// Status for each way the detection pool can fail a job
+const POOL_ERROR_STATUS = {
+  QUEUE_FULL: 503,
+  TIMEOUT: 504
+};
+
+/**
+ * POST /api/analyze
+ * Analyze a message ({ message }) or a batch ({ messages }) for the
+ * authenticated user's family; results above the family's alert thresholds
+ * are stored as alerts
+ */
+router.post('/', async (req, res) => {
+  try {
+    if (!req.user || !req.user.familyId) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Account is not linked to a family'
+      });
+    }
+
+    const errors = messageMonitor.validateRequest(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: errors.join('; ')
+      });
+    }
+
+    const context = messageMonitor.buildContext(req.user, req.body.context);
+
+    if (req.body.message !== undefined) {
+      const result = await messageMonitor.analyze(req.body.message, context);
+      return res.json(messageMonitor.presentResult(result, req.user.role));
+    }
+
+    const results = await messageMonitor.analyzeBatch(req.body.messages, context);
+    res.json({
+      results: results.map(result => messageMonitor.presentResult(result, req.user.role)),
+      count: results.length,
+      alertsCreated: results.filter(result => result.alert).length
+    });
+  } catch (error) {
+    const status = POOL_ERROR_STATUS[error.code];
+    if (status) {
+      // Overloaded: tell agents to back off and retry rather than drop messages
+      res.set('Retry-After', '1');
+      return res.status(status).json({
+        error: 'Analysis unavailable',
+        message: error.message
+      });
+    }
+
+    console.error('Error analyzing message:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to analyze message'
+    });
+  }
+});
+
+/**
+ * POST /api/analyze/events
+ * Report that the child blocked or unblocked a sender:
+ * { event: 'block' | 'unblock', context: { senderId, childId, timestamp } }
+ */
+router.post('/events', (req, res) => {
+  try {
+    if (!req.user || !req.user.familyId) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Account is not linked to a family'
+      });
+    }
+
+    const errors = messageMonitor.validateContactEvent(req.body, req.user);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: errors.join('; ')
+      });
+    }
+
+    const context = messageMonitor.buildContext(req.user, req.body.context);
+    res.json(messageMonitor.recordContactEvent(req.body.event, context));
+  } catch (error) {
+    console.error('Error recording contact event:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to record contact event'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,5 +1,18 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
+const Alert = require('../models/Alert');
+const Interaction = require('../models/Interaction');
+const { customRules } = require('../services/customRules');
+const { handleIndex } = require('../services/handleIndex');
+const { familySettings, CONTENT_FILTERS } = require('../services/familySettings');
+const { senderReputation } = require('../services/senderReputation');
+const { patternFeedback } = require('../services/patternFeedback');
+const { sensitivityProfiles } = require('../services/sensitivityProfiles');
+const { monitoringConfig } = require('../services/monitoringConfig');
+const { safetyStatus } = require('../services/safetyStatus');
+const { detectionPool } = require('../services/detectionPool');
+const { GUARDIAN_ROLES } = require('../services/messageMonitor');
 
 // Middleware for input validation
 const validatePagination = (req, res, next) => {
@@ -24,51 +37,51 @@ const validatePagination = (req, res, next) => {
   next();
 };
 
-// Middleware for authentication (placeholder - implement based on your auth system)
+// Every dashboard route is scoped to the caller's family; the token itself
+// is verified where the router is mounted (authenticateToken in server.js)
 const authenticate = (req, res, next) => {
-  // TODO: Implement actual authentication
-  // For MVP, you might want to verify JWT token or session
-  // Example: const token = req.headers.authorization?.split(' ')[1];
-  
-  // For now, allowing all requests - REPLACE THIS IN PRODUCTION
+  if (!req.user || !req.user.familyId || !mongoose.Types.ObjectId.isValid(req.user.familyId)) {
+    return res.status(403).json({ 
+      error: 'Forbidden', 
+      message: 'Account is not linked to a family' 
+    });
+  }
   next();
 };
 
+// Resolve the family a request is scoped to
+const getFamilyId = (req) => {
+  return req.user.familyId.toString();
+};
+
+// Guardian-only records are hidden from everyone else (see MessageMonitor.presentResult)
+const getAudience = (req) => {
+  return GUARDIAN_ROLES.includes(req.user.role) ? 'guardians' : 'family';
+};
+
+const getAudienceFilter = (req) => {
+  return getAudience(req) === 'guardians' ? {} : { audience: { $ne: 'guardians' } };
+};
+
 /**
  * GET /api/status
  * Get overall safety status and summary statistics
  */
 router.get('/status', authenticate, async (req, res) => {
   try {
-    // TODO: Replace with actual database queries
-    // This is a placeholder structure for MVP
-    const status = {
-      overallStatus: 'safe', // 'safe', 'warning', 'critical'
-      lastUpdated: new Date().toISOString(),
-      statistics: {
-        totalInteractions: 0,
-        flaggedInteractions: 0,
-        activeAlerts: 0,
-        resolvedAlerts: 0,
-        monitoringEnabled: true
-      },
-      recentActivity: {
-        last24Hours: {
-          interactions: 0,
-          alerts: 0
-        },
-        last7Days: {
-          interactions: 0,
-          alerts: 0
-        }
-      },
+    // Cached per family and audience until new interactions or alerts arrive
+    const summary = await safetyStatus.getStatus(getFamilyId(req), getAudience(req));
+    const detection = detectionPool.getStats();
+
+    res.json({
+      ...summary,
       systemHealth: {
-        apiStatus: 'operational',
+        apiStatus: detection.workers > 0 ? 'operational' : 'degraded',
+        database: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
+        detection,
         lastCheckIn: new Date().toISOString()
       }
-    };
-
-    res.json(status);
+    });
   } catch (error) {
     console.error('Error fetching safety status:', error);
     res.status(500).json({ 
@@ -85,7 +98,8 @@ router.get('/status', authenticate, async (req, res) => {
 router.get('/interactions', authenticate, validatePagination, async (req, res) => {
   try {
     const { page, limit, skip } = req.pagination;
-    const { startDate, endDate, flagged, userId } = req.query;
+    const { startDate, endDate, flagged } = req.query;
+    const childId = req.query.childId || req.query.userId;
 
     // Build filter object
     const filters = {};
@@ -118,20 +132,25 @@ router.get('/interactions', authenticate, validatePagination, async (req, res) =
       filters.flagged = flagged === 'true';
     }
     
-    if (userId) {
-      filters.userId = userId;
+    if (childId) {
+      if (!mongoose.Types.ObjectId.isValid(childId)) {
+        return res.status(400).json({ 
+          error: 'Invalid request', 
+          message: 'childId must be a valid ID' 
+        });
+      }
+      filters.childId = childId;
     }
 
-    // TODO: Replace with actual database queries
-    // Example with MongoDB:
-    // const interactions = await Interaction.find(filters)
-    //   .sort({ timestamp: -1 })
-    //   .skip(skip)
-    //   .limit(limit);
-    // const total = await Interaction.countDocuments(filters);
-
-    const interactions = [];
-    const total = 0;
+    const query = { ...filters, ...getAudienceFilter(req), familyId: getFamilyId(req) };
+    const [interactions, total] = await Promise.all([
+      Interaction.find(query)
+        .sort({ timestamp: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Interaction.countDocuments(query)
+    ]);
 
     res.json({
       interactions,
@@ -160,13 +179,13 @@ router.get('/interactions', authenticate, validatePagination, async (req, res) =
  */
 router.get('/alerts', authenticate, async (req, res) => {
   try {
-    const { status, severity, limit } = req.query;
+    const { status, severity, category, childId, limit } = req.query;
     
     // Build filter object
     const filters = {};
     
     if (status) {
-      const validStatuses = ['pending', 'reviewed', 'resolved', 'dismissed'];
+      const validStatuses = ['pending', 'reviewed', 'resolved', 'dismissed', 'escalated'];
       if (!validStatuses.includes(status)) {
         return res.status(400).json({ 
           error: 'Invalid status', 
@@ -187,15 +206,33 @@ router.get('/alerts', authenticate, async (req, res) => {
       filters.severity = severity;
     }
 
-    const queryLimit = limit ? Math.min(parseInt(limit), 100) : 50;
+    if (category) {
+      const validCategories = ['predatory_behavior', 'cyberbullying', 'inappropriate_content', 'scam', 'child_wellbeing'];
+      if (!validCategories.includes(category)) {
+        return res.status(400).json({ 
+          error: 'Invalid category', 
+          message: `Category must be one of: ${validCategories.join(', ')}` 
+        });
+      }
+      filters.category = category;
+    }
+
+    if (childId) {
+      if (!mongoose.Types.ObjectId.isValid(childId)) {
+        return res.status(400).json({ 
+          error: 'Invalid request', 
+          message: 'childId must be a valid ID' 
+        });
+      }
+      filters.childId = childId;
+    }
 
-    // TODO: Replace with actual database queries
-    // Example:
-    // const alerts = await Alert.find(filters)
-    //   .sort({ createdAt: -1, severity: -1 })
-    //   .limit(queryLimit);
+    const queryLimit = limit ? Math.min(parseInt(limit), 100) || 50 : 50;
 
-    const alerts = [];
+    const alerts = await Alert.find({ ...filters, ...getAudienceFilter(req), familyId: getFamilyId(req) })
+      .sort({ timestamp: -1 })
+      .limit(queryLimit)
+      .lean();
 
     res.json({
       alerts,
@@ -218,13 +255,13 @@ router.get('/alerts', authenticate, async (req, res) => {
 router.post('/alerts/:id/review', authenticate, async (req, res) => {
   try {
     const { id } = req.params;
-    const { action, notes, reviewedBy } = req.body;
+    const { action, notes } = req.body;
 
     // Validate alert ID
-    if (!id || id.trim() === '') {
+    if (!id || id.trim() === '' || !mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({ 
         error: 'Invalid request', 
-        message: 'Alert ID is required' 
+        message: 'A valid alert ID is required' 
       });
     }
 
@@ -245,35 +282,43 @@ router.post('/alerts/:id/review', authenticate, async (req, res) => {
       });
     }
 
-    // TODO: Replace with actual database update
-    // Example:
-    // const alert = await Alert.findById(id);
-    // if (!alert) {
-    //   return res.status(404).json({ 
-    //     error: 'Not found', 
-    //     message: 'Alert not found' 
-    //   });
-    // }
-    // 
-    // alert.status = action;
-    // alert.reviewedAt = new Date();
-    // alert.reviewedBy = reviewedBy || req.user.id;
-    // alert.reviewNotes = notes;
-    // await alert.save();
-
-    // Placeholder response
+    // Another family's alert is reported as missing, not forbidden
+    const alert = await Alert.findOne({ _id: id, familyId: getFamilyId(req), ...getAudienceFilter(req) });
+    if (!alert) {
+      return res.status(404).json({ 
+        error: 'Not found', 
+        message: 'Alert not found' 
+      });
+    }
+
+    alert.status = action;
+    alert.reviewedAt = new Date();
+    // The reviewer is always the signed-in guardian, never a name from the body
+    alert.reviewedBy = (req.user.userId || req.user.id || '').toString();
+    alert.reviewNotes = notes;
+    await alert.save();
+    safetyStatus.invalidate(getFamilyId(req));
+
     const updatedAlert = {
       id,
-      status: action,
-      reviewedAt: new Date().toISOString(),
-      reviewedBy: reviewedBy || 'current_user',
-      reviewNotes: notes || null
+      status: alert.status,
+      reviewedAt: alert.reviewedAt.toISOString(),
+      reviewedBy: alert.reviewedBy,
+      reviewNotes: alert.reviewNotes || null
     };
 
+    // Dismissals and confirmations feed per-pattern precision, always for the
+    // patterns the alert itself matched so a client can't vouch for others
+    const patternsRecorded = patternFeedback.recordReview(getFamilyId(req), id, action, alert.matchedPatterns);
+
+    // Only guardian-confirmed alerts count against the sender across families
+    senderReputation.recordReview(alert, action);
+
     res.json({
       success: true,
       message: `Alert ${action} successfully`,
-      alert: updatedAlert
+      alert: updatedAlert,
+      patternsRecorded
     });
   } catch (error) {
     console.error('Error reviewing alert:', error);
@@ -284,58 +329,212 @@ router.post('/alerts/:id/review', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/handles
+ * List contact handles (Discord, Snapchat, phone, ...) pushed at the family's children
+ */
+router.get('/handles', authenticate, async (req, res) => {
+  try {
+    const minOccurrences = req.query.minOccurrences ? parseInt(req.query.minOccurrences) : 1;
+
+    if (isNaN(minOccurrences) || minOccurrences < 1) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: 'minOccurrences must be a positive integer' 
+      });
+    }
+
+    const handles = handleIndex.list(getFamilyId(req), { minOccurrences });
+
+    res.json({
+      handles,
+      count: handles.length
+    });
+  } catch (error) {
+    console.error('Error fetching handles:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: 'Failed to retrieve contact handles' 
+    });
+  }
+});
+
+/**
+ * GET /api/handles/:handle
+ * Every time a contact handle was pushed at the family's children, on any platform
+ */
+router.get('/handles/:handle', authenticate, async (req, res) => {
+  try {
+    const { handle } = req.params;
+
+    if (!handle || handle.trim() === '' || handle.length > 100) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: 'Handle must be 1-100 characters' 
+      });
+    }
+
+    const entry = handleIndex.lookup(getFamilyId(req), handle);
+    if (!entry) {
+      return res.status(404).json({ 
+        error: 'Not found', 
+        message: 'Handle has not been seen' 
+      });
+    }
+
+    res.json(entry);
+  } catch (error) {
+    console.error('Error fetching handle:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: 'Failed to retrieve contact handle' 
+    });
+  }
+});
+
+/**
+ * GET /api/senders/:platform/:senderId
+ * Anonymized alert history for a sender across all families
+ */
+router.get('/senders/:platform/:senderId', authenticate, async (req, res) => {
+  try {
+    const { platform, senderId } = req.params;
+
+    if (!platform || platform.trim() === '' || platform.length > 50) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: 'Platform must be 1-50 characters' 
+      });
+    }
+
+    if (!senderId || senderId.trim() === '' || senderId.length > 100) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: 'Sender ID must be 1-100 characters' 
+      });
+    }
+
+    res.json(senderReputation.getSummary(platform, senderId, getFamilyId(req)));
+  } catch (error) {
+    console.error('Error fetching sender reputation:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: 'Failed to retrieve sender reputation' 
+    });
+  }
+});
+
+// Validate a { type, category, pattern } body for the suppression routes
+const validatePatternBody = (req, res, next) => {
+  const errors = patternFeedback.validatePatterns([req.body]);
+  if (errors.length > 0) {
+    return res.status(400).json({ 
+      error: 'Invalid pattern', 
+      message: errors.map(error => error.replace('patterns[0].', '')).join('; ') 
+    });
+  }
+  next();
+};
+
+/**
+ * GET /api/patterns/feedback
+ * Per-pattern precision from parent reviews, suggested pack changes, and
+ * patterns this family keeps dismissing
+ */
+router.get('/patterns/feedback', authenticate, async (req, res) => {
+  try {
+    const minReviews = req.query.minReviews ? parseInt(req.query.minReviews) : 1;
+
+    if (isNaN(minReviews) || minReviews < 1) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: 'minReviews must be a positive integer' 
+      });
+    }
+
+    const familyId = getFamilyId(req);
+
+    res.json({
+      patterns: patternFeedback.getPatternStats({ minReviews }),
+      suggestedSuppressions: patternFeedback.getSuppressionSuggestions(familyId, familySettings.getSuppressedKeys(familyId)),
+      suppressed: familySettings.getSuppressedPatterns(familyId)
+    });
+  } catch (error) {
+    console.error('Error fetching pattern feedback:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: 'Failed to retrieve pattern feedback' 
+    });
+  }
+});
+
+/**
+ * POST /api/patterns/suppressions
+ * Stop one pattern raising alerts for this family
+ */
+router.post('/patterns/suppressions', authenticate, validatePatternBody, async (req, res) => {
+  try {
+    const { type, category, pattern } = req.body;
+    const suppressed = await monitoringConfig.suppressPattern(
+      getFamilyId(req),
+      { type, category, pattern },
+      (req.user.userId || req.user.id || '').toString()
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Pattern suppressed for this family',
+      suppressed
+    });
+  } catch (error) {
+    console.error('Error suppressing pattern:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: 'Failed to suppress pattern' 
+    });
+  }
+});
+
+/**
+ * DELETE /api/patterns/suppressions
+ * Turn a suppressed pattern back on for this family
+ */
+router.delete('/patterns/suppressions', authenticate, validatePatternBody, async (req, res) => {
+  try {
+    const { type, category, pattern } = req.body;
+
+    const restored = await monitoringConfig.unsuppressPattern(
+      getFamilyId(req),
+      { type, category, pattern },
+      (req.user.userId || req.user.id || '').toString()
+    );
+    if (!restored) {
+      return res.status(404).json({ 
+        error: 'Not found', 
+        message: 'Pattern is not suppressed' 
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Pattern restored for this family'
+    });
+  } catch (error) {
+    console.error('Error restoring pattern:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: 'Failed to restore pattern' 
+    });
+  }
+});
+
 /**
  * GET /api/config
  * Get current monitoring configuration settings
  */
 router.get('/config', authenticate, async (req, res) => {
   try {
-    // TODO: Replace with actual database query or config file
-    // Example:
-    // const config = await Config.findOne({ userId: req.user.id });
-
-    const config = {
-      monitoringEnabled: true,
-      alertThresholds: {
-        inappropriate: {
-          enabled: true,
-          severity: 'high'
-        },
-        suspicious: {
-          enabled: true,
-          severity: 'medium'
-        },
-        excessive: {
-          enabled: true,
-          threshold: 100, // interactions per hour
-          severity: 'low'
-        }
-      },
-      notifications: {
-        email: {
-          enabled: false,
-          address: ''
-        },
-        sms: {
-          enabled: false,
-          phone: ''
-        },
-        push: {
-          enabled: true
-        }
-      },
-      contentFilters: {
-        profanity: true,
-        violence: true,
-        adult: true,
-        personalInfo: true
-      },
-      dataRetention: {
-        interactions: 90, // days
-        alerts: 365 // days
-      },
-      lastUpdated: new Date().toISOString()
-    };
+    const config = await monitoringConfig.getConfig(getFamilyId(req));
 
     res.json(config);
   } catch (error) {
@@ -373,10 +572,11 @@ router.post('/config', authenticate, async (req, res) => {
 
     // Validate alertThresholds if provided
     if (updates.alertThresholds) {
-      if (typeof updates.alertThresholds !== 'object') {
+      const thresholdErrors = familySettings.validateAlertThresholds(updates.alertThresholds);
+      if (thresholdErrors.length > 0) {
         return res.status(400).json({ 
           error: 'Invalid configuration', 
-          message: 'alertThresholds must be an object' 
+          message: thresholdErrors.join('; ') 
         });
       }
     }
@@ -422,12 +622,11 @@ router.post('/config', authenticate, async (req, res) => {
         });
       }
       
-      const validFilters = ['profanity', 'violence', 'adult', 'personalInfo'];
       for (const [key, value] of Object.entries(updates.contentFilters)) {
-        if (!validFilters.includes(key)) {
+        if (!CONTENT_FILTERS.includes(key)) {
           return res.status(400).json({ 
             error: 'Invalid configuration', 
-            message: `Invalid content filter: ${key}. Valid filters: ${validFilters.join(', ')}` 
+            message: `Invalid content filter: ${key}. Valid filters: ${CONTENT_FILTERS.join(', ')}` 
           });
         }
         if (typeof value !== 'boolean') {
@@ -469,21 +668,25 @@ router.post('/config', authenticate, async (req, res) => {
       }
     }
 
-    // TODO: Replace with actual database update
-    // Example:
-    // const config = await Config.findOneAndUpdate(
-    //   { userId: req.user.id },
-    //   { 
-    //     ...updates,
-    //     lastUpdated: new Date()
-    //   },
-    //   { new: true, upsert: true }
-    // );
-
-    const updatedConfig = {
-      ...updates,
-      lastUpdated: new Date().toISOString()
-    };
+    // Validate customRules if provided (per-family watch phrases)
+    if (updates.customRules !== undefined) {
+      const ruleErrors = customRules.validateRules(updates.customRules);
+      if (ruleErrors.length > 0) {
+        return res.status(400).json({ 
+          error: 'Invalid configuration', 
+          message: 'Invalid custom rules',
+          errors: ruleErrors
+        });
+      }
+    }
+
+    // Content filters, alert thresholds and custom rules take effect on the next analyzed message
+    const updatedConfig = await monitoringConfig.updateConfig(
+      getFamilyId(req),
+      updates,
+      (req.user.userId || req.user.id || '').toString()
+    );
+    safetyStatus.invalidate(getFamilyId(req));
 
     res.json({
       success: true,
@@ -499,6 +702,219 @@ router.post('/config', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/children/:childId/sensitivity
+ * The child's sensitivity override, if any, and the profiles to choose from
+ */
+router.get('/children/:childId/sensitivity', authenticate, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.childId)) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: 'childId must be a valid ID' 
+      });
+    }
+
+    res.json({
+      childId: req.params.childId,
+      override: sensitivityProfiles.getOverride(getFamilyId(req), req.params.childId),
+      profiles: sensitivityProfiles.listProfiles()
+    });
+  } catch (error) {
+    console.error('Error fetching sensitivity profile:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: 'Failed to retrieve sensitivity profile' 
+    });
+  }
+});
+
+/**
+ * PUT /api/children/:childId/sensitivity
+ * Override the age band profile: { profile, riskAdjustments, recommendationThresholds }
+ */
+router.put('/children/:childId/sensitivity', authenticate, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.childId)) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: 'childId must be a valid ID' 
+      });
+    }
+
+    const errors = sensitivityProfiles.validateOverride(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        error: 'Invalid sensitivity profile', 
+        message: errors.join('; ') 
+      });
+    }
+
+    const override = await monitoringConfig.setSensitivityOverride(
+      getFamilyId(req),
+      req.params.childId,
+      req.body,
+      (req.user.userId || req.user.id || '').toString()
+    );
+
+    res.json({
+      success: true,
+      message: 'Sensitivity profile updated for this child',
+      override
+    });
+  } catch (error) {
+    console.error('Error updating sensitivity profile:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: 'Failed to update sensitivity profile' 
+    });
+  }
+});
+
+/**
+ * DELETE /api/children/:childId/sensitivity
+ * Go back to the profile for the child's age
+ */
+router.delete('/children/:childId/sensitivity', authenticate, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.childId)) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: 'childId must be a valid ID' 
+      });
+    }
+
+    const cleared = await monitoringConfig.clearSensitivityOverride(
+      getFamilyId(req),
+      req.params.childId,
+      (req.user.userId || req.user.id || '').toString()
+    );
+    if (!cleared) {
+      return res.status(404).json({ 
+        error: 'Not found', 
+        message: 'Child has no sensitivity override' 
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Sensitivity profile reset to the child\'s age band'
+    });
+  } catch (error) {
+    console.error('Error resetting sensitivity profile:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: 'Failed to reset sensitivity profile' 
+    });
+  }
+});
+
+/**
+ * GET /api/children/:childId/schedule
+ * The child's time zone and quiet hours for late-night contact checks, if set
+ */
+router.get('/children/:childId/schedule', authenticate, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.childId)) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: 'childId must be a valid ID' 
+      });
+    }
+
+    res.json({
+      childId: req.params.childId,
+      schedule: familySettings.getChildSchedule(getFamilyId(req), req.params.childId)
+    });
+  } catch (error) {
+    console.error('Error fetching child schedule:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: 'Failed to retrieve child schedule' 
+    });
+  }
+});
+
+/**
+ * PUT /api/children/:childId/schedule
+ * Set the child's time zone and quiet hours: { timeZone, quietHours: { start, end } }
+ */
+router.put('/children/:childId/schedule', authenticate, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.childId)) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: 'childId must be a valid ID' 
+      });
+    }
+
+    const errors = familySettings.validateChildSchedule(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        error: 'Invalid schedule', 
+        message: errors.join('; ') 
+      });
+    }
+
+    const schedule = await monitoringConfig.setChildSchedule(
+      getFamilyId(req),
+      req.params.childId,
+      req.body,
+      (req.user.userId || req.user.id || '').toString()
+    );
+
+    res.json({
+      success: true,
+      message: 'Schedule updated for this child',
+      schedule
+    });
+  } catch (error) {
+    console.error('Error updating child schedule:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: 'Failed to update child schedule' 
+    });
+  }
+});
+
+/**
+ * DELETE /api/children/:childId/schedule
+ * Go back to the default time zone and quiet hours
+ */
+router.delete('/children/:childId/schedule', authenticate, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.childId)) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        message: 'childId must be a valid ID' 
+      });
+    }
+
+    const cleared = await monitoringConfig.clearChildSchedule(
+      getFamilyId(req),
+      req.params.childId,
+      (req.user.userId || req.user.id || '').toString()
+    );
+    if (!cleared) {
+      return res.status(404).json({ 
+        error: 'Not found', 
+        message: 'Child has no schedule' 
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Schedule reset to the defaults'
+    });
+  } catch (error) {
+    console.error('Error resetting child schedule:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: 'Failed to reset child schedule' 
+    });
+  }
+});
+
 // Error handling middleware for this router
 router.use((err, req, res, next) => {
   console.error('Dashboard route error:', err);
@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+/**
+ * Measure pattern matching throughput with and without the literal prefilter
+ *
+ * Usage:
+ *   node scripts/benchmarkPrefilter.js [--dataset data/evaluation/dataset.jsonl]
+ *                                      [--corpus data/classifier/corpus.jsonl]
+ *                                      [--packs config/patterns]
+ *                                      [--iterations 20]
+ *
+ * Every message is run through AlertDetectionService with every pattern, then
+ * with the prefilter, and the results must be identical before throughput is
+ * reported. The classifier is off so only rule matching is timed.
+ *
+ * Baseline with the defaults (359 messages × 20 iterations, one core):
+ *   449 of 490 patterns prefiltered on 419 literals, results identical
+ *   every pattern 4894 messages/s, prefiltered 6130 messages/s (1.25× speedup)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const AlertDetectionService = require('../services/alertDetection');
+const { PatternPackLoader } = require('../services/patternPackLoader');
+const { HandleIndex } = require('../services/handleIndex');
+const { SenderReputationService } = require('../services/senderReputation');
+const { readDataset } = require('../services/detectionEvaluator');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+const parseArgs = (argv) => {
+  const args = {
+    dataset: path.join(DATA_DIR, 'evaluation', 'dataset.jsonl'),
+    corpus: path.join(DATA_DIR, 'classifier', 'corpus.jsonl'),
+    packs: null,
+    iterations: 20
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--dataset':
+        args.dataset = path.resolve(argv[++i]);
+        break;
+      case '--corpus':
+        args.corpus = path.resolve(argv[++i]);
+        break;
+      case '--packs':
+        args.packs = path.resolve(argv[++i]);
+        break;
+      case '--iterations':
+        args.iterations = parseInt(argv[++i], 10);
+        break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  if (!(args.iterations > 0)) {
+    throw new Error('--iterations must be a positive number');
+  }
+
+  return args;
+};
+
+/**
+ * Message text from a classifier corpus ({ "text": "...", "label": "..." } per line)
+ */
+const readCorpusMessages = (file) => fs.readFileSync(file, 'utf8')
+  .split('\n')
+  .filter(line => line.trim().length > 0)
+  .map(line => ({ message: JSON.parse(line).text, context: {} }));
+
+/**
+ * Detector with its own stores, so runs can't affect each other
+ */
+const createDetector = (packDirectory, usePatternPrefilter) => {
+  const patternLoader = new PatternPackLoader(packDirectory ? { directory: packDirectory } : {});
+  patternLoader.load();
+
+  return new AlertDetectionService({
+    patternLoader,
+    handleIndex: new HandleIndex(),
+    senderReputation: new SenderReputationService(),
+    classifier: null,
+    usePatternPrefilter
+  });
+};
+
+/**
+ * The parts of a result pattern matching decides
+ */
+const summarize = (result) => JSON.stringify({
+  overallRisk: result.overallRisk,
+  severity: result.severity,
+  alertCategory: result.alertCategory,
+  threats: result.threats.map(({ type, category, riskScore, matches }) => ({ type, category, riskScore, matches })),
+  matchedPatterns: result.matchedPatterns
+});
+
+const run = (detector, messages, iterations) => {
+  const results = messages.map(({ message, context }) => summarize(detector.detectThreats(message, context)));
+
+  const start = process.hrtime.bigint();
+  for (let i = 0; i < iterations; i++) {
+    messages.forEach(({ message, context }) => detector.detectThreats(message, context));
+  }
+  const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+
+  return { results, perSecond: (messages.length * iterations) / seconds };
+};
+
+const main = () => {
+  const args = parseArgs(process.argv.slice(2));
+  const messages = [
+    ...readDataset(args.dataset).map(({ message, context }) => ({ message, context: context || {} })),
+    ...readCorpusMessages(args.corpus)
+  ];
+
+  const baseline = createDetector(args.packs, false);
+  const prefiltered = createDetector(args.packs, true);
+  const { stats } = prefiltered.patternPrefilter;
+
+  console.log(`⏱️  Benchmarking ${messages.length} messages × ${args.iterations} iterations`);
+  console.log(`🔎 ${stats.indexed} of ${stats.patterns} patterns prefiltered on ${stats.literals} literals`);
+
+  const full = run(baseline, messages, args.iterations);
+  const fast = run(prefiltered, messages, args.iterations);
+
+  const mismatches = messages.filter((_, index) => full.results[index] !== fast.results[index]);
+  if (mismatches.length > 0) {
+    mismatches.slice(0, 10).forEach(({ message }) => console.error(`   - "${message}"`));
+    throw new Error(`Prefiltered results differ for ${mismatches.length} messages`);
+  }
+
+  console.log('✅ Results identical for every message');
+  console.log(`   every pattern: ${full.perSecond.toFixed(0)} messages/s`);
+  console.log(`   prefiltered:   ${fast.perSecond.toFixed(0)} messages/s`);
+  console.log(`🚀 Speedup: ${(fast.perSecond / full.perSecond).toFixed(2)}×`);
+};
+
+try {
+  main();
+} catch (error) {
+  console.error('❌ Benchmark failed:', error.message);
+  process.exit(1);
+}
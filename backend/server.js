@@ -6,6 +6,16 @@ const morgan = require('morgan');
 const http = require('http');
 const socketIO = require('socket.io');
 const dotenv = require('dotenv');
+const { patternPacks } = require('./services/patternPackLoader');
+const { detectionPool } = require('./services/detectionPool');
+const MonitoringSocketHandler = require('./utils/monitoringSocketHandler');
+const analyzeRoutes = require('./routes/analyze');
+const dashboardRoutes = require('./routes/dashboard');
+const { monitoringConfig } = require('./services/monitoringConfig');
+const { senderReputation } = require('./services/senderReputation');
+const { patternFeedback } = require('./services/patternFeedback');
+const { handleIndex } = require('./services/handleIndex');
+const { dataRetention } = require('./services/dataRetention');
 
 // Load environment variables
 dotenv.config();
@@ -174,6 +184,9 @@ io.on('connection', (socket) => {
   });
 });
 
+// Monitoring agents stream messages for analysis on their own authenticated namespace
+new MonitoringSocketHandler(io.of('/monitoring'));
+
 // Make io accessible in routes
 app.set('io', io);
 
@@ -202,7 +215,12 @@ app.get('/api', (req, res) => {
       users: '/api/users',
       games: '/api/games',
       content: '/api/content',
-      parents: '/api/parents'
+      parents: '/api/parents',
+      analyze: '/api/analyze',
+      status: '/api/status',
+      interactions: '/api/interactions',
+      alerts: '/api/alerts',
+      config: '/api/config'
     }
   });
 });
@@ -221,6 +239,9 @@ app.get('/api', (req, res) => {
 // app.use('/api/content', optionalAuth, contentRoutes);
 // app.use('/api/parents', authenticateToken, parentRoutes);
 
+// Message analysis
+app.use('/api/analyze', authenticateToken, analyzeRoutes);
+
 // Placeholder routes (remove when actual routes are implemented)
 app.use('/api/auth', (req, res) => {
   res.status(200).json({ message: 'Auth routes - to be implemented' });
@@ -242,6 +263,9 @@ app.use('/api/parents', authenticateToken, (req, res) => {
   res.status(200).json({ message: 'Parent routes - to be implemented' });
 });
 
+// Parent dashboard: status, interactions, alerts and configuration for the caller's family
+app.use('/api', authenticateToken, dashboardRoutes);
+
 // ============================================
 // ERROR HANDLING
 // ============================================
@@ -309,9 +333,41 @@ const PORT = process.env.PORT || 5000;
 
 const startServer = async () => {
   try {
+    // Load detection pattern packs; an invalid pack at startup is fatal
+    const packSet = patternPacks.load();
+    console.log(`🧩 Pattern packs loaded: ${packSet.packs.map(p => `${p.name}@${p.version}`).join(', ')}`);
+
+    // Hot-reload packs on change; a bad pack is rejected and the last good one kept
+    if (process.env.PATTERN_HOT_RELOAD !== 'false') {
+      patternPacks.watch();
+    }
+
+    // Message analysis runs on worker threads so it never blocks requests
+    detectionPool.start();
+    console.log(`🧵 Detection pool started with ${detectionPool.size} worker thread(s)`);
+
     // Connect to MongoDB
     await connectDB();
 
+    // Stored family settings drive detection, so load them before taking requests
+    const familiesLoaded = await monitoringConfig.loadAll();
+    console.log(`⚙️  Monitoring config loaded for ${familiesLoaded} famil${familiesLoaded === 1 ? 'y' : 'ies'}`);
+
+    // Sender reputation is rebuilt from guardian-confirmed alerts
+    const confirmedAlerts = await senderReputation.loadAll();
+    console.log(`🛡️  Sender reputation rebuilt from ${confirmedAlerts} confirmed alert(s)`);
+
+    // So are the per-pattern review counts behind GET /api/patterns/feedback
+    const reviewedAlerts = await patternFeedback.loadAll();
+    console.log(`📊 Pattern feedback rebuilt from ${reviewedAlerts} reviewed alert(s)`);
+
+    // And the contact handle index from stored interactions
+    const handleInteractions = await handleIndex.loadAll();
+    console.log(`📇 Handle index rebuilt from ${handleInteractions} interaction(s)`);
+
+    // Delete interactions and alerts past each family's dataRetention
+    dataRetention.start();
+
     // Start server
     server.listen(PORT, () => {
       console.log('🚀 ========================================');
@@ -331,8 +387,10 @@ const startServer = async () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('⚠️  SIGTERM received, shutting down gracefully...');
-  server.close(() => {
+  server.close(async () => {
     console.log('✅ Server closed');
+    dataRetention.stop();
+    await detectionPool.close();
     mongoose.connection.close(false, () => {
       console.log('✅ MongoDB connection closed');
       process.exit(0);
@@ -342,8 +400,10 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('⚠️  SIGINT received, shutting down gracefully...');
-  server.close(() => {
+  server.close(async () => {
     console.log('✅ Server closed');
+    dataRetention.stop();
+    await detectionPool.close();
     mongoose.connection.close(false, () => {
       console.log('✅ MongoDB connection closed');
       process.exit(0);
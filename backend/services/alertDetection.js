@@ -6,282 +6,593 @@
  * @version 1.0.0
  */
 
+const TextNormalizer = require('../utils/textNormalizer');
+const { patternPacks, THREAT_TYPE_GROUPS } = require('./patternPackLoader');
+const { customRules } = require('./customRules');
+const PIILeakDetector = require('./piiLeakDetector');
+const { EntityExtractor } = require('../utils/entityExtractor');
+const { LanguageDetector, DEFAULT_LANGUAGE } = require('../utils/languageDetector');
+const { handleIndex } = require('./handleIndex');
+const LinkAnalyzer = require('./linkAnalyzer');
+const { familySettings } = require('./familySettings');
+const { senderReputation } = require('./senderReputation');
+const { sensitivityProfiles, DEFAULT_RECOMMENDATION_THRESHOLDS } = require('./sensitivityProfiles');
+const { getPatternKey, ENHANCER_TYPE } = require('./patternFeedback');
+const { TextClassifier, SAFE_LABEL, DEFAULT_FLAG_THRESHOLD, DEFAULT_MIN_PRECISION } = require('./textClassifier');
+const { RiskAggregator } = require('./riskAggregator');
+const { PatternPrefilter } = require('../utils/patternPrefilter');
+const crisisResources = require('../config/crisisResources.json');
+
+// Dashboard alert category for each threat type (see AlertsPanel)
+const ALERT_CATEGORIES = {
+  predatory_language: 'predatory_behavior',
+  personal_info_request: 'predatory_behavior',
+  off_platform_pressure: 'predatory_behavior',
+  personal_info_leak: 'predatory_behavior',
+  grooming_progression: 'predatory_behavior',
+  solicited_info_leak: 'predatory_behavior',
+  custom_rule: 'predatory_behavior',
+  inappropriate_content: 'inappropriate_content',
+  scam: 'scam',
+  malicious_link: 'scam',
+  cyberbullying: 'cyberbullying',
+  repeated_harassment: 'cyberbullying',
+  child_distress: 'child_wellbeing',
+  // Timing anomalies carry their own alertCategory (see BehaviorAnalyzer); this is the fallback
+  behavioral_anomaly: 'predatory_behavior'
+};
+
+// Dashboard severity for an overall risk score, highest first; same bands as
+// the recommendations and custom rule severities
+const SEVERITY_LEVELS = [
+  { severity: 'critical', minRisk: 9 },
+  { severity: 'high', minRisk: 7 },
+  { severity: 'medium', minRisk: 5 },
+  { severity: 'low', minRisk: 3 }
+];
+
+// How much the rules and the classifier count in a message's risk; a message
+// only the classifier flagged scores its share of the classifier's risk
+const DEFAULT_CLASSIFIER_WEIGHTS = { rules: 0.5, classifier: 0.5 };
+
 class AlertDetectionService {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {PatternPackLoader} options.patternLoader - Pattern pack source (defaults to the shared loader)
+   * @param {CustomRuleService} options.customRuleService - Per-family rule source (defaults to the shared store)
+   * @param {HandleIndex} options.handleIndex - Where extracted contact handles are recorded (defaults to the shared index)
+   * @param {LinkAnalyzer} options.linkAnalyzer - Offline link checker (defaults to config/linkSafety.json)
+   * @param {FamilySettingsService} options.familySettings - Per-family content filters (defaults to the shared store)
+   * @param {TextClassifier|null} options.classifier - Trained n-gram classifier (defaults to CLASSIFIER_MODEL_FILE
+   *   or data/classifier/model.json when it meets the precision target, see loadClassifier); null turns it off
+   * @param {Object} options.classifierWeights - { rules, classifier } weights (or CLASSIFIER_WEIGHT for the classifier share)
+   * @param {number} options.classifierThreshold - Probability needed to flag a message no rule matched
+   * @param {RiskAggregator} options.riskAggregator - Combines a message's threats into one score
+   * @param {SenderReputationService} options.senderReputation - Cross-family sender history (defaults to the shared store)
+   * @param {SensitivityProfileService} options.sensitivityProfiles - Age band profiles and per-child overrides
+   *   (defaults to the shared store)
+   * @param {boolean} options.usePatternPrefilter - Skip patterns whose required text is absent from the message
+   *   (default true, or PATTERN_PREFILTER=false to run every pattern)
+   */
+  constructor(options = {}) {
+    this.normalizer = new TextNormalizer();
+    this.piiLeakDetector = new PIILeakDetector();
+    this.entityExtractor = new EntityExtractor();
+    this.languageDetector = new LanguageDetector();
+    this.linkAnalyzer = options.linkAnalyzer || new LinkAnalyzer();
+    this.riskAggregator = options.riskAggregator || new RiskAggregator();
+    this.handleIndex = options.handleIndex || handleIndex;
+    this.patternLoader = options.patternLoader || patternPacks;
+    this.customRuleService = options.customRuleService || customRules;
+    this.familySettings = options.familySettings || familySettings;
+    this.senderReputation = options.senderReputation || senderReputation;
+    this.sensitivityProfiles = options.sensitivityProfiles || sensitivityProfiles;
+    this.classifier = options.classifier !== undefined ? options.classifier : this.loadClassifier();
+    this.classifierWeights = this.getClassifierWeights(options.classifierWeights);
+    this.classifierThreshold = options.classifierThreshold ||
+      parseFloat(process.env.CLASSIFIER_THRESHOLD) || DEFAULT_FLAG_THRESHOLD;
+    this.usePatternPrefilter = options.usePatternPrefilter !== undefined
+      ? options.usePatternPrefilter
+      : process.env.PATTERN_PREFILTER !== 'false';
     this.initializePatterns();
+    this.initializeContextFactors();
+
+    // Pick up hot-reloaded packs; rejected packs never reach this listener
+    this.onPacksLoaded = (packSet) => this.applyPatternPacks(packSet);
+    this.patternLoader.on('loaded', this.onPacksLoaded);
   }
 
+  /**
+   * Stop following pack reloads; call when discarding a detector that
+   * shares a long-lived loader, or the loader keeps it alive
+   */
+  close() {
+    this.patternLoader.removeListener('loaded', this.onPacksLoaded);
+  }
+
+  /**
+   * Load detection patterns from the active pattern packs
+   */
   initializePatterns() {
-    // Predatory Language & Grooming Patterns
-    this.predatoryPatterns = {
-      // Trust building and isolation
-      trustBuilding: {
-        patterns: [
-          /you're so mature for your age/i,
-          /you understand me better than/i,
-          /don't tell (your )?parents/i,
-          /this is our (little )?secret/i,
-          /you're different from other kids/i,
-          /you're special/i,
-          /i trust you more than/i,
-          /you can trust me/i,
-          /i won't tell anyone/i,
-          /keep this between us/i
-        ],
-        riskScore: 8,
-        confidence: 0.85
-      },
-      
-      // Inappropriate compliments and sexualization
-      inappropriateCompliments: {
-        patterns: [
-          /you're so (pretty|beautiful|hot|sexy)/i,
-          /i bet you look good/i,
-          /you have a nice (body|figure)/i,
-          /are you developed/i,
-          /do you have a boyfriend/i,
-          /have you kissed anyone/i,
-          /you're growing up/i,
-          /becoming a woman/i
-        ],
-        riskScore: 9,
-        confidence: 0.9
-      },
+    this.applyPatternPacks(this.patternLoader.getCurrent());
+  }
 
-      // Gift offering and manipulation
-      giftManipulation: {
-        patterns: [
-          /i'll buy you/i,
-          /want some (robux|money|gift)/i,
-          /i can get you/i,
-          /free (robux|premium|items)/i,
-          /special gift for you/i,
-          /you deserve something nice/i,
-          /let me spoil you/i
-        ],
-        riskScore: 7,
-        confidence: 0.8
-      },
+  /**
+   * Swap in a new set of compiled pattern packs
+   * @param {Object} packSet - Merged packs from PatternPackLoader
+   */
+  applyPatternPacks(packSet) {
+    Object.entries(THREAT_TYPE_GROUPS).forEach(([type, property]) => {
+      this[property] = packSet.threatTypes[type] || {};
+    });
+    this.contextEnhancers = packSet.contextEnhancers;
+    this.patternPacks = packSet.packs;
+    this.patternPrefilter = new PatternPrefilter().build(packSet);
 
-      // Emotional manipulation
-      emotionalManipulation: {
-        patterns: [
-          /no one understands you like i do/i,
-          /your parents don't get it/i,
-          /i'm the only one who cares/i,
-          /you can tell me anything/i,
-          /i'm here for you/i,
-          /you're lonely/i,
-          /i know how you feel/i,
-          /we have a connection/i
-        ],
-        riskScore: 6,
-        confidence: 0.75
+    // The same tables split by pack language, used per message
+    this.languageTables = {};
+    Object.entries(packSet.languages).forEach(([language, tables]) => {
+      this.languageTables[language] = { contextEnhancers: tables.contextEnhancers };
+      Object.entries(THREAT_TYPE_GROUPS).forEach(([type, property]) => {
+        this.languageTables[language][property] = tables.threatTypes[type] || {};
+      });
+    });
+  }
+
+  /**
+   * Load the trained classifier; detection falls back to rules alone without one
+   * The classifier stays off unless its held-out precision (recorded by
+   * scripts/trainClassifier.js) reaches CLASSIFIER_MIN_PRECISION, or
+   * CLASSIFIER_ENABLED=true turns it on regardless
+   */
+  loadClassifier() {
+    if (process.env.CLASSIFIER_ENABLED === 'false') {
+      return null;
+    }
+
+    let classifier;
+    try {
+      classifier = new TextClassifier().load(process.env.CLASSIFIER_MODEL_FILE || undefined);
+    } catch (error) {
+      console.error('❌ Classifier model not loaded, using rules only:', error.message);
+      return null;
+    }
+
+    const minPrecision = parseFloat(process.env.CLASSIFIER_MIN_PRECISION) || DEFAULT_MIN_PRECISION;
+    if (process.env.CLASSIFIER_ENABLED !== 'true' && !classifier.meetsPrecision(minPrecision)) {
+      return null;
+    }
+
+    return classifier;
+  }
+
+  /**
+   * Blend weights, normalized so they sum to 1
+   */
+  getClassifierWeights(weights) {
+    const envShare = parseFloat(process.env.CLASSIFIER_WEIGHT);
+    const configured = weights || (isNaN(envShare)
+      ? DEFAULT_CLASSIFIER_WEIGHTS
+      : { rules: 1 - envShare, classifier: envShare });
+    const total = configured.rules + configured.classifier;
+
+    return total > 0
+      ? { rules: configured.rules / total, classifier: configured.classifier / total }
+      : DEFAULT_CLASSIFIER_WEIGHTS;
+  }
+
+  /**
+   * Context factors that scale threat scores by who is speaking and to whom
+   * Multipliers are keyed by threat type; `default` covers the rest
+   */
+  initializeContextFactors() {
+    const DAY = 24 * 60 * 60 * 1000;
+    const FAMILY_RELATIONSHIPS = ['family', 'sibling', 'parent', 'guardian'];
+
+    const accountAgeDays = (ctx) => {
+      if (typeof ctx.senderAccountAgeDays === 'number') {
+        return ctx.senderAccountAgeDays;
+      }
+      if (ctx.senderAccountCreatedAt) {
+        const created = new Date(ctx.senderAccountCreatedAt).getTime();
+        return isNaN(created) ? undefined : (Date.now() - created) / DAY;
       }
+      return undefined;
     };
+    const hasAge = (age) => typeof age === 'number' && age > 0;
 
-    // Personal Information Request Patterns
-    this.personalInfoPatterns = {
-      // Direct personal info requests
-      directRequests: {
-        patterns: [
-          /what's your (real )?name/i,
-          /where do you live/i,
-          /what (school|grade) are you in/i,
-          /what's your address/i,
-          /what's your phone number/i,
-          /how old are you really/i,
-          /send me a (pic|picture|photo)/i,
-          /what do you look like/i,
-          /are you home alone/i,
-          /when are your parents home/i
-        ],
-        riskScore: 9,
-        confidence: 0.95
+    this.contextFactors = {
+      childSpeaker: {
+        applies: (ctx) => ctx.speakerRole === 'child',
+        value: () => 'child',
+        multipliers: { personal_info_request: 0.2, predatory_language: 0.4, off_platform_pressure: 0.6 },
+        reason: 'Sent by the child, not the other party'
       },
 
-      // Indirect information gathering
-      indirectGathering: {
-        patterns: [
-          /what city are you from/i,
-          /what state do you live in/i,
-          /what's your timezone/i,
-          /what time do you get home/i,
-          /do you walk to school/i,
-          /are you allowed out/i,
-          /when do you get off school/i,
-          /what's your schedule like/i
-        ],
-        riskScore: 7,
-        confidence: 0.8
+      familyMember: {
+        applies: (ctx) => FAMILY_RELATIONSHIPS.includes(ctx.relationship),
+        value: (ctx) => ctx.relationship,
+        multipliers: { predatory_language: 0.4, personal_info_request: 0.3, off_platform_pressure: 0.5, cyberbullying: 0.6 },
+        reason: 'Sender is a known family member'
       },
 
-      // Photo and video requests
-      mediaRequests: {
-        patterns: [
-          /send (me )?a selfie/i,
-          /can i see what you look like/i,
-          /show me your room/i,
-          /take a picture of/i,
-          /video chat/i,
-          /turn on your camera/i,
-          /let me see you/i,
-          /facetime me/i
-        ],
-        riskScore: 8,
-        confidence: 0.9
-      }
-    };
-
-    // Off-Platform Pressure Patterns
-    this.offPlatformPatterns = {
-      // Discord pressure
-      discordPressure: {
-        patterns: [
-          /add me on discord/i,
-          /let's talk on discord/i,
-          /discord is better/i,
-          /we can talk privately on discord/i,
-          /my discord is/i,
-          /dm me on discord/i,
-          /voice chat on discord/i
-        ],
-        riskScore: 8,
-        confidence: 0.85
+      establishedFriend: {
+        applies: (ctx) => !FAMILY_RELATIONSHIPS.includes(ctx.relationship) &&
+          (ctx.isEstablishedFriend === true || ctx.relationship === 'friend'),
+        value: () => 'friend',
+        multipliers: { predatory_language: 0.7, personal_info_request: 0.6, off_platform_pressure: 0.7 },
+        reason: 'Sender is an established friend'
       },
 
-      // Other social platforms
-      socialPlatforms: {
-        patterns: [
-          /add me on (snapchat|snap|instagram|tiktok|whatsapp)/i,
-          /text me at/i,
-          /call me at/i,
-          /my (snap|insta|phone) is/i,
-          /follow me on/i,
-          /dm me on/i
-        ],
-        riskScore: 7,
-        confidence: 0.8
+      adultSender: {
+        applies: (ctx) => ctx.speakerRole !== 'child' && !FAMILY_RELATIONSHIPS.includes(ctx.relationship) &&
+          hasAge(ctx.senderAge) && ctx.senderAge >= 18 && (!hasAge(ctx.childAge) || ctx.childAge < 18),
+        value: (ctx) => ctx.senderAge,
+        multipliers: { default: 1.4 },
+        reason: 'Adult sender contacting a minor'
       },
 
-      // Meeting requests
-      meetingRequests: {
-        patterns: [
-          /want to meet (up|irl)/i,
-          /let's meet in person/i,
-          /can we hang out/i,
-          /i live near you/i,
-          /i can pick you up/i,
-          /meet me at/i,
-          /come over to my place/i,
-          /let's meet somewhere/i
-        ],
-        riskScore: 10,
-        confidence: 0.95
+      peerAge: {
+        applies: (ctx) => hasAge(ctx.senderAge) && hasAge(ctx.childAge) &&
+          ctx.senderAge < 18 && Math.abs(ctx.senderAge - ctx.childAge) <= 2,
+        value: (ctx) => Math.abs(ctx.senderAge - ctx.childAge),
+        multipliers: { predatory_language: 0.8, personal_info_request: 0.8 },
+        reason: 'Sender is within two years of the child\'s age'
       },
 
-      // Platform switching justification
-      platformSwitching: {
-        patterns: [
-          /roblox chat is limited/i,
-          /we can talk better on/i,
-          /roblox might ban us/i,
-          /let's move to/i,
-          /this platform is better/i,
-          /more privacy on/i,
-          /roblox is watching/i
-        ],
-        riskScore: 6,
-        confidence: 0.7
-      }
-    };
+      newAccount: {
+        applies: (ctx) => ctx.speakerRole !== 'child' && accountAgeDays(ctx) !== undefined && accountAgeDays(ctx) < 7,
+        value: (ctx) => Math.floor(accountAgeDays(ctx)),
+        multipliers: { default: 1.25 },
+        reason: 'Sender account is less than a week old'
+      },
 
-    // Context enhancers that increase risk when combined
-    this.contextEnhancers = {
-      ageGap: {
-        patterns: [
-          /i'm (1[8-9]|[2-9]\d)/i, // 18+ age mentions
-          /i'm an adult/i,
-          /i'm older/i,
-          /age is just a number/i
-        ],
-        multiplier: 1.5
+      recentAccount: {
+        applies: (ctx) => ctx.speakerRole !== 'child' && accountAgeDays(ctx) !== undefined &&
+          accountAgeDays(ctx) >= 7 && accountAgeDays(ctx) < 30,
+        value: (ctx) => Math.floor(accountAgeDays(ctx)),
+        multipliers: { default: 1.1 },
+        reason: 'Sender account is less than a month old'
       },
-      
-      secrecy: {
-        patterns: [
-          /don't tell/i,
-          /keep (this|it) secret/i,
-          /between us/i,
-          /our secret/i,
-          /private/i
-        ],
-        multiplier: 1.3
+
+      knownOffender: {
+        applies: (ctx) => ctx.speakerRole !== 'child' && ctx.senderReputation && ctx.senderReputation.level === 'high',
+        value: (ctx) => ctx.senderReputation.familyCount,
+        multipliers: { default: 1.4 },
+        reason: 'Guardians in several families have confirmed alerts about this sender'
       },
 
-      urgency: {
-        patterns: [
-          /right now/i,
-          /quickly/i,
-          /before someone/i,
-          /hurry/i,
-          /fast/i
-        ],
-        multiplier: 1.2
+      flaggedSender: {
+        applies: (ctx) => ctx.speakerRole !== 'child' && ctx.senderReputation && ctx.senderReputation.level === 'elevated',
+        value: (ctx) => ctx.senderReputation.familyCount,
+        multipliers: { default: 1.2 },
+        reason: 'Guardians have confirmed alerts about this sender before'
       }
     };
   }
 
+  /**
+   * Versions of the pattern packs currently in use
+   */
+  getPatternVersions() {
+    return this.patternPacks.map(({ name, version, language }) => ({ name, version, language }));
+  }
+
   /**
    * Main detection method - analyzes message for threats
    * @param {string} message - The message to analyze
    * @param {Object} context - Additional context (sender age, recipient age, etc.)
+   * @param {string} context.familyId - Family whose custom rules are merged in
+   * @param {Array} context.customRules - Pre-compiled custom rules (overrides familyId lookup)
+   * @param {Object} context.contentFilters - { profanity, violence, adult, personalInfo } (overrides familyId lookup)
+   * @param {Array<Object>} context.suppressedPatterns - { type, category, pattern } to ignore (overrides familyId lookup)
+   * @param {string} context.speakerRole - 'child' when the child sent the message, otherwise 'other'
+   * @param {number} context.senderAge - Stated or known age of the sender
+   * @param {number} context.childAge - Age of the monitored child (or childDateOfBirth); picks the sensitivity profile
+   * @param {string} context.relationship - 'family', 'sibling', 'parent', 'friend' or 'stranger'
+   * @param {boolean} context.isEstablishedFriend - Sender is an accepted, long-standing friend
+   * @param {number} context.senderAccountAgeDays - Age of the sender's account (or senderAccountCreatedAt)
+   * @param {string} context.childId - Monitored child (recorded with extracted handles)
+   * @param {string} context.senderId - Other party (recorded with extracted handles)
+   * @param {string} context.platform - Platform the message came from (e.g. 'Roblox'); keys sender reputation with senderId
+   * @param {string} context.country - ISO country code used to pick crisis resources (defaults to 'US')
+   * @param {Object|null} context.senderReputation - Sender summary (overrides the platform/senderId lookup)
+   * @param {Object|null} context.sensitivityProfile - Resolved profile (overrides the age/override lookup)
+   * @param {Object} context.expandedLinks - Destinations of shortened links by URL as written (see LinkExpander)
    * @returns {Object} Detection result with risk score and details
    */
   detectThreats(message, context = {}) {
+    const results = this.analyzeMessage(message, context);
+    this.recordFindings(results, context);
+    return results;
+  }
+
+  /**
+   * Detection without recording anything; detectThreats is this plus
+   * recordFindings. Given a resolveContext context it reads no shared stores,
+   * so it can run on a worker thread (see services/detectionPool.js).
+   */
+  analyzeMessage(message, context = {}) {
     const results = {
       overallRisk: 0,
       confidence: 0,
       threats: [],
-      recommendations: []
+      contextFactors: [],
+      entities: [],
+      alertCategory: null,
+      severity: null,
+      matchedPatterns: [],
+      language: null,
+      audience: 'family',
+      crisisResources: null,
+      senderReputation: null,
+      sensitivityProfile: null,
+      ruleRisk: 0,
+      scoreBreakdown: null,
+      classifier: null,
+      recommendations: [],
+      maskedMessage: message
     };
 
-    // Analyze each threat category
-    const predatoryResults = this.analyzePredatoryLanguage(message);
-    const personalInfoResults = this.analyzePersonalInfoRequests(message);
-    const offPlatformResults = this.analyzeOffPlatformPressure(message);
+    // Normalize once so every analyzer sees de-obfuscated text
+    const normalized = this.normalizer.normalize(message);
+    const filters = this.getContentFilters(context);
+    const suppressed = this.getSuppressedPatterns(context);
+    const profile = this.getSensitivityProfile(context);
+    results.language = this.languageDetector.detect(normalized);
+    const languages = this.getLanguagesToCheck(results.language);
+
+    // Analyze each pack-driven threat category in the message's language
+    const packResults = this.analyzeLanguagePacks(normalized, languages, filters, context);
+    packResults.threats = this.removeSuppressedMatches(packResults.threats, suppressed);
+    const customRuleResults = this.analyzeCustomRules(normalized, this.getCustomRules(context));
+
+    // Only the child's own messages can leak their personal information
+    const leakResults = context.speakerRole === 'child' && filters.personalInfo
+      ? this.analyzePersonalInfoLeaks(message)
+      : { threats: [], maskedMessage: message };
+    results.maskedMessage = leakResults.maskedMessage;
 
     // Combine results
     const allThreats = [
-      ...predatoryResults.threats,
-      ...personalInfoResults.threats,
-      ...offPlatformResults.threats
+      ...packResults.threats,
+      ...customRuleResults.threats,
+      ...leakResults.threats
     ];
 
+    // Contact handles and links pushed at the child by the other party
+    if (context.speakerRole !== 'child') {
+      results.entities = this.entityExtractor.extract(normalized);
+      allThreats.push(...this.analyzeLinks(results.entities, context.expandedLinks).threats);
+      results.senderReputation = this.getSenderReputation(context);
+    }
+
+    // Paraphrases no rule caught still get flagged by the classifier,
+    // which is trained on messages sent to children, not by them
+    results.classifier = context.speakerRole !== 'child' ? this.classify(normalized) : null;
+    if (allThreats.length === 0 && results.classifier && results.classifier.flagged) {
+      allThreats.push(this.buildClassifierThreat(results.classifier));
+    }
+
     if (allThreats.length > 0) {
-      // Calculate overall risk score
-      const maxRisk = Math.max(...allThreats.map(t => t.riskScore));
-      const avgConfidence = allThreats.reduce((sum, t) => sum + t.confidence, 0) / allThreats.length;
-      
-      // Apply context enhancers
-      const enhancedRisk = this.applyContextEnhancers(message, maxRisk);
-      
-      results.overallRisk = Math.min(10, enhancedRisk);
-      results.confidence = avgConfidence;
+      allThreats.forEach(threat => {
+        threat.entities = results.entities;
+        threat.alertCategory = this.getAlertCategory(threat.type);
+        threat.language = threat.language || results.language.language;
+      });
+
+      // Scale each threat by who is speaking and their relationship to the child
+      results.contextFactors = this.applyContextFactors(allThreats, {
+        ...context,
+        senderReputation: results.senderReputation
+      });
+
+      // Weigh threats for the child's age band (see config/sensitivityProfiles.json)
+      if (profile) {
+        results.contextFactors.push(...this.applySensitivityProfile(allThreats, profile));
+      }
+
+      // Combine the threats and matched enhancers (see services/riskAggregator.js)
+      const enhancers = this.findContextEnhancers(normalized, this.getLanguageEnhancers(languages), suppressed);
+      const aggregate = this.riskAggregator.aggregate(allThreats, enhancers);
+
+      // Blend the classifier with what the rules found (see blendRisk)
+      results.ruleRisk = allThreats.some(t => t.source !== 'classifier') ? aggregate.riskScore : 0;
+      results.overallRisk = results.ruleRisk > 0
+        ? this.blendRisk(results.ruleRisk, results.classifier)
+        : aggregate.riskScore;
+      results.severity = this.getSeverity(results.overallRisk);
+      results.confidence = aggregate.confidence;
       results.threats = allThreats;
-      results.recommendations = this.generateRecommendations(results.overallRisk, allThreats);
+      results.matchedPatterns = this.listMatchedPatterns(allThreats, enhancers);
+      results.alertCategory = aggregate.primary.alertCategory;
+      results.scoreBreakdown = {
+        ...aggregate.breakdown,
+        ruleRisk: results.ruleRisk,
+        classifier: {
+          riskScore: results.classifier ? Math.round(results.classifier.riskScore * 100) / 100 : null,
+          weight: this.classifierWeights.classifier,
+          ruleWeight: this.classifierWeights.rules,
+          points: Math.round((results.overallRisk - results.ruleRisk) * 100) / 100
+        },
+        overallRisk: results.overallRisk
+      };
+      results.recommendations = this.generateRecommendations(
+        results.overallRisk,
+        allThreats,
+        profile ? profile.recommendationThresholds : DEFAULT_RECOMMENDATION_THRESHOLDS
+      );
+
+      if (allThreats.some(t => t.type === 'child_distress')) {
+        // Never surfaced to the other party or in child-facing warnings
+        results.audience = 'guardians';
+        results.crisisResources = this.getCrisisResources(context.country);
+      }
+    }
+
+    if (profile) {
+      results.sensitivityProfile = { name: profile.name, label: profile.label, source: profile.source };
     }
 
     return results;
   }
 
+  /**
+   * Everything the per-family and shared stores would contribute to a
+   * message's analysis, looked up now so the context is self-contained
+   */
+  resolveContext(context = {}) {
+    return {
+      ...context,
+      contentFilters: this.getContentFilters(context),
+      customRules: this.getCustomRules(context),
+      suppressedPatterns: Array.isArray(context.suppressedPatterns)
+        ? context.suppressedPatterns
+        : this.familySettings.getSuppressedPatterns(context.familyId || 'default'),
+      senderReputation: context.speakerRole !== 'child' ? this.getSenderReputation(context) : null,
+      sensitivityProfile: this.getSensitivityProfile(context)
+    };
+  }
+
+  /**
+   * Record a finished analysis in the shared stores: extracted contact
+   * handles. Alerts count against the sender's reputation only once a
+   * guardian confirms them (see SenderReputationService.recordReview).
+   */
+  recordFindings(results, context = {}) {
+    if (results.entities.length > 0) {
+      // Classifier-only findings name no category worth indexing a handle under
+      this.recordHandles(results.entities, results.threats.filter(t => t.source !== 'classifier'), context);
+    }
+  }
+
+  /**
+   * Score a message with the classifier
+   * @returns {Object|null} { label, probability, riskProbability, riskScore, flagged, weights } or null when disabled
+   */
+  classify(normalized) {
+    if (!this.classifier || !this.classifier.isReady()) {
+      return null;
+    }
+
+    const { label, probability, riskProbability } = this.classifier.predict(normalized);
+
+    return {
+      label,
+      probability,
+      riskProbability,
+      riskScore: riskProbability * 10,
+      flagged: label !== SAFE_LABEL && riskProbability >= this.classifierThreshold,
+      weights: this.classifierWeights
+    };
+  }
+
+  /**
+   * Weighted blend of the rule score and the classifier's risk; the
+   * classifier can raise a rule score it agrees with but never lowers one,
+   * so a rule match stays visible even when the model has not seen its wording
+   */
+  blendRisk(ruleRisk, prediction) {
+    if (!prediction) {
+      return ruleRisk;
+    }
+
+    const { rules, classifier } = this.classifierWeights;
+    const blended = rules * ruleRisk + classifier * prediction.riskScore;
+    return Math.round(Math.min(10, Math.max(ruleRisk, blended)) * 100) / 100;
+  }
+
+  /**
+   * Threat for a message only the classifier flagged; it has no rule matches
+   */
+  buildClassifierThreat(prediction) {
+    return {
+      type: prediction.label,
+      category: 'classifierMatch',
+      source: 'classifier',
+      riskScore: Math.round(prediction.riskScore * this.classifierWeights.classifier * 100) / 100,
+      confidence: Math.round(prediction.probability * 100) / 100,
+      matches: [],
+      description: `Reads like known ${prediction.label.replace(/_/g, ' ')} messages, though no rule matched`
+    };
+  }
+
+  /**
+   * Languages whose packs run on a message: the detected language, then
+   * English, since gaming slang is English on most servers. When detection
+   * is unsure or tied (short or mixed-language chat, where a word like "me"
+   * scores for several languages) every loaded pack runs, best scores first
+   */
+  getLanguagesToCheck(detection) {
+    const scores = detection.scores || {};
+    const tied = Object.keys(scores)
+      .some(language => language !== detection.language && scores[language] === scores[detection.language]);
+
+    const others = detection.confidence < 0.5 || tied
+      ? Object.keys(this.languageTables).sort((a, b) => (scores[b] || 0) - (scores[a] || 0))
+      : [];
+
+    return [...new Set([detection.language, ...others, DEFAULT_LANGUAGE])]
+      .filter(candidate => this.languageTables[candidate]);
+  }
+
+  /**
+   * Run every pack-driven analyzer with each language's tables
+   * A category found in an earlier language is not reported again
+   * @returns {Object} { threats } each tagged with the language that matched
+   */
+  analyzeLanguagePacks(message, languages, filters, context) {
+    const threats = [];
+    const found = new Set();
+
+    languages.forEach(language => {
+      const tables = this.languageTables[language];
+
+      [
+        ...this.analyzePredatoryLanguage(message, tables.predatoryPatterns).threats,
+        ...(filters.personalInfo ? this.analyzePersonalInfoRequests(message, tables.personalInfoPatterns).threats : []),
+        ...this.analyzeOffPlatformPressure(message, tables.offPlatformPatterns).threats,
+        ...this.analyzeCyberbullying(message, tables.cyberbullyingPatterns).threats,
+        ...this.analyzeInappropriateContent(message, filters, tables.inappropriateContentPatterns).threats,
+        ...this.analyzeScams(message, tables.scamPatterns).threats,
+        // Distress signals come from the child and are handled care-first
+        ...(context.speakerRole === 'child' ? this.analyzeChildDistress(message, tables.childDistressPatterns).threats : [])
+      ].forEach(threat => {
+        const key = `${threat.type}:${threat.category}`;
+        if (!found.has(key)) {
+          found.add(key);
+          threats.push({ ...threat, language });
+        }
+      });
+    });
+
+    return { threats };
+  }
+
+  /**
+   * Context enhancers from every checked language, merged by name
+   */
+  getLanguageEnhancers(languages) {
+    const enhancers = {};
+
+    languages.forEach(language => {
+      Object.entries(this.languageTables[language].contextEnhancers).forEach(([name, config]) => {
+        enhancers[name] = enhancers[name]
+          ? { ...enhancers[name], patterns: [...enhancers[name].patterns, ...config.patterns] }
+          : config;
+      });
+    });
+
+    return enhancers;
+  }
+
   /**
    * Analyze message for predatory language patterns
    */
-  analyzePredatoryLanguage(message) {
+  analyzePredatoryLanguage(message, patterns = this.predatoryPatterns) {
     const threats = [];
     
-    Object.entries(this.predatoryPatterns).forEach(([category, config]) => {
+    Object.entries(patterns).forEach(([category, config]) => {
       const matches = this.findPatternMatches(message, config.patterns);
       
       if (matches.length > 0) {
@@ -291,7 +602,7 @@ class AlertDetectionService {
           riskScore: config.riskScore,
           confidence: config.confidence,
           matches: matches,
-          description: this.getPredatoryDescription(category)
+          description: config.description || this.getPredatoryDescription(category)
         });
       }
     });
@@ -302,10 +613,10 @@ class AlertDetectionService {
   /**
    * Analyze message for personal information requests
    */
-  analyzePersonalInfoRequests(message) {
+  analyzePersonalInfoRequests(message, patterns = this.personalInfoPatterns) {
     const threats = [];
     
-    Object.entries(this.personalInfoPatterns).forEach(([category, config]) => {
+    Object.entries(patterns).forEach(([category, config]) => {
       const matches = this.findPatternMatches(message, config.patterns);
       
       if (matches.length > 0) {
@@ -315,7 +626,7 @@ class AlertDetectionService {
           riskScore: config.riskScore,
           confidence: config.confidence,
           matches: matches,
-          description: this.getPersonalInfoDescription(category)
+          description: config.description || this.getPersonalInfoDescription(category)
         });
       }
     });
@@ -326,10 +637,10 @@ class AlertDetectionService {
   /**
    * Analyze message for off-platform pressure
    */
-  analyzeOffPlatformPressure(message) {
+  analyzeOffPlatformPressure(message, patterns = this.offPlatformPatterns) {
     const threats = [];
     
-    Object.entries(this.offPlatformPatterns).forEach(([category, config]) => {
+    Object.entries(patterns).forEach(([category, config]) => {
       const matches = this.findPatternMatches(message, config.patterns);
       
       if (matches.length > 0) {
@@ -339,7 +650,31 @@ class AlertDetectionService {
           riskScore: config.riskScore,
           confidence: config.confidence,
           matches: matches,
-          description: this.getOffPlatformDescription(category)
+          description: config.description || this.getOffPlatformDescription(category)
+        });
+      }
+    });
+
+    return { threats };
+  }
+
+  /**
+   * Analyze message for insults, threats and other harassment
+   */
+  analyzeCyberbullying(message, patterns = this.cyberbullyingPatterns) {
+    const threats = [];
+
+    Object.entries(patterns).forEach(([category, config]) => {
+      const matches = this.findPatternMatches(message, config.patterns);
+
+      if (matches.length > 0) {
+        threats.push({
+          type: 'cyberbullying',
+          category: category,
+          riskScore: config.riskScore,
+          confidence: config.confidence,
+          matches: matches,
+          description: config.description || 'Harassing or bullying language'
         });
       }
     });
@@ -347,19 +682,386 @@ class AlertDetectionService {
     return { threats };
   }
 
+  /**
+   * Analyze message for profanity, violence and adult content
+   * Only categories whose family content filter is on are checked
+   */
+  analyzeInappropriateContent(message, filters, patterns = this.inappropriateContentPatterns) {
+    const threats = [];
+
+    Object.entries(patterns).forEach(([category, config]) => {
+      if (filters[category] === false) {
+        return;
+      }
+
+      const matches = this.findPatternMatches(message, config.patterns);
+
+      if (matches.length > 0) {
+        // Masked or misspelled words ("f*ck", "s h i t") mean the sender
+        // is deliberately getting around the platform's own filter
+        const filterBypass = matches.some(match =>
+          /[*#@$%!|0-9]/.test(match.text) ||
+          (match.normalizedText !== undefined && match.text.toLowerCase() !== match.normalizedText)
+        );
+
+        threats.push({
+          type: 'inappropriate_content',
+          category: category,
+          riskScore: filterBypass ? Math.min(10, config.riskScore + 1) : config.riskScore,
+          confidence: config.confidence,
+          matches: matches,
+          filterBypass,
+          description: config.description || 'Inappropriate content'
+        });
+      }
+    });
+
+    return { threats };
+  }
+
+  /**
+   * Analyze message for trade scams, fake staff and account-takeover attempts
+   */
+  analyzeScams(message, patterns = this.scamPatterns) {
+    const threats = [];
+
+    Object.entries(patterns).forEach(([category, config]) => {
+      const matches = this.findPatternMatches(message, config.patterns);
+
+      if (matches.length > 0) {
+        threats.push({
+          type: 'scam',
+          category: category,
+          riskScore: config.riskScore,
+          confidence: config.confidence,
+          matches: matches,
+          description: config.description || 'Possible scam'
+        });
+      }
+    });
+
+    return { threats };
+  }
+
+  /**
+   * Analyze the child's own message for signs of distress or self-harm
+   */
+  analyzeChildDistress(message, patterns = this.childDistressPatterns) {
+    const threats = [];
+
+    Object.entries(patterns).forEach(([category, config]) => {
+      const matches = this.findPatternMatches(message, config.patterns);
+
+      if (matches.length > 0) {
+        threats.push({
+          type: 'child_distress',
+          category: category,
+          riskScore: config.riskScore,
+          confidence: config.confidence,
+          matches: matches,
+          audience: 'guardians',
+          description: config.description || 'Child may be struggling'
+        });
+      }
+    });
+
+    return { threats };
+  }
+
+  /**
+   * Crisis lines for the family's country, with an international fallback
+   */
+  getCrisisResources(country = 'US') {
+    const local = crisisResources.countries[country.toUpperCase()] || crisisResources.fallback;
+
+    return {
+      country: crisisResources.countries[country.toUpperCase()] ? country.toUpperCase() : null,
+      emergency: local.emergency,
+      resources: local.resources,
+      lastReviewed: crisisResources.lastReviewed
+    };
+  }
+
+  /**
+   * Resolve the content filters that apply to this message's family
+   */
+  getContentFilters(context) {
+    return {
+      ...this.familySettings.getContentFilters(context.familyId || 'default'),
+      ...context.contentFilters
+    };
+  }
+
+  /**
+   * Dashboard category an alert for this threat type is filed under
+   */
+  getAlertCategory(threatType) {
+    return ALERT_CATEGORIES[threatType] || 'predatory_behavior';
+  }
+
+  /**
+   * Severity band for a risk score, or null below the lowest band
+   */
+  getSeverity(riskScore) {
+    const level = SEVERITY_LEVELS.find(({ minRisk }) => riskScore >= minRisk);
+    return level ? level.severity : null;
+  }
+
+  /**
+   * Check extracted URLs against the offline link-safety lists
+   * Findings of the same kind across several links become one threat
+   * @param {Object} expandedLinks - Destinations of shortened links by URL (see LinkExpander)
+   */
+  analyzeLinks(entities, expandedLinks = {}) {
+    const byCategory = {};
+
+    entities
+      .filter(entity => entity.type === 'url')
+      .forEach(entity => {
+        const link = this.linkAnalyzer.analyze(entity.value, { expandedUrl: expandedLinks[entity.value] });
+        if (!link) {
+          return;
+        }
+
+        link.findings.forEach(finding => {
+          if (!byCategory[finding.category]) {
+            byCategory[finding.category] = { finding, matches: [], links: [] };
+          }
+          byCategory[finding.category].matches.push({
+            text: entity.value,
+            index: entity.index,
+            length: entity.length,
+            detail: finding.detail
+          });
+          byCategory[finding.category].links.push(link);
+        });
+      });
+
+    const threats = Object.entries(byCategory).map(([category, { finding, matches, links }]) => ({
+      type: 'malicious_link',
+      category,
+      riskScore: finding.riskScore,
+      confidence: finding.confidence,
+      matches,
+      links,
+      description: finding.description
+    }));
+
+    return { threats };
+  }
+
+  /**
+   * Index extracted contact handles under the message's family
+   */
+  recordHandles(entities, threats, context) {
+    if (!context.familyId || entities.length === 0) {
+      return;
+    }
+
+    this.handleIndex.record(context.familyId, entities, {
+      childId: context.childId,
+      senderId: context.senderId,
+      platform: context.platform,
+      timestamp: context.timestamp,
+      threatCategories: [...new Set(threats.map(t => t.category))]
+    });
+  }
+
+  /**
+   * Analyze a message sent by the child for personal information it gives away
+   * @returns {Object} { threats, maskedMessage } with leaked values masked for storage
+   */
+  analyzePersonalInfoLeaks(message) {
+    const { leaks, maskedMessage } = this.piiLeakDetector.detect(message);
+    const byType = {};
+
+    leaks.forEach(leak => {
+      byType[leak.type] = byType[leak.type] || [];
+      byType[leak.type].push(leak);
+    });
+
+    const threats = Object.entries(byType).map(([category, categoryLeaks]) => ({
+      type: 'personal_info_leak',
+      category: category,
+      riskScore: categoryLeaks[0].riskScore,
+      confidence: 0.85,
+      // The leaked value itself is never carried in the result
+      matches: categoryLeaks.map(leak => ({
+        text: leak.mask,
+        pattern: category,
+        index: leak.index,
+        length: leak.length
+      })),
+      description: categoryLeaks[0].description
+    }));
+
+    return { threats, maskedMessage };
+  }
+
+  /**
+   * Apply context factors to each threat's risk score in place
+   * Custom family rules are never scaled down; the parent asked for them
+   * @returns {Array} The factors that changed at least one score
+   */
+  applyContextFactors(threats, context) {
+    const active = Object.entries(this.contextFactors)
+      .filter(([, factor]) => factor.applies(context))
+      .map(([name, factor]) => ({ name, factor, value: factor.value(context) }));
+
+    const changed = new Map();
+
+    threats.forEach(threat => {
+      threat.baseRiskScore = threat.riskScore;
+      threat.contextFactors = [];
+
+      active.forEach(({ name, factor, value }) => {
+        const multiplier = factor.multipliers[threat.type] || factor.multipliers.default;
+        if (!multiplier || (threat.type === 'custom_rule' && multiplier < 1)) {
+          return;
+        }
+
+        threat.riskScore = Math.min(10, threat.riskScore * multiplier);
+        threat.contextFactors.push({ factor: name, value, multiplier, reason: factor.reason });
+        changed.set(name, { factor: name, value, reason: factor.reason });
+      });
+
+      threat.riskScore = Math.round(threat.riskScore * 100) / 100;
+    });
+
+    return [...changed.values()];
+  }
+
+  /**
+   * Scale each threat by the child's sensitivity profile in place
+   * Custom family rules and child distress are never scaled down
+   * @returns {Array} The profile as a context factor, if it changed a score
+   */
+  applySensitivityProfile(threats, profile) {
+    const reason = `Sensitivity profile for ${profile.label.toLowerCase()}`;
+    let changed = false;
+
+    threats.forEach(threat => {
+      const multiplier = this.sensitivityProfiles.getAdjustment(profile, threat);
+      if (multiplier === 1 || (multiplier < 1 && ['custom_rule', 'child_distress'].includes(threat.type))) {
+        return;
+      }
+
+      threat.riskScore = Math.round(Math.min(10, threat.riskScore * multiplier) * 100) / 100;
+      threat.contextFactors.push({ factor: 'ageProfile', value: profile.name, multiplier, reason });
+      changed = true;
+    });
+
+    return changed ? [{ factor: 'ageProfile', value: profile.name, reason }] : [];
+  }
+
+  /**
+   * Sensitivity profile for the message's child, or null when their age is unknown
+   */
+  getSensitivityProfile(context) {
+    if (context.sensitivityProfile !== undefined) {
+      return context.sensitivityProfile;
+    }
+    return this.sensitivityProfiles.resolve(context);
+  }
+
+  /**
+   * Anonymized history of the message's sender across all families
+   */
+  getSenderReputation(context) {
+    if (context.senderReputation !== undefined) {
+      return context.senderReputation;
+    }
+    if (!context.platform || !context.senderId) {
+      return null;
+    }
+    return this.senderReputation.getSummary(context.platform, context.senderId, context.familyId);
+  }
+
+  /**
+   * Resolve the custom rules that apply to this message's family
+   */
+  getCustomRules(context) {
+    if (Array.isArray(context.customRules)) {
+      return context.customRules;
+    }
+    return context.familyId ? this.customRuleService.getCompiledRules(context.familyId) : [];
+  }
+
+  /**
+   * Analyze message against a family's custom watch phrases
+   */
+  analyzeCustomRules(message, rules) {
+    const normalized = this.prepareMessage(message);
+    const threats = [];
+
+    // The prefilter rules out watch phrases whose text is absent
+    const candidates = this.usePatternPrefilter ? this.patternPrefilter.filterRules(rules, normalized) : rules;
+
+    candidates.forEach(rule => {
+      const matches = this.findPatternMatches(normalized, [rule.pattern]);
+
+      if (matches.length > 0) {
+        threats.push({
+          type: 'custom_rule',
+          category: 'familyWatchPhrase',
+          ruleId: rule.id,
+          severity: rule.severity,
+          riskScore: rule.riskScore,
+          confidence: 0.9,
+          matches: matches,
+          description: `Matched family watch phrase "${rule.label}"`
+        });
+      }
+    });
+
+    return { threats };
+  }
+
+  /**
+   * Normalize a raw message unless it already went through the normalizer
+   */
+  prepareMessage(message) {
+    return typeof message === 'string' ? this.normalizer.normalize(message) : message;
+  }
+
   /**
    * Find pattern matches in message
+   * Matches run against the normalized text; index/length/text point back
+   * into the original message so the dashboard highlights the right characters
    */
   findPatternMatches(message, patterns) {
+    const normalized = this.prepareMessage(message);
     const matches = [];
     
     patterns.forEach(pattern => {
-      const match = message.match(pattern);
-      if (match) {
+      if (!this.mayMatch(pattern, normalized)) {
+        return;
+      }
+
+      // Variants catch spaced-out words joined at the wrong place
+      const variant = [normalized, ...(normalized.variants || [])].find(candidate => pattern.test(candidate.text));
+      if (variant) {
+        const match = variant.text.match(pattern);
+        const span = variant.mapSpan(match.index, match.index + match[0].length);
+        matches.push({
+          text: span.text,
+          normalizedText: match[0],
+          pattern: pattern.source,
+          index: span.index,
+          length: span.length
+        });
+        return;
+      }
+
+      // Fall back to the raw text for patterns normalization would break
+      const rawMatch = normalized.original.match(pattern);
+      if (rawMatch) {
         matches.push({
-          text: match[0],
+          text: rawMatch[0],
+          normalizedText: rawMatch[0],
           pattern: pattern.source,
-          index: match.index
+          index: rawMatch.index,
+          length: rawMatch[0].length
         });
       }
     });
@@ -368,46 +1070,111 @@ class AlertDetectionService {
   }
 
   /**
-   * Apply context enhancers to increase risk score
+   * Whether a pack pattern is worth running on a message; the prefilter's
+   * single-pass literal scan rules out most of them without running them
    */
-  applyContextEnhancers(message, baseRisk) {
-    let enhancedRisk = baseRisk;
-    
-    Object.entries(this.contextEnhancers).forEach(([enhancer, config]) => {
-      const hasEnhancer = config.patterns.some(pattern => pattern.test(message));
-      if (hasEnhancer) {
-        enhancedRisk *= config.multiplier;
+  mayMatch(pattern, normalized) {
+    return !this.usePatternPrefilter || this.patternPrefilter.mayMatch(pattern, normalized);
+  }
+
+  /**
+   * Context enhancers present in a message
+   * @param {Set<string>} suppressed - Pattern keys the family switched off
+   * @returns {Array<Object>} { name, multiplier, pattern } for each matched enhancer
+   */
+  findContextEnhancers(message, enhancers = this.contextEnhancers, suppressed = new Set()) {
+    const normalized = this.prepareMessage(message);
+    const matched = [];
+
+    Object.entries(enhancers).forEach(([name, config]) => {
+      const hit = config.patterns.find(pattern => this.mayMatch(pattern, normalized) &&
+        [normalized, ...(normalized.variants || [])].some(candidate => pattern.test(candidate.text)) &&
+        !suppressed.has(getPatternKey({ type: ENHANCER_TYPE, category: name, pattern: pattern.source })));
+      if (hit) {
+        matched.push({ name, multiplier: config.multiplier, pattern: hit.source });
       }
     });
 
-    return enhancedRisk;
+    return matched;
+  }
+
+  /**
+   * Keys of the patterns a family has suppressed
+   */
+  getSuppressedPatterns(context) {
+    if (Array.isArray(context.suppressedPatterns)) {
+      return new Set(context.suppressedPatterns.map(getPatternKey));
+    }
+    return this.familySettings.getSuppressedKeys(context.familyId || 'default');
+  }
+
+  /**
+   * Drop matches on suppressed patterns, and threats left with none
+   */
+  removeSuppressedMatches(threats, suppressed) {
+    if (suppressed.size === 0) {
+      return threats;
+    }
+
+    return threats
+      .map(threat => ({
+        ...threat,
+        matches: threat.matches.filter(match => !suppressed.has(getPatternKey({
+          type: threat.type,
+          category: threat.category,
+          pattern: match.pattern
+        })))
+      }))
+      .filter(threat => threat.matches.length > 0);
+  }
+
+  /**
+   * Every pattern behind an alert, as sent back with a parent's review
+   * @returns {Array<Object>} { type, category, pattern }
+   */
+  listMatchedPatterns(threats, enhancers) {
+    const patterns = threats.flatMap(threat => (threat.matches || [])
+      .filter(match => match.pattern)
+      .map(match => ({ type: threat.type, category: threat.category, pattern: match.pattern })));
+
+    enhancers.forEach(({ name, pattern }) => {
+      patterns.push({ type: ENHANCER_TYPE, category: name, pattern });
+    });
+
+    return [...new Map(patterns.map(entry => [getPatternKey(entry), entry])).values()];
   }
 
   /**
    * Generate recommendations based on threat level
+   * @param {Object} thresholds - Score at which each priority starts (from the child's sensitivity profile)
    */
-  generateRecommendations(riskScore, threats) {
+  generateRecommendations(riskScore, threats, thresholds = DEFAULT_RECOMMENDATION_THRESHOLDS) {
+    // A child at risk needs support, not the block-and-report playbook
+    if (threats.some(t => t.type === 'child_distress')) {
+      return this.generateCareRecommendations(riskScore, thresholds);
+    }
+
     const recommendations = [];
 
-    if (riskScore >= 9) {
+    if (riskScore >= thresholds.critical) {
       recommendations.push({
         priority: 'CRITICAL',
         action: 'IMMEDIATE_INTERVENTION',
         message: 'Immediately block user and alert parents/guardians. Contact platform safety team.'
       });
-    } else if (riskScore >= 7) {
+    } else if (riskScore >= thresholds.high) {
       recommendations.push({
         priority: 'HIGH',
         action: 'ALERT_PARENTS',
         message: 'Alert parents and recommend blocking user. Monitor future interactions closely.'
       });
-    } else if (riskScore >= 5) {
+    } else if (riskScore >= thresholds.medium) {
       recommendations.push({
         priority: 'MEDIUM',
         action: 'WARNING',
         message: 'Show safety warning to child. Log interaction for pattern analysis.'
       });
-    } else if (riskScore >= 3) {
+    } else if (riskScore >= thresholds.low) {
       recommendations.push({
         priority: 'LOW',
         action: 'MONITOR',
@@ -434,6 +1201,124 @@ class AlertDetectionService {
       });
     }
 
+    if (threatTypes.includes('malicious_link')) {
+      recommendations.push({
+        priority: 'HIGH',
+        action: 'LINK_WARNING',
+        message: 'Warn child not to open the link or enter their password. Official sites never ask for it in chat.'
+      });
+    }
+
+    if (threatTypes.includes('cyberbullying') || threatTypes.includes('repeated_harassment')) {
+      recommendations.push({
+        priority: 'HIGH',
+        action: 'BULLYING_SUPPORT',
+        message: 'Check in with your child, save screenshots of the messages, then block and report the sender.'
+      });
+    }
+
+    // Account takeover needs the password changed before anything else
+    const scamCategories = threats.filter(t => t.type === 'scam').map(t => t.category);
+
+    if (scamCategories.includes('credentialRequest') || scamCategories.includes('beaming')) {
+      recommendations.push({
+        priority: 'CRITICAL',
+        action: 'CHANGE_PASSWORD',
+        message: 'Change the account password now and sign out of all other sessions, in case your child already shared it.'
+      });
+      recommendations.push({
+        priority: 'HIGH',
+        action: 'ENABLE_2SV',
+        message: 'Turn on 2-step verification and remind your child never to share login codes, even with "staff".'
+      });
+    }
+
+    if (threatTypes.includes('scam')) {
+      recommendations.push({
+        priority: 'MEDIUM',
+        action: 'SCAM_EDUCATION',
+        message: 'Explain that real staff never ask for passwords or items, and that "trust trades" are never returned.'
+      });
+    }
+
+    if (threatTypes.includes('inappropriate_content')) {
+      recommendations.push({
+        priority: 'MEDIUM',
+        action: 'CONTENT_REVIEW',
+        message: 'Review the conversation with your child and check the chat filter settings on this platform.'
+      });
+    }
+
+    if (threatTypes.includes('personal_info_leak')) {
+      recommendations.push({
+        priority: 'HIGH',
+        action: 'PRIVACY_FOLLOW_UP',
+        message: 'Talk with your child about the personal information they shared and who they shared it with.'
+      });
+    }
+
+    // Timing anomalies from BehaviorAnalyzer
+    const behaviorCategories = threats.filter(t => t.type === 'behavioral_anomaly').map(t => t.category);
+
+    if (behaviorCategories.includes('contactAfterBlock') || behaviorCategories.includes('ignoredPersistence')) {
+      recommendations.push({
+        priority: 'HIGH',
+        action: 'REPORT_PERSISTENT_CONTACT',
+        message: 'This sender keeps messaging after being ignored or blocked. Report them to the platform and block any new accounts they use.'
+      });
+    }
+
+    if (behaviorCategories.includes('lateNightContact')) {
+      recommendations.push({
+        priority: 'MEDIUM',
+        action: 'SET_QUIET_HOURS',
+        message: 'Someone is messaging your child late at night. Consider device downtime or turning off messages overnight.'
+      });
+    }
+
+    if (behaviorCategories.includes('excessiveVolume')) {
+      recommendations.push({
+        priority: 'LOW',
+        action: 'REVIEW_SCREEN_TIME',
+        message: 'Your child is chatting far more than usual. Check in about who they are talking to and set time limits if needed.'
+      });
+    }
+
+    return recommendations;
+  }
+
+  /**
+   * Gentler, support-focused recommendations for child distress alerts
+   */
+  generateCareRecommendations(riskScore, thresholds = DEFAULT_RECOMMENDATION_THRESHOLDS) {
+    const recommendations = [];
+
+    if (riskScore >= thresholds.critical) {
+      recommendations.push({
+        priority: 'CRITICAL',
+        action: 'CHECK_IN_NOW',
+        message: 'Your child may be going through something serious. Check in with them in person as soon as you can. If you think they are in immediate danger, call emergency services.'
+      });
+    } else {
+      recommendations.push({
+        priority: 'HIGH',
+        action: 'CHECK_IN',
+        message: 'Find a quiet moment to ask your child how they are feeling. Listen without judging, and avoid taking their device away as a punishment.'
+      });
+    }
+
+    recommendations.push({
+      priority: 'HIGH',
+      action: 'SHARE_CRISIS_RESOURCES',
+      message: 'Free, confidential support lines are listed with this alert for you or your child to use, any time.'
+    });
+
+    recommendations.push({
+      priority: 'MEDIUM',
+      action: 'SEEK_SUPPORT',
+      message: 'Consider talking to your child\'s doctor, school counselor or a mental health professional.'
+    });
+
     return recommendations;
   }
 
@@ -0,0 +1,380 @@
+/**
+ * Behavioral Anomaly Detection for Kidverse MVP
+ * Flags risky contact patterns from interaction timing alone - message bursts,
+ * heavy overall volume, late-night contact, a brand-new contact suddenly
+ * messaging a lot, and senders who keep going after being ignored or blocked
+ *
+ * @author Stephen Thompson
+ * @version 1.0.0
+ */
+
+const AlertDetectionService = require('./alertDetection');
+const { familySettings } = require('./familySettings');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+class BehaviorAnalyzer {
+  /**
+   * @param {AlertDetectionService} detector - Supplies risk aggregation and recommendations
+   * @param {Object} options - Thresholds
+   * @param {number} options.burstMessages - Messages from one sender within burstWindowMs that count as a burst
+   * @param {number} options.burstWindowMs - Burst window
+   * @param {FamilySettingsService} options.familySettings - Source of each family's `excessive` threshold,
+   *   a child's hourly interactions before volume is excessive, and of each child's stored time zone and
+   *   quiet hours (defaults to the shared store)
+   * @param {Object} options.quietHours - { start, end } local hours the child should not be contacted
+   * @param {string} options.timeZone - IANA time zone for children without their own setting
+   * @param {number} options.lateNightMessages - Messages from one sender in one night before alerting
+   * @param {number} options.newContactDays - How long a sender counts as a new contact
+   * @param {number} options.newContactMessages - Messages in 24 hours from a new contact before alerting
+   * @param {number} options.ignoredMessages - Unanswered messages before a sender counts as persistent
+   * @param {number} options.ignoredMinSpanMs - Unanswered messages must span at least this long
+   * @param {number} options.pairIdleMs - Sender/child pairs with no interaction for this long are forgotten
+   * @param {number} options.pruneIntervalMs - How often idle pairs are swept
+   */
+  constructor(detector = new AlertDetectionService(), options = {}) {
+    this.detector = detector;
+    this.burstMessages = options.burstMessages || 10;
+    this.burstWindowMs = options.burstWindowMs || MINUTE;
+    this.familySettings = options.familySettings || familySettings;
+    this.quietHours = options.quietHours || { start: 22, end: 6 };
+    this.timeZone = options.timeZone || 'UTC';
+    this.lateNightMessages = options.lateNightMessages || 3;
+    this.newContactDays = options.newContactDays || 7;
+    this.newContactMessages = options.newContactMessages || 30;
+    this.ignoredMessages = options.ignoredMessages || 5;
+    this.ignoredMinSpanMs = options.ignoredMinSpanMs || 10 * MINUTE;
+    this.pairIdleMs = options.pairIdleMs || DAY;
+    this.pruneIntervalMs = options.pruneIntervalMs || HOUR;
+    this.pairs = new Map(); // `${familyId}:${senderId}:${childId}` -> sender/child timing state
+    this.children = new Map(); // `${familyId}:${childId}` -> { interactions, timeZone, quietHours, lastActivity }
+    this.latestActivity = null; // newest interaction time seen, the clock for pruning
+    this.lastPrunedAt = null;
+    this.initializeAnomalies();
+  }
+
+  initializeAnomalies() {
+    this.anomalyTypes = {
+      contactAfterBlock: {
+        riskScore: 8,
+        confidence: 0.9,
+        alertCategory: 'cyberbullying',
+        description: 'Sender kept messaging after the child blocked them'
+      },
+      ignoredPersistence: {
+        riskScore: 6,
+        confidence: 0.75,
+        alertCategory: 'cyberbullying',
+        description: 'Sender keeps messaging although the child stopped replying'
+      },
+      lateNightContact: {
+        riskScore: 6,
+        confidence: 0.7,
+        alertCategory: 'predatory_behavior',
+        description: 'Sender is messaging the child during their late-night hours'
+      },
+      newContactSurge: {
+        riskScore: 6,
+        confidence: 0.65,
+        alertCategory: 'predatory_behavior',
+        description: 'A new contact suddenly started messaging the child a lot'
+      },
+      messageBurst: {
+        riskScore: 5,
+        confidence: 0.7,
+        alertCategory: 'cyberbullying',
+        description: 'Sender flooded the child with messages in a short time'
+      },
+      excessiveVolume: {
+        riskScore: 3,
+        confidence: 0.6,
+        alertCategory: 'child_wellbeing',
+        description: 'The child is exchanging an unusually high number of messages'
+      }
+    };
+  }
+
+  /**
+   * Set a child's local time zone and quiet hours for this analyzer only; a
+   * schedule the family stored (see FamilySettingsService.setChildSchedule) wins
+   * @param {string} familyId - Child's family
+   * @param {string} childId - Monitored child
+   * @param {Object} settings - { timeZone, quietHours: { start, end } }
+   */
+  setChildSettings(familyId, childId, settings = {}) {
+    if (settings.timeZone) {
+      // Throws RangeError for unknown zones
+      new Intl.DateTimeFormat('en-US', { timeZone: settings.timeZone });
+    }
+
+    const child = this.getOrCreateChild(familyId.toString(), childId);
+    if (settings.timeZone) child.timeZone = settings.timeZone;
+    if (settings.quietHours) child.quietHours = settings.quietHours;
+    child.customized = true;
+    return { timeZone: child.timeZone, quietHours: child.quietHours };
+  }
+
+  /**
+   * Record one interaction and check the sender/child pair for anomalies
+   * @param {Object} interaction - { familyId, senderId, childId, timestamp, fromChild, type }
+   *   type is 'message' (default), 'block' or 'unblock'
+   * @returns {Object} { senderId, childId, anomalies, overallRisk, alertCategory, recommendations }
+   */
+  recordInteraction(interaction) {
+    const { senderId, childId } = interaction;
+
+    if (!senderId || !childId) {
+      throw new Error('Interaction must include senderId and childId');
+    }
+
+    const familyId = (interaction.familyId || 'default').toString();
+    const type = interaction.type || 'message';
+    const timestamp = interaction.timestamp ? new Date(interaction.timestamp) : new Date();
+    const pair = this.getOrCreatePair(familyId, senderId, childId, timestamp);
+    const child = this.getOrCreateChild(familyId, childId);
+
+    pair.lastActivity = timestamp;
+    child.lastActivity = timestamp;
+
+    if (type === 'block') {
+      pair.blockedAt = timestamp;
+    } else if (type === 'unblock') {
+      pair.blockedAt = null;
+    } else if (interaction.fromChild) {
+      pair.lastChildReply = timestamp;
+      pair.unanswered = { count: 0, since: null };
+      child.interactions.push(timestamp);
+    } else {
+      pair.incoming.push(timestamp);
+      pair.unanswered.count++;
+      pair.unanswered.since = pair.unanswered.since || timestamp;
+      child.interactions.push(timestamp);
+    }
+
+    this.pruneWindows(pair, child, timestamp);
+    this.pruneIfDue(timestamp);
+
+    const anomalies = type === 'message' && !interaction.fromChild
+      ? this.detectAnomalies(pair, child, timestamp)
+      : [];
+
+    return this.buildResult(pair, anomalies);
+  }
+
+  /**
+   * Run every timing check for a message the child just received
+   */
+  detectAnomalies(pair, child, now) {
+    const anomalies = [];
+    const add = (category, evidence, riskScore) => {
+      const config = this.anomalyTypes[category];
+      anomalies.push({
+        type: 'behavioral_anomaly',
+        category,
+        alertCategory: config.alertCategory,
+        riskScore: riskScore || config.riskScore,
+        confidence: config.confidence,
+        matches: [],
+        evidence,
+        description: config.description
+      });
+    };
+
+    if (pair.blockedAt && now >= pair.blockedAt) {
+      const sinceBlock = pair.incoming.filter(t => t >= pair.blockedAt).length;
+      add('contactAfterBlock', { blockedAt: pair.blockedAt, messagesSinceBlock: sinceBlock });
+    }
+
+    const { count, since } = pair.unanswered;
+    if (count >= this.ignoredMessages && now - since >= this.ignoredMinSpanMs) {
+      add('ignoredPersistence', {
+        unansweredMessages: count,
+        lastChildReply: pair.lastChildReply,
+        since
+      }, Math.min(8, this.anomalyTypes.ignoredPersistence.riskScore + 0.25 * (count - this.ignoredMessages)));
+    }
+
+    const settings = this.getChildSettings(pair.familyId, pair.childId, child);
+    const { start, end } = settings.quietHours;
+    const nightLength = ((end - start + 24) % 24) * HOUR;
+    const nightMessages = pair.incoming.filter(t =>
+      now - t <= nightLength && this.isQuietHour(t, settings));
+    if (this.isQuietHour(now, settings) && nightMessages.length >= this.lateNightMessages) {
+      add('lateNightContact', {
+        messages: nightMessages.length,
+        localHour: this.getLocalHour(now, settings.timeZone),
+        quietHours: settings.quietHours,
+        timeZone: settings.timeZone
+      }, this.isNewContact(pair, now) ? 7 : undefined);
+    }
+
+    const lastDay = pair.incoming.filter(t => now - t <= DAY).length;
+    if (this.isNewContact(pair, now) && lastDay >= this.newContactMessages) {
+      add('newContactSurge', { firstContact: pair.firstSeen, messagesLast24h: lastDay });
+    }
+
+    const burst = pair.incoming.filter(t => now - t <= this.burstWindowMs).length;
+    if (burst >= this.burstMessages) {
+      add('messageBurst', { messages: burst, windowMs: this.burstWindowMs });
+    }
+
+    const excessive = this.familySettings.getAlertThresholds(pair.familyId).excessive;
+    const lastHour = child.interactions.filter(t => now - t <= HOUR).length;
+    if (excessive.enabled && lastHour >= excessive.threshold) {
+      add('excessiveVolume', { interactionsLastHour: lastHour, threshold: excessive.threshold });
+    }
+
+    return anomalies;
+  }
+
+  /**
+   * Combine a pair's anomalies into one assessment
+   */
+  buildResult(pair, anomalies) {
+    const result = {
+      senderId: pair.senderId,
+      childId: pair.childId,
+      anomalies,
+      overallRisk: 0,
+      alertCategory: null,
+      recommendations: []
+    };
+
+    if (anomalies.length > 0) {
+      const aggregate = this.detector.riskAggregator.aggregate(anomalies);
+      result.overallRisk = aggregate.riskScore;
+      result.alertCategory = aggregate.primary.alertCategory;
+      result.recommendations = this.detector.generateRecommendations(aggregate.riskScore, anomalies);
+    }
+
+    return result;
+  }
+
+  /**
+   * A child's time zone and quiet hours: the family's stored schedule, then
+   * setChildSettings, then the analyzer's defaults
+   * @returns {Object} { timeZone, quietHours }
+   */
+  getChildSettings(familyId, childId, child = this.getOrCreateChild(familyId, childId)) {
+    const schedule = this.familySettings.getChildSchedule(familyId, childId) || {};
+    return {
+      timeZone: schedule.timeZone || child.timeZone,
+      quietHours: schedule.quietHours || child.quietHours
+    };
+  }
+
+  /**
+   * Whether a time falls inside the child's quiet hours
+   * @param {Object} settings - { timeZone, quietHours } from getChildSettings
+   */
+  isQuietHour(date, settings) {
+    const hour = this.getLocalHour(date, settings.timeZone);
+    const { start, end } = settings.quietHours;
+    return start <= end ? hour >= start && hour < end : hour >= start || hour < end;
+  }
+
+  /**
+   * Hour of day (0-23) in a time zone
+   */
+  getLocalHour(date, timeZone) {
+    return parseInt(new Intl.DateTimeFormat('en-US', { hour: 'numeric', hourCycle: 'h23', timeZone }).format(date), 10);
+  }
+
+  isNewContact(pair, now) {
+    return now - pair.firstSeen < this.newContactDays * DAY;
+  }
+
+  /**
+   * Keep only the timestamps the checks look at
+   */
+  pruneWindows(pair, child, now) {
+    pair.incoming = pair.incoming.filter(t => now - t <= DAY);
+    child.interactions = child.interactions.filter(t => now - t <= HOUR);
+  }
+
+  /**
+   * Sweep idle pairs at most once per pruneIntervalMs, measured in
+   * interaction time so replayed history is not swept as it is loaded
+   */
+  pruneIfDue(timestamp) {
+    if (!this.latestActivity || timestamp > this.latestActivity) {
+      this.latestActivity = timestamp;
+    }
+    if (!this.lastPrunedAt) {
+      this.lastPrunedAt = this.latestActivity;
+      return 0;
+    }
+    if (this.latestActivity - this.lastPrunedAt < this.pruneIntervalMs) {
+      return 0;
+    }
+
+    this.lastPrunedAt = this.latestActivity;
+    return this.pruneInactive(this.latestActivity);
+  }
+
+  /**
+   * Forget pairs idle for longer than pairIdleMs, and children with nothing
+   * left to track. A pair the child blocked is kept, so contact after the
+   * block is still caught however long the sender waits.
+   * @returns {number} Number of pairs removed
+   */
+  pruneInactive(now = new Date()) {
+    const cutoff = now.getTime() - this.pairIdleMs;
+    let removed = 0;
+
+    for (const [key, pair] of this.pairs.entries()) {
+      if (!pair.blockedAt && pair.lastActivity.getTime() < cutoff) {
+        this.pairs.delete(key);
+        removed++;
+      }
+    }
+
+    for (const [key, child] of this.children.entries()) {
+      if (!child.customized && child.lastActivity && now - child.lastActivity > HOUR) {
+        this.children.delete(key);
+      }
+    }
+
+    return removed;
+  }
+
+  getOrCreatePair(familyId, senderId, childId, timestamp) {
+    const key = `${familyId}:${senderId}:${childId}`;
+
+    if (!this.pairs.has(key)) {
+      this.pairs.set(key, {
+        familyId,
+        senderId,
+        childId,
+        firstSeen: timestamp,
+        lastActivity: timestamp,
+        incoming: [],
+        unanswered: { count: 0, since: null },
+        lastChildReply: null,
+        blockedAt: null
+      });
+    }
+
+    return this.pairs.get(key);
+  }
+
+  getOrCreateChild(familyId, childId) {
+    const key = `${familyId}:${childId}`;
+
+    if (!this.children.has(key)) {
+      this.children.set(key, {
+        interactions: [],
+        timeZone: this.timeZone,
+        quietHours: this.quietHours,
+        customized: false,
+        lastActivity: null
+      });
+    }
+
+    return this.children.get(key);
+  }
+}
+
+module.exports = BehaviorAnalyzer;
@@ -0,0 +1,536 @@
+/**
+ * Conversation-Level Grooming Detection for Kidverse MVP
+ * Tracks grooming stage progression and repeated harassment across a sliding
+ * window of messages for each sender/child pair in a family, on top of
+ * per-message AlertDetectionService scores
+ *
+ * @author Stephen Thompson
+ * @version 1.0.0
+ */
+
+const AlertDetectionService = require('./alertDetection');
+
+// Canonical grooming progression, earliest stage first
+const STAGE_ORDER = ['trustBuilding', 'isolation', 'secrecy', 'offPlatform'];
+
+class ConversationAnalyzer {
+  /**
+   * @param {AlertDetectionService} detector - Per-message detector to build on
+   * @param {Object} options - Window configuration
+   * @param {number} options.windowSize - Max messages kept per conversation
+   * @param {number} options.windowMs - Max age of messages kept per conversation
+   * @param {number} options.maxConversations - Conversations tracked before the least recently active are dropped
+   * @param {number} options.pruneIntervalMs - How often conversations idle past the window are swept
+   */
+  constructor(detector = new AlertDetectionService(), options = {}) {
+    this.detector = detector;
+    this.windowSize = options.windowSize || 50;
+    this.windowMs = options.windowMs || 14 * 24 * 60 * 60 * 1000; // 14 days
+    this.minStagesForAlert = options.minStagesForAlert || 2;
+    this.leakFollowUpMessages = options.leakFollowUpMessages || 3; // child replies checked after a request
+    this.leakFollowUpMs = options.leakFollowUpMs || 30 * 60 * 1000; // 30 minutes
+    this.hostileMessagesForAlert = options.hostileMessagesForAlert || 3;
+    this.harassmentWindowMs = options.harassmentWindowMs || 24 * 60 * 60 * 1000; // 24 hours
+    this.maxConversations = options.maxConversations || 10000;
+    this.pruneIntervalMs = options.pruneIntervalMs || 60 * 60 * 1000; // 1 hour
+    this.conversations = new Map(); // `${familyId}:${senderId}:${childId}` -> conversation state, least recently active first
+    this.latestActivity = null; // newest message time seen, the clock for pruning
+    this.lastPrunedAt = null;
+    this.initializeStages();
+  }
+
+  initializeStages() {
+    // Each stage is reached either by its own low-signal patterns or by a
+    // per-message threat in one of the listed detector categories
+    this.groomingStages = {
+      trustBuilding: {
+        categories: ['trustBuilding', 'inappropriateCompliments', 'giftManipulation', 'emotionalManipulation'],
+        patterns: [
+          /you're (so |really )?(mature|grown[- ]up) for your age/i,
+          /you're (not like|different from) (the )?other (kids|girls|boys)/i,
+          /you're my (best|favorite) friend/i,
+          /i (really )?like talking to you/i,
+          /we have so much in common/i,
+          /you can trust me/i
+        ],
+        baseRisk: 3,
+        description: 'Building trust and emotional closeness'
+      },
+
+      isolation: {
+        categories: [],
+        patterns: [
+          /your parents (don't|dont|wouldn't|never) (get|understand|care|let)/i,
+          /no one (else )?(understands|gets) you/i,
+          /i'm the only one (who|that) (really )?(understands|gets|cares about|listens to) you/i,
+          /they (wouldn't|won't) understand (us|you|this)/i,
+          /you don't need (them|anyone else)/i,
+          /your friends (don't|dont|won't|wont) (really )?(understand|get|care about|like) you/i,
+          /your friends are (fake|jealous|using you|not (your )?real friends)/i,
+          /are you (home alone|alone (at home|in the house|in your room))/i,
+          /(is|are) (anyone|anybody|your parents|your (mom|mum|dad)) (else )?(at )?home/i
+        ],
+        baseRisk: 5,
+        description: 'Separating the child from parents and friends'
+      },
+
+      secrecy: {
+        categories: [],
+        patterns: [
+          /don'?t tell (your )?(parents|mom|mum|dad|family)/i,
+          /don'?t tell (anyone|anybody) about (us|me|this|our)/i,
+          /(our|a) little secret/i,
+          /(this|it)('s| is| stays) (just )?our secret/i,
+          /(just|stays?|keep (it|this)) between (us|you and me)\b(?! and)/i,
+          /keep (this|it|us) (a )?secret/i,
+          /keep (this|it) (private|quiet) from (your )?(parents|mom|mum|dad|family|everyone)/i,
+          /delete (these|our) (chats?|messages|convos?)/i,
+          /no one (has to|needs to) know/i
+        ],
+        baseRisk: 6,
+        description: 'Asking the child to keep the relationship secret'
+      },
+
+      offPlatform: {
+        categories: ['discordPressure', 'socialPlatforms', 'meetingRequests', 'platformSwitching'],
+        patterns: [],
+        baseRisk: 7,
+        description: 'Moving the conversation off-platform or offline'
+      }
+    };
+
+    this.stageEscalation = 1.0; // added per additional stage reached
+    this.orderEscalation = 0.5; // added per stage reached in canonical order
+  }
+
+  /**
+   * Build the key identifying a sender/child conversation; the same sender
+   * talking to children in two families is two conversations
+   */
+  getConversationKey(familyId, senderId, childId) {
+    return `${familyId}:${senderId}:${childId}`;
+  }
+
+  /**
+   * Analyze one message in the context of its conversation
+   * @param {Object} message - { text, senderId, childId, familyId, timestamp, speakerRole }
+   * @param {Object} context - Passed through to AlertDetectionService.detectThreats
+   * @returns {Object} Per-message analysis plus the updated conversation assessment
+   */
+  analyzeMessage(message, context = {}) {
+    this.validateMessage(message);
+
+    const speakerRole = message.speakerRole || context.speakerRole || 'other';
+    const analysis = this.detector.detectThreats(message.text, { ...context, speakerRole });
+    return this.recordAnalysis(message, analysis, context);
+  }
+
+  /**
+   * Add a message that was already analyzed (e.g. on the detection pool) to
+   * its conversation
+   * @param {Object} message - { text, senderId, childId, familyId, timestamp, speakerRole }
+   * @param {Object} analysis - The message's detectThreats/analyzeMessage result
+   * @param {Object} context - Supplies familyId and speakerRole when the message does not
+   * @returns {Object} { message, timestamp, analysis, conversation }
+   */
+  recordAnalysis(message, analysis, context = {}) {
+    this.validateMessage(message);
+
+    const { text, senderId, childId } = message;
+    const familyId = message.familyId || context.familyId || 'default';
+    const timestamp = message.timestamp ? new Date(message.timestamp) : new Date();
+    const speakerRole = message.speakerRole || context.speakerRole || 'other';
+    const fromChild = speakerRole === 'child';
+    const conversation = this.getOrCreateConversation(familyId, senderId, childId);
+
+    // Only the other party's messages can advance grooming stages
+    const { stages, threatStages } = fromChild ? { stages: [], threatStages: [] } : this.detectStages(text, analysis);
+
+    conversation.messages.push({
+      timestamp,
+      fromChild,
+      risk: this.getMessageRisk(analysis),
+      stages,
+      threatStages,
+      infoRequest: fromChild ? null : this.findInfoRequest(analysis),
+      hostility: fromChild ? [] : analysis.threats.filter(t => t.type === 'cyberbullying'),
+      leaks: fromChild ? analysis.threats.filter(t => t.type === 'personal_info_leak') : []
+    });
+    conversation.lastActivity = timestamp;
+
+    this.pruneWindow(conversation, timestamp);
+    this.pruneIfDue(timestamp);
+
+    return {
+      message: text,
+      timestamp,
+      analysis,
+      conversation: this.evaluateConversation(conversation)
+    };
+  }
+
+  validateMessage(message) {
+    if (!message || typeof message.text !== 'string' || !message.senderId || !message.childId) {
+      throw new Error('Message must include text, senderId and childId');
+    }
+  }
+
+  /**
+   * Analyze an ordered list of messages belonging to one or more conversations
+   */
+  analyzeConversation(messages, context = {}) {
+    return [...messages]
+      .sort((a, b) => new Date(a.timestamp || 0) - new Date(b.timestamp || 0))
+      .map(message => this.analyzeMessage(message, context));
+  }
+
+  /**
+   * Determine which grooming stages a single message signals
+   * @returns {Object} { stages, threatStages } - threatStages are the stages
+   * reached through a detector threat rather than a stage pattern alone
+   */
+  detectStages(text, analysis) {
+    const threatCategories = new Set(analysis.threats.map(t => t.category));
+    const normalizedText = this.detector.normalizer.normalize(text).text;
+    const stages = [];
+    const threatStages = [];
+
+    Object.entries(this.groomingStages).forEach(([stage, config]) => {
+      if (config.categories.some(category => threatCategories.has(category))) {
+        stages.push(stage);
+        threatStages.push(stage);
+      } else if (config.patterns.some(pattern => pattern.test(normalizedText))) {
+        stages.push(stage);
+      }
+    });
+
+    return { stages, threatStages };
+  }
+
+  /**
+   * Message risk attributable to the conversation; distress in the child's
+   * own words says nothing about the sender
+   */
+  getMessageRisk(analysis) {
+    if (!analysis.threats.some(t => t.type === 'child_distress')) {
+      return analysis.overallRisk;
+    }
+
+    const others = analysis.threats.filter(t => t.type !== 'child_distress');
+    return others.length > 0 ? Math.max(...others.map(t => t.riskScore)) : 0;
+  }
+
+  /**
+   * The direct personal-info request in a message, if any
+   */
+  findInfoRequest(analysis) {
+    return analysis.threats.find(t => t.category === 'directRequests') || null;
+  }
+
+  /**
+   * Find a child message that gave away personal information shortly after
+   * the other party directly asked for it
+   */
+  findSolicitedLeak(conversation) {
+    const messages = conversation.messages;
+
+    for (let i = messages.length - 1; i >= 0; i--) {
+      const reply = messages[i];
+      if (!reply.fromChild || reply.leaks.length === 0) {
+        continue;
+      }
+
+      let childReplies = 0;
+      for (let j = i - 1; j >= 0; j--) {
+        const earlier = messages[j];
+        if (reply.timestamp - earlier.timestamp > this.leakFollowUpMs) {
+          break;
+        }
+        if (earlier.fromChild) {
+          childReplies++;
+          if (childReplies >= this.leakFollowUpMessages) {
+            break;
+          }
+          continue;
+        }
+        if (earlier.infoRequest) {
+          return { request: earlier, reply };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Drop messages outside the sliding window
+   */
+  pruneWindow(conversation, now) {
+    const cutoff = now.getTime() - this.windowMs;
+    conversation.messages = conversation.messages
+      .filter(m => m.timestamp.getTime() >= cutoff)
+      .slice(-this.windowSize);
+  }
+
+  /**
+   * Score the conversation from the stages reached within the window
+   */
+  evaluateConversation(conversation) {
+    const firstSeen = {};
+    const counts = {};
+    let peakMessageRisk = 0;
+    let threatBacked = false;
+
+    conversation.messages.forEach((m, position) => {
+      peakMessageRisk = Math.max(peakMessageRisk, m.risk);
+      threatBacked = threatBacked || m.threatStages.length > 0;
+      m.stages.forEach(stage => {
+        counts[stage] = (counts[stage] || 0) + 1;
+        if (firstSeen[stage] === undefined) {
+          firstSeen[stage] = position;
+        }
+      });
+    });
+
+    const stagesReached = STAGE_ORDER.filter(stage => counts[stage]);
+    const orderedStages = this.countOrderedStages(stagesReached, firstSeen);
+    const progression = stagesReached.map(stage => ({
+      stage,
+      occurrences: counts[stage],
+      firstSeen: conversation.messages[firstSeen[stage]].timestamp,
+      description: this.groomingStages[stage].description
+    }));
+
+    const state = {
+      key: this.getConversationKey(conversation.familyId, conversation.senderId, conversation.childId),
+      familyId: conversation.familyId,
+      senderId: conversation.senderId,
+      childId: conversation.childId,
+      messageCount: conversation.messages.length,
+      stagesReached,
+      currentStage: stagesReached[stagesReached.length - 1] || null,
+      progression,
+      peakMessageRisk,
+      conversationRisk: peakMessageRisk,
+      confidence: 0,
+      alert: null,
+      leakAlert: this.buildLeakAlert(conversation),
+      harassmentAlert: this.buildHarassmentAlert(conversation)
+    };
+
+    if (stagesReached.length === 0) {
+      return state;
+    }
+
+    const highestStageRisk = Math.max(...stagesReached.map(stage => this.groomingStages[stage].baseRisk));
+    const escalation = (stagesReached.length - 1) * this.stageEscalation +
+      Math.max(0, orderedStages - 1) * this.orderEscalation;
+
+    state.conversationRisk = Math.min(10, Math.max(peakMessageRisk, highestStageRisk) + escalation);
+    state.confidence = Math.min(0.95, 0.5 + 0.1 * stagesReached.length + 0.05 * orderedStages);
+
+    // Stage patterns alone are weak evidence; ordinary chat can hit several,
+    // so an alert also needs a risky message or a stage a detector threat reached
+    if (stagesReached.length >= this.minStagesForAlert && (peakMessageRisk > 0 || threatBacked)) {
+      const threat = {
+        type: 'grooming_progression',
+        category: state.currentStage,
+        alertCategory: this.detector.getAlertCategory('grooming_progression'),
+        riskScore: state.conversationRisk,
+        confidence: state.confidence,
+        stages: stagesReached,
+        description: `Conversation progressed through ${stagesReached.length} grooming stages: ${stagesReached.join(' → ')}`
+      };
+
+      state.alert = {
+        ...threat,
+        recommendations: this.detector.generateRecommendations(state.conversationRisk, [threat])
+      };
+    }
+
+    return state;
+  }
+
+  /**
+   * Combined high-severity alert for a leak that answered a direct request
+   */
+  buildLeakAlert(conversation) {
+    const solicited = this.findSolicitedLeak(conversation);
+    if (!solicited) {
+      return null;
+    }
+
+    const { request, reply } = solicited;
+    const requestThreat = request.infoRequest;
+    const leakTypes = [...new Set(reply.leaks.map(leak => leak.category))];
+    const riskScore = Math.min(10, Math.max(requestThreat.riskScore, ...reply.leaks.map(leak => leak.riskScore)) + 1);
+
+    const threat = {
+      type: 'solicited_info_leak',
+      category: 'directRequests',
+      alertCategory: this.detector.getAlertCategory('solicited_info_leak'),
+      riskScore,
+      confidence: Math.max(requestThreat.confidence, ...reply.leaks.map(leak => leak.confidence)),
+      leakTypes,
+      requestedAt: request.timestamp,
+      leakedAt: reply.timestamp,
+      matches: [...requestThreat.matches, ...reply.leaks.flatMap(leak => leak.matches)],
+      description: `Child shared personal information (${leakTypes.join(', ')}) right after being asked for it`
+    };
+
+    return {
+      ...threat,
+      recommendations: this.detector.generateRecommendations(riskScore, [
+        threat,
+        { type: 'personal_info_request' },
+        { type: 'personal_info_leak' }
+      ])
+    };
+  }
+
+  /**
+   * Alert when one sender keeps sending hostile messages to the child,
+   * even if no single message is severe on its own
+   */
+  buildHarassmentAlert(conversation) {
+    const messages = conversation.messages;
+    if (messages.length === 0) {
+      return null;
+    }
+
+    const cutoff = messages[messages.length - 1].timestamp.getTime() - this.harassmentWindowMs;
+    const hostile = messages.filter(m => m.hostility.length > 0 && m.timestamp.getTime() >= cutoff);
+
+    if (hostile.length < this.hostileMessagesForAlert) {
+      return null;
+    }
+
+    const threats = hostile.flatMap(m => m.hostility);
+    const categories = [...new Set(threats.map(t => t.category))];
+    const peakRisk = Math.max(...threats.map(t => t.riskScore));
+    const riskScore = Math.min(10, peakRisk + 1 + 0.5 * (hostile.length - this.hostileMessagesForAlert));
+
+    const threat = {
+      type: 'repeated_harassment',
+      category: 'repeatedHostility',
+      alertCategory: this.detector.getAlertCategory('repeated_harassment'),
+      riskScore,
+      confidence: Math.min(0.95, 0.6 + 0.05 * hostile.length),
+      hostileMessageCount: hostile.length,
+      harassmentCategories: categories,
+      firstHostileAt: hostile[0].timestamp,
+      lastHostileAt: hostile[hostile.length - 1].timestamp,
+      matches: threats.flatMap(t => t.matches),
+      description: `${hostile.length} hostile messages from the same sender (${categories.join(', ')})`
+    };
+
+    return {
+      ...threat,
+      recommendations: this.detector.generateRecommendations(riskScore, [threat])
+    };
+  }
+
+  /**
+   * Length of the longest run of reached stages whose first appearance
+   * follows the canonical grooming order
+   */
+  countOrderedStages(stagesReached, firstSeen) {
+    const positions = stagesReached.map(stage => firstSeen[stage]);
+    const longest = positions.map(() => 1);
+
+    for (let i = 1; i < positions.length; i++) {
+      for (let j = 0; j < i; j++) {
+        if (positions[j] <= positions[i]) {
+          longest[i] = Math.max(longest[i], longest[j] + 1);
+        }
+      }
+    }
+
+    return positions.length > 0 ? Math.max(...longest) : 0;
+  }
+
+  /**
+   * Get or create tracked state for a sender/child pair, marking it as the
+   * most recently active; past capacity the least recently active is dropped
+   */
+  getOrCreateConversation(familyId, senderId, childId) {
+    const key = this.getConversationKey(familyId, senderId, childId);
+    let conversation = this.conversations.get(key);
+
+    if (conversation) {
+      // Re-insert so the map stays ordered by activity
+      this.conversations.delete(key);
+    } else {
+      conversation = {
+        familyId,
+        senderId,
+        childId,
+        messages: [],
+        lastActivity: null
+      };
+    }
+
+    this.conversations.set(key, conversation);
+
+    if (this.conversations.size > this.maxConversations) {
+      const [leastRecent] = this.conversations.keys();
+      this.conversations.delete(leastRecent);
+    }
+
+    return conversation;
+  }
+
+  /**
+   * Get the current assessment for a conversation without adding a message
+   */
+  getConversationState(familyId, senderId, childId) {
+    const conversation = this.conversations.get(this.getConversationKey(familyId, senderId, childId));
+    return conversation ? this.evaluateConversation(conversation) : null;
+  }
+
+  /**
+   * Forget a conversation (e.g. after the sender is blocked and reviewed)
+   */
+  resetConversation(familyId, senderId, childId) {
+    return this.conversations.delete(this.getConversationKey(familyId, senderId, childId));
+  }
+
+  /**
+   * Sweep idle conversations at most once per pruneIntervalMs, measured in
+   * message time so replayed history is not swept as it is loaded
+   */
+  pruneIfDue(timestamp) {
+    if (!this.latestActivity || timestamp > this.latestActivity) {
+      this.latestActivity = timestamp;
+    }
+    if (!this.lastPrunedAt) {
+      this.lastPrunedAt = this.latestActivity;
+      return 0;
+    }
+    if (this.latestActivity - this.lastPrunedAt < this.pruneIntervalMs) {
+      return 0;
+    }
+
+    this.lastPrunedAt = this.latestActivity;
+    return this.pruneInactive(this.latestActivity);
+  }
+
+  /**
+   * Remove conversations with no activity inside the window
+   */
+  pruneInactive(now = new Date()) {
+    const cutoff = now.getTime() - this.windowMs;
+    let removed = 0;
+
+    for (const [key, conversation] of this.conversations.entries()) {
+      if (!conversation.lastActivity || conversation.lastActivity.getTime() < cutoff) {
+        this.conversations.delete(key);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+}
+
+module.exports = ConversationAnalyzer;
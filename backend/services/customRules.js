@@ -0,0 +1,189 @@
+/**
+ * Per-Family Custom Detection Rules for Kidverse MVP
+ * Stores parent-defined watch phrases (a bully's nickname, the child's school,
+ * their street) and compiles them for AlertDetectionService
+ *
+ * @author Stephen Thompson
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const TextNormalizer = require('../utils/textNormalizer');
+const { checkRegexSafety } = require('../utils/regexSafety');
+
+// Risk score assigned to a match for each rule severity
+const SEVERITY_RISK_SCORES = {
+  low: 3,
+  medium: 5,
+  high: 7,
+  critical: 9
+};
+
+const RULE_TYPES = ['phrase', 'regex'];
+const MAX_RULES_PER_FAMILY = 50;
+const MAX_PATTERN_LENGTH = 100;
+
+class CustomRuleService {
+  constructor() {
+    this.rules = new Map(); // familyId -> Array of stored rules
+    this.compiled = new Map(); // familyId -> Array of compiled rules
+    this.normalizer = new TextNormalizer();
+  }
+
+  /**
+   * Validate a single rule definition
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  validateRule(rule) {
+    const errors = [];
+
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      return ['Rule must be an object'];
+    }
+
+    const type = rule.type || 'phrase';
+
+    if (!RULE_TYPES.includes(type)) {
+      errors.push(`type must be one of: ${RULE_TYPES.join(', ')}`);
+    }
+
+    if (typeof rule.pattern !== 'string' || rule.pattern.trim().length < 2) {
+      errors.push('pattern must be a string of at least 2 characters');
+    } else if (rule.pattern.length > MAX_PATTERN_LENGTH) {
+      errors.push(`pattern must not exceed ${MAX_PATTERN_LENGTH} characters`);
+    } else if (type === 'regex') {
+      const { safe, reasons } = checkRegexSafety(rule.pattern, { maxLength: MAX_PATTERN_LENGTH });
+      if (!safe) {
+        errors.push(...reasons.map(reason => `pattern is unsafe: ${reason}`));
+      } else if (new RegExp(rule.pattern, 'i').test('')) {
+        errors.push('pattern must not match empty text');
+      }
+    }
+
+    if (!Object.keys(SEVERITY_RISK_SCORES).includes(rule.severity)) {
+      errors.push(`severity must be one of: ${Object.keys(SEVERITY_RISK_SCORES).join(', ')}`);
+    }
+
+    if (rule.label !== undefined && (typeof rule.label !== 'string' || rule.label.length > 50)) {
+      errors.push('label must be a string of at most 50 characters');
+    }
+
+    if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+      errors.push('enabled must be a boolean');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate a full rule list
+   * @returns {Array<string>} Validation errors prefixed with the rule index
+   */
+  validateRules(rules) {
+    if (!Array.isArray(rules)) {
+      return ['customRules must be an array'];
+    }
+
+    if (rules.length > MAX_RULES_PER_FAMILY) {
+      return [`A family can have at most ${MAX_RULES_PER_FAMILY} custom rules`];
+    }
+
+    return rules.flatMap((rule, index) =>
+      this.validateRule(rule).map(error => `customRules[${index}].${error}`)
+    );
+  }
+
+  /**
+   * Replace a family's rules; call validateRules first
+   * @returns {Array<Object>} The stored rules
+   */
+  setRules(familyId, rules) {
+    return this.storeRules(familyId, this.buildRules(rules));
+  }
+
+  /**
+   * The stored form of validated rules, with ids and update times
+   */
+  buildRules(rules) {
+    return rules.map(rule => ({
+      id: rule.id || crypto.randomUUID(),
+      label: rule.label || rule.pattern,
+      pattern: rule.pattern,
+      type: rule.type || 'phrase',
+      severity: rule.severity,
+      enabled: rule.enabled !== false,
+      updatedAt: new Date().toISOString()
+    }));
+  }
+
+  /**
+   * Replace a family's rules with rules already in their stored form,
+   * e.g. from buildRules or the database
+   * @returns {Array<Object>} The stored rules
+   */
+  storeRules(familyId, stored) {
+    this.rules.set(familyId.toString(), stored);
+    this.compiled.delete(familyId.toString());
+
+    return stored;
+  }
+
+  /**
+   * Get a family's stored rules
+   */
+  getRules(familyId) {
+    return this.rules.get(familyId.toString()) || [];
+  }
+
+  /**
+   * Get a family's enabled rules compiled for matching
+   */
+  getCompiledRules(familyId) {
+    const key = familyId.toString();
+
+    if (!this.compiled.has(key)) {
+      this.compiled.set(key, this.compileRules(this.getRules(key)));
+    }
+
+    return this.compiled.get(key);
+  }
+
+  /**
+   * Compile stored rules into RegExp objects
+   * Phrases are normalized the same way as messages so "Oakwood Elem"
+   * still matches "0akw00d elem"
+   */
+  compileRules(rules) {
+    return rules
+      .filter(rule => rule.enabled)
+      .map(rule => {
+        const source = rule.type === 'regex'
+          ? rule.pattern
+          : `(?<![a-z0-9])${this.escapeRegex(this.normalizer.normalize(rule.pattern.trim()).text)}(?![a-z0-9])`;
+
+        return {
+          id: rule.id,
+          label: rule.label,
+          severity: rule.severity,
+          riskScore: SEVERITY_RISK_SCORES[rule.severity],
+          pattern: new RegExp(source, 'i')
+        };
+      });
+  }
+
+  /**
+   * Escape regex metacharacters in a literal phrase
+   */
+  escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+}
+
+// Create singleton instance
+const customRules = new CustomRuleService();
+
+module.exports = {
+  CustomRuleService,
+  customRules,
+  SEVERITY_RISK_SCORES
+};
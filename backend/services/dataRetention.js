@@ -0,0 +1,109 @@
+/**
+ * Data Retention for Kidverse MVP
+ * Deletes interactions and alerts older than each family's dataRetention
+ * setting from /api/config (DEFAULT_DATA_RETENTION for families that never
+ * set one). Runs on startup and then on an interval; retention differs per
+ * family, so a single TTL index cannot enforce it
+ *
+ * @author Stephen Thompson
+ * @version 1.0.0
+ */
+
+const Alert = require('../models/Alert');
+const Interaction = require('../models/Interaction');
+const MonitoringConfig = require('../models/MonitoringConfig');
+const { DEFAULT_DATA_RETENTION } = require('./monitoringConfig');
+const { handleIndex } = require('./handleIndex');
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_PURGE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+class DataRetentionService {
+  /**
+   * @param {Object} options
+   * @param {Model} options.configModel - Source of each family's retention (defaults to the MonitoringConfig model)
+   * @param {Model} options.interactionModel - Stored interactions (defaults to the Interaction model)
+   * @param {Model} options.alertModel - Stored alerts (defaults to the Alert model)
+   * @param {HandleIndex} options.handleIndex - Rebuilt after interactions are deleted (defaults to the shared index)
+   * @param {number} options.intervalMs - Time between purges (or DATA_RETENTION_INTERVAL_MS)
+   */
+  constructor(options = {}) {
+    this.configModel = options.configModel || MonitoringConfig;
+    this.models = {
+      interactions: options.interactionModel || Interaction,
+      alerts: options.alertModel || Alert
+    };
+    this.handleIndex = options.handleIndex || handleIndex;
+    this.intervalMs = options.intervalMs || parseInt(process.env.DATA_RETENTION_INTERVAL_MS) || DEFAULT_PURGE_INTERVAL_MS;
+    this.timer = null;
+  }
+
+  /**
+   * Purge now and then every intervalMs
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const run = () => this.purgeExpired().catch(error => console.error('Data retention purge failed:', error));
+    run();
+    this.timer = setInterval(run, this.intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Delete every interaction and alert past its family's retention
+   * @returns {Promise<Object>} Deleted counts: { interactions, alerts }
+   */
+  async purgeExpired(now = Date.now()) {
+    const configs = await this.configModel.find().select('familyId dataRetention').lean();
+    const deleted = {};
+
+    for (const kind of Object.keys(DEFAULT_DATA_RETENTION)) {
+      deleted[kind] = 0;
+
+      // One delete per retention period in use, plus one for families on the default
+      const familiesByDays = new Map();
+      configs.forEach(config => {
+        const days = (config.dataRetention && config.dataRetention[kind]) || DEFAULT_DATA_RETENTION[kind];
+        if (!familiesByDays.has(days)) {
+          familiesByDays.set(days, []);
+        }
+        familiesByDays.get(days).push(config.familyId);
+      });
+
+      const filters = [...familiesByDays].map(([days, familyIds]) =>
+        ({ familyId: { $in: familyIds }, timestamp: { $lt: new Date(now - days * DAY) } }));
+      filters.push({
+        familyId: { $nin: configs.map(config => config.familyId) },
+        timestamp: { $lt: new Date(now - DEFAULT_DATA_RETENTION[kind] * DAY) }
+      });
+
+      for (const filter of filters) {
+        const { deletedCount } = await this.models[kind].deleteMany(filter);
+        deleted[kind] += deletedCount || 0;
+      }
+    }
+
+    // Forget handles that only appeared in deleted interactions
+    if (deleted.interactions > 0) {
+      await this.handleIndex.loadAll();
+    }
+
+    return deleted;
+  }
+}
+
+// Create singleton instance
+const dataRetention = new DataRetentionService();
+
+module.exports = {
+  DataRetentionService,
+  dataRetention
+};
@@ -0,0 +1,216 @@
+/**
+ * Detection Accuracy Evaluation for Kidverse MVP
+ * Runs AlertDetectionService over a labeled dataset and scores it per alert
+ * category, so pattern pack changes can be measured before they ship
+ *
+ * @author Stephen Thompson
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const AlertDetectionService = require('./alertDetection');
+const { PatternPackLoader } = require('./patternPackLoader');
+const { HandleIndex } = require('./handleIndex');
+const { SenderReputationService } = require('./senderReputation');
+
+// Label for messages that should not raise an alert
+const NO_ALERT = 'none';
+
+const SEVERITIES = [NO_ALERT, 'low', 'medium', 'high', 'critical'];
+
+/**
+ * Read a JSONL dataset of { message, expectedCategory, expectedSeverity, context }
+ * @throws {Error} When a line is not valid JSON or misses required fields
+ */
+const readDataset = (file) => {
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+    .filter(({ line }) => line.length > 0)
+    .map(({ line, number }) => {
+      let example;
+      try {
+        example = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${file}:${number} is not valid JSON`);
+      }
+      if (typeof example.message !== 'string' || typeof example.expectedCategory !== 'string') {
+        throw new Error(`${file}:${number} needs string "message" and "expectedCategory" fields`);
+      }
+      if (example.expectedSeverity !== undefined && !SEVERITIES.includes(example.expectedSeverity)) {
+        throw new Error(`${file}:${number} expectedSeverity must be one of: ${SEVERITIES.join(', ')}`);
+      }
+      return { ...example, line: number };
+    });
+};
+
+const ratio = (numerator, denominator) => denominator > 0 ? numerator / denominator : 0;
+
+class DetectionEvaluator {
+  /**
+   * @param {Object} options
+   * @param {AlertDetectionService} options.detector - Detector to evaluate
+   * @param {string} options.packDirectory - Build a detector on this pattern pack directory instead
+   * @param {boolean} options.useClassifier - Use the trained classifier when detection would (default true;
+   *   see AlertDetectionService.loadClassifier)
+   */
+  constructor(options = {}) {
+    this.packDirectory = options.packDirectory || null;
+    this.detector = options.detector || DetectionEvaluator.createDetector(options);
+  }
+
+  /**
+   * Detector with its own pattern loader, handle index and sender history,
+   * so evaluation never touches the shared server state
+   */
+  static createDetector(options = {}) {
+    const patternLoader = new PatternPackLoader(options.packDirectory ? { directory: options.packDirectory } : {});
+    patternLoader.load();
+
+    return new AlertDetectionService({
+      patternLoader,
+      handleIndex: new HandleIndex(),
+      senderReputation: new SenderReputationService(),
+      ...(options.useClassifier === false ? { classifier: null } : {})
+    });
+  }
+
+  /**
+   * Run every example through the detector and score the results
+   * @param {Array<Object>} examples - Output of readDataset
+   * @returns {Object} { total, accuracy, categories, confusionMatrix, severity, falsePositives, falseNegatives, misclassified, predictions }
+   */
+  evaluate(examples) {
+    const predictions = examples.map(example => {
+      const result = this.detector.detectThreats(example.message, example.context || {});
+      const predictedCategory = result.severity ? result.alertCategory : NO_ALERT;
+
+      return {
+        line: example.line,
+        message: example.message,
+        expectedCategory: example.expectedCategory,
+        predictedCategory,
+        expectedSeverity: example.expectedSeverity,
+        predictedSeverity: result.severity || NO_ALERT,
+        overallRisk: result.overallRisk,
+        matched: result.threats.map(threat => `${threat.type}:${threat.category}`),
+        correct: predictedCategory === example.expectedCategory
+      };
+    });
+
+    const labels = [...new Set([
+      ...predictions.map(p => p.expectedCategory),
+      ...predictions.map(p => p.predictedCategory)
+    ])].filter(label => label !== NO_ALERT).sort();
+
+    return {
+      total: predictions.length,
+      accuracy: ratio(predictions.filter(p => p.correct).length, predictions.length),
+      categories: this.scoreCategories(predictions, labels),
+      confusionMatrix: this.buildConfusionMatrix(predictions, [...labels, NO_ALERT]),
+      severity: this.scoreSeverity(predictions),
+      falsePositives: predictions.filter(p => p.expectedCategory === NO_ALERT && p.predictedCategory !== NO_ALERT),
+      falseNegatives: predictions.filter(p => p.expectedCategory !== NO_ALERT && p.predictedCategory === NO_ALERT),
+      misclassified: predictions.filter(p => !p.correct &&
+        p.expectedCategory !== NO_ALERT && p.predictedCategory !== NO_ALERT),
+      predictions
+    };
+  }
+
+  /**
+   * Precision, recall and F1 for each alert category
+   */
+  scoreCategories(predictions, labels) {
+    const categories = {};
+
+    labels.forEach(label => {
+      const truePositives = predictions.filter(p => p.expectedCategory === label && p.predictedCategory === label).length;
+      const falsePositives = predictions.filter(p => p.expectedCategory !== label && p.predictedCategory === label).length;
+      const falseNegatives = predictions.filter(p => p.expectedCategory === label && p.predictedCategory !== label).length;
+      const precision = ratio(truePositives, truePositives + falsePositives);
+      const recall = ratio(truePositives, truePositives + falseNegatives);
+
+      categories[label] = {
+        support: truePositives + falseNegatives,
+        truePositives,
+        falsePositives,
+        falseNegatives,
+        precision,
+        recall,
+        f1: ratio(2 * precision * recall, precision + recall)
+      };
+    });
+
+    return categories;
+  }
+
+  /**
+   * Counts of expected (rows) against predicted (columns) categories
+   */
+  buildConfusionMatrix(predictions, labels) {
+    const matrix = {};
+
+    labels.forEach(expected => {
+      matrix[expected] = {};
+      labels.forEach(predicted => { matrix[expected][predicted] = 0; });
+    });
+
+    predictions.forEach(p => {
+      matrix[p.expectedCategory][p.predictedCategory]++;
+    });
+
+    return { labels, matrix };
+  }
+
+  /**
+   * Severity agreement for examples that were labeled with one
+   */
+  scoreSeverity(predictions) {
+    const labeled = predictions.filter(p => p.expectedSeverity !== undefined);
+    const distance = (p) => Math.abs(SEVERITIES.indexOf(p.expectedSeverity) - SEVERITIES.indexOf(p.predictedSeverity));
+
+    return {
+      evaluated: labeled.length,
+      exact: ratio(labeled.filter(p => distance(p) === 0).length, labeled.length),
+      withinOne: ratio(labeled.filter(p => distance(p) <= 1).length, labeled.length),
+      mismatches: labeled.filter(p => distance(p) > 0)
+    };
+  }
+
+  /**
+   * Difference between two evaluations of the same dataset
+   * @param {Object} baseline - Report from the current packs
+   * @param {Object} candidate - Report from the packs being proposed
+   * @returns {Object} { accuracy, categories, fixed, regressed }
+   */
+  static compare(baseline, candidate) {
+    const labels = [...new Set([...Object.keys(baseline.categories), ...Object.keys(candidate.categories)])].sort();
+    const empty = { precision: 0, recall: 0, f1: 0 };
+    const categories = {};
+
+    labels.forEach(label => {
+      const before = baseline.categories[label] || empty;
+      const after = candidate.categories[label] || empty;
+      categories[label] = {
+        precision: after.precision - before.precision,
+        recall: after.recall - before.recall,
+        f1: after.f1 - before.f1
+      };
+    });
+
+    const pairs = baseline.predictions.map((before, index) => ({ before, after: candidate.predictions[index] }));
+
+    return {
+      accuracy: candidate.accuracy - baseline.accuracy,
+      categories,
+      fixed: pairs.filter(({ before, after }) => !before.correct && after.correct),
+      regressed: pairs.filter(({ before, after }) => before.correct && !after.correct)
+    };
+  }
+}
+
+module.exports = {
+  DetectionEvaluator,
+  readDataset,
+  NO_ALERT
+};
@@ -0,0 +1,316 @@
+/**
+ * Worker-Thread Detection Pool for Kidverse MVP
+ * Runs message analysis on worker threads so bulk imports never block REST
+ * requests or socket events. Jobs wait in two queues: interactive (single
+ * messages) and batch (imports), and batch jobs only run when no interactive
+ * job is waiting. A full queue rejects new jobs instead of growing, and a job
+ * that runs past its timeout has its worker replaced.
+ *
+ * Shared stores stay on the main thread: each job's context is resolved here
+ * before it is sent (see AlertDetectionService.resolveContext) and the
+ * findings are recorded here when it returns, so results match detectThreats.
+ *
+ * @author Stephen Thompson
+ * @version 1.0.0
+ */
+
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const AlertDetectionService = require('./alertDetection');
+const { patternPacks } = require('./patternPackLoader');
+
+const WORKER_FILE = path.join(__dirname, 'detectionWorker.js');
+
+/**
+ * Raised when the pool can't run a job
+ * `code` is QUEUE_FULL, TIMEOUT, WORKER_EXITED or POOL_CLOSED
+ */
+class DetectionPoolError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'DetectionPoolError';
+    this.code = code;
+  }
+}
+
+class DetectionPool {
+  /**
+   * @param {Object} options
+   * @param {number} options.size - Worker threads (or DETECTION_WORKERS; defaults to one per spare CPU)
+   * @param {number} options.maxQueue - Waiting jobs before new ones are rejected (or DETECTION_MAX_QUEUE)
+   * @param {number} options.timeoutMs - Longest one job may run (or DETECTION_TIMEOUT_MS)
+   * @param {number} options.batchConcurrency - Jobs one batch keeps queued or running at a time
+   * @param {AlertDetectionService} options.detector - Main-thread detector that resolves contexts and
+   *   records findings (defaults to one on the shared stores, without the classifier)
+   * @param {PatternPackLoader} options.patternLoader - Workers load packs from its directory and reload with it
+   */
+  constructor(options = {}) {
+    this.size = options.size || parseInt(process.env.DETECTION_WORKERS, 10) || Math.max(1, os.cpus().length - 1);
+    this.maxQueue = options.maxQueue || parseInt(process.env.DETECTION_MAX_QUEUE, 10) || 1000;
+    this.timeoutMs = options.timeoutMs || parseInt(process.env.DETECTION_TIMEOUT_MS, 10) || 5000;
+    this.batchConcurrency = options.batchConcurrency || this.size * 2;
+    this.detector = options.detector || null;
+    this.ownsDetector = !options.detector;
+    this.patternLoader = options.patternLoader || patternPacks;
+    this.workers = []; // { worker, job, timer, ready }
+    this.idle = [];
+    this.queues = { interactive: [], batch: [] };
+    this.nextJobId = 1;
+    this.started = false;
+    this.closed = false;
+    this.counts = { completed: 0, failed: 0, timedOut: 0, rejected: 0 };
+    this.onPacksLoaded = () => this.workers.forEach(({ worker }) => worker.postMessage({ type: 'reload' }));
+  }
+
+  /**
+   * Start the worker threads; called on first use if not called before
+   * @returns {DetectionPool} this
+   */
+  start() {
+    if (this.started) {
+      return this;
+    }
+
+    this.detector = this.detector || new AlertDetectionService({ patternLoader: this.patternLoader, classifier: null });
+    for (let i = 0; i < this.size; i++) {
+      this.spawnWorker();
+    }
+    this.patternLoader.on('loaded', this.onPacksLoaded);
+    this.started = true;
+    return this;
+  }
+
+  spawnWorker() {
+    const entry = { worker: null, job: null, timer: null, ready: false };
+    entry.worker = new Worker(WORKER_FILE, { workerData: { packDirectory: this.patternLoader.directory } });
+    entry.worker.on('message', (reply) => this.handleReply(entry, reply));
+    entry.worker.on('error', (error) => this.handleExit(entry, error));
+    entry.worker.on('exit', (code) => this.handleExit(entry,
+      new DetectionPoolError(`Detection worker exited with code ${code}`, 'WORKER_EXITED')));
+
+    // Jobs go to a worker once it reports ready, so start-up never counts against a timeout
+    this.workers.push(entry);
+  }
+
+  /**
+   * Analyze one message; same result as AlertDetectionService.detectThreats
+   * @param {string} message - The message to analyze
+   * @param {Object} context - As for detectThreats
+   * @returns {Promise<Object>} Detection result
+   * @throws {DetectionPoolError} QUEUE_FULL when the pool is overloaded; callers should retry later
+   */
+  analyze(message, context = {}) {
+    return this.submit(message, context, 'interactive');
+  }
+
+  /**
+   * Analyze many messages, e.g. an imported chat history, behind any
+   * interactive jobs; same result as AlertDetectionService.batchAnalyze
+   * @param {Array<string|Object>} messages - Strings or { text, timestamp }
+   * @returns {Promise<Array<Object>>} { message, timestamp, analysis } in input order
+   */
+  async batchAnalyze(messages, context = {}) {
+    const results = new Array(messages.length);
+    let next = 0;
+    let failed = false;
+
+    // A few lanes each keep one message in the pool, so a batch never fills the queue
+    const lane = async () => {
+      while (!failed && next < messages.length) {
+        const index = next++;
+        const message = messages[index];
+        const text = message.text || message;
+        try {
+          const analysis = await this.submit(text, context, 'batch');
+          results[index] = { message: text, timestamp: message.timestamp || new Date(), analysis };
+        } catch (error) {
+          failed = true;
+          throw error;
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(this.batchConcurrency, messages.length) }, lane));
+    return results;
+  }
+
+  submit(message, context, priority) {
+    if (this.closed) {
+      return Promise.reject(new DetectionPoolError('Detection pool is closed', 'POOL_CLOSED'));
+    }
+    if (this.getQueuedCount() >= this.maxQueue) {
+      this.counts.rejected++;
+      return Promise.reject(new DetectionPoolError(`Detection queue is full (${this.maxQueue} jobs waiting)`, 'QUEUE_FULL'));
+    }
+
+    this.start();
+    return new Promise((resolve, reject) => {
+      this.queues[priority].push({ id: this.nextJobId++, message, context, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Hand waiting jobs to idle workers, interactive jobs first
+   */
+  dispatch() {
+    while (this.idle.length > 0) {
+      const job = this.queues.interactive.shift() || this.queues.batch.shift();
+      if (!job) {
+        return;
+      }
+
+      const entry = this.idle.shift();
+      try {
+        // Resolved at dispatch so earlier jobs' findings are already recorded
+        const context = this.detector.resolveContext(job.context);
+        entry.worker.postMessage({ id: job.id, message: job.message, context });
+      } catch (error) {
+        this.idle.push(entry);
+        this.counts.failed++;
+        job.reject(error);
+        continue;
+      }
+
+      entry.job = job;
+      entry.timer = setTimeout(() => this.handleTimeout(entry), this.timeoutMs);
+    }
+  }
+
+  handleReply(entry, reply) {
+    if (reply.type === 'ready') {
+      entry.ready = true;
+      this.idle.push(entry);
+      this.dispatch();
+      return;
+    }
+
+    const { job } = entry;
+    if (!job || reply.id !== job.id) {
+      return;
+    }
+
+    clearTimeout(entry.timer);
+    entry.job = null;
+    this.idle.push(entry);
+
+    if (reply.error) {
+      this.counts.failed++;
+      job.reject(Object.assign(new Error(reply.error.message), { name: reply.error.name }));
+    } else {
+      try {
+        this.detector.recordFindings(reply.result, job.context);
+        this.counts.completed++;
+        job.resolve(reply.result);
+      } catch (error) {
+        this.counts.failed++;
+        job.reject(error);
+      }
+    }
+
+    this.dispatch();
+  }
+
+  /**
+   * A job ran too long; its worker may be stuck, so replace it
+   */
+  handleTimeout(entry) {
+    const { job } = entry;
+    this.counts.timedOut++;
+    this.retire(entry);
+    entry.worker.terminate();
+    job.reject(new DetectionPoolError(`Detection timed out after ${this.timeoutMs}ms`, 'TIMEOUT'));
+    this.spawnWorker();
+  }
+
+  handleExit(entry, error) {
+    if (!this.workers.includes(entry)) {
+      return; // Already retired
+    }
+
+    const { job } = entry;
+    this.retire(entry);
+    if (job) {
+      this.counts.failed++;
+      job.reject(error instanceof DetectionPoolError
+        ? error
+        : new DetectionPoolError(`Detection worker failed: ${error.message}`, 'WORKER_EXITED'));
+    }
+    if (this.closed) {
+      return;
+    }
+
+    // A worker that dies while starting up would only die again
+    if (!entry.ready) {
+      console.error('❌ Detection worker failed to start:', error.message);
+      if (this.workers.length === 0) {
+        this.rejectWaiting(new DetectionPoolError('No detection workers could start', 'WORKER_EXITED'));
+      }
+      return;
+    }
+
+    console.error('❌ Detection worker stopped, starting a replacement:', error.message);
+    this.spawnWorker();
+  }
+
+  rejectWaiting(error) {
+    [...this.queues.interactive, ...this.queues.batch].forEach(job => job.reject(error));
+    this.queues = { interactive: [], batch: [] };
+  }
+
+  retire(entry) {
+    clearTimeout(entry.timer);
+    entry.job = null;
+    this.workers = this.workers.filter(other => other !== entry);
+    this.idle = this.idle.filter(other => other !== entry);
+  }
+
+  getQueuedCount() {
+    return this.queues.interactive.length + this.queues.batch.length;
+  }
+
+  /**
+   * Current load and lifetime job counts
+   * @returns {Object} { workers, busy, queued: { interactive, batch }, maxQueue, completed, failed, timedOut, rejected }
+   */
+  getStats() {
+    return {
+      workers: this.workers.length,
+      busy: this.workers.filter(entry => entry.job).length,
+      queued: { interactive: this.queues.interactive.length, batch: this.queues.batch.length },
+      maxQueue: this.maxQueue,
+      ...this.counts
+    };
+  }
+
+  /**
+   * Stop the workers; waiting and running jobs are rejected
+   */
+  async close() {
+    this.closed = true;
+    this.patternLoader.removeListener('loaded', this.onPacksLoaded);
+    if (this.ownsDetector && this.detector) {
+      this.detector.close();
+    }
+
+    const closedError = new DetectionPoolError('Detection pool is closed', 'POOL_CLOSED');
+    this.rejectWaiting(closedError);
+
+    const entries = this.workers;
+    entries.forEach(entry => {
+      if (entry.job) entry.job.reject(closedError);
+      this.retire(entry);
+    });
+    await Promise.all(entries.map(({ worker }) => worker.terminate()));
+  }
+}
+
+// Create singleton instance; workers start on first use or server startup
+const detectionPool = new DetectionPool();
+
+module.exports = {
+  DetectionPool,
+  DetectionPoolError,
+  detectionPool
+};
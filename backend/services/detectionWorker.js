@@ -0,0 +1,36 @@
+/**
+ * Detection Worker Thread for Kidverse MVP
+ * Runs AlertDetectionService.analyzeMessage for DetectionPool. Jobs arrive
+ * with a context the pool already resolved, so this thread's own stores are
+ * never consulted, and findings are recorded back on the main thread.
+ *
+ * @author Stephen Thompson
+ * @version 1.0.0
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const AlertDetectionService = require('./alertDetection');
+const { PatternPackLoader } = require('./patternPackLoader');
+
+const patternLoader = new PatternPackLoader({ directory: workerData.packDirectory });
+const detector = new AlertDetectionService({ patternLoader });
+
+parentPort.on('message', (job) => {
+  // The main thread's loader accepted new packs; it already logged the reload
+  if (job.type === 'reload') {
+    try {
+      patternLoader.load();
+    } catch (error) {
+      console.error('❌ Detection worker kept its last good packs:', error.message);
+    }
+    return;
+  }
+
+  try {
+    parentPort.postMessage({ id: job.id, result: detector.analyzeMessage(job.message, job.context) });
+  } catch (error) {
+    parentPort.postMessage({ id: job.id, error: { name: error.name, message: error.message } });
+  }
+});
+
+parentPort.postMessage({ type: 'ready' });
@@ -0,0 +1,297 @@
+/**
+ * Per-Family Monitoring Settings for Kidverse MVP
+ * Holds each family's content filter toggles, suppressed patterns, alert
+ * thresholds and children's quiet-hour schedules so AlertDetectionService
+ * only runs the checks the parents want and only the results they care about
+ * become alerts
+ *
+ * @author Stephen Thompson
+ * @version 1.0.0
+ */
+
+const { getPatternKey } = require('./patternFeedback');
+
+// Content filters exposed by /api/config, all on by default
+const DEFAULT_CONTENT_FILTERS = {
+  profanity: true,
+  violence: true,
+  adult: true,
+  personalInfo: true
+};
+
+const CONTENT_FILTERS = Object.keys(DEFAULT_CONTENT_FILTERS);
+
+// Alert severities, lowest first (see SEVERITY_LEVELS in alertDetection.js)
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+// Lowest severity that raises an alert, exposed by /api/config. `inappropriate`
+// covers inappropriate content, `suspicious` the other message threats, and
+// `excessive` is the hourly interaction volume behind BehaviorAnalyzer
+const DEFAULT_ALERT_THRESHOLDS = {
+  inappropriate: { enabled: true, severity: 'high' },
+  suspicious: { enabled: true, severity: 'medium' },
+  excessive: { enabled: true, threshold: 100, severity: 'low' }
+};
+
+const isTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || timeZone.length === 0) {
+    return false;
+  }
+  try {
+    // Throws RangeError for unknown zones
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+class FamilySettingsService {
+  constructor() {
+    this.contentFilters = new Map(); // familyId -> content filter toggles
+    this.suppressedPatterns = new Map(); // familyId -> Map(pattern key -> { type, category, pattern })
+    this.alertThresholds = new Map(); // familyId -> alert thresholds
+    this.monitoringEnabled = new Map(); // familyId -> false when the family paused monitoring
+    this.childSchedules = new Map(); // `${familyId}:${childId}` -> { timeZone, quietHours, updatedAt }
+  }
+
+  /**
+   * Whether a family's messages are analyzed at all (see monitoringEnabled in /api/config)
+   */
+  isMonitoringEnabled(familyId) {
+    return this.monitoringEnabled.get(familyId.toString()) !== false;
+  }
+
+  /**
+   * Pause or resume analysis for a family
+   */
+  setMonitoringEnabled(familyId, enabled) {
+    this.monitoringEnabled.set(familyId.toString(), enabled !== false);
+    return this.isMonitoringEnabled(familyId);
+  }
+
+  /**
+   * Get a family's content filters, falling back to the defaults
+   */
+  getContentFilters(familyId) {
+    return {
+      ...DEFAULT_CONTENT_FILTERS,
+      ...this.contentFilters.get(familyId.toString())
+    };
+  }
+
+  /**
+   * A family's content filters with updated toggles merged in, without storing them
+   * @param {string} familyId - Family to update
+   * @param {Object} filters - Partial { profanity, violence, adult, personalInfo }
+   * @returns {Object} The family's full set of content filters
+   */
+  mergeContentFilters(familyId, filters) {
+    const updated = { ...this.getContentFilters(familyId) };
+
+    CONTENT_FILTERS.forEach(filter => {
+      if (typeof filters[filter] === 'boolean') {
+        updated[filter] = filters[filter];
+      }
+    });
+
+    return updated;
+  }
+
+  /**
+   * Merge updated toggles into a family's content filters
+   * @returns {Object} The family's full set of content filters
+   */
+  setContentFilters(familyId, filters) {
+    const updated = this.mergeContentFilters(familyId, filters);
+    this.contentFilters.set(familyId.toString(), updated);
+    return updated;
+  }
+
+  /**
+   * Validate alert threshold updates from /api/config
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  validateAlertThresholds(thresholds) {
+    if (!thresholds || typeof thresholds !== 'object' || Array.isArray(thresholds)) {
+      return ['alertThresholds must be an object'];
+    }
+
+    const errors = [];
+    Object.entries(thresholds).forEach(([name, threshold]) => {
+      if (!DEFAULT_ALERT_THRESHOLDS[name]) {
+        errors.push(`Invalid alert threshold: ${name}. Valid thresholds: ${Object.keys(DEFAULT_ALERT_THRESHOLDS).join(', ')}`);
+        return;
+      }
+      if (!threshold || typeof threshold !== 'object') {
+        errors.push(`alertThresholds.${name} must be an object`);
+        return;
+      }
+      if (threshold.enabled !== undefined && typeof threshold.enabled !== 'boolean') {
+        errors.push(`alertThresholds.${name}.enabled must be a boolean`);
+      }
+      if (threshold.severity !== undefined && !SEVERITIES.includes(threshold.severity)) {
+        errors.push(`alertThresholds.${name}.severity must be one of: ${SEVERITIES.join(', ')}`);
+      }
+      if (threshold.threshold !== undefined &&
+        (name !== 'excessive' || !Number.isInteger(threshold.threshold) || threshold.threshold < 1)) {
+        errors.push(`alertThresholds.${name}.threshold must be a positive integer and is only valid for excessive`);
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * Get a family's alert thresholds, falling back to the defaults
+   */
+  getAlertThresholds(familyId) {
+    const stored = this.alertThresholds.get(familyId.toString()) || {};
+    const thresholds = {};
+
+    Object.entries(DEFAULT_ALERT_THRESHOLDS).forEach(([name, defaults]) => {
+      thresholds[name] = { ...defaults, ...stored[name] };
+    });
+    return thresholds;
+  }
+
+  /**
+   * A family's alert thresholds with validated updates merged in, without storing them
+   * @returns {Object} The family's full set of alert thresholds
+   */
+  mergeAlertThresholds(familyId, thresholds) {
+    const updated = this.getAlertThresholds(familyId);
+
+    Object.entries(thresholds).forEach(([name, threshold]) => {
+      ['enabled', 'severity', 'threshold'].forEach(field => {
+        if (threshold[field] !== undefined) {
+          updated[name][field] = threshold[field];
+        }
+      });
+    });
+
+    return updated;
+  }
+
+  /**
+   * Merge validated threshold updates into a family's alert thresholds
+   * @returns {Object} The family's full set of alert thresholds
+   */
+  setAlertThresholds(familyId, thresholds) {
+    const updated = this.mergeAlertThresholds(familyId, thresholds);
+    this.alertThresholds.set(familyId.toString(), updated);
+    return updated;
+  }
+
+  /**
+   * Patterns a family has switched off, e.g. after repeatedly dismissing their alerts
+   * @returns {Array<Object>} { type, category, pattern, suppressedAt }
+   */
+  getSuppressedPatterns(familyId) {
+    const suppressed = this.suppressedPatterns.get(familyId.toString());
+    return suppressed ? [...suppressed.values()] : [];
+  }
+
+  /**
+   * Keys of a family's suppressed patterns, for fast lookup during detection
+   */
+  getSuppressedKeys(familyId) {
+    const suppressed = this.suppressedPatterns.get(familyId.toString());
+    return new Set(suppressed ? suppressed.keys() : []);
+  }
+
+  /**
+   * Stop a pattern raising alerts for one family
+   * @param {Object} entry - { type, category, pattern } as reported in matchedPatterns,
+   *   plus suppressedAt when loaded from storage
+   */
+  suppressPattern(familyId, { type, category, pattern, suppressedAt }) {
+    const key = familyId.toString();
+    if (!this.suppressedPatterns.has(key)) {
+      this.suppressedPatterns.set(key, new Map());
+    }
+
+    const entry = { type, category, pattern, suppressedAt: suppressedAt ? new Date(suppressedAt) : new Date() };
+    this.suppressedPatterns.get(key).set(getPatternKey(entry), entry);
+    return entry;
+  }
+
+  /**
+   * Validate a child's schedule from /api/children/:childId/schedule
+   * @param {Object} schedule - { timeZone, quietHours: { start, end } }, either may be left out
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  validateChildSchedule(schedule) {
+    if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+      return ['Schedule must be an object'];
+    }
+
+    const errors = [];
+    if (schedule.timeZone !== undefined && !isTimeZone(schedule.timeZone)) {
+      errors.push('timeZone must be an IANA time zone, e.g. America/New_York');
+    }
+
+    if (schedule.quietHours !== undefined) {
+      const { start, end } = schedule.quietHours || {};
+      const isHour = (hour) => Number.isInteger(hour) && hour >= 0 && hour <= 23;
+      if (!isHour(start) || !isHour(end) || start === end) {
+        errors.push('quietHours must be { start, end } with different hours from 0 to 23');
+      }
+    }
+
+    if (schedule.timeZone === undefined && schedule.quietHours === undefined) {
+      errors.push('Schedule needs a timeZone or quietHours');
+    }
+    return errors;
+  }
+
+  /**
+   * A child's stored schedule; BehaviorAnalyzer falls back to its defaults without one
+   * @returns {Object|null} { timeZone, quietHours, updatedAt }, fields the family left out are null
+   */
+  getChildSchedule(familyId, childId) {
+    return this.childSchedules.get(`${familyId}:${childId}`) || null;
+  }
+
+  /**
+   * Store a validated schedule for a child
+   * @param {Object} schedule - { timeZone, quietHours }, plus updatedAt when loaded from storage
+   */
+  setChildSchedule(familyId, childId, { timeZone, quietHours, updatedAt }) {
+    const entry = {
+      timeZone: timeZone || null,
+      quietHours: quietHours ? { start: quietHours.start, end: quietHours.end } : null,
+      updatedAt: updatedAt ? new Date(updatedAt) : new Date()
+    };
+    this.childSchedules.set(`${familyId}:${childId}`, entry);
+    return entry;
+  }
+
+  /**
+   * Go back to the default time zone and quiet hours for a child
+   * @returns {boolean} Whether the child had a schedule
+   */
+  clearChildSchedule(familyId, childId) {
+    return this.childSchedules.delete(`${familyId}:${childId}`);
+  }
+
+  /**
+   * Turn a suppressed pattern back on
+   * @returns {boolean} Whether the pattern was suppressed
+   */
+  unsuppressPattern(familyId, entry) {
+    const suppressed = this.suppressedPatterns.get(familyId.toString());
+    return suppressed ? suppressed.delete(getPatternKey(entry)) : false;
+  }
+}
+
+// Create singleton instance
+const familySettings = new FamilySettingsService();
+
+module.exports = {
+  FamilySettingsService,
+  familySettings,
+  DEFAULT_CONTENT_FILTERS,
+  CONTENT_FILTERS,
+  DEFAULT_ALERT_THRESHOLDS,
+  SEVERITIES
+};
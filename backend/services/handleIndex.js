@@ -0,0 +1,167 @@
+/**
+ * Contact Handle Index for Kidverse MVP
+ * Remembers every contact handle pushed at a family's children so parents
+ * can see each time the same handle came up, on any platform. Rebuilt at
+ * startup from the handles stored with each interaction.
+ *
+ * @author Stephen Thompson
+ * @version 1.0.0
+ */
+
+const Interaction = require('../models/Interaction');
+
+// Entity types that identify a person rather than a link
+const CONTACT_TYPES = ['discord', 'snapchat', 'instagram', 'tiktok', 'phone', 'email'];
+const MAX_OCCURRENCES_PER_HANDLE = 200;
+
+class HandleIndex {
+  /**
+   * @param {Object} options
+   * @param {Model} options.interactionModel - Stored interactions to rebuild from (defaults to the Interaction model)
+   */
+  constructor(options = {}) {
+    this.interactionModel = options.interactionModel || Interaction;
+    this.families = new Map(); // familyId -> Map(normalized handle -> entry)
+  }
+
+  /**
+   * Rebuild the index from stored interactions, oldest first; call once connected
+   * @returns {Promise<number>} Number of interactions with handles
+   */
+  async loadAll() {
+    const interactions = await this.interactionModel
+      .find({ 'contactHandles.0': { $exists: true } })
+      .select('familyId childId senderId platform contactHandles threatCategories timestamp')
+      .sort({ timestamp: 1 })
+      .lean();
+
+    this.families.clear();
+    interactions.forEach(interaction => {
+      const entities = interaction.contactHandles.map(({ handleType, value, normalized }) =>
+        ({ type: handleType, value, normalized }));
+      this.record(interaction.familyId, entities, {
+        childId: interaction.childId ? interaction.childId.toString() : null,
+        senderId: interaction.senderId,
+        platform: interaction.platform,
+        timestamp: interaction.timestamp,
+        threatCategories: interaction.threatCategories
+      });
+    });
+
+    return interactions.length;
+  }
+
+  /**
+   * Record extracted entities from one message
+   * @param {string} familyId - Family the message belongs to
+   * @param {Array<Object>} entities - Output of EntityExtractor.extract
+   * @param {Object} details - { childId, senderId, platform, timestamp, threatCategories }
+   * @returns {number} Number of handles recorded
+   */
+  record(familyId, entities, details = {}) {
+    const contacts = entities.filter(entity => CONTACT_TYPES.includes(entity.type));
+    if (!familyId || contacts.length === 0) {
+      return 0;
+    }
+
+    const key = familyId.toString();
+    if (!this.families.has(key)) {
+      this.families.set(key, new Map());
+    }
+    const handles = this.families.get(key);
+
+    contacts.forEach(entity => {
+      if (!handles.has(entity.normalized)) {
+        handles.set(entity.normalized, {
+          handle: entity.normalized,
+          handleTypes: new Set(),
+          platforms: new Set(),
+          senders: new Set(),
+          children: new Set(),
+          occurrences: []
+        });
+      }
+
+      const entry = handles.get(entity.normalized);
+      const platform = details.platform || 'unknown';
+
+      entry.handleTypes.add(entity.type);
+      entry.platforms.add(platform);
+      if (details.senderId) entry.senders.add(details.senderId.toString());
+      if (details.childId) entry.children.add(details.childId.toString());
+
+      entry.occurrences.push({
+        handleType: entity.type,
+        value: entity.value,
+        platform,
+        childId: details.childId || null,
+        senderId: details.senderId || null,
+        threatCategories: details.threatCategories || [],
+        timestamp: details.timestamp ? new Date(details.timestamp) : new Date()
+      });
+
+      if (entry.occurrences.length > MAX_OCCURRENCES_PER_HANDLE) {
+        entry.occurrences.shift();
+      }
+    });
+
+    return contacts.length;
+  }
+
+  /**
+   * Every recorded occurrence of a handle within one family
+   */
+  lookup(familyId, handle) {
+    const handles = this.families.get(familyId.toString());
+    const normalized = handle.toLowerCase().replace(/^@/, '').trim();
+    const digits = normalized.replace(/[^\d+]/g, '');
+
+    const entry = handles && (handles.get(normalized) || (digits.length >= 7 ? handles.get(digits) : null));
+    return entry ? this.serialize(entry, true) : null;
+  }
+
+  /**
+   * Summaries of every handle seen by a family, most frequent first
+   */
+  list(familyId, options = {}) {
+    const handles = this.families.get(familyId.toString());
+    if (!handles) {
+      return [];
+    }
+
+    const minOccurrences = options.minOccurrences || 1;
+
+    return [...handles.values()]
+      .filter(entry => entry.occurrences.length >= minOccurrences)
+      .map(entry => this.serialize(entry, false))
+      .sort((a, b) => b.occurrenceCount - a.occurrenceCount || new Date(b.lastSeen) - new Date(a.lastSeen));
+  }
+
+  /**
+   * Convert an entry's sets to plain JSON
+   */
+  serialize(entry, includeOccurrences) {
+    const occurrences = entry.occurrences;
+
+    return {
+      handle: entry.handle,
+      handleTypes: [...entry.handleTypes],
+      platforms: [...entry.platforms],
+      senderCount: entry.senders.size,
+      childCount: entry.children.size,
+      occurrenceCount: occurrences.length,
+      firstSeen: occurrences[0].timestamp,
+      lastSeen: occurrences[occurrences.length - 1].timestamp,
+      ...(includeOccurrences && { occurrences: [...occurrences].reverse() })
+    };
+  }
+}
+
+// Create singleton instance
+const handleIndex = new HandleIndex();
+
+module.exports = {
+  HandleIndex,
+  handleIndex,
+  CONTACT_TYPES
+};
@@ -0,0 +1,152 @@
+/**
+ * Shortened Link Expansion for Kidverse MVP
+ * Resolves bit.ly-style links to their destination before a message is
+ * analyzed, so LinkAnalyzer checks where a link really goes. Expansion
+ * contacts third-party hosts, so it is off unless LINK_EXPANSION_ENABLED=true;
+ * only hosts on the shortener list are ever contacted, each hop has a
+ * timeout, and results are cached
+ *
+ * @author Stephen Thompson
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EntityExtractor } = require('../utils/entityExtractor');
+
+const DEFAULT_LIST_FILE = path.join(__dirname, '..', 'config', 'linkSafety.json');
+
+const DEFAULT_TIMEOUT_MS = 2000;
+const DEFAULT_CACHE_TTL_MS = 60 * 60 * 1000;
+const MAX_CACHE_SIZE = 5000;
+const MAX_HOPS = 3;
+
+class LinkExpander {
+  /**
+   * @param {Object} options
+   * @param {Function} options.fetch - fetch implementation (defaults to the global fetch)
+   * @param {Array<string>} options.shorteners - Hosts that may be contacted (defaults to the shorteners in config/linkSafety.json)
+   * @param {number} options.timeoutMs - Limit per request (or LINK_EXPAND_TIMEOUT_MS)
+   * @param {number} options.cacheTtlMs - How long an expansion is reused
+   * @param {boolean} options.enabled - Set true, or LINK_EXPANSION_ENABLED=true, to contact shorteners (off by default)
+   */
+  constructor(options = {}) {
+    this.fetch = options.fetch || globalThis.fetch;
+    this.shorteners = new Set(options.shorteners || this.loadShorteners());
+    this.timeoutMs = options.timeoutMs || parseInt(process.env.LINK_EXPAND_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+    this.cacheTtlMs = options.cacheTtlMs || DEFAULT_CACHE_TTL_MS;
+    this.enabled = options.enabled !== undefined
+      ? options.enabled
+      : process.env.LINK_EXPANSION_ENABLED === 'true';
+    this.entityExtractor = new EntityExtractor();
+    this.cache = new Map(); // shortened URL -> { expandedUrl, expiresAt }
+  }
+
+  loadShorteners() {
+    return JSON.parse(fs.readFileSync(process.env.LINK_SAFETY_FILE || DEFAULT_LIST_FILE, 'utf8')).shorteners || [];
+  }
+
+  /**
+   * Expand every shortened link in a message
+   * @returns {Promise<Object>} Destination by URL as written, for links that expanded
+   */
+  async expandLinks(message) {
+    if (!this.enabled || typeof message !== 'string') {
+      return {};
+    }
+
+    const urls = [...new Set(this.entityExtractor.extract(message)
+      .filter(entity => entity.type === 'url' && this.isShortened(entity.value))
+      .map(entity => entity.value))];
+
+    const expanded = {};
+    await Promise.all(urls.map(async (url) => {
+      const destination = await this.expand(url);
+      if (destination) {
+        expanded[url] = destination;
+      }
+    }));
+
+    return expanded;
+  }
+
+  /**
+   * Follow a shortened link's redirects until they leave the shortener list
+   * @returns {Promise<string|null>} Destination URL, or null when it cannot be resolved
+   */
+  async expand(rawUrl) {
+    const cached = this.cache.get(rawUrl);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.expandedUrl;
+    }
+
+    const expandedUrl = await this.resolve(rawUrl);
+
+    if (this.cache.size >= MAX_CACHE_SIZE) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(rawUrl, { expandedUrl, expiresAt: Date.now() + this.cacheTtlMs });
+
+    return expandedUrl;
+  }
+
+  async resolve(rawUrl) {
+    let current = this.parse(rawUrl);
+
+    for (let hop = 0; current && hop < MAX_HOPS; hop++) {
+      if (!this.shorteners.has(this.getHost(current))) {
+        return hop > 0 ? current.href : null;
+      }
+
+      let response;
+      try {
+        // Never follow redirects automatically: the next hop may not be a shortener
+        response = await this.fetch(current.href, {
+          method: 'HEAD',
+          redirect: 'manual',
+          signal: AbortSignal.timeout(this.timeoutMs)
+        });
+      } catch (error) {
+        return null;
+      }
+
+      const location = response.status >= 300 && response.status < 400 && response.headers.get('location');
+      if (!location) {
+        return null;
+      }
+      current = this.parse(location, current);
+    }
+
+    // Still on a shortener after MAX_HOPS
+    return current && !this.shorteners.has(this.getHost(current)) ? current.href : null;
+  }
+
+  /**
+   * Whether a URL as written in chat points at a listed shortener
+   */
+  isShortened(rawUrl) {
+    const parsed = this.parse(rawUrl);
+    return Boolean(parsed) && this.shorteners.has(this.getHost(parsed));
+  }
+
+  parse(rawUrl, base) {
+    try {
+      const url = (base || /^[a-z][a-z0-9+.-]*:\/\//i.test(rawUrl)) ? new URL(rawUrl, base) : new URL(`http://${rawUrl}`);
+      return ['http:', 'https:'].includes(url.protocol) ? url : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  getHost(url) {
+    return url.hostname.toLowerCase().replace(/\.$/, '').replace(/^www\./, '');
+  }
+}
+
+// Create singleton instance
+const linkExpander = new LinkExpander();
+
+module.exports = {
+  LinkExpander,
+  linkExpander
+};
@@ -0,0 +1,501 @@
+/**
+ * Real-Time Message Monitoring for Kidverse MVP
+ * The core loop: messages from monitoring agents and the API are analyzed on
+ * the detection pool, tracked per sender/child conversation and stored as
+ * interactions, and every result that crosses the family's alert thresholds
+ * is stored as an alert and pushed to the family's guardians
+ *
+ * @author Stephen Thompson
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const Alert = require('../models/Alert');
+const Interaction = require('../models/Interaction');
+const AlertDetectionService = require('./alertDetection');
+const ConversationAnalyzer = require('./conversationAnalyzer');
+const BehaviorAnalyzer = require('./behaviorAnalyzer');
+const { detectionPool } = require('./detectionPool');
+const { familySettings, SEVERITIES } = require('./familySettings');
+const { safetyStatus } = require('./safetyStatus');
+const { linkExpander } = require('./linkExpander');
+const { CONTACT_TYPES } = require('./handleIndex');
+
+// Roles that may see results meant only for guardians (audience 'guardians')
+const GUARDIAN_ROLES = ['parent', 'admin'];
+
+// Alert threshold (see GET /api/config) for each alert category; child
+// wellbeing alerts are always raised, whatever the thresholds say
+const THRESHOLD_FOR_CATEGORY = {
+  inappropriate_content: 'inappropriate',
+  predatory_behavior: 'suspicious',
+  scam: 'suspicious',
+  cyberbullying: 'suspicious'
+};
+
+// Context fields a caller may set; family lookups are always done server-side
+const CONTEXT_FIELDS = [
+  'childId', 'senderId', 'platform', 'speakerRole', 'senderAge', 'childAge', 'childDateOfBirth', 'relationship',
+  'isEstablishedFriend', 'senderAccountAgeDays', 'senderAccountCreatedAt', 'country', 'timestamp'
+];
+
+const MAX_MESSAGE_LENGTH = 5000;
+const MAX_BATCH_SIZE = 500;
+
+// Contact events agents report besides messages (see recordContactEvent)
+const CONTACT_EVENTS = ['block', 'unblock'];
+
+const isValidTimestamp = (timestamp) => (typeof timestamp === 'string' || typeof timestamp === 'number') &&
+  !isNaN(new Date(timestamp).getTime());
+
+// A conversation or behavior finding is reported again only when its risk
+// rises or this long after it was last reported
+const REPORT_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const MAX_REPORTED_FINDINGS = 10000;
+
+class MessageMonitor {
+  /**
+   * @param {Object} options
+   * @param {DetectionPool} options.pool - Where messages are analyzed (defaults to the shared pool)
+   * @param {FamilySettingsService} options.familySettings - Source of alert thresholds (defaults to the shared store)
+   * @param {Model} options.alertModel - Where alerts are stored (defaults to the Alert model)
+   * @param {Model} options.interactionModel - Where analyzed messages are stored (defaults to the Interaction model)
+   * @param {SafetyStatusService} options.safetyStatus - Cached /api/status summaries to invalidate (defaults to the shared service)
+   * @param {LinkExpander} options.linkExpander - Resolves shortened links before analysis (defaults to the shared expander)
+   * @param {AlertDetectionService} options.detector - Aggregates conversation and behavior findings (defaults to a
+   *   detector without the classifier; the pool runs per-message detection)
+   * @param {ConversationAnalyzer} options.conversationAnalyzer - Grooming, solicited leaks and harassment across a conversation
+   * @param {BehaviorAnalyzer} options.behaviorAnalyzer - Contact timing anomalies
+   * @param {Function} options.notify - (familyId, event, data) called for every new alert
+   */
+  constructor(options = {}) {
+    this.pool = options.pool || detectionPool;
+    this.familySettings = options.familySettings || familySettings;
+    this.detector = options.detector || new AlertDetectionService({ classifier: null });
+    this.conversationAnalyzer = options.conversationAnalyzer || new ConversationAnalyzer(this.detector);
+    this.behaviorAnalyzer = options.behaviorAnalyzer ||
+      new BehaviorAnalyzer(this.detector, { familySettings: this.familySettings });
+    this.reportedFindings = new Map(); // `${familyId}:${senderId}:${childId}:${type}:${category}` -> { riskScore, reportedAt }
+    this.alertModel = options.alertModel || Alert;
+    this.interactionModel = options.interactionModel || Interaction;
+    this.safetyStatus = options.safetyStatus || safetyStatus;
+    this.linkExpander = options.linkExpander || linkExpander;
+    this.notify = options.notify || null;
+  }
+
+  /**
+   * Push new alerts somewhere, e.g. the family's socket room
+   * @param {Function} notify - (familyId, event, data)
+   */
+  setNotifier(notify) {
+    this.notify = notify;
+  }
+
+  /**
+   * Validate an analysis request: { message } or { messages: [string | { text, timestamp }] },
+   * with an optional context
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  validateRequest(body) {
+    if (!body || typeof body !== 'object') {
+      return ['Request must be an object'];
+    }
+
+    const errors = [];
+    const validText = (text) => typeof text === 'string' && text.trim() !== '' && text.length <= MAX_MESSAGE_LENGTH;
+
+    if ((body.message === undefined) === (body.messages === undefined)) {
+      errors.push('Provide either message or messages');
+    } else if (body.message !== undefined && !validText(body.message)) {
+      errors.push(`message must be a non-empty string of at most ${MAX_MESSAGE_LENGTH} characters`);
+    } else if (body.messages !== undefined) {
+      if (!Array.isArray(body.messages) || body.messages.length === 0 || body.messages.length > MAX_BATCH_SIZE) {
+        errors.push(`messages must be an array of 1-${MAX_BATCH_SIZE} messages`);
+      } else {
+        body.messages.forEach((entry, index) => {
+          const text = entry && typeof entry === 'object' ? entry.text : entry;
+          if (!validText(text)) {
+            errors.push(`messages[${index}] must be a non-empty string (or { text }) of at most ${MAX_MESSAGE_LENGTH} characters`);
+          } else if (entry && typeof entry === 'object' && entry.timestamp !== undefined && !isValidTimestamp(entry.timestamp)) {
+            errors.push(`messages[${index}].timestamp must be a valid date`);
+          }
+        });
+      }
+    }
+
+    const { context } = body;
+    if (context !== undefined) {
+      if (!context || typeof context !== 'object' || Array.isArray(context)) {
+        errors.push('context must be an object');
+      } else if (context.childId !== undefined && !mongoose.Types.ObjectId.isValid(context.childId)) {
+        errors.push('context.childId must be a valid ID');
+      } else if (context.timestamp !== undefined && !isValidTimestamp(context.timestamp)) {
+        errors.push('context.timestamp must be a valid date');
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate a contact event: { event: 'block' | 'unblock', context: { senderId, childId, timestamp } }
+   * @param {Object} user - Authenticated user; a child's own device may leave out childId
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  validateContactEvent(body, user) {
+    if (!body || typeof body !== 'object') {
+      return ['Request must be an object'];
+    }
+
+    const errors = [];
+    if (!CONTACT_EVENTS.includes(body.event)) {
+      errors.push(`event must be one of: ${CONTACT_EVENTS.join(', ')}`);
+    }
+
+    const { context } = body;
+    if (!context || typeof context !== 'object' || Array.isArray(context)) {
+      errors.push('context must be an object with senderId and childId');
+      return errors;
+    }
+    if (typeof context.senderId !== 'string' || context.senderId.trim() === '') {
+      errors.push('context.senderId is required');
+    }
+    if (context.childId !== undefined ? !mongoose.Types.ObjectId.isValid(context.childId) : user.role !== 'child') {
+      errors.push('context.childId must be a valid ID');
+    }
+    if (context.timestamp !== undefined && !isValidTimestamp(context.timestamp)) {
+      errors.push('context.timestamp must be a valid date');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Detection context for a caller: their own fields, scoped to their family
+   * @param {Object} user - Authenticated user { userId, familyId, role }
+   * @param {Object} context - Caller-supplied context
+   */
+  buildContext(user, context = {}) {
+    const built = { familyId: user.familyId.toString() };
+
+    CONTEXT_FIELDS.forEach(field => {
+      if (context[field] !== undefined) {
+        built[field] = context[field];
+      }
+    });
+
+    // A child's own device can only report for that child
+    if (user.role === 'child') {
+      built.childId = (user.userId || user._id).toString();
+    }
+
+    return built;
+  }
+
+  /**
+   * Analyze one message and raise an alert when it crosses the thresholds
+   * @returns {Promise<Object>} { analysis, alert } where alert is null below the thresholds;
+   *   both are null, with monitoringEnabled false, while the family has paused monitoring
+   * @throws {DetectionPoolError} When the pool is overloaded or the analysis times out
+   */
+  async analyze(message, context) {
+    if (!this.familySettings.isMonitoringEnabled(context.familyId)) {
+      return { analysis: null, alert: null, monitoringEnabled: false };
+    }
+
+    const analysis = await this.pool.analyze(message, await this.withExpandedLinks([message], context));
+    this.trackConversation(message, analysis, context);
+    const alert = await this.raiseAlert(analysis, context);
+    await this.interactionModel.create(this.buildInteraction(analysis, context, alert));
+    this.safetyStatus.invalidate(context.familyId);
+    return { analysis, alert };
+  }
+
+  /**
+   * Record that the child blocked or unblocked a sender, so later messages
+   * from a blocked sender are flagged (see BehaviorAnalyzer contactAfterBlock)
+   * @param {string} event - 'block' or 'unblock'
+   * @param {Object} context - From buildContext; needs senderId and childId
+   * @returns {Object} { event, senderId, childId, timestamp, recorded }; recorded is false,
+   *   with monitoringEnabled false, while the family has paused monitoring
+   */
+  recordContactEvent(event, context) {
+    const { familyId, senderId, childId } = context;
+    const timestamp = context.timestamp ? new Date(context.timestamp) : new Date();
+
+    if (!this.familySettings.isMonitoringEnabled(familyId)) {
+      return { event, senderId, childId, timestamp, recorded: false, monitoringEnabled: false };
+    }
+
+    this.behaviorAnalyzer.recordInteraction({ familyId, senderId, childId, timestamp, type: event });
+    return { event, senderId, childId, timestamp, recorded: true };
+  }
+
+  /**
+   * Analyze many messages behind any single-message requests
+   * @param {Array<string|Object>} messages - Strings or { text, timestamp }
+   * @returns {Promise<Array<Object>>} { message, timestamp, analysis, alert } in input order; analysis and
+   *   alert are null, with monitoringEnabled false, while the family has paused monitoring
+   */
+  async analyzeBatch(messages, context) {
+    const texts = messages.map(entry => (entry && typeof entry === 'object' ? entry.text : entry));
+
+    if (!this.familySettings.isMonitoringEnabled(context.familyId)) {
+      return messages.map((entry, index) => ({
+        message: texts[index],
+        timestamp: (entry && entry.timestamp) || new Date(),
+        analysis: null,
+        alert: null,
+        monitoringEnabled: false
+      }));
+    }
+
+    const results = await this.pool.batchAnalyze(messages, await this.withExpandedLinks(texts, context));
+
+    const interactions = [];
+    for (const result of results) {
+      const messageContext = { ...context, timestamp: result.timestamp };
+      this.trackConversation(result.message, result.analysis, messageContext);
+      result.alert = await this.raiseAlert(result.analysis, messageContext);
+      interactions.push(this.buildInteraction(result.analysis, messageContext, result.alert));
+    }
+
+    await this.interactionModel.insertMany(interactions);
+    this.safetyStatus.invalidate(context.familyId);
+    return results;
+  }
+
+  /**
+   * Resolve shortened links up front: analysis runs on worker threads and
+   * cannot wait on the network. Only the other party's links are checked.
+   */
+  async withExpandedLinks(texts, context) {
+    if (context.speakerRole === 'child') {
+      return context;
+    }
+
+    const expanded = await Promise.all(texts.map(text => this.linkExpander.expandLinks(text)));
+    const expandedLinks = Object.assign({}, ...expanded);
+
+    return Object.keys(expandedLinks).length > 0 ? { ...context, expandedLinks } : context;
+  }
+
+  /**
+   * Add a message to its sender/child conversation and contact history, and
+   * fold any new conversation or behavior findings into its analysis.
+   * Messages without both a senderId and a childId are not tracked.
+   */
+  trackConversation(text, analysis, context) {
+    if (!context.senderId || !context.childId) {
+      return;
+    }
+
+    const { familyId, senderId, childId, timestamp, speakerRole } = context;
+    const { conversation } = this.conversationAnalyzer.recordAnalysis(
+      { text, senderId, childId, familyId, timestamp, speakerRole },
+      analysis,
+      context
+    );
+    const behavior = this.behaviorAnalyzer.recordInteraction({
+      familyId, senderId, childId, timestamp, fromChild: speakerRole === 'child'
+    });
+
+    const findings = [conversation.alert, conversation.leakAlert, conversation.harassmentAlert]
+      .filter(finding => finding && this.isNewFinding(context, finding));
+    const anomalies = behavior.anomalies.filter(anomaly => this.isNewFinding(context, anomaly));
+
+    if (findings.length > 0 || anomalies.length > 0) {
+      this.mergeFindings(analysis, [...findings, ...anomalies], [
+        ...findings.flatMap(finding => finding.recommendations),
+        ...(anomalies.length > 0 ? behavior.recommendations : [])
+      ]);
+    }
+  }
+
+  /**
+   * Conversation findings repeat on every later message; report each again
+   * only when its risk rises or REPORT_INTERVAL_MS after it was last reported
+   */
+  isNewFinding(context, finding) {
+    const key = `${context.familyId}:${context.senderId}:${context.childId}:${finding.type}:${finding.category}`;
+    const now = context.timestamp ? new Date(context.timestamp).getTime() : Date.now();
+    const reported = this.reportedFindings.get(key);
+
+    if (reported && finding.riskScore <= reported.riskScore && now - reported.reportedAt < REPORT_INTERVAL_MS) {
+      return false;
+    }
+
+    // Re-inserting keeps the most recently reported findings at the end
+    this.reportedFindings.delete(key);
+    if (this.reportedFindings.size >= MAX_REPORTED_FINDINGS) {
+      this.reportedFindings.delete(this.reportedFindings.keys().next().value);
+    }
+    this.reportedFindings.set(key, { riskScore: finding.riskScore, reportedAt: now });
+    return true;
+  }
+
+  /**
+   * Add conversation and behavior findings to a message's analysis; they
+   * raise its risk when they outweigh the message on its own
+   * @param {Array<Object>} findings - Threats from ConversationAnalyzer and BehaviorAnalyzer
+   * @param {Array<Object>} recommendations - Their recommendations, added where the analysis lacks the action
+   */
+  mergeFindings(analysis, findings, recommendations) {
+    const threats = findings.map(({ recommendations, ...threat }) => threat);
+    analysis.threats.push(...threats);
+
+    const aggregate = this.detector.riskAggregator.aggregate(analysis.threats);
+    if (aggregate.riskScore > analysis.overallRisk) {
+      analysis.overallRisk = aggregate.riskScore;
+      analysis.confidence = aggregate.confidence;
+      analysis.severity = this.detector.getSeverity(aggregate.riskScore);
+      analysis.alertCategory = aggregate.primary.alertCategory;
+      analysis.scoreBreakdown = {
+        ...analysis.scoreBreakdown,
+        ...aggregate.breakdown,
+        overallRisk: aggregate.riskScore
+      };
+    }
+
+    const actions = new Set(analysis.recommendations.map(recommendation => recommendation.action));
+    recommendations.forEach(recommendation => {
+      if (!actions.has(recommendation.action)) {
+        actions.add(recommendation.action);
+        analysis.recommendations.push(recommendation);
+      }
+    });
+  }
+
+  /**
+   * Whether a result crosses the family's threshold for its category
+   */
+  shouldAlert(analysis, familyId) {
+    if (!analysis.severity) {
+      return false;
+    }
+
+    const thresholdName = THRESHOLD_FOR_CATEGORY[analysis.alertCategory];
+    if (!thresholdName) {
+      return true;
+    }
+
+    const threshold = this.familySettings.getAlertThresholds(familyId)[thresholdName];
+    return threshold.enabled && SEVERITIES.indexOf(analysis.severity) >= SEVERITIES.indexOf(threshold.severity);
+  }
+
+  /**
+   * Store an alert for a result above the thresholds and notify the family
+   * @returns {Promise<Object|null>} Alert summary, or null when no alert was raised
+   */
+  async raiseAlert(analysis, context) {
+    if (!this.shouldAlert(analysis, context.familyId)) {
+      return null;
+    }
+
+    const { primary } = analysis.scoreBreakdown;
+    const primaryThreat = analysis.threats.find(threat =>
+      threat.type === primary.type && threat.category === primary.category) || analysis.threats[0];
+
+    const alert = await this.alertModel.create({
+      familyId: context.familyId,
+      childId: context.childId,
+      platform: context.platform,
+      senderId: context.senderId,
+      category: analysis.alertCategory,
+      severity: analysis.severity,
+      description: primaryThreat.description,
+      riskScore: analysis.overallRisk,
+      confidence: analysis.confidence,
+      message: analysis.maskedMessage,
+      language: analysis.language ? analysis.language.language : undefined,
+      threats: analysis.threats.map(({ type, category, riskScore, confidence, description }) =>
+        ({ type, category, riskScore, confidence, description })),
+      matchedPatterns: analysis.matchedPatterns,
+      recommendations: analysis.recommendations,
+      audience: analysis.audience,
+      crisisResources: analysis.crisisResources,
+      timestamp: context.timestamp ? new Date(context.timestamp) : new Date()
+    });
+
+    const summary = this.summarizeAlert(alert);
+    if (this.notify) {
+      this.notify(context.familyId, 'new_alert', summary);
+    }
+    return summary;
+  }
+
+  /**
+   * Interaction record for an analyzed message, flagged or not
+   * @param {Object|null} alert - Summary from raiseAlert
+   */
+  buildInteraction(analysis, context, alert) {
+    const contactHandles = analysis.entities
+      .filter(entity => CONTACT_TYPES.includes(entity.type))
+      .map(({ type, value, normalized }) => ({ handleType: type, value, normalized }));
+
+    return {
+      familyId: context.familyId,
+      childId: context.childId,
+      platform: context.platform,
+      senderId: context.senderId,
+      speakerRole: context.speakerRole === 'child' ? 'child' : 'other',
+      message: analysis.maskedMessage,
+      flagged: analysis.threats.length > 0,
+      riskScore: analysis.overallRisk,
+      severity: analysis.severity || undefined,
+      category: analysis.alertCategory || undefined,
+      language: analysis.language ? analysis.language.language : undefined,
+      audience: analysis.audience,
+      alertId: alert ? alert.id : undefined,
+      ...(contactHandles.length > 0 && {
+        contactHandles,
+        threatCategories: [...new Set(analysis.threats.map(threat => threat.category))]
+      }),
+      timestamp: context.timestamp ? new Date(context.timestamp) : new Date()
+    };
+  }
+
+  /**
+   * Fields of a stored alert the dashboard shows in its list
+   */
+  summarizeAlert(alert) {
+    return {
+      id: alert._id.toString(),
+      childId: alert.childId ? alert.childId.toString() : null,
+      category: alert.category,
+      severity: alert.severity,
+      description: alert.description,
+      platform: alert.platform,
+      riskScore: alert.riskScore,
+      status: alert.status,
+      audience: alert.audience,
+      timestamp: alert.timestamp
+    };
+  }
+
+  /**
+   * What a caller may see of a result; guardian-only results are withheld
+   * from everyone else, including agents running on the child's device
+   * @param {Object} result - { analysis, alert, ... } from analyze or analyzeBatch
+   * @param {string} role - Caller's role
+   */
+  presentResult(result, role) {
+    if (!result.analysis || result.analysis.audience !== 'guardians' || GUARDIAN_ROLES.includes(role)) {
+      return result;
+    }
+
+    const { analysis, alert, ...rest } = result;
+    return { ...rest, analysis: { audience: 'guardians', withheld: true }, alert: null };
+  }
+}
+
+// Create singleton instance
+const messageMonitor = new MessageMonitor();
+
+module.exports = {
+  MessageMonitor,
+  messageMonitor,
+  GUARDIAN_ROLES,
+  MAX_BATCH_SIZE,
+  CONTACT_EVENTS
+};
@@ -0,0 +1,287 @@
+/**
+ * Persistent Monitoring Configuration for Kidverse MVP
+ * Stores each family's /api/config settings, suppressed patterns and
+ * children's sensitivity overrides and schedules in MongoDB and keeps the in-memory stores
+ * detection reads (FamilySettingsService, CustomRuleService,
+ * SensitivityProfileService) in step with them, including after a restart.
+ * Every change is written first and only reaches detection once stored.
+ *
+ * @author Stephen Thompson
+ * @version 1.0.0
+ */
+
+const MonitoringConfig = require('../models/MonitoringConfig');
+const { familySettings } = require('./familySettings');
+const { customRules } = require('./customRules');
+const { sensitivityProfiles } = require('./sensitivityProfiles');
+const { getPatternKey } = require('./patternFeedback');
+
+const DEFAULT_NOTIFICATIONS = {
+  email: { enabled: false, address: '' },
+  sms: { enabled: false, phone: '' },
+  push: { enabled: true }
+};
+
+const DEFAULT_DATA_RETENTION = {
+  interactions: 90, // days
+  alerts: 365 // days
+};
+
+class MonitoringConfigService {
+  /**
+   * @param {Object} options
+   * @param {Model} options.configModel - Where configs are stored (defaults to the MonitoringConfig model)
+   * @param {FamilySettingsService} options.familySettings - Monitoring toggle, content filters and alert thresholds (defaults to the shared store)
+   * @param {CustomRuleService} options.customRuleService - Per-family rules (defaults to the shared store)
+   * @param {SensitivityProfileService} options.sensitivityProfiles - Per-child overrides (defaults to the shared store)
+   */
+  constructor(options = {}) {
+    this.configModel = options.configModel || MonitoringConfig;
+    this.familySettings = options.familySettings || familySettings;
+    this.customRules = options.customRuleService || customRules;
+    this.sensitivityProfiles = options.sensitivityProfiles || sensitivityProfiles;
+  }
+
+  /**
+   * Load every stored config into the in-memory stores; call once connected
+   * @returns {Promise<number>} Number of families loaded
+   */
+  async loadAll() {
+    const configs = await this.configModel.find().lean();
+    configs.forEach(config => {
+      const familyId = config.familyId.toString();
+      this.applyToStores(familyId, config);
+      (config.suppressedPatterns || []).forEach(entry => this.familySettings.suppressPattern(familyId, entry));
+      Object.entries(config.sensitivityOverrides || {}).forEach(([childId, override]) =>
+        this.sensitivityProfiles.setOverride(familyId, childId, override));
+      Object.entries(config.childSchedules || {}).forEach(([childId, schedule]) =>
+        this.familySettings.setChildSchedule(familyId, childId, schedule));
+    });
+    return configs.length;
+  }
+
+  /**
+   * A family's full configuration, with defaults for anything never set
+   * @returns {Promise<Object>} The /api/config response
+   */
+  async getConfig(familyId) {
+    const stored = await this.configModel.findOne({ familyId }).lean();
+    return this.present(familyId, stored);
+  }
+
+  /**
+   * Store validated /api/config updates, then apply them to detection
+   * @param {string} familyId - Family to update
+   * @param {Object} updates - Partial configuration, validated by the route
+   * @param {string} updatedBy - User making the change
+   * @returns {Promise<Object>} The family's full configuration
+   */
+  async updateConfig(familyId, updates, updatedBy) {
+    const existing = await this.configModel.findOne({ familyId }).lean();
+    const changes = {};
+
+    if (updates.monitoringEnabled !== undefined) {
+      changes.monitoringEnabled = updates.monitoringEnabled;
+    }
+    if (updates.customRules !== undefined) {
+      changes.customRules = this.customRules.buildRules(updates.customRules);
+    }
+    if (updates.contentFilters) {
+      changes.contentFilters = this.familySettings.mergeContentFilters(familyId, updates.contentFilters);
+    }
+    if (updates.alertThresholds) {
+      changes.alertThresholds = this.familySettings.mergeAlertThresholds(familyId, updates.alertThresholds);
+    }
+    if (updates.notifications) {
+      changes.notifications = this.mergeNotifications(existing && existing.notifications, updates.notifications);
+    }
+    if (updates.dataRetention) {
+      changes.dataRetention = { ...DEFAULT_DATA_RETENTION, ...(existing && existing.dataRetention) };
+      Object.keys(DEFAULT_DATA_RETENTION).forEach(kind => {
+        if (updates.dataRetention[kind] !== undefined) {
+          changes.dataRetention[kind] = parseInt(updates.dataRetention[kind]);
+        }
+      });
+    }
+
+    const stored = await this.configModel.findOneAndUpdate(
+      { familyId },
+      { $set: { ...changes, updatedBy } },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    ).lean();
+
+    this.applyToStores(familyId, changes);
+    return this.present(familyId, stored);
+  }
+
+  /**
+   * Store a suppressed pattern, then stop it raising alerts
+   * @param {Object} pattern - { type, category, pattern } as reported in matchedPatterns
+   * @returns {Promise<Object>} The suppression as stored
+   */
+  async suppressPattern(familyId, { type, category, pattern }, updatedBy) {
+    const entry = { type, category, pattern, suppressedAt: new Date() };
+    const suppressed = this.familySettings.getSuppressedPatterns(familyId)
+      .filter(existing => getPatternKey(existing) !== getPatternKey(entry));
+
+    await this.configModel.findOneAndUpdate(
+      { familyId },
+      { $set: { suppressedPatterns: [...suppressed, entry], updatedBy } },
+      { upsert: true, setDefaultsOnInsert: true }
+    );
+
+    return this.familySettings.suppressPattern(familyId, entry);
+  }
+
+  /**
+   * Remove a stored suppression, then let the pattern raise alerts again
+   * @returns {Promise<boolean>} Whether the pattern was suppressed
+   */
+  async unsuppressPattern(familyId, pattern, updatedBy) {
+    const key = getPatternKey(pattern);
+    if (!this.familySettings.getSuppressedKeys(familyId).has(key)) {
+      return false;
+    }
+
+    const suppressed = this.familySettings.getSuppressedPatterns(familyId)
+      .filter(existing => getPatternKey(existing) !== key);
+    await this.configModel.updateOne({ familyId }, { $set: { suppressedPatterns: suppressed, updatedBy } });
+
+    return this.familySettings.unsuppressPattern(familyId, pattern);
+  }
+
+  /**
+   * Store a child's sensitivity override, then use it for detection
+   * @param {Object} override - Validated { profile, riskAdjustments, recommendationThresholds }
+   * @returns {Promise<Object>} The override as stored
+   */
+  async setSensitivityOverride(familyId, childId, override, updatedBy) {
+    const stored = this.sensitivityProfiles.buildOverride(override);
+
+    await this.configModel.findOneAndUpdate(
+      { familyId },
+      { $set: { [`sensitivityOverrides.${childId}`]: stored, updatedBy } },
+      { upsert: true, setDefaultsOnInsert: true }
+    );
+
+    return this.sensitivityProfiles.setOverride(familyId, childId, stored);
+  }
+
+  /**
+   * Remove a child's sensitivity override so their age band applies again
+   * @returns {Promise<boolean>} Whether the child had an override
+   */
+  async clearSensitivityOverride(familyId, childId, updatedBy) {
+    if (!this.sensitivityProfiles.getOverride(familyId, childId)) {
+      return false;
+    }
+
+    await this.configModel.updateOne(
+      { familyId },
+      { $unset: { [`sensitivityOverrides.${childId}`]: '' }, $set: { updatedBy } }
+    );
+
+    return this.sensitivityProfiles.clearOverride(familyId, childId);
+  }
+
+  /**
+   * Store a child's time zone and quiet hours, then use them for behavior checks
+   * @param {Object} schedule - Validated { timeZone, quietHours }
+   * @returns {Promise<Object>} The schedule as stored
+   */
+  async setChildSchedule(familyId, childId, schedule, updatedBy) {
+    const stored = {
+      timeZone: schedule.timeZone || null,
+      quietHours: schedule.quietHours ? { start: schedule.quietHours.start, end: schedule.quietHours.end } : null,
+      updatedAt: new Date()
+    };
+
+    await this.configModel.findOneAndUpdate(
+      { familyId },
+      { $set: { [`childSchedules.${childId}`]: stored, updatedBy } },
+      { upsert: true, setDefaultsOnInsert: true }
+    );
+
+    return this.familySettings.setChildSchedule(familyId, childId, stored);
+  }
+
+  /**
+   * Remove a child's schedule so the default time zone and quiet hours apply again
+   * @returns {Promise<boolean>} Whether the child had a schedule
+   */
+  async clearChildSchedule(familyId, childId, updatedBy) {
+    if (!this.familySettings.getChildSchedule(familyId, childId)) {
+      return false;
+    }
+
+    await this.configModel.updateOne(
+      { familyId },
+      { $unset: { [`childSchedules.${childId}`]: '' }, $set: { updatedBy } }
+    );
+
+    return this.familySettings.clearChildSchedule(familyId, childId);
+  }
+
+  /**
+   * Push stored detection settings into the in-memory stores
+   * @param {Object} config - { monitoringEnabled, contentFilters, alertThresholds, customRules } as stored, where given
+   */
+  applyToStores(familyId, config) {
+    if (config.monitoringEnabled !== undefined) {
+      this.familySettings.setMonitoringEnabled(familyId, config.monitoringEnabled);
+    }
+    if (config.customRules !== undefined) {
+      this.customRules.storeRules(familyId, config.customRules);
+    }
+    if (config.contentFilters) {
+      this.familySettings.setContentFilters(familyId, config.contentFilters);
+    }
+    if (config.alertThresholds) {
+      this.familySettings.setAlertThresholds(familyId, config.alertThresholds);
+    }
+  }
+
+  /**
+   * Merge notification updates channel by channel
+   */
+  mergeNotifications(existing, updates) {
+    const current = existing || {};
+    const merged = {};
+
+    Object.entries(DEFAULT_NOTIFICATIONS).forEach(([channel, defaults]) => {
+      merged[channel] = {};
+      Object.keys(defaults).forEach(field => {
+        const update = updates[channel] && updates[channel][field];
+        const value = current[channel] && current[channel][field];
+        merged[channel][field] = update !== undefined ? update : (value !== undefined ? value : defaults[field]);
+      });
+    });
+
+    return merged;
+  }
+
+  /**
+   * The /api/config shape; detection settings come from the live stores
+   */
+  present(familyId, stored) {
+    return {
+      monitoringEnabled: stored ? stored.monitoringEnabled !== false : true,
+      alertThresholds: this.familySettings.getAlertThresholds(familyId),
+      notifications: this.mergeNotifications(stored && stored.notifications, {}),
+      contentFilters: this.familySettings.getContentFilters(familyId),
+      dataRetention: { ...DEFAULT_DATA_RETENTION, ...(stored && stored.dataRetention) },
+      customRules: this.customRules.getRules(familyId),
+      lastUpdated: stored ? stored.updatedAt : null
+    };
+  }
+}
+
+// Create singleton instance
+const monitoringConfig = new MonitoringConfigService();
+
+module.exports = {
+  MonitoringConfigService,
+  monitoringConfig,
+  DEFAULT_NOTIFICATIONS,
+  DEFAULT_DATA_RETENTION
+};
@@ -0,0 +1,267 @@
+/**
+ * Pattern Feedback from Parent Alert Reviews for Kidverse MVP
+ * Records whether parents confirmed or dismissed each alert, per matched
+ * pattern, and turns that into precision statistics and suggested pack
+ * changes. Families only ever see aggregate counts from other families.
+ *
+ * @author Stephen Thompson
+ * @version 1.0.0
+ */
+
+const Alert = require('../models/Alert');
+const { patternPacks } = require('./patternPackLoader');
+
+// How each review action counts for the patterns behind the alert
+const REVIEW_OUTCOMES = {
+  resolved: 'confirmed',
+  escalated: 'confirmed',
+  dismissed: 'dismissed'
+};
+
+// Pseudo threat type for context enhancer patterns
+const ENHANCER_TYPE = 'context_enhancer';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Identify a pattern across packs, reviews and suppressions
+ */
+const getPatternKey = ({ type, category, pattern }) => `${type}:${category}:${pattern}`;
+
+class PatternFeedbackService {
+  /**
+   * @param {Object} options
+   * @param {PatternPackLoader} options.patternLoader - Source of current scores (defaults to the shared loader)
+   * @param {number} options.minReviews - Reviews needed before a pack change is suggested
+   * @param {number} options.priorWeight - Pseudo-reviews at the pack's own confidence, so a few
+   *   early reviews can't swing precision to 0 or 1
+   * @param {number} options.familySuppressAfter - Dismissals, with no confirmations, before
+   *   suppression is suggested to a family
+   * @param {Model} options.alertModel - Reviewed alerts to rebuild from (defaults to the Alert model)
+   */
+  constructor(options = {}) {
+    this.patternLoader = options.patternLoader || patternPacks;
+    this.minReviews = options.minReviews || 10;
+    this.priorWeight = options.priorWeight || 5;
+    this.familySuppressAfter = options.familySuppressAfter || 3;
+    this.alertModel = options.alertModel || Alert;
+    this.reviews = new Map(); // `${familyId}:${alertId}` -> { familyId, outcome, patterns }
+    this.patterns = new Map(); // pattern key -> { type, category, pattern, confirmed, dismissed }
+    this.families = new Map(); // familyId -> Map(pattern key -> { confirmed, dismissed })
+  }
+
+  /**
+   * Rebuild every count from the alerts guardians have reviewed; call once connected
+   * @returns {Promise<number>} Number of reviews counted
+   */
+  async loadAll() {
+    const alerts = await this.alertModel.find({
+      status: { $in: Object.keys(REVIEW_OUTCOMES) },
+      'matchedPatterns.0': { $exists: true }
+    })
+      .select('familyId status matchedPatterns')
+      .lean();
+
+    this.reviews.clear();
+    this.patterns.clear();
+    this.families.clear();
+    return alerts.filter(alert =>
+      this.recordReview(alert.familyId, alert._id, alert.status, alert.matchedPatterns) > 0).length;
+  }
+
+  /**
+   * Validate patterns sent to the suppression routes
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  validatePatterns(patterns) {
+    if (!Array.isArray(patterns)) {
+      return ['patterns must be an array'];
+    }
+
+    const errors = [];
+    patterns.forEach((entry, index) => {
+      ['type', 'category', 'pattern'].forEach(field => {
+        if (!entry || typeof entry[field] !== 'string' || entry[field].trim() === '' || entry[field].length > 500) {
+          errors.push(`patterns[${index}].${field} must be a non-empty string`);
+        }
+      });
+    });
+    return errors;
+  }
+
+  /**
+   * Record a parent's review of an alert; reviewing the same alert again
+   * replaces the earlier decision, and 'pending' withdraws it
+   * @param {string} familyId - Family that owns the alert
+   * @param {string} alertId - Alert reviewed
+   * @param {string} action - 'resolved', 'escalated', 'dismissed' or 'pending'
+   * @param {Array<Object>} patterns - { type, category, pattern } matched by the alert
+   * @returns {number} Number of patterns the review counted for
+   */
+  recordReview(familyId, alertId, action, patterns = []) {
+    const reviewKey = `${familyId}:${alertId}`;
+    const previous = this.reviews.get(reviewKey);
+
+    if (previous) {
+      this.applyOutcome(previous.familyId, previous.outcome, previous.patterns, -1);
+      this.reviews.delete(reviewKey);
+    }
+
+    const outcome = REVIEW_OUTCOMES[action];
+    if (!outcome || patterns.length === 0) {
+      return 0;
+    }
+
+    // An alert can match the same pattern in several threats; count it once
+    const unique = [...new Map(patterns.map(entry => [getPatternKey(entry), entry])).values()]
+      .map(({ type, category, pattern }) => ({ type, category, pattern }));
+
+    this.applyOutcome(familyId.toString(), outcome, unique, 1);
+    this.reviews.set(reviewKey, { familyId: familyId.toString(), outcome, patterns: unique });
+    return unique.length;
+  }
+
+  /**
+   * Add (or with delta -1, remove) one review's counts
+   */
+  applyOutcome(familyId, outcome, patterns, delta) {
+    if (!this.families.has(familyId)) {
+      this.families.set(familyId, new Map());
+    }
+    const familyCounts = this.families.get(familyId);
+
+    patterns.forEach(entry => {
+      const key = getPatternKey(entry);
+
+      if (!this.patterns.has(key)) {
+        this.patterns.set(key, { ...entry, confirmed: 0, dismissed: 0 });
+      }
+      if (!familyCounts.has(key)) {
+        familyCounts.set(key, { confirmed: 0, dismissed: 0 });
+      }
+
+      this.patterns.get(key)[outcome] += delta;
+      familyCounts.get(key)[outcome] += delta;
+    });
+  }
+
+  /**
+   * Precision and suggested changes for every reviewed pattern, noisiest first
+   * @param {Object} options
+   * @param {number} options.minReviews - Only include patterns with at least this many reviews
+   * @returns {Array<Object>} { type, category, pattern, confirmed, dismissed, reviews, precision, current, suggestion }
+   */
+  getPatternStats(options = {}) {
+    const minReviews = options.minReviews || 1;
+    const packSet = this.patternLoader.getCurrent();
+
+    return [...this.patterns.values()]
+      .map(entry => {
+        const reviews = entry.confirmed + entry.dismissed;
+        const current = this.getCurrentScores(packSet, entry);
+        const prior = current && current.confidence !== undefined ? current.confidence : 0.5;
+        const precision = (entry.confirmed + this.priorWeight * prior) / (reviews + this.priorWeight);
+
+        return {
+          ...entry,
+          reviews,
+          precision: round(precision),
+          observedPrecision: reviews > 0 ? round(entry.confirmed / reviews) : null,
+          current,
+          suggestion: this.suggestChange(entry, reviews, precision, current)
+        };
+      })
+      .filter(stats => stats.reviews >= minReviews)
+      .sort((a, b) => a.precision - b.precision || b.reviews - a.reviews);
+  }
+
+  /**
+   * Scores the active packs give a pattern's category
+   */
+  getCurrentScores(packSet, { type, category }) {
+    if (type === ENHANCER_TYPE) {
+      const enhancer = packSet.contextEnhancers[category];
+      return enhancer ? { multiplier: enhancer.multiplier } : null;
+    }
+
+    const config = (packSet.threatTypes[type] || {})[category];
+    return config ? { riskScore: config.riskScore, confidence: config.confidence } : null;
+  }
+
+  /**
+   * Suggested pack change for a pattern, or null while there is too little data
+   * Scores are set per category, so a change to one noisy pattern's score
+   * moves its siblings too; removing the pattern is often the better fix.
+   */
+  suggestChange(entry, reviews, precision, current) {
+    if (reviews < this.minReviews || !current) {
+      return null;
+    }
+
+    if (precision < 0.25) {
+      return {
+        action: 'remove',
+        reason: `Parents dismissed ${entry.dismissed} of ${reviews} alerts it raised`
+      };
+    }
+
+    if (entry.type === ENHANCER_TYPE) {
+      return precision < 0.6
+        ? {
+          action: 'lowerMultiplier',
+          multiplier: round(1 + (current.multiplier - 1) * precision),
+          reason: `Only ${Math.round(precision * 100)}% of alerts it boosted were confirmed`
+        }
+        : { action: 'keep' };
+    }
+
+    if (precision < current.confidence - 0.15) {
+      return {
+        action: 'lower',
+        confidence: round(precision),
+        riskScore: Math.max(1, Math.round(current.riskScore * precision / current.confidence)),
+        reason: `Confirmed ${Math.round(precision * 100)}% of the time against a confidence of ${current.confidence}`
+      };
+    }
+
+    if (precision > current.confidence + 0.1) {
+      return {
+        action: 'raiseConfidence',
+        confidence: round(Math.min(0.99, precision)),
+        reason: `Confirmed ${Math.round(precision * 100)}% of the time against a confidence of ${current.confidence}`
+      };
+    }
+
+    return { action: 'keep' };
+  }
+
+  /**
+   * Patterns a family keeps dismissing and has never confirmed
+   * @returns {Array<Object>} { type, category, pattern, dismissed }
+   */
+  getSuppressionSuggestions(familyId, suppressed = new Set()) {
+    const familyCounts = this.families.get(familyId.toString());
+    if (!familyCounts) {
+      return [];
+    }
+
+    return [...familyCounts.entries()]
+      .filter(([key, counts]) => counts.confirmed === 0 &&
+        counts.dismissed >= this.familySuppressAfter && !suppressed.has(key))
+      .map(([key, counts]) => {
+        const { type, category, pattern } = this.patterns.get(key);
+        return { type, category, pattern, dismissed: counts.dismissed };
+      })
+      .sort((a, b) => b.dismissed - a.dismissed);
+  }
+}
+
+// Create singleton instance
+const patternFeedback = new PatternFeedbackService();
+
+module.exports = {
+  PatternFeedbackService,
+  patternFeedback,
+  getPatternKey,
+  ENHANCER_TYPE
+};
@@ -0,0 +1,393 @@
+/**
+ * Detection Pattern Pack Loader for Kidverse MVP
+ * Loads versioned JSON pattern packs, validates them against the pack schema
+ * and hot-reloads them on change, keeping the last good set on failure
+ *
+ * @author Stephen Thompson
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { checkRegexSafety } = require('../utils/regexSafety');
+
+const DEFAULT_PATTERN_DIR = path.join(__dirname, '..', 'config', 'patterns');
+
+// Threat types a pack may define, and the service property each one fills
+const THREAT_TYPE_GROUPS = {
+  predatory_language: 'predatoryPatterns',
+  personal_info_request: 'personalInfoPatterns',
+  off_platform_pressure: 'offPlatformPatterns',
+  cyberbullying: 'cyberbullyingPatterns',
+  inappropriate_content: 'inappropriateContentPatterns',
+  scam: 'scamPatterns',
+  child_distress: 'childDistressPatterns'
+};
+
+const SEMVER = /^\d+\.\d+\.\d+$/;
+const VALID_FLAGS = /^[imsu]*$/;
+
+/**
+ * Raised when a pattern pack fails to parse or validate
+ */
+class PatternPackError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'PatternPackError';
+    this.errors = errors;
+  }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validate a list of pattern strings, collecting errors under `where`
+ */
+const validatePatternList = (patterns, flags, where, errors) => {
+  if (!Array.isArray(patterns) || patterns.length === 0) {
+    errors.push(`${where}.patterns must be a non-empty array`);
+    return;
+  }
+
+  patterns.forEach((source, index) => {
+    if (typeof source !== 'string' || source.trim() === '') {
+      errors.push(`${where}.patterns[${index}] must be a non-empty string`);
+      return;
+    }
+    try {
+      new RegExp(source, flags);
+    } catch (error) {
+      errors.push(`${where}.patterns[${index}] is not a valid regular expression: ${error.message}`);
+      return;
+    }
+
+    // Every message runs every pattern, so one slow pattern stalls detection
+    const { safe, reasons } = checkRegexSafety(source);
+    if (!safe) {
+      errors.push(`${where}.patterns[${index}] is unsafe: ${reasons.join('; ')}`);
+    }
+  });
+};
+
+/**
+ * Validate a parsed pattern pack against the pack schema
+ * @param {Object} pack - Parsed pack contents
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+const validatePatternPack = (pack) => {
+  const errors = [];
+
+  if (!isPlainObject(pack)) {
+    return ['Pack must be a JSON object'];
+  }
+
+  if (typeof pack.name !== 'string' || !/^[a-z0-9][a-z0-9._-]*$/.test(pack.name)) {
+    errors.push('name must be a lowercase identifier');
+  }
+
+  if (typeof pack.version !== 'string' || !SEMVER.test(pack.version)) {
+    errors.push('version must be a semantic version string (e.g. 1.2.0)');
+  }
+
+  if (pack.language !== undefined && (typeof pack.language !== 'string' || !/^[a-z]{2}$/.test(pack.language))) {
+    errors.push('language must be a two-letter ISO 639-1 code');
+  }
+
+  if (!Array.isArray(pack.changelog) || pack.changelog.length === 0) {
+    errors.push('changelog must be a non-empty array');
+  } else {
+    pack.changelog.forEach((entry, index) => {
+      if (!isPlainObject(entry) || typeof entry.version !== 'string' || !SEMVER.test(entry.version)) {
+        errors.push(`changelog[${index}].version must be a semantic version string`);
+      }
+      if (!isPlainObject(entry) || !Array.isArray(entry.changes) || entry.changes.length === 0) {
+        errors.push(`changelog[${index}].changes must be a non-empty array`);
+      }
+    });
+    if (!pack.changelog.some(entry => entry && entry.version === pack.version)) {
+      errors.push(`changelog must contain an entry for version ${pack.version}`);
+    }
+  }
+
+  if (!isPlainObject(pack.threatTypes)) {
+    errors.push('threatTypes must be an object');
+  } else {
+    Object.entries(pack.threatTypes).forEach(([type, categories]) => {
+      if (!THREAT_TYPE_GROUPS[type]) {
+        errors.push(`threatTypes.${type} is not a known threat type (${Object.keys(THREAT_TYPE_GROUPS).join(', ')})`);
+        return;
+      }
+      if (!isPlainObject(categories)) {
+        errors.push(`threatTypes.${type} must be an object of categories`);
+        return;
+      }
+
+      Object.entries(categories).forEach(([category, config]) => {
+        const where = `threatTypes.${type}.${category}`;
+        if (!isPlainObject(config)) {
+          errors.push(`${where} must be an object`);
+          return;
+        }
+        if (typeof config.riskScore !== 'number' || config.riskScore < 0 || config.riskScore > 10) {
+          errors.push(`${where}.riskScore must be a number between 0 and 10`);
+        }
+        if (typeof config.confidence !== 'number' || config.confidence < 0 || config.confidence > 1) {
+          errors.push(`${where}.confidence must be a number between 0 and 1`);
+        }
+        if (config.description !== undefined && typeof config.description !== 'string') {
+          errors.push(`${where}.description must be a string`);
+        }
+        if (config.flags !== undefined && (typeof config.flags !== 'string' || !VALID_FLAGS.test(config.flags))) {
+          errors.push(`${where}.flags may only contain i, m, s and u`);
+        }
+        validatePatternList(config.patterns, config.flags || 'i', where, errors);
+      });
+    });
+  }
+
+  if (pack.contextEnhancers !== undefined) {
+    if (!isPlainObject(pack.contextEnhancers)) {
+      errors.push('contextEnhancers must be an object');
+    } else {
+      Object.entries(pack.contextEnhancers).forEach(([enhancer, config]) => {
+        const where = `contextEnhancers.${enhancer}`;
+        if (!isPlainObject(config)) {
+          errors.push(`${where} must be an object`);
+          return;
+        }
+        if (typeof config.multiplier !== 'number' || config.multiplier < 1 || config.multiplier > 3) {
+          errors.push(`${where}.multiplier must be a number between 1 and 3`);
+        }
+        validatePatternList(config.patterns, config.flags || 'i', where, errors);
+      });
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Compile a validated pack's pattern strings into RegExp objects
+ */
+const compilePatternPack = (pack) => {
+  const compileCategory = (config) => ({
+    ...config,
+    patterns: config.patterns.map(source => new RegExp(source, config.flags || 'i'))
+  });
+
+  const threatTypes = {};
+  Object.entries(pack.threatTypes).forEach(([type, categories]) => {
+    threatTypes[type] = {};
+    Object.entries(categories).forEach(([category, config]) => {
+      threatTypes[type][category] = compileCategory(config);
+    });
+  });
+
+  const contextEnhancers = {};
+  Object.entries(pack.contextEnhancers || {}).forEach(([enhancer, config]) => {
+    contextEnhancers[enhancer] = compileCategory(config);
+  });
+
+  return {
+    name: pack.name,
+    version: pack.version,
+    language: pack.language || 'en',
+    description: pack.description || '',
+    changelog: pack.changelog,
+    threatTypes,
+    contextEnhancers
+  };
+};
+
+/**
+ * Merge compiled packs into detection tables
+ * A pack repeating a category adds its patterns; scores come from the
+ * first pack (in file name order) that defines the category. Tables are
+ * built once across every pack and once per pack language.
+ */
+const mergePatternPacks = (packs) => {
+  const mergeInto = (target, key, config) => {
+    if (target[key]) {
+      target[key].patterns = [...target[key].patterns, ...config.patterns];
+    } else {
+      target[key] = { ...config, patterns: [...config.patterns] };
+    }
+  };
+
+  const mergeTables = (selected) => {
+    const tables = { threatTypes: {}, contextEnhancers: {} };
+
+    selected.forEach(pack => {
+      Object.entries(pack.threatTypes).forEach(([type, categories]) => {
+        tables.threatTypes[type] = tables.threatTypes[type] || {};
+        Object.entries(categories).forEach(([category, config]) => {
+          mergeInto(tables.threatTypes[type], category, config);
+        });
+      });
+      Object.entries(pack.contextEnhancers).forEach(([enhancer, config]) => {
+        mergeInto(tables.contextEnhancers, enhancer, config);
+      });
+    });
+
+    return tables;
+  };
+
+  const languages = {};
+  [...new Set(packs.map(pack => pack.language))].forEach(language => {
+    languages[language] = mergeTables(packs.filter(pack => pack.language === language));
+  });
+
+  return {
+    packs: packs.map(({ name, version, language, description, changelog }) => ({
+      name, version, language, description, changelog
+    })),
+    ...mergeTables(packs),
+    languages,
+    loadedAt: new Date()
+  };
+};
+
+/**
+ * Loads every *.json pack in a directory and keeps the last good result
+ */
+class PatternPackLoader extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - Directory holding *.json packs
+   * @param {number} options.debounceMs - Delay before reloading after a change
+   */
+  constructor(options = {}) {
+    super();
+    this.directory = options.directory || process.env.PATTERN_PACK_DIR || DEFAULT_PATTERN_DIR;
+    this.debounceMs = options.debounceMs || 250;
+    this.current = null;
+    this.watcher = null;
+    this.reloadTimer = null;
+  }
+
+  /**
+   * Read, validate and compile every pack in the directory
+   * @throws {PatternPackError} When any pack is unreadable or invalid
+   */
+  readPacks() {
+    let files;
+    try {
+      files = fs.readdirSync(this.directory)
+        .filter(file => file.endsWith('.json'))
+        .sort();
+    } catch (error) {
+      throw new PatternPackError(`Cannot read pattern pack directory ${this.directory}: ${error.message}`);
+    }
+
+    if (files.length === 0) {
+      throw new PatternPackError(`No pattern packs found in ${this.directory}`);
+    }
+
+    const names = new Set();
+
+    return files.map(file => {
+      const filePath = path.join(this.directory, file);
+      let pack;
+
+      try {
+        pack = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      } catch (error) {
+        throw new PatternPackError(`Pattern pack ${file} is not valid JSON: ${error.message}`);
+      }
+
+      const errors = validatePatternPack(pack);
+      if (errors.length > 0) {
+        throw new PatternPackError(`Pattern pack ${file} failed validation`, errors);
+      }
+
+      if (names.has(pack.name)) {
+        throw new PatternPackError(`Pattern pack name "${pack.name}" is used by more than one file`);
+      }
+      names.add(pack.name);
+
+      return compilePatternPack(pack);
+    });
+  }
+
+  /**
+   * Load all packs, replacing the current set
+   * @throws {PatternPackError} When the packs are invalid; the current set is kept
+   */
+  load() {
+    this.current = mergePatternPacks(this.readPacks());
+    this.emit('loaded', this.current);
+    return this.current;
+  }
+
+  /**
+   * Reload packs without throwing; a bad pack leaves the last good set active
+   * @returns {boolean} Whether the new packs were applied
+   */
+  reload() {
+    try {
+      const loaded = this.load();
+      console.log(`🔄 Pattern packs reloaded: ${loaded.packs.map(p => `${p.name}@${p.version}`).join(', ')}`);
+      return true;
+    } catch (error) {
+      console.error('❌ Pattern pack reload rejected, keeping last good packs:', error.message);
+      (error.errors || []).forEach(detail => console.error(`   - ${detail}`));
+      this.emit('rejected', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the active packs, loading them on first use
+   */
+  getCurrent() {
+    return this.current || this.load();
+  }
+
+  /**
+   * Watch the pack directory and reload on change
+   */
+  watch() {
+    if (this.watcher) {
+      return this.watcher;
+    }
+
+    this.watcher = fs.watch(this.directory, (eventType, filename) => {
+      if (filename && !filename.endsWith('.json')) {
+        return;
+      }
+      clearTimeout(this.reloadTimer);
+      this.reloadTimer = setTimeout(() => this.reload(), this.debounceMs);
+    });
+
+    this.watcher.on('error', (error) => {
+      console.error('❌ Pattern pack watcher error:', error.message);
+    });
+
+    return this.watcher;
+  }
+
+  /**
+   * Stop watching for changes
+   */
+  close() {
+    clearTimeout(this.reloadTimer);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+}
+
+// Shared loader used by every AlertDetectionService unless one is injected
+const patternPacks = new PatternPackLoader();
+
+module.exports = {
+  PatternPackLoader,
+  PatternPackError,
+  THREAT_TYPE_GROUPS,
+  validatePatternPack,
+  compilePatternPack,
+  mergePatternPacks,
+  patternPacks
+};
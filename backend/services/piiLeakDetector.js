@@ -0,0 +1,161 @@
+/**
+ * Outbound Personal Information Leak Detection for Kidverse MVP
+ * Finds phone numbers, addresses, emails, school names, full names and
+ * birthdays in messages the child sends, and masks them for storage
+ *
+ * @author Stephen Thompson
+ * @version 1.0.0
+ */
+
+const { PHONE_PATTERNS, EMAIL_PATTERN } = require('../utils/entityExtractor');
+
+const MONTHS = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+const STREET_SUFFIXES = 'street|st|avenue|ave|road|rd|boulevard|blvd|lane|ln|drive|dr|court|ct|way|place|pl|circle|cir|terrace|ter|parkway|pkwy|highway|hwy';
+
+class PIILeakDetector {
+  constructor() {
+    this.initializePatterns();
+  }
+
+  initializePatterns() {
+    // Each pattern either matches the value itself, or captures it in
+    // group 1 after a lead-in phrase ("my name is ...")
+    this.piiPatterns = {
+      phoneNumber: {
+        patterns: PHONE_PATTERNS,
+        riskScore: 9,
+        mask: '[phone removed]',
+        description: 'Child shared a phone number'
+      },
+
+      email: {
+        patterns: [EMAIL_PATTERN],
+        riskScore: 8,
+        mask: '[email removed]',
+        description: 'Child shared an email address'
+      },
+
+      streetAddress: {
+        patterns: [
+          new RegExp(`\\b\\d{1,5}\\s+(?:[a-z0-9']+\\s+){1,3}(?:${STREET_SUFFIXES})\\b\\.?`, 'gi'),
+          // A lead-in alone is not enough ("i live on the 2nd floor"); it
+          // widens the match to take in a unit number
+          new RegExp(`\\b(?:i live (?:on|at)|my address is)\\s+(\\d{1,5}\\s+(?:[a-z0-9']+\\s+){1,3}(?:${STREET_SUFFIXES})\\b\\.?(?:,?\\s+(?:apt|apartment|unit|#)\\s*[a-z0-9]+)?)`, 'gi')
+        ],
+        riskScore: 9,
+        mask: '[address removed]',
+        description: 'Child shared a street address'
+      },
+
+      schoolName: {
+        patterns: [
+          /\b(?:i go to|my school is|i attend|i'm at|im at)\s+((?:[a-z0-9.']+\s+){0,3}(?:elementary|middle|high|primary|secondary|junior|academy|prep|school)(?:\s+school)?)\b/gi
+        ],
+        riskScore: 8,
+        mask: '[school removed]',
+        description: 'Child shared the name of their school'
+      },
+
+      fullName: {
+        patterns: [
+          /\b(?:[Mm]y (?:full |real )?name is|[Ii]'?m called)\s+([A-Z][a-z'-]+(?:\s+[A-Z][a-z'-]+){1,2})\b/g
+        ],
+        riskScore: 7,
+        mask: '[name removed]',
+        description: 'Child shared their full name'
+      },
+
+      birthday: {
+        patterns: [
+          new RegExp(`\\b(?:my (?:birthday|bday) is|i was born(?: on| in)?|born on)\\s+((?:${MONTHS})\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?(?:,?\\s+(?:19|20)\\d{2})?|\\d{1,2}(?:st|nd|rd|th)?\\s+(?:of\\s+)?(?:${MONTHS})(?:,?\\s+(?:19|20)\\d{2})?|\\d{1,2}[/.-]\\d{1,2}(?:[/.-](?:19|20)?\\d{2})?)`, 'gi'),
+          // Birth year alone, which with the school year narrows down a child
+          new RegExp(`\\bborn in\\s+((?:(?:${MONTHS})\\.?\\s+)?(?:19|20)\\d{2})\\b`, 'gi')
+        ],
+        riskScore: 6,
+        mask: '[birthday removed]',
+        description: 'Child shared their date of birth'
+      }
+    };
+  }
+
+  /**
+   * Find personal information in a message
+   * @param {string} message - Message sent by the child
+   * @returns {Object} { leaks, maskedMessage }
+   */
+  detect(message) {
+    const text = typeof message === 'string' ? message : String(message || '');
+    const leaks = [];
+
+    Object.entries(this.piiPatterns).forEach(([type, config]) => {
+      config.patterns.forEach(pattern => {
+        pattern.lastIndex = 0;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+          const value = match[1] || match[0];
+          const index = match.index + match[0].lastIndexOf(value);
+
+          leaks.push({
+            type,
+            text: value,
+            index,
+            length: value.length,
+            mask: config.mask,
+            riskScore: config.riskScore,
+            description: config.description
+          });
+
+          if (match[0].length === 0) {
+            pattern.lastIndex++;
+          }
+        }
+      });
+    });
+
+    const uniqueLeaks = this.removeOverlaps(leaks);
+
+    return {
+      leaks: uniqueLeaks,
+      maskedMessage: this.mask(text, uniqueLeaks)
+    };
+  }
+
+  /**
+   * Keep the higher-risk (then longer) leak where two spans overlap
+   */
+  removeOverlaps(leaks) {
+    const sorted = [...leaks].sort((a, b) =>
+      b.riskScore - a.riskScore || b.length - a.length || a.index - b.index
+    );
+    const kept = [];
+
+    sorted.forEach(leak => {
+      const overlaps = kept.some(other =>
+        leak.index < other.index + other.length && other.index < leak.index + leak.length
+      );
+      if (!overlaps) {
+        kept.push(leak);
+      }
+    });
+
+    return kept.sort((a, b) => a.index - b.index);
+  }
+
+  /**
+   * Replace each leaked value with its mask
+   */
+  mask(text, leaks) {
+    let masked = text;
+
+    [...leaks]
+      .sort((a, b) => b.index - a.index)
+      .forEach(leak => {
+        masked = masked.slice(0, leak.index) + leak.mask + masked.slice(leak.index + leak.length);
+      });
+
+    return masked;
+  }
+}
+
+module.exports = PIILeakDetector;
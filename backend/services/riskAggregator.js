@@ -0,0 +1,120 @@
+/**
+ * Risk Aggregation Model for Kidverse MVP
+ * Combines the threats found in one message into a single 0-10 risk score and
+ * confidence, and records where every point came from.
+ *
+ * The score is built in three steps:
+ *  1. Primary threat - the highest context-adjusted threat score. A message is
+ *     at least as risky as the worst thing in it.
+ *  2. Corroboration - every other threat closes part of the gap between the
+ *     primary score and 10, in proportion to its own score and confidence.
+ *     Contributions combine noisy-OR (1 - product of (1 - strength)), so more
+ *     evidence always helps but never passes 10, and together they add at most
+ *     `maxCorroboration` points.
+ *  3. Enhancers - matched context enhancers (secrecy, urgency, age gap) combine
+ *     the same way on what is left, scaled by the primary score so a weak match
+ *     stays weak, and add at most `maxEnhancerBonus` points. A pack enhancer's
+ *     `multiplier` of 1.3 closes 30% of the remaining gap.
+ *
+ * Each threat category counts once however many of its patterns matched, and
+ * nothing depends on message length, so a 7 means the same for a three-word
+ * message and a paragraph.
+ *
+ * Confidence is the chance that at least one finding is real: the primary
+ * threat's confidence, raised noisy-OR by the corroborating threats.
+ *
+ * @author Stephen Thompson
+ * @version 1.0.0
+ */
+
+const MAX_RISK = 10;
+
+const DEFAULT_LIMITS = {
+  corroborationWeight: 0.5,
+  maxCorroboration: 2,
+  maxEnhancerBonus: 2
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class RiskAggregator {
+  /**
+   * @param {Object} options
+   * @param {number} options.corroborationWeight - Share of a corroborating threat's strength that counts (0-1)
+   * @param {number} options.maxCorroboration - Most points other threats can add to the primary score
+   * @param {number} options.maxEnhancerBonus - Most points context enhancers can add
+   */
+  constructor(options = {}) {
+    this.corroborationWeight = options.corroborationWeight || DEFAULT_LIMITS.corroborationWeight;
+    this.maxCorroboration = options.maxCorroboration || DEFAULT_LIMITS.maxCorroboration;
+    this.maxEnhancerBonus = options.maxEnhancerBonus || DEFAULT_LIMITS.maxEnhancerBonus;
+  }
+
+  /**
+   * Aggregate a message's threats
+   * @param {Array<Object>} threats - Context-adjusted threats (at least one)
+   * @param {Array<Object>} enhancers - Matched context enhancers, { name, multiplier, pattern }
+   * @returns {Object} { riskScore, confidence, primary, breakdown }
+   */
+  aggregate(threats, enhancers = []) {
+    const [primary, ...others] = [...threats].sort((a, b) =>
+      b.riskScore - a.riskScore || b.confidence - a.confidence);
+    const primaryScore = Math.min(MAX_RISK, primary.riskScore);
+
+    // 2. Corroboration from the other threats
+    let unexplained = 1;
+    const corroborating = others.map(threat => {
+      const strength = this.corroborationWeight * threat.confidence * Math.min(MAX_RISK, threat.riskScore) / MAX_RISK;
+      unexplained *= 1 - strength;
+      return { type: threat.type, category: threat.category, riskScore: threat.riskScore, strength: round(strength) };
+    });
+    const corroborationPoints = Math.min(this.maxCorroboration, (MAX_RISK - primaryScore) * (1 - unexplained));
+    const corroborated = primaryScore + corroborationPoints;
+
+    // 3. Context enhancers, scaled by how serious the primary threat is
+    let unenhanced = 1;
+    const matchedEnhancers = enhancers.map(({ name, multiplier, pattern }) => {
+      const strength = Math.min(1, multiplier - 1);
+      unenhanced *= 1 - strength;
+      return { name, multiplier, pattern, strength: round(strength) };
+    });
+    const enhancerPoints = Math.min(
+      this.maxEnhancerBonus,
+      (MAX_RISK - corroborated) * (1 - unenhanced) * primaryScore / MAX_RISK
+    );
+
+    const confidence = 1 - (1 - primary.confidence) *
+      others.reduce((product, threat) => product * (1 - this.corroborationWeight * threat.confidence), 1);
+
+    return {
+      riskScore: round(Math.min(MAX_RISK, corroborated + enhancerPoints)),
+      confidence: round(confidence),
+      primary,
+      breakdown: {
+        primary: {
+          type: primary.type,
+          category: primary.category,
+          baseRiskScore: primary.baseRiskScore !== undefined ? primary.baseRiskScore : primary.riskScore,
+          contextFactors: primary.contextFactors || [],
+          riskScore: round(primaryScore),
+          confidence: primary.confidence
+        },
+        corroboration: {
+          threats: corroborating,
+          points: round(corroborationPoints),
+          cap: this.maxCorroboration
+        },
+        enhancers: {
+          matched: matchedEnhancers,
+          points: round(enhancerPoints),
+          cap: this.maxEnhancerBonus
+        }
+      }
+    };
+  }
+}
+
+module.exports = {
+  RiskAggregator,
+  MAX_RISK
+};
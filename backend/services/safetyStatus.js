@@ -0,0 +1,186 @@
+/**
+ * Family Safety Status for Kidverse MVP
+ * Computes the GET /api/status summary from stored interactions and alerts,
+ * cached per family and audience so the dashboard can poll it cheaply. New
+ * interactions, alerts, reviews and config changes invalidate a family's entries
+ *
+ * @author Stephen Thompson
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const Alert = require('../models/Alert');
+const Interaction = require('../models/Interaction');
+const { monitoringConfig } = require('./monitoringConfig');
+
+// Alerts still waiting on a guardian, and ones they have closed
+const ACTIVE_ALERT_STATUSES = ['pending', 'reviewed', 'escalated'];
+const RESOLVED_ALERT_STATUSES = ['resolved', 'dismissed'];
+
+// Who is asking: guardians see every record, everyone else only 'family'
+// records (see getAudienceFilter in routes/dashboard.js)
+const AUDIENCES = ['family', 'guardians'];
+
+// Overall status from the most severe active alert
+const STATUS_FOR_SEVERITY = {
+  critical: 'critical',
+  high: 'warning',
+  medium: 'warning',
+  low: 'safe'
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Bounds how stale the 24-hour and 7-day windows get when nothing new arrives
+const DEFAULT_CACHE_TTL_MS = 60 * 1000;
+
+class SafetyStatusService {
+  /**
+   * @param {Object} options
+   * @param {Model} options.alertModel - Stored alerts (defaults to the Alert model)
+   * @param {Model} options.interactionModel - Stored interactions (defaults to the Interaction model)
+   * @param {MonitoringConfigService} options.monitoringConfig - Source of monitoringEnabled (defaults to the shared service)
+   * @param {number} options.cacheTtlMs - How long a computed summary is served (or STATUS_CACHE_TTL_MS)
+   */
+  constructor(options = {}) {
+    this.alertModel = options.alertModel || Alert;
+    this.interactionModel = options.interactionModel || Interaction;
+    this.monitoringConfig = options.monitoringConfig || monitoringConfig;
+    this.cacheTtlMs = options.cacheTtlMs || parseInt(process.env.STATUS_CACHE_TTL_MS) || DEFAULT_CACHE_TTL_MS;
+    this.cache = new Map(); // `${familyId}:${audience}` -> { summary, expiresAt }
+    this.generations = new Map(); // familyId -> invalidation count, so a summary computed across an invalidation is not cached
+  }
+
+  /**
+   * A family's safety summary for one audience, computed at most once per cache lifetime
+   * @param {string} familyId - Family to summarize
+   * @param {string} audience - 'guardians' to include guardian-only records, else 'family'
+   * @returns {Promise<Object>} { overallStatus, lastUpdated, statistics, activeAlertsBySeverity, recentActivity }
+   */
+  async getStatus(familyId, audience = 'family') {
+    const family = familyId.toString();
+    const key = this.getCacheKey(family, audience);
+    const cached = this.cache.get(key);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.summary;
+    }
+
+    const generation = this.generations.get(family) || 0;
+    const summary = await this.computeStatus(family, audience);
+
+    // Anything stored while computing may be missing from this summary
+    if ((this.generations.get(family) || 0) === generation) {
+      this.cache.set(key, { summary, expiresAt: Date.now() + this.cacheTtlMs });
+    }
+    return summary;
+  }
+
+  /**
+   * Drop a family's cached summaries; the next request recomputes them
+   */
+  invalidate(familyId) {
+    if (familyId) {
+      const family = familyId.toString();
+      this.generations.set(family, (this.generations.get(family) || 0) + 1);
+      AUDIENCES.forEach(audience => this.cache.delete(this.getCacheKey(family, audience)));
+    }
+  }
+
+  getCacheKey(familyId, audience) {
+    return `${familyId}:${audience === 'guardians' ? 'guardians' : 'family'}`;
+  }
+
+  /**
+   * Compute a family's summary for one audience from the database
+   */
+  async computeStatus(familyId, audience = 'family') {
+    const now = Date.now();
+    const since24Hours = new Date(now - DAY);
+    const since7Days = new Date(now - 7 * DAY);
+    const audienceFilter = audience === 'guardians' ? {} : { audience: { $ne: 'guardians' } };
+    const interactions = (filter = {}) => this.interactionModel.countDocuments({ familyId, ...audienceFilter, ...filter });
+    const alerts = (filter = {}) => this.alertModel.countDocuments({ familyId, ...audienceFilter, ...filter });
+
+    const [
+      totalInteractions,
+      flaggedInteractions,
+      resolvedAlerts,
+      interactions24Hours,
+      interactions7Days,
+      alerts24Hours,
+      alerts7Days,
+      activeBySeverity,
+      config
+    ] = await Promise.all([
+      interactions(),
+      interactions({ flagged: true }),
+      alerts({ status: { $in: RESOLVED_ALERT_STATUSES } }),
+      interactions({ timestamp: { $gte: since24Hours } }),
+      interactions({ timestamp: { $gte: since7Days } }),
+      alerts({ timestamp: { $gte: since24Hours } }),
+      alerts({ timestamp: { $gte: since7Days } }),
+      this.alertModel.aggregate([
+        { $match: { familyId: this.toObjectId(familyId), ...audienceFilter, status: { $in: ACTIVE_ALERT_STATUSES } } },
+        { $group: { _id: '$severity', count: { $sum: 1 } } }
+      ]),
+      this.monitoringConfig.getConfig(familyId)
+    ]);
+
+    const activeAlertsBySeverity = { critical: 0, high: 0, medium: 0, low: 0 };
+    activeBySeverity.forEach(({ _id, count }) => {
+      if (activeAlertsBySeverity[_id] !== undefined) {
+        activeAlertsBySeverity[_id] = count;
+      }
+    });
+
+    return {
+      overallStatus: this.getOverallStatus(activeAlertsBySeverity),
+      lastUpdated: new Date(now).toISOString(),
+      statistics: {
+        totalInteractions,
+        flaggedInteractions,
+        activeAlerts: Object.values(activeAlertsBySeverity).reduce((sum, count) => sum + count, 0),
+        resolvedAlerts,
+        monitoringEnabled: config.monitoringEnabled
+      },
+      activeAlertsBySeverity,
+      recentActivity: {
+        last24Hours: {
+          interactions: interactions24Hours,
+          alerts: alerts24Hours
+        },
+        last7Days: {
+          interactions: interactions7Days,
+          alerts: alerts7Days
+        }
+      }
+    };
+  }
+
+  /**
+   * 'critical', 'warning' or 'safe' from the most severe active alert
+   */
+  getOverallStatus(activeAlertsBySeverity) {
+    const worst = ['critical', 'high', 'medium', 'low'].find(severity => activeAlertsBySeverity[severity] > 0);
+    return worst ? STATUS_FOR_SEVERITY[worst] : 'safe';
+  }
+
+  /**
+   * Aggregation pipelines are not cast by the schema, so match on a real ObjectId
+   */
+  toObjectId(familyId) {
+    return new mongoose.Types.ObjectId(familyId);
+  }
+}
+
+// Create singleton instance
+const safetyStatus = new SafetyStatusService();
+
+module.exports = {
+  SafetyStatusService,
+  safetyStatus,
+  AUDIENCES,
+  ACTIVE_ALERT_STATUSES,
+  RESOLVED_ALERT_STATUSES
+};
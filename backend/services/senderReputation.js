@@ -0,0 +1,204 @@
+/**
+ * Cross-Family Sender Reputation for Kidverse MVP
+ * Remembers which senders guardians have confirmed alerts about, across
+ * every family, so a bad actor who moves from child to child is recognised.
+ * Only reviewed alerts count: an alert a guardian dismissed, or has not yet
+ * looked at, never does. Families and alerts are stored only as keyed hashes
+ * and no message text or child ids are kept, so a summary never reveals who
+ * else reported a sender or what was said.
+ *
+ * @author Stephen Thompson
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const Alert = require('../models/Alert');
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_REPORTS_PER_SENDER = 500;
+
+// Review actions that confirm an alert; any other action withdraws it
+const CONFIRMED_ACTIONS = ['resolved', 'escalated'];
+
+// Reputation levels, highest first; a sender needs both thresholds, so
+// one family confirming many alerts never reaches 'elevated' on its own
+const REPUTATION_LEVELS = [
+  { level: 'high', minFamilies: 3, minAlerts: 10 },
+  { level: 'elevated', minFamilies: 2, minAlerts: 3 },
+  { level: 'low', minFamilies: 1, minAlerts: 1 }
+];
+
+class SenderReputationService {
+  /**
+   * @param {Object} options
+   * @param {string} options.secret - Key for hashing family ids (or REPUTATION_SECRET)
+   * @param {number} options.windowDays - Alerts older than this are forgotten
+   * @param {number} options.minAlertRisk - Lowest overall risk that counts against a sender
+   * @param {Model} options.alertModel - Stored alerts to rebuild from (defaults to the Alert model)
+   */
+  constructor(options = {}) {
+    this.secret = options.secret || process.env.REPUTATION_SECRET || crypto.randomBytes(32).toString('hex');
+    this.windowDays = options.windowDays || 90;
+    this.minAlertRisk = options.minAlertRisk || 5;
+    this.alertModel = options.alertModel || Alert;
+    this.senders = new Map(); // platform:senderId -> Array of reports
+  }
+
+  /**
+   * Store key for a sender; user names are not case sensitive on most platforms
+   */
+  getSenderKey(platform, senderId) {
+    return `${platform.toString().trim().toLowerCase()}:${senderId.toString().trim().toLowerCase()}`;
+  }
+
+  /**
+   * Keyed hash of a family or alert id, so reports can be counted without storing it
+   */
+  hashId(id) {
+    return crypto.createHmac('sha256', this.secret).update(id.toString()).digest('hex');
+  }
+
+  /**
+   * Rebuild every sender's history from guardian-confirmed alerts still in
+   * the window; call once connected
+   * @returns {Promise<number>} Number of alerts counted
+   */
+  async loadAll() {
+    const alerts = await this.alertModel.find({
+      status: { $in: CONFIRMED_ACTIONS },
+      platform: { $exists: true, $ne: null },
+      senderId: { $exists: true, $ne: null },
+      timestamp: { $gte: new Date(Date.now() - this.windowDays * DAY) }
+    })
+      .select('platform senderId familyId riskScore category timestamp')
+      .lean();
+
+    this.senders.clear();
+    return alerts.filter(alert => this.recordAlert(alert)).length;
+  }
+
+  /**
+   * Apply a guardian's review of an alert: confirming it counts against the
+   * sender, any other action withdraws it. Reviewing again replaces the
+   * earlier decision.
+   * @param {Object} alert - Stored alert: { _id, platform, senderId, familyId, riskScore, category, timestamp }
+   * @param {string} action - 'resolved', 'escalated', 'dismissed' or 'pending'
+   * @returns {boolean} Whether the alert now counts against the sender
+   */
+  recordReview(alert, action) {
+    if (CONFIRMED_ACTIONS.includes(action)) {
+      return this.recordAlert(alert);
+    }
+    this.withdrawAlert(alert);
+    return false;
+  }
+
+  /**
+   * Count a confirmed alert against its sender, once however often it is reviewed
+   * @param {Object} alert - { _id, platform, senderId, familyId, riskScore, category, timestamp }
+   * @returns {boolean} Whether the alert counted against the sender
+   */
+  recordAlert(alert) {
+    if (!alert._id || !alert.platform || !alert.senderId || !alert.familyId || !(alert.riskScore >= this.minAlertRisk)) {
+      return false;
+    }
+
+    const key = this.getSenderKey(alert.platform, alert.senderId);
+    const alertHash = this.hashId(alert._id);
+    const reports = this.prune(this.senders.get(key) || []).filter(report => report.alert !== alertHash);
+
+    reports.push({
+      alert: alertHash,
+      family: this.hashId(alert.familyId),
+      alertCategory: alert.category || 'predatory_behavior',
+      riskScore: alert.riskScore,
+      timestamp: alert.timestamp ? new Date(alert.timestamp) : new Date()
+    });
+
+    // Reviews arrive in any order; keep reports oldest first
+    reports.sort((a, b) => a.timestamp - b.timestamp);
+    if (reports.length > MAX_REPORTS_PER_SENDER) {
+      reports.shift();
+    }
+
+    this.senders.set(key, reports);
+    return true;
+  }
+
+  /**
+   * Stop counting an alert, e.g. when a guardian dismisses it after confirming
+   * @returns {boolean} Whether the alert had been counted
+   */
+  withdrawAlert(alert) {
+    if (!alert._id || !alert.platform || !alert.senderId) {
+      return false;
+    }
+
+    const key = this.getSenderKey(alert.platform, alert.senderId);
+    const alertHash = this.hashId(alert._id);
+    const reports = this.senders.get(key) || [];
+    const remaining = reports.filter(report => report.alert !== alertHash);
+
+    if (remaining.length === 0) {
+      this.senders.delete(key);
+    } else {
+      this.senders.set(key, remaining);
+    }
+    return remaining.length < reports.length;
+  }
+
+  /**
+   * Anonymized risk summary for a sender
+   * @param {string} platform - Platform the sender is on (e.g. 'Roblox')
+   * @param {string} senderId - Sender's user id or name on that platform
+   * @param {string} familyId - Family asking; only used to say whether it reported the sender too
+   * @returns {Object} { platform, senderId, level, alertCount, familyCount, categories, peakRisk, firstSeen, lastSeen, reportedByYourFamily }
+   */
+  getSummary(platform, senderId, familyId) {
+    const key = this.getSenderKey(platform, senderId);
+    const reports = this.prune(this.senders.get(key) || []);
+    const families = new Set(reports.map(report => report.family));
+    const categories = {};
+
+    reports.forEach(report => {
+      categories[report.alertCategory] = (categories[report.alertCategory] || 0) + 1;
+    });
+
+    const matched = REPUTATION_LEVELS.find(({ minFamilies, minAlerts }) =>
+      families.size >= minFamilies && reports.length >= minAlerts);
+
+    // Dates only, so a summary can't be lined up with another family's alert times
+    const day = (date) => date.toISOString().slice(0, 10);
+
+    return {
+      platform: key.split(':')[0],
+      senderId: key.slice(key.indexOf(':') + 1),
+      level: matched ? matched.level : 'none',
+      alertCount: reports.length,
+      familyCount: families.size,
+      categories,
+      peakRisk: reports.length > 0 ? Math.max(...reports.map(report => report.riskScore)) : 0,
+      firstSeen: reports.length > 0 ? day(reports[0].timestamp) : null,
+      lastSeen: reports.length > 0 ? day(reports[reports.length - 1].timestamp) : null,
+      reportedByYourFamily: familyId ? families.has(this.hashId(familyId)) : false
+    };
+  }
+
+  /**
+   * Drop reports older than the window
+   */
+  prune(reports) {
+    const cutoff = Date.now() - this.windowDays * DAY;
+    return reports.filter(report => report.timestamp.getTime() >= cutoff);
+  }
+}
+
+// Create singleton instance
+const senderReputation = new SenderReputationService();
+
+module.exports = {
+  SenderReputationService,
+  senderReputation,
+  REPUTATION_LEVELS,
+  CONFIRMED_ACTIONS
+};
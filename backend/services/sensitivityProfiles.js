@@ -0,0 +1,218 @@
+/**
+ * Age-Aware Sensitivity Profiles for Kidverse MVP
+ * Picks a detection profile from the child's age band (config/sensitivityProfiles.json)
+ * so "do you have a boyfriend" weighs more for a 7-year-old than a 16-year-old.
+ * Parents can switch a child to another profile or fine-tune it; overrides
+ * are stored with the family's config (see services/monitoringConfig.js).
+ *
+ * @author Stephen Thompson
+ * @version 1.0.0
+ */
+
+const sensitivityConfig = require('../config/sensitivityProfiles.json');
+const { THREAT_TYPE_GROUPS } = require('./patternPackLoader');
+
+const YEAR = 365.25 * 24 * 60 * 60 * 1000;
+
+// Recommendation priorities, highest first (see generateRecommendations)
+const PRIORITIES = ['critical', 'high', 'medium', 'low'];
+
+// Used when no profile applies, e.g. the child's age is unknown
+const DEFAULT_RECOMMENDATION_THRESHOLDS = { critical: 9, high: 7, medium: 5, low: 3 };
+
+const MIN_ADJUSTMENT = 0.25;
+const MAX_ADJUSTMENT = 3;
+
+class SensitivityProfileService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.profiles - Profiles by name (defaults to config/sensitivityProfiles.json)
+   */
+  constructor(options = {}) {
+    this.profiles = options.profiles || sensitivityConfig.profiles;
+    this.overrides = new Map(); // `${familyId}:${childId}` -> { profile, riskAdjustments, recommendationThresholds }
+  }
+
+  /**
+   * Child's age in whole years, from childAge or childDateOfBirth
+   * @returns {number|null} Age, or null when unknown
+   */
+  getChildAge(context) {
+    if (typeof context.childAge === 'number' && context.childAge > 0) {
+      return context.childAge;
+    }
+    if (context.childDateOfBirth) {
+      const born = new Date(context.childDateOfBirth).getTime();
+      // Same calculation as validateChildProfile
+      return isNaN(born) ? null : Math.floor((Date.now() - born) / YEAR);
+    }
+    return null;
+  }
+
+  /**
+   * Name of the profile whose age band contains `age`
+   */
+  getProfileNameForAge(age) {
+    if (age === null) {
+      return null;
+    }
+    const match = Object.entries(this.profiles).find(([, profile]) => age >= profile.minAge && age <= profile.maxAge);
+    return match ? match[0] : null;
+  }
+
+  /**
+   * Profile for a message's child: the parent's override, else the age band
+   * @param {Object} context - Detection context with familyId, childId and childAge or childDateOfBirth
+   * @returns {Object|null} { name, label, source, riskAdjustments, recommendationThresholds },
+   *   or null when neither an override nor an age picks a profile
+   */
+  resolve(context) {
+    const override = context.familyId && context.childId
+      ? this.overrides.get(this.getChildKey(context.familyId, context.childId))
+      : null;
+
+    const name = override && override.profile
+      ? override.profile
+      : this.getProfileNameForAge(this.getChildAge(context));
+
+    if (!name && !override) {
+      return null;
+    }
+
+    const base = name ? this.profiles[name] : {};
+
+    return {
+      name: name || 'custom',
+      label: base.label || 'Custom',
+      source: override ? 'override' : 'age',
+      riskAdjustments: { ...base.riskAdjustments, ...(override && override.riskAdjustments) },
+      recommendationThresholds: {
+        ...DEFAULT_RECOMMENDATION_THRESHOLDS,
+        ...base.recommendationThresholds,
+        ...(override && override.recommendationThresholds)
+      }
+    };
+  }
+
+  /**
+   * Multiplier a profile applies to one threat; type.category beats type
+   */
+  getAdjustment(profile, threat) {
+    const adjustments = profile.riskAdjustments;
+    return adjustments[`${threat.type}.${threat.category}`] || adjustments[threat.type] || 1;
+  }
+
+  /**
+   * Validate a parent's override
+   * @param {Object} override - { profile, riskAdjustments, recommendationThresholds }, all optional
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  validateOverride(override) {
+    if (!override || typeof override !== 'object' || Array.isArray(override)) {
+      return ['Override must be an object'];
+    }
+
+    const errors = [];
+    const { profile, riskAdjustments, recommendationThresholds } = override;
+
+    if (profile !== undefined && !this.profiles[profile]) {
+      errors.push(`profile must be one of: ${Object.keys(this.profiles).join(', ')}`);
+    }
+
+    if (riskAdjustments !== undefined) {
+      if (!riskAdjustments || typeof riskAdjustments !== 'object' || Array.isArray(riskAdjustments)) {
+        errors.push('riskAdjustments must be an object');
+      } else {
+        Object.entries(riskAdjustments).forEach(([key, multiplier]) => {
+          if (!THREAT_TYPE_GROUPS[key.split('.')[0]] || key.split('.').length > 2) {
+            errors.push(`riskAdjustments.${key} must be a threat type or type.category ` +
+              `(types: ${Object.keys(THREAT_TYPE_GROUPS).join(', ')})`);
+          } else if (typeof multiplier !== 'number' || multiplier < MIN_ADJUSTMENT || multiplier > MAX_ADJUSTMENT) {
+            errors.push(`riskAdjustments.${key} must be a number from ${MIN_ADJUSTMENT} to ${MAX_ADJUSTMENT}`);
+          }
+        });
+      }
+    }
+
+    if (recommendationThresholds !== undefined) {
+      if (!recommendationThresholds || typeof recommendationThresholds !== 'object' || Array.isArray(recommendationThresholds)) {
+        errors.push('recommendationThresholds must be an object');
+      } else {
+        Object.entries(recommendationThresholds).forEach(([priority, score]) => {
+          if (!PRIORITIES.includes(priority)) {
+            errors.push(`recommendationThresholds.${priority} is not a priority (${PRIORITIES.join(', ')})`);
+          } else if (typeof score !== 'number' || score < 0 || score > 10) {
+            errors.push(`recommendationThresholds.${priority} must be a number from 0 to 10`);
+          }
+        });
+
+        const base = (profile && this.profiles[profile]) || {};
+        const merged = { ...DEFAULT_RECOMMENDATION_THRESHOLDS, ...base.recommendationThresholds, ...recommendationThresholds };
+        if (errors.length === 0 && PRIORITIES.some((priority, i) => i > 0 && merged[priority] >= merged[PRIORITIES[i - 1]])) {
+          errors.push('recommendationThresholds must decrease from critical to low');
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * A child's override, or null when the age band applies
+   */
+  getOverride(familyId, childId) {
+    return this.overrides.get(this.getChildKey(familyId, childId)) || null;
+  }
+
+  /**
+   * The stored form of a validated override
+   * @param {Object} override - { profile, riskAdjustments, recommendationThresholds, updatedAt }
+   */
+  buildOverride(override) {
+    return {
+      profile: override.profile || null,
+      riskAdjustments: override.riskAdjustments || {},
+      recommendationThresholds: override.recommendationThresholds || {},
+      updatedAt: override.updatedAt ? new Date(override.updatedAt) : new Date()
+    };
+  }
+
+  /**
+   * Replace a child's override
+   * @param {Object} override - Validated { profile, riskAdjustments, recommendationThresholds },
+   *   plus updatedAt when loaded from storage
+   */
+  setOverride(familyId, childId, override) {
+    const stored = this.buildOverride(override);
+    this.overrides.set(this.getChildKey(familyId, childId), stored);
+    return stored;
+  }
+
+  /**
+   * Go back to the age band profile
+   * @returns {boolean} Whether the child had an override
+   */
+  clearOverride(familyId, childId) {
+    return this.overrides.delete(this.getChildKey(familyId, childId));
+  }
+
+  /**
+   * Available profiles, for the settings screen
+   */
+  listProfiles() {
+    return Object.entries(this.profiles).map(([name, profile]) => ({ name, ...profile }));
+  }
+
+  getChildKey(familyId, childId) {
+    return `${familyId}:${childId}`;
+  }
+}
+
+// Create singleton instance
+const sensitivityProfiles = new SensitivityProfileService();
+
+module.exports = {
+  SensitivityProfileService,
+  sensitivityProfiles,
+  DEFAULT_RECOMMENDATION_THRESHOLDS
+};
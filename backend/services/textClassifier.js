@@ -0,0 +1,322 @@
+/**
+ * Offline Text Classifier for Kidverse MVP
+ * Multinomial naive Bayes over character n-grams of normalized text, so
+ * paraphrases the regex packs miss ("ur parents dont need to know") still
+ * score. CPU-only, trained by scripts/trainClassifier.js and saved as JSON.
+ *
+ * @author Stephen Thompson
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const TextNormalizer = require('../utils/textNormalizer');
+
+const DEFAULT_MODEL_FILE = path.join(__dirname, '..', 'data', 'classifier', 'model.json');
+const SAFE_LABEL = 'safe';
+const MODEL_FORMAT = 1;
+
+// riskProbability needed to flag a message (AlertDetectionService's default)
+const DEFAULT_FLAG_THRESHOLD = 0.6;
+
+// Held-out precision a model needs before detection uses it unasked
+const DEFAULT_MIN_PRECISION = 0.9;
+
+class TextClassifier {
+  /**
+   * @param {Object} options
+   * @param {Array<number>} options.ngramRange - [min, max] character n-gram lengths
+   * @param {number} options.alpha - Laplace smoothing
+   * @param {number} options.minFeatureCount - Drop n-grams seen fewer times than this in training
+   * @param {number} options.sharpness - Evidence weight per message; naive Bayes treats overlapping
+   *   n-grams as independent, so raw sums make every prediction near 0 or 1
+   * @param {number} options.minEvidence - Known n-grams needed for full confidence; shorter
+   *   messages ("ok", "lol") lean towards the class priors
+   * @param {number} options.safePrior - Share of real chat that is safe; a training corpus is
+   *   mostly threats, so its own label balance would overstate risk
+   */
+  constructor(options = {}) {
+    this.ngramRange = options.ngramRange || [2, 4];
+    this.alpha = options.alpha || 1;
+    this.minFeatureCount = options.minFeatureCount || 2;
+    this.sharpness = options.sharpness || 16;
+    this.minEvidence = options.minEvidence || 40;
+    this.safePrior = options.safePrior || 0.6;
+    this.normalizer = new TextNormalizer();
+    this.reset();
+  }
+
+  reset() {
+    this.labels = [];
+    this.docCounts = [];
+    this.totals = [];
+    this.features = new Map(); // n-gram -> count per label index
+    this.trainedAt = null;
+    this.evaluation = null;
+  }
+
+  /**
+   * Character n-gram counts for a message, on normalized text
+   * @param {string|Object} message - Raw text, or a TextNormalizer result
+   */
+  extractFeatures(message) {
+    const text = typeof message === 'string' ? this.normalizer.normalize(message).text : message.text;
+    const padded = ` ${text.replace(/[^a-z0-9' ]+/g, ' ').replace(/\s+/g, ' ').trim()} `;
+    const counts = new Map();
+    const [min, max] = this.ngramRange;
+
+    for (let n = min; n <= max; n++) {
+      for (let i = 0; i + n <= padded.length; i++) {
+        const gram = padded.slice(i, i + n);
+        if (gram.trim().length > 0) {
+          counts.set(gram, (counts.get(gram) || 0) + 1);
+        }
+      }
+    }
+
+    return counts;
+  }
+
+  /**
+   * Train from labeled examples, replacing any current model
+   * @param {Array<Object>} examples - { text, label }
+   * @returns {TextClassifier} this
+   */
+  train(examples) {
+    if (!Array.isArray(examples) || examples.length === 0) {
+      throw new Error('Training needs at least one labeled example');
+    }
+
+    this.reset();
+    this.labels = [...new Set(examples.map(example => example.label))].sort();
+
+    if (!this.labels.includes(SAFE_LABEL)) {
+      throw new Error(`Training corpus must include "${SAFE_LABEL}" examples`);
+    }
+
+    this.docCounts = this.labels.map(() => 0);
+    const raw = new Map();
+
+    examples.forEach(({ text, label }) => {
+      const labelIndex = this.labels.indexOf(label);
+      this.docCounts[labelIndex]++;
+
+      this.extractFeatures(text).forEach((count, gram) => {
+        if (!raw.has(gram)) {
+          raw.set(gram, this.labels.map(() => 0));
+        }
+        raw.get(gram)[labelIndex] += count;
+      });
+    });
+
+    raw.forEach((counts, gram) => {
+      if (counts.reduce((sum, count) => sum + count, 0) >= this.minFeatureCount) {
+        this.features.set(gram, counts);
+      }
+    });
+
+    this.totals = this.labels.map((_, labelIndex) => {
+      let total = 0;
+      this.features.forEach(counts => { total += counts[labelIndex]; });
+      return total;
+    });
+
+    this.trainedAt = new Date().toISOString();
+    return this;
+  }
+
+  /**
+   * Score the model on examples it was not trained on
+   * A message counts as flagged when its top label is a threat with
+   * riskProbability at or above `threshold`, as in AlertDetectionService
+   * @param {Array<Object>} examples - Held-out { text, label }
+   * @param {number} threshold - riskProbability needed to flag
+   * @returns {Object} { examples, threshold, precision, recall, accuracy, falsePositives, evaluatedAt }
+   */
+  evaluate(examples, threshold = DEFAULT_FLAG_THRESHOLD) {
+    let truePositives = 0;
+    let correct = 0;
+    const falsePositives = [];
+    const threats = examples.filter(example => example.label !== SAFE_LABEL).length;
+
+    examples.forEach(example => {
+      const prediction = this.predict(example.text);
+      const flagged = prediction.label !== SAFE_LABEL && prediction.riskProbability >= threshold;
+
+      if (prediction.label === example.label) {
+        correct++;
+      }
+      if (flagged && example.label !== SAFE_LABEL) {
+        truePositives++;
+      } else if (flagged) {
+        falsePositives.push(example.text);
+      }
+    });
+
+    const flaggedCount = truePositives + falsePositives.length;
+    const round = (value) => Math.round(value * 1000) / 1000;
+
+    this.evaluation = {
+      examples: examples.length,
+      threshold,
+      // Nothing flagged means nothing to vouch for, not perfect precision
+      precision: flaggedCount > 0 ? round(truePositives / flaggedCount) : 0,
+      recall: threats > 0 ? round(truePositives / threats) : 0,
+      accuracy: examples.length > 0 ? round(correct / examples.length) : 0,
+      falsePositives,
+      evaluatedAt: new Date().toISOString()
+    };
+
+    return this.evaluation;
+  }
+
+  /**
+   * Whether the model's held-out precision reaches `minPrecision`; a model
+   * saved without an evaluation never does
+   */
+  meetsPrecision(minPrecision = DEFAULT_MIN_PRECISION) {
+    return Boolean(this.evaluation) && this.evaluation.precision >= minPrecision;
+  }
+
+  /**
+   * Whether a model has been trained or loaded
+   */
+  isReady() {
+    return this.labels.length > 0;
+  }
+
+  /**
+   * Classify a message
+   * @param {string|Object} message - Raw text, or a TextNormalizer result
+   * @returns {Object} { label, probability, riskProbability, probabilities }
+   */
+  predict(message) {
+    if (!this.isReady()) {
+      throw new Error('Classifier has no model; train or load one first');
+    }
+
+    const features = this.extractFeatures(message);
+    const priors = this.getPriors();
+    const vocabulary = this.features.size;
+
+    let observed = 0;
+    features.forEach((count, gram) => {
+      if (this.features.has(gram)) observed += count;
+    });
+
+    const logScores = this.labels.map((_, labelIndex) => {
+      const denominator = Math.log(this.totals[labelIndex] + this.alpha * vocabulary);
+      let likelihood = 0;
+
+      features.forEach((count, gram) => {
+        const known = this.features.get(gram);
+        if (known) {
+          likelihood += count * (Math.log(known[labelIndex] + this.alpha) - denominator);
+        }
+      });
+
+      // Average per n-gram so long and short messages are equally sure
+      const support = Math.min(1, observed / this.minEvidence);
+      const evidence = observed > 0 ? (likelihood / observed) * this.sharpness * support : 0;
+      return Math.log(priors[labelIndex]) + evidence;
+    });
+
+    // Softmax in log space
+    const peak = Math.max(...logScores);
+    const exps = logScores.map(score => Math.exp(score - peak));
+    const sum = exps.reduce((total, value) => total + value, 0);
+
+    const probabilities = {};
+    this.labels.forEach((label, labelIndex) => {
+      probabilities[label] = exps[labelIndex] / sum;
+    });
+
+    const label = this.labels[logScores.indexOf(peak)];
+
+    return {
+      label,
+      probability: probabilities[label],
+      riskProbability: 1 - probabilities[SAFE_LABEL],
+      probabilities
+    };
+  }
+
+  /**
+   * Class priors: safePrior for "safe", the rest split by training counts
+   */
+  getPriors() {
+    const threatDocs = this.docCounts.reduce((sum, count, index) =>
+      this.labels[index] === SAFE_LABEL ? sum : sum + count, 0);
+
+    return this.labels.map((label, index) =>
+      label === SAFE_LABEL
+        ? this.safePrior
+        : (1 - this.safePrior) * this.docCounts[index] / threatDocs
+    );
+  }
+
+  /**
+   * Plain JSON form of the model
+   */
+  toJSON() {
+    return {
+      format: MODEL_FORMAT,
+      trainedAt: this.trainedAt,
+      ngramRange: this.ngramRange,
+      alpha: this.alpha,
+      minFeatureCount: this.minFeatureCount,
+      sharpness: this.sharpness,
+      minEvidence: this.minEvidence,
+      safePrior: this.safePrior,
+      labels: this.labels,
+      docCounts: this.docCounts,
+      totals: this.totals,
+      evaluation: this.evaluation,
+      features: Object.fromEntries(this.features)
+    };
+  }
+
+  /**
+   * Save the model to disk
+   */
+  save(filePath = DEFAULT_MODEL_FILE) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(this.toJSON()));
+    return filePath;
+  }
+
+  /**
+   * Load a saved model from disk
+   * @throws {Error} When the file is missing or not a model this version understands
+   */
+  load(filePath = DEFAULT_MODEL_FILE) {
+    const model = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    if (model.format !== MODEL_FORMAT) {
+      throw new Error(`Unsupported classifier model format ${model.format} in ${filePath}`);
+    }
+
+    this.ngramRange = model.ngramRange;
+    this.alpha = model.alpha;
+    this.minFeatureCount = model.minFeatureCount;
+    this.sharpness = model.sharpness;
+    this.minEvidence = model.minEvidence;
+    this.safePrior = model.safePrior;
+    this.labels = model.labels;
+    this.docCounts = model.docCounts;
+    this.totals = model.totals;
+    this.features = new Map(Object.entries(model.features));
+    this.trainedAt = model.trainedAt;
+    this.evaluation = model.evaluation || null;
+
+    return this;
+  }
+}
+
+module.exports = {
+  TextClassifier,
+  DEFAULT_MODEL_FILE,
+  SAFE_LABEL,
+  DEFAULT_FLAG_THRESHOLD,
+  DEFAULT_MIN_PRECISION
+};
@@ -0,0 +1,186 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const analyzeRoutes = require('../../routes/analyze');
+const { messageMonitor } = require('../../services/messageMonitor');
+const { DetectionPoolError } = require('../../services/detectionPool');
+
+const familyId = new mongoose.Types.ObjectId().toString();
+const childId = new mongoose.Types.ObjectId().toString();
+
+// The analyze router behind a stand-in for authenticateToken
+const createApp = (user = { userId: 'parent-1', familyId, role: 'parent' }) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.use('/api/analyze', analyzeRoutes);
+  return app;
+};
+
+const distress = { analysis: { audience: 'guardians', threats: [{ type: 'child_distress' }] }, alert: { id: 'alert-1' } };
+
+describe('analyze routes', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('rejects accounts without a family', async () => {
+    const res = await request(createApp({ userId: 'u', role: 'parent' })).post('/api/analyze').send({ message: 'hi' });
+    expect(res.status).toBe(403);
+  });
+
+  test('rejects an invalid context timestamp', async () => {
+    const analyze = jest.spyOn(messageMonitor, 'analyze');
+
+    const res = await request(createApp()).post('/api/analyze')
+      .send({ message: 'hi', context: { timestamp: 'not a date' } });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: 'Invalid request', message: 'context.timestamp must be a valid date' });
+    expect(analyze).not.toHaveBeenCalled();
+  });
+
+  test('rejects an invalid timestamp on a batched message', async () => {
+    const res = await request(createApp()).post('/api/analyze')
+      .send({ messages: [{ text: 'hi', timestamp: 'soon' }] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('messages[0].timestamp must be a valid date');
+  });
+
+  test('analyzes one message in the caller\'s family', async () => {
+    const analyze = jest.spyOn(messageMonitor, 'analyze').mockResolvedValue(distress);
+
+    const res = await request(createApp()).post('/api/analyze')
+      .send({ message: 'i feel so alone', context: { childId, familyId: 'someone-else', timestamp: '2026-05-01T10:00:00Z' } });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(distress);
+    expect(analyze).toHaveBeenCalledWith('i feel so alone', { familyId, childId, timestamp: '2026-05-01T10:00:00Z' });
+  });
+
+  test('withholds guardian-only results from a child', async () => {
+    jest.spyOn(messageMonitor, 'analyze').mockResolvedValue(distress);
+
+    const res = await request(createApp({ userId: childId, familyId, role: 'child' })).post('/api/analyze')
+      .send({ message: 'i feel so alone' });
+
+    expect(res.body).toEqual({ analysis: { audience: 'guardians', withheld: true }, alert: null });
+  });
+
+  test('reports a paused family as not analyzed', async () => {
+    jest.spyOn(messageMonitor.familySettings, 'isMonitoringEnabled').mockReturnValue(false);
+
+    const res = await request(createApp()).post('/api/analyze').send({ messages: ['a', 'b'] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.count).toBe(2);
+    expect(res.body.alertsCreated).toBe(0);
+    expect(res.body.results.map(result => result.monitoringEnabled)).toEqual([false, false]);
+  });
+
+  test('counts the alerts a batch created', async () => {
+    jest.spyOn(messageMonitor, 'analyzeBatch').mockResolvedValue([
+      { message: 'a', analysis: { audience: 'family' }, alert: null },
+      { message: 'b', analysis: { audience: 'family' }, alert: { id: 'alert-2' } }
+    ]);
+
+    const res = await request(createApp()).post('/api/analyze').send({ messages: ['a', 'b'] });
+
+    expect(res.body).toMatchObject({ count: 2, alertsCreated: 1 });
+  });
+
+  describe('POST /api/analyze/events', () => {
+    const senderId = 'stranger-42';
+
+    // Per-message detection in-process instead of on the pool, and nothing stored
+    const analyzeInProcess = () => {
+      jest.spyOn(messageMonitor.pool, 'analyze')
+        .mockImplementation(async (text, context) => messageMonitor.detector.analyzeMessage(text, context));
+      jest.spyOn(messageMonitor.interactionModel, 'create').mockResolvedValue({});
+      jest.spyOn(messageMonitor.alertModel, 'create').mockImplementation(async (alert) => ({ _id: 'alert-1', ...alert }));
+      jest.spyOn(messageMonitor.safetyStatus, 'invalidate').mockImplementation(() => {});
+      jest.spyOn(messageMonitor.linkExpander, 'expandLinks').mockResolvedValue({});
+    };
+
+    test('flags a blocked sender who makes contact again', async () => {
+      analyzeInProcess();
+      const blockedChild = new mongoose.Types.ObjectId().toString();
+      const app = createApp();
+
+      const blocked = await request(app).post('/api/analyze/events')
+        .send({ event: 'block', context: { senderId, childId: blockedChild, timestamp: '2026-05-01T10:00:00Z' } });
+      expect(blocked.status).toBe(200);
+      expect(blocked.body).toMatchObject({ event: 'block', senderId, childId: blockedChild, recorded: true });
+
+      const res = await request(app).post('/api/analyze')
+        .send({ message: 'hey why did you block me', context: { senderId, childId: blockedChild, timestamp: '2026-05-01T12:00:00Z' } });
+
+      expect(res.status).toBe(200);
+      expect(res.body.analysis.threats).toContainEqual(expect.objectContaining({ category: 'contactAfterBlock' }));
+      expect(res.body.alert).not.toBeNull();
+    });
+
+    test('stops flagging once the sender is unblocked', async () => {
+      analyzeInProcess();
+      const unblockedChild = new mongoose.Types.ObjectId().toString();
+      const app = createApp();
+      const event = (name, timestamp) => request(app).post('/api/analyze/events')
+        .send({ event: name, context: { senderId, childId: unblockedChild, timestamp } });
+
+      await event('block', '2026-05-01T10:00:00Z');
+      await event('unblock', '2026-05-01T11:00:00Z');
+      const res = await request(app).post('/api/analyze')
+        .send({ message: 'thanks for unblocking', context: { senderId, childId: unblockedChild, timestamp: '2026-05-01T12:00:00Z' } });
+
+      expect(res.body.analysis.threats).not.toContainEqual(expect.objectContaining({ category: 'contactAfterBlock' }));
+    });
+
+    test('records a child\'s own block against that child', async () => {
+      const record = jest.spyOn(messageMonitor.behaviorAnalyzer, 'recordInteraction');
+
+      const res = await request(createApp({ userId: childId, familyId, role: 'child' })).post('/api/analyze/events')
+        .send({ event: 'block', context: { senderId, childId: new mongoose.Types.ObjectId().toString() } });
+
+      expect(res.status).toBe(200);
+      expect(record).toHaveBeenCalledWith(expect.objectContaining({ familyId, senderId, childId, type: 'block' }));
+    });
+
+    test('rejects unknown events and missing ids', async () => {
+      const record = jest.spyOn(messageMonitor.behaviorAnalyzer, 'recordInteraction');
+
+      const unknown = await request(createApp()).post('/api/analyze/events')
+        .send({ event: 'mute', context: { senderId, childId } });
+      const missing = await request(createApp()).post('/api/analyze/events').send({ event: 'block', context: {} });
+
+      expect(unknown.status).toBe(400);
+      expect(unknown.body.message).toBe('event must be one of: block, unblock');
+      expect(missing.body.message).toBe('context.senderId is required; context.childId must be a valid ID');
+      expect(record).not.toHaveBeenCalled();
+    });
+
+    test('records nothing while monitoring is paused', async () => {
+      jest.spyOn(messageMonitor.familySettings, 'isMonitoringEnabled').mockReturnValue(false);
+      const record = jest.spyOn(messageMonitor.behaviorAnalyzer, 'recordInteraction');
+
+      const res = await request(createApp()).post('/api/analyze/events')
+        .send({ event: 'block', context: { senderId, childId } });
+
+      expect(res.body).toMatchObject({ recorded: false, monitoringEnabled: false });
+      expect(record).not.toHaveBeenCalled();
+    });
+  });
+
+  test('asks agents to retry when the pool is overloaded', async () => {
+    jest.spyOn(messageMonitor, 'analyze').mockRejectedValue(new DetectionPoolError('Detection queue is full', 'QUEUE_FULL'));
+
+    const res = await request(createApp()).post('/api/analyze').send({ message: 'hi' });
+
+    expect(res.status).toBe(503);
+    expect(res.headers['retry-after']).toBe('1');
+    expect(res.body.error).toBe('Analysis unavailable');
+  });
+});
@@ -0,0 +1,571 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Alert = require('../../models/Alert');
+const Interaction = require('../../models/Interaction');
+const dashboardRoutes = require('../../routes/dashboard');
+const { patternFeedback, getPatternKey } = require('../../services/patternFeedback');
+const { senderReputation } = require('../../services/senderReputation');
+const { safetyStatus } = require('../../services/safetyStatus');
+const { monitoringConfig } = require('../../services/monitoringConfig');
+const { sensitivityProfiles } = require('../../services/sensitivityProfiles');
+const { familySettings } = require('../../services/familySettings');
+const { customRules } = require('../../services/customRules');
+const { handleIndex } = require('../../services/handleIndex');
+const { detectionPool } = require('../../services/detectionPool');
+
+const familyId = new mongoose.Types.ObjectId().toString();
+
+// The dashboard router behind a stand-in for authenticateToken
+const createApp = (user = { userId: 'parent-1', familyId, role: 'parent' }) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.use('/api', dashboardRoutes);
+  return app;
+};
+
+describe('dashboard routes', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('GET /api/status', () => {
+    const summary = { overallStatus: 'safe', statistics: { activeAlerts: 0 } };
+
+    beforeEach(() => {
+      jest.spyOn(safetyStatus, 'getStatus').mockResolvedValue(summary);
+      jest.spyOn(detectionPool, 'getStats').mockReturnValue({ workers: 2 });
+    });
+
+    test('includes guardian-only records for guardians', async () => {
+      const response = await request(createApp()).get('/api/status');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ ...summary, systemHealth: { apiStatus: 'operational' } });
+      expect(safetyStatus.getStatus).toHaveBeenCalledWith(familyId, 'guardians');
+    });
+
+    test('leaves them out for everyone else', async () => {
+      await request(createApp({ userId: 'child-1', familyId, role: 'child' })).get('/api/status');
+      expect(safetyStatus.getStatus).toHaveBeenCalledWith(familyId, 'family');
+    });
+  });
+
+  describe('GET /api/interactions', () => {
+    let query;
+
+    beforeEach(() => {
+      query = {};
+      ['sort', 'skip', 'limit'].forEach(method => {
+        query[method] = jest.fn(() => query);
+      });
+      query.lean = jest.fn(async () => [{ message: 'hi' }]);
+      jest.spyOn(Interaction, 'find').mockReturnValue(query);
+      jest.spyOn(Interaction, 'countDocuments').mockResolvedValue(45);
+    });
+
+    test('pages through the family\'s interactions', async () => {
+      const response = await request(createApp()).get('/api/interactions?page=2&limit=20&flagged=true');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        interactions: [{ message: 'hi' }],
+        pagination: { page: 2, limit: 20, total: 45, totalPages: 3, hasNext: true, hasPrev: true },
+        filters: { flagged: true }
+      });
+      expect(Interaction.find).toHaveBeenCalledWith({ flagged: true, familyId });
+      expect(query.skip).toHaveBeenCalledWith(20);
+    });
+
+    test('filters by child and date for everyone else without guardian-only records', async () => {
+      const childId = new mongoose.Types.ObjectId().toString();
+
+      await request(createApp({ userId: 'child-1', familyId, role: 'child' }))
+        .get(`/api/interactions?userId=${childId}&startDate=2026-05-01`);
+
+      expect(Interaction.find).toHaveBeenCalledWith({
+        childId,
+        timestamp: { $gte: new Date('2026-05-01') },
+        audience: { $ne: 'guardians' },
+        familyId
+      });
+    });
+
+    test('rejects invalid pagination, dates and child ids', async () => {
+      const page = await request(createApp()).get('/api/interactions?page=-1');
+      const limit = await request(createApp()).get('/api/interactions?limit=500');
+      const date = await request(createApp()).get('/api/interactions?endDate=yesterday');
+      const child = await request(createApp()).get('/api/interactions?childId=not-an-id');
+
+      expect([page.status, limit.status, date.status, child.status]).toEqual([400, 400, 400, 400]);
+      expect(date.body.message).toBe('endDate must be a valid ISO 8601 date');
+      expect(Interaction.find).not.toHaveBeenCalled();
+    });
+
+    test('requires an account linked to a family', async () => {
+      const response = await request(createApp({ userId: 'parent-1', role: 'parent' })).get('/api/interactions');
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('Forbidden');
+    });
+  });
+
+  describe('GET /api/alerts', () => {
+    let query;
+
+    beforeEach(() => {
+      query = { sort: jest.fn(() => query), limit: jest.fn(() => query), lean: jest.fn(async () => [{ severity: 'high' }]) };
+      jest.spyOn(Alert, 'find').mockReturnValue(query);
+    });
+
+    test('lists the family\'s alerts with filters', async () => {
+      const response = await request(createApp()).get('/api/alerts?status=pending&severity=high&category=scam&limit=500');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ count: 1, filters: { status: 'pending', severity: 'high', category: 'scam' } });
+      expect(Alert.find).toHaveBeenCalledWith({ status: 'pending', severity: 'high', category: 'scam', familyId });
+      expect(query.limit).toHaveBeenCalledWith(100);
+    });
+
+    test('leaves guardian-only alerts out for everyone else', async () => {
+      await request(createApp({ userId: 'child-1', familyId, role: 'child' })).get('/api/alerts');
+
+      expect(Alert.find).toHaveBeenCalledWith({ audience: { $ne: 'guardians' }, familyId });
+      expect(query.limit).toHaveBeenCalledWith(50);
+    });
+
+    test('rejects unknown filter values', async () => {
+      const status = await request(createApp()).get('/api/alerts?status=open');
+      const severity = await request(createApp()).get('/api/alerts?severity=extreme');
+      const category = await request(createApp()).get('/api/alerts?category=spam');
+
+      expect(status.body.error).toBe('Invalid status');
+      expect(severity.body.error).toBe('Invalid severity');
+      expect(category.body.error).toBe('Invalid category');
+      expect(Alert.find).not.toHaveBeenCalled();
+    });
+
+    test('reports a failed query', async () => {
+      query.lean.mockRejectedValue(new Error('database unavailable'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const response = await request(createApp()).get('/api/alerts');
+
+      expect(response.status).toBe(500);
+      expect(response.body.message).toBe('Failed to retrieve alerts');
+    });
+  });
+
+  describe('POST /api/alerts/:id/review', () => {
+    const secrecy = { type: 'predatory_language', category: 'secrecy', pattern: 'our little secret' };
+    let alert;
+
+    beforeEach(() => {
+      alert = new Alert({
+        familyId,
+        platform: 'Roblox',
+        senderId: 'reviewed-sender',
+        category: 'predatory_behavior',
+        severity: 'high',
+        riskScore: 8,
+        matchedPatterns: [secrecy]
+      });
+      jest.spyOn(Alert, 'findOne').mockResolvedValue(alert);
+      jest.spyOn(alert, 'save').mockResolvedValue(alert);
+      jest.spyOn(safetyStatus, 'invalidate');
+    });
+
+    test('records feedback for the alert\'s own patterns', async () => {
+      const response = await request(createApp())
+        .post(`/api/alerts/${alert._id}/review`)
+        .send({ action: 'dismissed' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ success: true, patternsRecorded: 1, alert: { status: 'dismissed' } });
+      expect(Alert.findOne).toHaveBeenCalledWith({ _id: alert._id.toString(), familyId });
+      expect(safetyStatus.invalidate).toHaveBeenCalledWith(familyId);
+    });
+
+    test('ignores patterns sent in the body', async () => {
+      const forged = { type: 'scam', category: 'freeRobux', pattern: 'forged pattern' };
+
+      const response = await request(createApp())
+        .post(`/api/alerts/${alert._id}/review`)
+        .send({ action: 'dismissed', patterns: [forged, forged] });
+
+      expect(response.body.patternsRecorded).toBe(1);
+      expect(patternFeedback.getPatternStats().map(getPatternKey)).not.toContain(getPatternKey(forged));
+    });
+
+    test('confirming counts against the sender and dismissing withdraws it', async () => {
+      await request(createApp()).post(`/api/alerts/${alert._id}/review`).send({ action: 'escalated' });
+      expect(senderReputation.getSummary('Roblox', 'reviewed-sender').alertCount).toBe(1);
+
+      await request(createApp()).post(`/api/alerts/${alert._id}/review`).send({ action: 'dismissed' });
+      expect(senderReputation.getSummary('Roblox', 'reviewed-sender').alertCount).toBe(0);
+    });
+
+    test('records the signed-in guardian as the reviewer', async () => {
+      const response = await request(createApp())
+        .post(`/api/alerts/${alert._id}/review`)
+        .send({ action: 'resolved', notes: 'talked it through', reviewedBy: 'someone-else' });
+
+      expect(response.body.alert).toMatchObject({ status: 'resolved', reviewedBy: 'parent-1', reviewNotes: 'talked it through' });
+      expect(alert.reviewedBy).toBe('parent-1');
+      expect(alert.save).toHaveBeenCalled();
+    });
+
+    test('falls back to the token\'s id claim for the reviewer', async () => {
+      const response = await request(createApp({ id: 'parent-2', familyId, role: 'parent' }))
+        .post(`/api/alerts/${alert._id}/review`)
+        .send({ action: 'resolved' });
+
+      expect(response.body.alert.reviewedBy).toBe('parent-2');
+    });
+
+    test('passes the review on to pattern feedback and sender reputation', async () => {
+      jest.spyOn(patternFeedback, 'recordReview');
+      jest.spyOn(senderReputation, 'recordReview');
+
+      await request(createApp()).post(`/api/alerts/${alert._id}/review`).send({ action: 'escalated' });
+
+      expect(patternFeedback.recordReview)
+        .toHaveBeenCalledWith(familyId, alert._id.toString(), 'escalated', alert.matchedPatterns);
+      expect(senderReputation.recordReview).toHaveBeenCalledWith(alert, 'escalated');
+    });
+
+    test('leaves feedback untouched when the alert cannot be saved', async () => {
+      alert.save.mockRejectedValue(new Error('database unavailable'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(patternFeedback, 'recordReview');
+      jest.spyOn(senderReputation, 'recordReview');
+
+      const response = await request(createApp()).post(`/api/alerts/${alert._id}/review`).send({ action: 'escalated' });
+
+      expect(response.status).toBe(500);
+      expect(response.body.message).toBe('Failed to review alert');
+      expect(patternFeedback.recordReview).not.toHaveBeenCalled();
+      expect(senderReputation.recordReview).not.toHaveBeenCalled();
+      expect(safetyStatus.invalidate).not.toHaveBeenCalled();
+    });
+
+    test('hides guardian-only alerts from other family members', async () => {
+      await request(createApp({ userId: 'child-1', familyId, role: 'child' }))
+        .post(`/api/alerts/${alert._id}/review`)
+        .send({ action: 'dismissed' });
+
+      expect(Alert.findOne).toHaveBeenCalledWith({ _id: alert._id.toString(), familyId, audience: { $ne: 'guardians' } });
+    });
+
+    test('rejects notes that are not a string', async () => {
+      const response = await request(createApp()).post(`/api/alerts/${alert._id}/review`).send({ action: 'resolved', notes: 42 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid notes');
+      expect(Alert.findOne).not.toHaveBeenCalled();
+    });
+
+    test('rejects invalid ids and actions', async () => {
+      const badId = await request(createApp()).post('/api/alerts/not-an-id/review').send({ action: 'dismissed' });
+      const badAction = await request(createApp()).post(`/api/alerts/${alert._id}/review`).send({ action: 'ignore' });
+
+      expect(badId.status).toBe(400);
+      expect(badAction.status).toBe(400);
+      expect(badAction.body.error).toBe('Invalid action');
+    });
+
+    test('reports another family\'s alert as missing', async () => {
+      Alert.findOne.mockResolvedValue(null);
+
+      const response = await request(createApp()).post(`/api/alerts/${alert._id}/review`).send({ action: 'resolved' });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('/api/children/:childId/sensitivity', () => {
+    const childId = new mongoose.Types.ObjectId().toString();
+    const url = `/api/children/${childId}/sensitivity`;
+
+    beforeEach(() => {
+      jest.spyOn(monitoringConfig.configModel, 'findOneAndUpdate').mockResolvedValue({});
+      jest.spyOn(monitoringConfig.configModel, 'updateOne').mockResolvedValue({});
+    });
+
+    afterEach(() => {
+      sensitivityProfiles.clearOverride(familyId, childId);
+    });
+
+    test('stores an override and uses it for the child', async () => {
+      const response = await request(createApp()).put(url).send({ profile: 'young' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.override).toMatchObject({ profile: 'young', riskAdjustments: {} });
+      expect(monitoringConfig.configModel.findOneAndUpdate.mock.calls[0][1].$set)
+        .toHaveProperty([`sensitivityOverrides.${childId}`]);
+      expect(sensitivityProfiles.resolve({ familyId, childId, childAge: 15 }).name).toBe('young');
+
+      const fetched = await request(createApp()).get(url);
+      expect(fetched.body.override).toMatchObject({ profile: 'young' });
+      expect(fetched.body.profiles.map(profile => profile.name)).toEqual(['young', 'preteen', 'teen']);
+    });
+
+    test('does not apply an override it failed to store', async () => {
+      monitoringConfig.configModel.findOneAndUpdate.mockRejectedValue(new Error('database unavailable'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const response = await request(createApp()).put(url).send({ profile: 'young' });
+
+      expect(response.status).toBe(500);
+      expect(sensitivityProfiles.getOverride(familyId, childId)).toBeNull();
+    });
+
+    test('rejects invalid overrides and child ids', async () => {
+      const invalid = await request(createApp()).put(url).send({ profile: 'toddler' });
+      const badId = await request(createApp()).put('/api/children/not-an-id/sensitivity').send({ profile: 'young' });
+
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.error).toBe('Invalid sensitivity profile');
+      expect(badId.status).toBe(400);
+      expect(monitoringConfig.configModel.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test('resets the child to their age band', async () => {
+      await request(createApp()).put(url).send({ profile: 'young' });
+
+      const reset = await request(createApp()).delete(url);
+      const again = await request(createApp()).delete(url);
+
+      expect(reset.status).toBe(200);
+      expect(monitoringConfig.configModel.updateOne).toHaveBeenCalledTimes(1);
+      expect(sensitivityProfiles.getOverride(familyId, childId)).toBeNull();
+      expect(again.status).toBe(404);
+    });
+  });
+
+  describe('/api/children/:childId/schedule', () => {
+    const childId = new mongoose.Types.ObjectId().toString();
+    const url = `/api/children/${childId}/schedule`;
+
+    beforeEach(() => {
+      jest.spyOn(monitoringConfig.configModel, 'findOneAndUpdate').mockResolvedValue({});
+      jest.spyOn(monitoringConfig.configModel, 'updateOne').mockResolvedValue({});
+    });
+
+    afterEach(() => {
+      familySettings.clearChildSchedule(familyId, childId);
+    });
+
+    test('stores the child\'s time zone and quiet hours', async () => {
+      const response = await request(createApp())
+        .put(url)
+        .send({ timeZone: 'Europe/Berlin', quietHours: { start: 20, end: 7 } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.schedule).toMatchObject({ timeZone: 'Europe/Berlin', quietHours: { start: 20, end: 7 } });
+      expect(monitoringConfig.configModel.findOneAndUpdate.mock.calls[0][1].$set)
+        .toHaveProperty([`childSchedules.${childId}`]);
+      expect(familySettings.getChildSchedule(familyId, childId)).toMatchObject({ timeZone: 'Europe/Berlin' });
+
+      const fetched = await request(createApp()).get(url);
+      expect(fetched.body.schedule).toMatchObject({ timeZone: 'Europe/Berlin' });
+    });
+
+    test('rejects invalid schedules and child ids', async () => {
+      const invalid = await request(createApp()).put(url).send({ timeZone: 'Mars/Olympus' });
+      const badId = await request(createApp()).put('/api/children/not-an-id/schedule').send({ timeZone: 'UTC' });
+
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.error).toBe('Invalid schedule');
+      expect(badId.status).toBe(400);
+      expect(monitoringConfig.configModel.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test('resets the child to the default schedule', async () => {
+      await request(createApp()).put(url).send({ timeZone: 'Europe/Berlin' });
+
+      const reset = await request(createApp()).delete(url);
+      const again = await request(createApp()).delete(url);
+
+      expect(reset.status).toBe(200);
+      expect(familySettings.getChildSchedule(familyId, childId)).toBeNull();
+      expect(again.status).toBe(404);
+    });
+  });
+
+  describe('/api/config', () => {
+    let configFamily;
+    let app;
+
+    beforeEach(() => {
+      configFamily = new mongoose.Types.ObjectId().toString();
+      app = createApp({ userId: 'parent-1', familyId: configFamily, role: 'parent' });
+      jest.spyOn(monitoringConfig.configModel, 'findOne').mockReturnValue({ lean: async () => null });
+      jest.spyOn(monitoringConfig.configModel, 'findOneAndUpdate')
+        .mockImplementation((filter, update) => ({ lean: async () => ({ ...update.$set, updatedAt: new Date() }) }));
+      jest.spyOn(safetyStatus, 'invalidate');
+    });
+
+    test('returns the defaults for a family that never saved a config', async () => {
+      const response = await request(app).get('/api/config');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        monitoringEnabled: true,
+        contentFilters: { profanity: true },
+        dataRetention: { interactions: 90, alerts: 365 },
+        customRules: [],
+        lastUpdated: null
+      });
+    });
+
+    test('stores updates and applies them to detection', async () => {
+      const response = await request(app).post('/api/config').send({
+        monitoringEnabled: false,
+        contentFilters: { violence: false },
+        customRules: [{ pattern: 'oakwood elementary', severity: 'high' }]
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.config).toMatchObject({ monitoringEnabled: false, contentFilters: { violence: false } });
+      expect(monitoringConfig.configModel.findOneAndUpdate.mock.calls[0][1].$set.updatedBy).toBe('parent-1');
+      expect(familySettings.isMonitoringEnabled(configFamily)).toBe(false);
+      expect(customRules.getRules(configFamily).map(rule => rule.pattern)).toEqual(['oakwood elementary']);
+      expect(safetyStatus.invalidate).toHaveBeenCalledWith(configFamily);
+    });
+
+    test('leaves detection unchanged when the write fails', async () => {
+      monitoringConfig.configModel.findOneAndUpdate.mockImplementation(() => ({
+        lean: async () => {
+          throw new Error('database unavailable');
+        }
+      }));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const response = await request(app).post('/api/config').send({ monitoringEnabled: false, contentFilters: { adult: false } });
+
+      expect(response.status).toBe(500);
+      expect(familySettings.isMonitoringEnabled(configFamily)).toBe(true);
+      expect(familySettings.getContentFilters(configFamily).adult).toBe(true);
+    });
+
+    test('rejects invalid updates without writing', async () => {
+      const notBoolean = await request(app).post('/api/config').send({ monitoringEnabled: 'no' });
+      const badRule = await request(app).post('/api/config').send({ customRules: [{ pattern: 'x' }] });
+
+      expect(notBoolean.status).toBe(400);
+      expect(notBoolean.body.message).toBe('monitoringEnabled must be a boolean');
+      expect(badRule.status).toBe(400);
+      expect(monitoringConfig.configModel.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('/api/patterns/suppressions', () => {
+    const pattern = { type: 'predatory_language', category: 'secrecy', pattern: 'our little secret' };
+    let suppressionFamily;
+    let app;
+
+    beforeEach(() => {
+      suppressionFamily = new mongoose.Types.ObjectId().toString();
+      app = createApp({ userId: 'parent-1', familyId: suppressionFamily, role: 'parent' });
+      jest.spyOn(monitoringConfig.configModel, 'findOneAndUpdate').mockResolvedValue({});
+      jest.spyOn(monitoringConfig.configModel, 'updateOne').mockResolvedValue({});
+    });
+
+    test('stores a suppression and lists it with the feedback', async () => {
+      const created = await request(app).post('/api/patterns/suppressions').send(pattern);
+
+      expect(created.status).toBe(201);
+      expect(created.body.suppressed).toMatchObject(pattern);
+      expect(monitoringConfig.configModel.findOneAndUpdate.mock.calls[0][1].$set.suppressedPatterns)
+        .toEqual([expect.objectContaining(pattern)]);
+
+      const feedback = await request(app).get('/api/patterns/feedback');
+      expect(feedback.body.suppressed).toEqual([expect.objectContaining(pattern)]);
+    });
+
+    test('does not suppress when the write fails', async () => {
+      monitoringConfig.configModel.findOneAndUpdate.mockRejectedValue(new Error('database unavailable'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const response = await request(app).post('/api/patterns/suppressions').send(pattern);
+
+      expect(response.status).toBe(500);
+      expect(familySettings.getSuppressedPatterns(suppressionFamily)).toEqual([]);
+    });
+
+    test('restores a suppressed pattern once', async () => {
+      await request(app).post('/api/patterns/suppressions').send(pattern);
+
+      const restored = await request(app).delete('/api/patterns/suppressions').send(pattern);
+      const again = await request(app).delete('/api/patterns/suppressions').send(pattern);
+
+      expect(restored.status).toBe(200);
+      expect(monitoringConfig.configModel.updateOne).toHaveBeenCalledTimes(1);
+      expect(again.status).toBe(404);
+    });
+
+    test('rejects an invalid pattern', async () => {
+      const response = await request(app).post('/api/patterns/suppressions').send({ type: 'predatory_language' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid pattern');
+    });
+  });
+
+  describe('GET /api/senders/:platform/:senderId', () => {
+    test('returns the sender\'s summary for the family', async () => {
+      jest.spyOn(senderReputation, 'getSummary').mockReturnValue({ alertCount: 2 });
+
+      const response = await request(createApp()).get('/api/senders/Roblox/sender-9');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ alertCount: 2 });
+      expect(senderReputation.getSummary).toHaveBeenCalledWith('Roblox', 'sender-9', familyId);
+    });
+
+    test('rejects an overlong sender id', async () => {
+      const response = await request(createApp()).get(`/api/senders/Roblox/${'x'.repeat(101)}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Sender ID must be 1-100 characters');
+    });
+  });
+
+  describe('/api/handles', () => {
+    const handleFamily = new mongoose.Types.ObjectId().toString();
+    const app = createApp({ userId: 'parent-1', familyId: handleFamily, role: 'parent' });
+
+    beforeAll(() => {
+      const entities = [{ type: 'snapchat', value: 'CoolKid', normalized: 'coolkid' }];
+      handleIndex.record(handleFamily, entities, { senderId: 'a', platform: 'roblox' });
+      handleIndex.record(handleFamily, entities, { senderId: 'b', platform: 'minecraft' });
+    });
+
+    test('lists the family\'s handles', async () => {
+      const response = await request(app).get('/api/handles?minOccurrences=2');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ count: 1, handles: [{ handle: 'coolkid', occurrenceCount: 2, senderCount: 2 }] });
+    });
+
+    test('looks up one handle', async () => {
+      const found = await request(app).get('/api/handles/@CoolKid');
+      const missing = await request(app).get('/api/handles/someone-else');
+      const otherFamily = await request(createApp()).get('/api/handles/coolkid');
+
+      expect(found.body.occurrences.map(occurrence => occurrence.platform)).toEqual(['minecraft', 'roblox']);
+      expect(missing.status).toBe(404);
+      expect(otherFamily.status).toBe(404);
+    });
+
+    test('rejects an invalid minimum', async () => {
+      const response = await request(app).get('/api/handles?minOccurrences=0');
+      expect(response.status).toBe(400);
+    });
+  });
+});
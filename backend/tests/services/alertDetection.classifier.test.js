@@ -0,0 +1,155 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AlertDetectionService = require('../../services/alertDetection');
+const { TextClassifier } = require('../../services/textClassifier');
+
+// Stands in for a trained model: flags everything as predatory language
+const alwaysFlags = (riskProbability = 0.9) => ({
+  isReady: () => true,
+  predict: () => ({ label: 'predatory_language', probability: riskProbability, riskProbability })
+});
+
+describe('AlertDetectionService classifier', () => {
+  // Every detector follows the shared pack loader until closed
+  const detectors = [];
+  const createDetector = (options) => {
+    const detector = new AlertDetectionService(options);
+    detectors.push(detector);
+    return detector;
+  };
+
+  afterEach(() => {
+    detectors.splice(0).forEach(detector => detector.close());
+  });
+
+  test('blends the classifier with a rule score using the configured weights', () => {
+    const rulesOnly = createDetector({ classifier: null });
+    const withClassifier = createDetector({
+      classifier: alwaysFlags(1),
+      classifierWeights: { rules: 0.75, classifier: 0.25 }
+    });
+
+    const ruleRisk = rulesOnly.analyzeMessage('you are a loser', {}).overallRisk;
+    const result = withClassifier.analyzeMessage('you are a loser', {});
+    const expected = Math.round(Math.min(10, 0.75 * ruleRisk + 0.25 * 10) * 100) / 100;
+
+    expect(result.ruleRisk).toBe(ruleRisk);
+    expect(result.overallRisk).toBe(expected);
+    expect(result.overallRisk).toBeGreaterThan(ruleRisk);
+    expect(result.scoreBreakdown.classifier).toMatchObject({ weight: 0.25, ruleWeight: 0.75 });
+    expect(result.scoreBreakdown.classifier.points).toBeCloseTo(expected - ruleRisk, 2);
+    expect(result.threats.every(t => t.source !== 'classifier')).toBe(true);
+    expect(result.matchedPatterns.length).toBeGreaterThan(0);
+  });
+
+  test('never lowers a rule score the classifier disagrees with', () => {
+    const rulesOnly = createDetector({ classifier: null });
+    const doubtful = createDetector({ classifier: alwaysFlags(0) });
+
+    const expected = rulesOnly.analyzeMessage('you are a loser', {}).overallRisk;
+    const result = doubtful.analyzeMessage('you are a loser', {});
+
+    expect(result.overallRisk).toBe(expected);
+    expect(result.scoreBreakdown.classifier.points).toBe(0);
+  });
+
+  test('scores a message no rule matched at its weighted share', () => {
+    const detector = createDetector({ classifier: alwaysFlags(0.8), classifierWeights: { rules: 0.5, classifier: 0.5 } });
+    const result = detector.analyzeMessage('we should keep talking somewhere quieter', {});
+
+    expect(result.threats).toHaveLength(1);
+    expect(result.threats[0]).toMatchObject({ category: 'classifierMatch', source: 'classifier', riskScore: 4 });
+    expect(result.ruleRisk).toBe(0);
+    expect(result.scoreBreakdown.classifier.points).toBe(result.overallRisk);
+  });
+
+  test('does not flag below the threshold or for the child\'s own messages', () => {
+    const detector = createDetector({ classifier: alwaysFlags(0.5), classifierThreshold: 0.6 });
+    expect(detector.analyzeMessage('you killed it!', {}).threats).toEqual([]);
+
+    const eager = createDetector({ classifier: alwaysFlags(0.9) });
+    expect(eager.analyzeMessage('you are my best friend', { speakerRole: 'child' }).threats).toEqual([]);
+  });
+
+  describe('loadClassifier', () => {
+    const env = { ...process.env };
+    let directory;
+
+    const saveModel = (evaluation) => {
+      const classifier = new TextClassifier({ minFeatureCount: 1 }).train([
+        { text: 'nice game', label: 'safe' },
+        { text: 'add me on snapchat', label: 'off_platform_pressure' }
+      ]);
+      classifier.evaluation = evaluation;
+      return classifier.save(path.join(directory, 'model.json'));
+    };
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'kidverse-model-'));
+      delete process.env.CLASSIFIER_ENABLED;
+      delete process.env.CLASSIFIER_MIN_PRECISION;
+    });
+
+    afterEach(() => {
+      process.env = { ...env };
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('stays off when the model is below the precision target', () => {
+      process.env.CLASSIFIER_MODEL_FILE = saveModel({ precision: 0.79 });
+      expect(createDetector().classifier).toBeNull();
+    });
+
+    test('stays off for a model saved without an evaluation', () => {
+      process.env.CLASSIFIER_MODEL_FILE = saveModel(null);
+      expect(createDetector().classifier).toBeNull();
+    });
+
+    test('turns on when the model meets the target', () => {
+      process.env.CLASSIFIER_MODEL_FILE = saveModel({ precision: 0.95 });
+      expect(createDetector().classifier).toBeInstanceOf(TextClassifier);
+
+      process.env.CLASSIFIER_MIN_PRECISION = '0.99';
+      expect(createDetector().classifier).toBeNull();
+    });
+
+    test('CLASSIFIER_ENABLED forces it on or off', () => {
+      process.env.CLASSIFIER_MODEL_FILE = saveModel({ precision: 0.5 });
+      process.env.CLASSIFIER_ENABLED = 'true';
+      expect(createDetector().classifier).toBeInstanceOf(TextClassifier);
+
+      process.env.CLASSIFIER_MODEL_FILE = saveModel({ precision: 1 });
+      process.env.CLASSIFIER_ENABLED = 'false';
+      expect(createDetector().classifier).toBeNull();
+    });
+
+    test('the shipped model meets the precision target and is on by default', () => {
+      delete process.env.CLASSIFIER_MODEL_FILE;
+      expect(new TextClassifier().load().meetsPrecision()).toBe(true);
+      expect(createDetector().classifier).toBeInstanceOf(TextClassifier);
+    });
+  });
+
+  describe('shipped model', () => {
+    test.each([
+      'ur parents dont need to know about us',
+      'your parents dont have to know about us',
+      'lets meet up irl, where do u live'
+    ])('flags the paraphrase "%s" that no rule matches', (text) => {
+      const result = createDetector().analyzeMessage(text, {});
+
+      expect(result.ruleRisk).toBe(0);
+      expect(result.overallRisk).toBeGreaterThan(0);
+      expect(result.threats).toEqual([expect.objectContaining({ category: 'classifierMatch', source: 'classifier' })]);
+    });
+
+    test.each([
+      'gg that was fun',
+      "you're so funny lol",
+      'are you alone in the server? lets do the raid'
+    ])('leaves "%s" alone', (text) => {
+      expect(createDetector().analyzeMessage(text, {}).overallRisk).toBe(0);
+    });
+  });
+});
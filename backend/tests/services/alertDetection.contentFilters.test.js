@@ -0,0 +1,62 @@
+const AlertDetectionService = require('../../services/alertDetection');
+const { FamilySettingsService } = require('../../services/familySettings');
+
+describe('AlertDetectionService content filters', () => {
+  let familySettings;
+  let detector;
+
+  beforeAll(() => {
+    familySettings = new FamilySettingsService();
+    detector = new AlertDetectionService({ classifier: null, familySettings });
+  });
+
+  const contentThreats = (message, context = {}) => detector.analyzeMessage(message, context).threats
+    .filter(t => t.type === 'inappropriate_content');
+
+  test.each([
+    ['what the fuck', 'profanity'],
+    ['that video had so much gore', 'violence'],
+    ['send nudes', 'adult']
+  ])('finds %s', (message, category) => {
+    expect(contentThreats(message).map(t => t.category)).toContain(category);
+  });
+
+  test('files content threats under inappropriate_content with review advice', () => {
+    const result = detector.analyzeMessage('what the fuck', {});
+    expect(result.alertCategory).toBe('inappropriate_content');
+    expect(result.recommendations.map(r => r.action)).toContain('CONTENT_REVIEW');
+  });
+
+  test('scores masked words higher as a filter bypass', () => {
+    const [plain] = contentThreats('what the fuck');
+    const [masked] = contentThreats('what the f*ck');
+
+    expect(plain.filterBypass).toBe(false);
+    expect(masked.filterBypass).toBe(true);
+    expect(masked.riskScore).toBe(plain.riskScore + 1);
+  });
+
+  test('treats letter-spaced words as a filter bypass', () => {
+    const [threat] = contentThreats('s h i t');
+    expect(threat.filterBypass).toBe(true);
+  });
+
+  test('skips categories a family switched off', () => {
+    familySettings.setContentFilters('family1', { profanity: false });
+
+    expect(contentThreats('what the fuck', { familyId: 'family1' })).toEqual([]);
+    expect(contentThreats('send nudes', { familyId: 'family1' }).map(t => t.category)).toEqual(['adult']);
+    expect(contentThreats('what the fuck', { familyId: 'family2' })).toHaveLength(1);
+  });
+
+  test('an explicit context filter overrides the family setting', () => {
+    expect(contentThreats('what the fuck', { familyId: 'family1', contentFilters: { profanity: true } })).toHaveLength(1);
+  });
+
+  test('personalInfo off skips info requests and leak detection', () => {
+    const context = { contentFilters: { personalInfo: false } };
+    expect(detector.analyzeMessage("what's your address", context).threats
+      .filter(t => t.type === 'personal_info_request')).toEqual([]);
+    expect(detector.analyzeMessage('i live at 42 maple street', { ...context, speakerRole: 'child' }).threats).toEqual([]);
+  });
+});
@@ -0,0 +1,91 @@
+const AlertDetectionService = require('../../services/alertDetection');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('AlertDetectionService context factors', () => {
+  let detector;
+
+  beforeAll(() => {
+    detector = new AlertDetectionService({ classifier: null });
+  });
+
+  const analyze = (message, context = {}) => detector.analyzeMessage(message, { familyId: 'family1', ...context });
+  // childAge also picks a sensitivity profile, which is covered separately
+  const factorNames = (result) => result.contextFactors.map(f => f.factor).filter(name => name !== 'ageProfile');
+  const predatory = "what's your address? you're so mature for your age";
+
+  test('leaves scores alone without context', () => {
+    const result = analyze(predatory);
+    expect(result.contextFactors).toEqual([]);
+    result.threats.forEach(threat => expect(threat.riskScore).toBe(threat.baseRiskScore));
+  });
+
+  test('scales down predatory and personal info threats from family members', () => {
+    const stranger = analyze(predatory, { relationship: 'stranger' });
+    const sibling = analyze(predatory, { relationship: 'sibling' });
+
+    expect(factorNames(sibling)).toEqual(['familyMember']);
+    expect(sibling.overallRisk).toBeLessThan(stranger.overallRisk);
+    sibling.threats.forEach(threat => expect(threat.riskScore).toBeLessThan(threat.baseRiskScore));
+  });
+
+  test('a family member is not also treated as a friend or an adult stranger', () => {
+    const result = analyze(predatory, { relationship: 'parent', isEstablishedFriend: true, senderAge: 40, childAge: 10 });
+    expect(factorNames(result)).toEqual(['familyMember']);
+  });
+
+  test('scales down threats from established friends', () => {
+    const result = analyze(predatory, { isEstablishedFriend: true });
+    expect(factorNames(result)).toEqual(['establishedFriend']);
+  });
+
+  test('scales up every threat type from adults contacting minors', () => {
+    const base = analyze('you are a loser');
+    const adult = analyze('you are a loser', { senderAge: 30, childAge: 11 });
+
+    expect(factorNames(adult)).toEqual(['adultSender']);
+    expect(adult.threats[0].riskScore).toBeCloseTo(base.threats[0].riskScore * 1.4, 1);
+  });
+
+  test('adults talking to adults are not scaled', () => {
+    expect(factorNames(analyze(predatory, { senderAge: 30, childAge: 19 }))).toEqual([]);
+  });
+
+  test('scales down predatory language between peers', () => {
+    const result = analyze(predatory, { senderAge: 12, childAge: 11 });
+    expect(factorNames(result)).toEqual(['peerAge']);
+    expect(result.contextFactors[0].value).toBe(1);
+  });
+
+  test('scales up senders with new or recent accounts', () => {
+    expect(factorNames(analyze(predatory, { senderAccountAgeDays: 2 }))).toEqual(['newAccount']);
+    expect(factorNames(analyze(predatory, { senderAccountAgeDays: 12 }))).toEqual(['recentAccount']);
+    expect(factorNames(analyze(predatory, { senderAccountAgeDays: 400 }))).toEqual([]);
+
+    const created = new Date(Date.now() - 3 * DAY).toISOString();
+    expect(factorNames(analyze(predatory, { senderAccountCreatedAt: created }))).toEqual(['newAccount']);
+    expect(factorNames(analyze(predatory, { senderAccountCreatedAt: 'not a date' }))).toEqual([]);
+  });
+
+  test('scales down requests the child makes themselves', () => {
+    const other = analyze('add me on discord');
+    const child = analyze('add me on discord', { speakerRole: 'child', senderAccountAgeDays: 1 });
+
+    expect(factorNames(child)).toEqual(['childSpeaker']);
+    expect(child.overallRisk).toBeLessThan(other.overallRisk);
+  });
+
+  test('never scales a custom rule down', () => {
+    const rules = [{ id: 'r1', label: 'School', severity: 'high', riskScore: 7, pattern: /oakwood/i }];
+    const result = analyze('see you at oakwood', { relationship: 'sibling', customRules: rules });
+    const [threat] = result.threats.filter(t => t.type === 'custom_rule');
+
+    expect(threat.riskScore).toBe(7);
+    expect(threat.contextFactors).toEqual([]);
+  });
+
+  test('caps scaled scores at 10', () => {
+    const result = analyze(predatory, { senderAge: 35, childAge: 9, senderAccountAgeDays: 1 });
+    result.threats.forEach(threat => expect(threat.riskScore).toBeLessThanOrEqual(10));
+  });
+});
@@ -0,0 +1,94 @@
+const AlertDetectionService = require('../../services/alertDetection');
+const ConversationAnalyzer = require('../../services/conversationAnalyzer');
+
+const HOUR = 60 * 60 * 1000;
+const start = new Date('2026-03-01T15:00:00Z').getTime();
+
+describe('AlertDetectionService cyberbullying', () => {
+  let detector;
+
+  beforeAll(() => {
+    detector = new AlertDetectionService({ classifier: null });
+  });
+
+  const analyze = (message, context = {}) => detector.analyzeMessage(message, context);
+  const categories = (message) => analyze(message).threats.filter(t => t.type === 'cyberbullying').map(t => t.category);
+
+  test.each([
+    ['you are so stupid', 'insults'],
+    ["i'm gonna hurt you", 'violentThreats'],
+    ['just kys', 'selfHarmEncouragement'],
+    ["you're not invited", 'exclusion'],
+    ['i know where you live', 'doxxingThreats'],
+    ['stop ignoring me', 'persistentHarassment']
+  ])('finds %s', (message, category) => {
+    expect(categories(message)).toContain(category);
+  });
+
+  test.each([
+    'you are so good at this',
+    'i killed it in that round',
+    'nobody asked about the map lol'
+  ])('ignores %s', (message) => {
+    expect(categories(message)).toEqual([]);
+  });
+
+  test('files bullying under the cyberbullying alert category with support advice', () => {
+    const result = analyze("i'm gonna hurt you loser");
+    expect(result.alertCategory).toBe('cyberbullying');
+    expect(result.recommendations.map(r => r.action)).toContain('BULLYING_SUPPORT');
+  });
+
+  test('weighs teasing from a family member less', () => {
+    const stranger = analyze('you are so dumb');
+    const sibling = analyze('you are so dumb', { relationship: 'sibling' });
+    expect(sibling.overallRisk).toBeLessThan(stranger.overallRisk);
+  });
+});
+
+describe('ConversationAnalyzer repeated harassment', () => {
+  let detector;
+  let analyzer;
+
+  beforeAll(() => {
+    detector = new AlertDetectionService({ classifier: null });
+  });
+
+  beforeEach(() => {
+    analyzer = new ConversationAnalyzer(detector);
+  });
+
+  const send = (text, hours, extra = {}) => analyzer.analyzeMessage({
+    text, senderId: 'sender1', childId: 'child1', familyId: 'family1',
+    timestamp: new Date(start + hours * HOUR).toISOString(), ...extra
+  }).conversation;
+
+  test('alerts on the third hostile message within a day', () => {
+    expect(send('you are so annoying', 0).harassmentAlert).toBeNull();
+    expect(send('nobody wants you here', 1).harassmentAlert).toBeNull();
+
+    const alert = send('you are a loser', 2).harassmentAlert;
+    expect(alert.type).toBe('repeated_harassment');
+    expect(alert.alertCategory).toBe('cyberbullying');
+    expect(alert.hostileMessageCount).toBe(3);
+    expect(alert.harassmentCategories.sort()).toEqual(['exclusion', 'insults']);
+    expect(alert.riskScore).toBe(6);
+  });
+
+  test('escalates with each further hostile message', () => {
+    ['you are dumb', 'you are ugly', 'you are trash'].forEach((text, i) => send(text, i));
+    expect(send('you are a freak', 3).harassmentAlert.riskScore).toBe(6.5);
+  });
+
+  test('does not count messages older than the window', () => {
+    send('you are so annoying', 0);
+    send('you are dumb', 1);
+    expect(send('you are a loser', 30).harassmentAlert).toBeNull();
+  });
+
+  test('does not count the child\'s own replies', () => {
+    send('you are dumb', 0);
+    send('no you are dumb', 1, { speakerRole: 'child' });
+    expect(send('stop ignoring me', 2).harassmentAlert).toBeNull();
+  });
+});
@@ -0,0 +1,65 @@
+const AlertDetectionService = require('../../services/alertDetection');
+const ConversationAnalyzer = require('../../services/conversationAnalyzer');
+
+describe('AlertDetectionService child distress', () => {
+  let detector;
+
+  beforeAll(() => {
+    detector = new AlertDetectionService({ classifier: null });
+  });
+
+  const fromChild = (message, context = {}) => detector.analyzeMessage(message, { speakerRole: 'child', ...context });
+
+  test.each([
+    ['i just want to die', 'selfHarm'],
+    ["there's no point in trying", 'hopelessness'],
+    ['i feel so alone', 'distress']
+  ])('finds %s', (message, category) => {
+    expect(fromChild(message).threats.map(t => t.category)).toContain(category);
+  });
+
+  test('only checks the child\'s own messages', () => {
+    expect(detector.analyzeMessage('i feel so alone', {}).threats).toEqual([]);
+  });
+
+  test('is meant for guardians only and files under child wellbeing', () => {
+    const result = fromChild('i feel so alone');
+    expect(result.audience).toBe('guardians');
+    expect(result.alertCategory).toBe('child_wellbeing');
+  });
+
+  test('other results stay visible to the family', () => {
+    expect(detector.analyzeMessage('you are so dumb', {}).audience).toBe('family');
+  });
+
+  test('attaches crisis resources for the family\'s country, with a fallback', () => {
+    expect(fromChild('i feel so alone', { country: 'gb' }).crisisResources).toMatchObject({ country: 'GB', emergency: '999' });
+    expect(fromChild('i feel so alone').crisisResources.country).toBe('US');
+
+    const fallback = fromChild('i feel so alone', { country: 'ZZ' }).crisisResources;
+    expect(fallback.country).toBeNull();
+    expect(fallback.resources.length).toBeGreaterThan(0);
+  });
+
+  test('gives care-first recommendations instead of block and report', () => {
+    const urgent = fromChild('i just want to die').recommendations.map(r => r.action);
+    expect(urgent).toEqual(['CHECK_IN_NOW', 'SHARE_CRISIS_RESOURCES', 'SEEK_SUPPORT']);
+
+    const milder = fromChild('i feel so alone').recommendations.map(r => r.action);
+    expect(milder[0]).toBe('CHECK_IN');
+    expect(milder).not.toContain('BLOCK_SENDER');
+  });
+});
+
+describe('ConversationAnalyzer with child distress', () => {
+  test('does not count the child\'s distress against the sender', () => {
+    const detector = new AlertDetectionService({ classifier: null });
+    const analyzer = new ConversationAnalyzer(detector);
+
+    const { conversation } = analyzer.analyzeMessage({
+      text: 'i just want to die', senderId: 'sender1', childId: 'child1', familyId: 'family1', speakerRole: 'child'
+    });
+
+    expect(conversation.peakMessageRisk).toBe(0);
+  });
+});
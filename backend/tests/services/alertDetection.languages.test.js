@@ -0,0 +1,42 @@
+const AlertDetectionService = require('../../services/alertDetection');
+
+describe('AlertDetectionService language selection', () => {
+  let detector;
+
+  beforeAll(() => {
+    detector = new AlertDetectionService({ classifier: null });
+  });
+
+  test('runs the detected language and English when detection is confident', () => {
+    expect(detector.getLanguagesToCheck({ language: 'es', confidence: 1, scores: { en: 0, es: 3, pt: 1 } }))
+      .toEqual(['es', 'en']);
+  });
+
+  test('runs every loaded pack when detection is unsure', () => {
+    const languages = detector.getLanguagesToCheck({ language: 'en', confidence: 0.3, scores: { en: 2, pt: 1, es: 0 } });
+    expect(languages.slice(0, 2)).toEqual(['en', 'pt']);
+    expect(languages.sort()).toEqual(Object.keys(detector.languageTables).sort());
+  });
+
+  test('runs every loaded pack when the top scores tie', () => {
+    const languages = detector.getLanguagesToCheck({ language: 'en', confidence: 0.6, scores: { en: 2, es: 2, pt: 0 } });
+    expect(languages.sort()).toEqual(Object.keys(detector.languageTables).sort());
+  });
+
+  test('skips languages without a pack', () => {
+    expect(detector.getLanguagesToCheck({ language: 'it', confidence: 1, scores: { it: 3 } })).toEqual(['en']);
+  });
+
+  test('finds Portuguese off-platform pressure that detection scores as a tie with English', () => {
+    const result = detector.analyzeMessage('me adiciona no whatsapp', {});
+
+    expect(result.language.language).toBe('en');
+    expect(result.threats.map(t => `${t.type}:${t.language}`)).toContain('off_platform_pressure:pt');
+  });
+
+  test('finds Spanish grooming language in confidently Spanish chat', () => {
+    const result = detector.analyzeMessage('hola amiga, eres muy madura para tu edad', {});
+    expect(result.language.language).toBe('es');
+    expect(result.threats.map(t => `${t.category}:${t.language}`)).toContain('trustBuilding:es');
+  });
+});
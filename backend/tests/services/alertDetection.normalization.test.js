@@ -0,0 +1,33 @@
+const AlertDetectionService = require('../../services/alertDetection');
+
+describe('AlertDetectionService on obfuscated text', () => {
+  let detector;
+
+  beforeAll(() => {
+    detector = new AlertDetectionService({ classifier: null });
+  });
+
+  const categories = (message) => detector.analyzeMessage(message, {}).threats.map(t => `${t.type}.${t.category}`);
+
+  test('matches spaced-out platform names', () => {
+    expect(categories('add me on d i s c o r d')).toContain('off_platform_pressure.discordPressure');
+  });
+
+  test('matches profanity after chat shorthand', () => {
+    expect(categories('u r a b*tch')).toContain('inappropriate_content.profanity');
+  });
+
+  test('matches insults spelled out letter by letter', () => {
+    expect(categories('u r a l o s e r')).toContain('cyberbullying.insults');
+  });
+
+  test('matches words that start with a single-letter word through a variant', () => {
+    const [threat] = detector.analyzeMessage('a s s h o l e', {}).threats;
+    expect(threat.category).toBe('profanity');
+    expect(threat.matches[0].text).toBe('a s s h o l e');
+  });
+
+  test('leaves ordinary chat shorthand alone', () => {
+    expect(categories('i m a girl')).toEqual([]);
+  });
+});
@@ -0,0 +1,51 @@
+const AlertDetectionService = require('../../services/alertDetection');
+
+describe('AlertDetectionService scams', () => {
+  let detector;
+
+  beforeAll(() => {
+    detector = new AlertDetectionService({ classifier: null });
+  });
+
+  const analyze = (message) => detector.analyzeMessage(message, {});
+  const scamCategories = (message) => analyze(message).threats.filter(t => t.type === 'scam').map(t => t.category);
+  const actions = (result) => result.recommendations.map(r => r.action);
+
+  test.each([
+    ['lets do a trust trade', 'tradeScam'],
+    ['give me your pets first', 'tradeScam'],
+    ["i'm a roblox admin", 'fakeAdmin'],
+    ["what's your password", 'credentialRequest'],
+    ['let me log into your account', 'beaming']
+  ])('finds %s', (message, category) => {
+    expect(scamCategories(message)).toContain(category);
+  });
+
+  test.each([
+    'i forgot my password lol',
+    'wanna trade pets?',
+    'the admin banned him'
+  ])('ignores %s', (message) => {
+    expect(scamCategories(message)).toEqual([]);
+  });
+
+  test('files scams under the scam alert category', () => {
+    expect(analyze('lets do a trust trade').alertCategory).toBe('scam');
+  });
+
+  test('files malicious links under the scam alert category', () => {
+    expect(analyze('claim at rbxgen.com').alertCategory).toBe('scam');
+  });
+
+  test('asks for a password change for account takeover attempts', () => {
+    const result = analyze("i'm roblox staff, what's your password");
+    expect(actions(result)).toEqual(expect.arrayContaining(['CHANGE_PASSWORD', 'ENABLE_2SV', 'SCAM_EDUCATION']));
+    expect(result.recommendations.find(r => r.action === 'CHANGE_PASSWORD').priority).toBe('CRITICAL');
+  });
+
+  test('only gives scam education for trade scams', () => {
+    const result = analyze('lets do a trust trade');
+    expect(actions(result)).toContain('SCAM_EDUCATION');
+    expect(actions(result)).not.toContain('CHANGE_PASSWORD');
+  });
+});
@@ -0,0 +1,162 @@
+const BehaviorAnalyzer = require('../../services/behaviorAnalyzer');
+const AlertDetectionService = require('../../services/alertDetection');
+const { FamilySettingsService } = require('../../services/familySettings');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const START = new Date('2026-05-04T15:00:00Z').getTime();
+
+describe('BehaviorAnalyzer', () => {
+  let detector;
+  let familySettings;
+  let analyzer;
+
+  beforeAll(() => {
+    detector = new AlertDetectionService({ classifier: null });
+  });
+
+  beforeEach(() => {
+    familySettings = new FamilySettingsService();
+    analyzer = new BehaviorAnalyzer(detector, { familySettings });
+  });
+
+  // Messages from a sender to a child, `gapMs` apart
+  const send = (count, options = {}) => {
+    const { familyId = 'family-a', senderId = 'sender', childId = 'child', start = START, gapMs = MINUTE } = options;
+    let result;
+    for (let i = 0; i < count; i++) {
+      result = analyzer.recordInteraction({ familyId, senderId, childId, timestamp: new Date(start + i * gapMs) });
+    }
+    return result;
+  };
+
+  const categories = (result) => result.anomalies.map(anomaly => anomaly.category);
+
+  test('requires a sender and a child', () => {
+    expect(() => analyzer.recordInteraction({ senderId: 'sender' })).toThrow(/senderId and childId/);
+  });
+
+  test('flags a burst of messages', () => {
+    const result = send(10, { gapMs: 3000 });
+
+    expect(categories(result)).toContain('messageBurst');
+    expect(result.alertCategory).toBe('cyberbullying');
+    expect(result.anomalies[0].type).toBe('behavioral_anomaly');
+  });
+
+  test('flags persistence after the child stops replying', () => {
+    analyzer.recordInteraction({ familyId: 'family-a', senderId: 'sender', childId: 'child', fromChild: true, timestamp: new Date(START) });
+    const result = send(5, { start: START + MINUTE, gapMs: 5 * MINUTE });
+
+    expect(categories(result)).toContain('ignoredPersistence');
+  });
+
+  test('flags contact after a block', () => {
+    analyzer.recordInteraction({ familyId: 'family-a', senderId: 'sender', childId: 'child', type: 'block', timestamp: new Date(START) });
+    const result = send(1, { start: START + HOUR });
+
+    expect(categories(result)).toContain('contactAfterBlock');
+    expect(result.recommendations.map(r => r.action)).toContain('REPORT_PERSISTENT_CONTACT');
+  });
+
+  test('flags late-night contact in the child\'s time zone', () => {
+    analyzer.setChildSettings('family-a', 'child', { timeZone: 'America/New_York' });
+    // 03:00 UTC is 23:00 in New York
+    const result = send(3, { start: new Date('2026-05-05T03:00:00Z').getTime(), gapMs: 10 * MINUTE });
+
+    expect(categories(result)).toContain('lateNightContact');
+    expect(() => analyzer.setChildSettings('family-a', 'child', { timeZone: 'Not/AZone' })).toThrow(RangeError);
+  });
+
+  test('uses the schedule the family stored for the child', () => {
+    // 14:00 UTC is 23:00 in Tokyo, outside the default 22:00-06:00 UTC quiet hours
+    const tokyoNight = new Date('2026-05-05T14:00:00Z').getTime();
+    expect(categories(send(3, { start: tokyoNight, gapMs: 10 * MINUTE }))).not.toContain('lateNightContact');
+
+    familySettings.setChildSchedule('family-a', 'child', { timeZone: 'Asia/Tokyo', quietHours: { start: 21, end: 7 } });
+    analyzer.setChildSettings('family-a', 'child', { timeZone: 'America/New_York' });
+
+    const result = send(3, { senderId: 'other', start: tokyoNight, gapMs: 10 * MINUTE });
+    expect(categories(result)).toContain('lateNightContact');
+    expect(result.anomalies.find(a => a.category === 'lateNightContact').evidence).toMatchObject({
+      timeZone: 'Asia/Tokyo',
+      quietHours: { start: 21, end: 7 },
+      localHour: 23
+    });
+    expect(analyzer.getChildSettings('family-b', 'child')).toEqual({ timeZone: 'UTC', quietHours: { start: 22, end: 6 } });
+  });
+
+  describe('excessive volume', () => {
+    test('uses the family\'s excessive threshold', () => {
+      familySettings.setAlertThresholds('family-a', { excessive: { threshold: 5 } });
+
+      const strict = send(5, { gapMs: 5 * MINUTE });
+      const lenient = send(5, { familyId: 'family-b', gapMs: 5 * MINUTE });
+
+      expect(strict.anomalies.find(a => a.category === 'excessiveVolume').evidence)
+        .toEqual({ interactionsLastHour: 5, threshold: 5 });
+      expect(categories(lenient)).not.toContain('excessiveVolume');
+    });
+
+    test('is skipped when the family turned the threshold off', () => {
+      familySettings.setAlertThresholds('family-a', { excessive: { enabled: false, threshold: 2 } });
+
+      expect(categories(send(5, { gapMs: 5 * MINUTE }))).not.toContain('excessiveVolume');
+    });
+  });
+
+  test('keeps each family\'s pairs and children apart', () => {
+    familySettings.setAlertThresholds('family-a', { excessive: { threshold: 6 } });
+    familySettings.setAlertThresholds('family-b', { excessive: { threshold: 6 } });
+
+    send(5, { familyId: 'family-a', gapMs: 5 * MINUTE });
+    const other = send(5, { familyId: 'family-b', gapMs: 5 * MINUTE });
+
+    expect(analyzer.pairs.size).toBe(2);
+    expect(analyzer.children.size).toBe(2);
+    expect(categories(other)).not.toContain('excessiveVolume');
+  });
+
+  test('a block in one family does not carry over to another', () => {
+    analyzer.recordInteraction({ familyId: 'family-a', senderId: 'sender', childId: 'child', type: 'block', timestamp: new Date(START) });
+
+    expect(categories(send(1, { familyId: 'family-b', start: START + HOUR }))).not.toContain('contactAfterBlock');
+  });
+
+  describe('idle pairs', () => {
+    test('are forgotten after a day without interaction', () => {
+      send(1, { senderId: 'quiet' });
+      send(1, { senderId: 'active', start: START + DAY + HOUR });
+
+      expect(analyzer.pairs.has('family-a:quiet:child')).toBe(false);
+      expect(analyzer.pairs.has('family-a:active:child')).toBe(true);
+    });
+
+    test('are kept while the child has them blocked', () => {
+      analyzer.recordInteraction({ familyId: 'family-a', senderId: 'blocked', childId: 'child', type: 'block', timestamp: new Date(START) });
+      send(1, { senderId: 'active', start: START + 3 * DAY });
+
+      expect(categories(send(1, { senderId: 'blocked', start: START + 3 * DAY + MINUTE }))).toContain('contactAfterBlock');
+    });
+
+    test('children with their own settings are kept', () => {
+      analyzer.setChildSettings('family-a', 'night-owl', { quietHours: { start: 21, end: 7 } });
+      send(1, { childId: 'busy' });
+      send(1, { childId: 'other', start: START + 2 * DAY });
+
+      expect(analyzer.children.has('family-a:night-owl')).toBe(true);
+      expect(analyzer.children.has('family-a:busy')).toBe(false);
+    });
+
+    test('are swept at most once per interval', () => {
+      analyzer = new BehaviorAnalyzer(detector, { familySettings, pruneIntervalMs: 2 * DAY });
+      send(1, { senderId: 'quiet' });
+      send(1, { senderId: 'active', start: START + DAY + HOUR });
+
+      expect(analyzer.pairs.has('family-a:quiet:child')).toBe(true);
+      expect(analyzer.pruneInactive(new Date(START + DAY + HOUR))).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,175 @@
+const AlertDetectionService = require('../../services/alertDetection');
+const ConversationAnalyzer = require('../../services/conversationAnalyzer');
+
+const MINUTE = 60 * 1000;
+const start = new Date('2026-03-01T15:00:00Z').getTime();
+const at = (minutes) => new Date(start + minutes * MINUTE).toISOString();
+
+describe('ConversationAnalyzer', () => {
+  let detector;
+  let analyzer;
+
+  beforeAll(() => {
+    detector = new AlertDetectionService({ classifier: null });
+  });
+
+  beforeEach(() => {
+    analyzer = new ConversationAnalyzer(detector);
+  });
+
+  const send = (text, minutes, extra = {}) => analyzer.analyzeMessage({
+    text, senderId: 'sender1', childId: 'child1', familyId: 'family1', timestamp: at(minutes), ...extra
+  });
+
+  test('raises a grooming progression alert once two stages are reached', () => {
+    const first = send("you're so mature for your age", 0);
+    expect(first.conversation.stagesReached).toEqual(['trustBuilding']);
+    expect(first.conversation.alert).toBeNull();
+
+    const second = send("this is our little secret, don't tell your parents", 5);
+    expect(second.conversation.stagesReached).toEqual(['trustBuilding', 'secrecy']);
+    expect(second.conversation.alert).toMatchObject({
+      type: 'grooming_progression',
+      alertCategory: 'predatory_behavior'
+    });
+    expect(second.conversation.conversationRisk).toBeGreaterThan(first.conversation.conversationRisk);
+  });
+
+  test('ordinary gaming chat does not raise a grooming alert', () => {
+    const results = [
+      "you're so funny lol",
+      "don't tell me you forgot the obby code again",
+      'are you alone in the server? lets do the raid',
+      'found a secret room in the map',
+      'just between us and the other team we have enough players',
+      'delete the chat spam pls'
+    ].map((text, i) => send(text, i));
+
+    const last = results[results.length - 1].conversation;
+    expect(last.stagesReached).toEqual([]);
+    expect(last.alert).toBeNull();
+  });
+
+  test('stage patterns alone never raise an alert without a risky message', () => {
+    const analysis = { overallRisk: 0, threats: [] };
+    const record = (text, minutes) => analyzer.recordAnalysis(
+      { text, senderId: 'sender1', childId: 'child1', familyId: 'family1', timestamp: at(minutes) },
+      analysis
+    );
+
+    record('i really like talking to you', 0);
+    const result = record('are you home alone', 1);
+
+    expect(result.conversation.stagesReached).toEqual(['trustBuilding', 'isolation']);
+    expect(result.conversation.alert).toBeNull();
+  });
+
+  test('a stage reached through a detector threat is enough to alert', () => {
+    const record = (text, minutes, threats) => analyzer.recordAnalysis(
+      { text, senderId: 'sender1', childId: 'child1', familyId: 'family1', timestamp: at(minutes) },
+      { overallRisk: 0, threats }
+    );
+
+    record('i really like talking to you', 0, []);
+    const result = record('add me on discord', 1, [{ type: 'predatory_language', category: 'discordPressure', riskScore: 0 }]);
+
+    expect(result.conversation.stagesReached).toEqual(['trustBuilding', 'offPlatform']);
+    expect(result.conversation.alert).toMatchObject({ type: 'grooming_progression' });
+  });
+
+  test.each([
+    "don't tell your parents about this",
+    'this is our little secret',
+    'keep it just between you and me',
+    "no one needs to know"
+  ])('treats "%s" as secrecy', (text) => {
+    expect(send(text, 0).conversation.stagesReached).toContain('secrecy');
+  });
+
+  test("the child's own messages never advance grooming stages", () => {
+    const result = send("don't tell anyone, it's our secret", 0, { speakerRole: 'child' });
+    expect(result.conversation.stagesReached).toEqual([]);
+  });
+
+  test('keeps conversations in different families apart', () => {
+    send("you're so mature for your age", 0);
+    send("this is our little secret", 1, { familyId: 'family2' });
+
+    expect(analyzer.getConversationState('family1', 'sender1', 'child1').stagesReached).toEqual(['trustBuilding']);
+    expect(analyzer.getConversationState('family2', 'sender1', 'child1').stagesReached).toContain('secrecy');
+    expect(analyzer.getConversationState('family3', 'sender1', 'child1')).toBeNull();
+  });
+
+  test('takes the family from the context when the message has none', () => {
+    analyzer.analyzeMessage({ text: 'hi', senderId: 's', childId: 'c', timestamp: at(0) }, { familyId: 'family9' });
+    expect(analyzer.getConversationState('family9', 's', 'c')).not.toBeNull();
+  });
+
+  test.each([
+    'your friends are cool',
+    "i'm the only one here who plays this map",
+    "your friends don't play roblox",
+    'are you alone in the server? lets do the raid'
+  ])('does not treat "%s" as isolation', (text) => {
+    expect(send(text, 0).conversation.stagesReached).not.toContain('isolation');
+  });
+
+  test.each([
+    "your friends don't really care about you",
+    "i'm the only one who understands you",
+    'your friends are fake',
+    'are you home alone right now',
+    'is anyone else home'
+  ])('treats "%s" as isolation', (text) => {
+    expect(send(text, 0).conversation.stagesReached).toContain('isolation');
+  });
+
+  test('records a message analyzed elsewhere without running detection again', () => {
+    const analysis = detector.analyzeMessage("this is our little secret", {});
+    const spy = jest.spyOn(detector, 'detectThreats');
+
+    const result = analyzer.recordAnalysis(
+      { text: 'this is our little secret', senderId: 'sender1', childId: 'child1', timestamp: at(0) },
+      analysis,
+      { familyId: 'family1' }
+    );
+
+    expect(spy).not.toHaveBeenCalled();
+    expect(result.conversation.stagesReached).toContain('secrecy');
+    spy.mockRestore();
+  });
+
+  test('rejects messages without text, sender or child', () => {
+    expect(() => analyzer.analyzeMessage({ text: 'hi', senderId: 's' })).toThrow('senderId and childId');
+    expect(() => analyzer.recordAnalysis({ senderId: 's', childId: 'c' }, {})).toThrow('text');
+  });
+
+  test('drops the least recently active conversation past capacity', () => {
+    analyzer = new ConversationAnalyzer(detector, { maxConversations: 2 });
+    send('hi', 0, { senderId: 'a' });
+    send('hi', 1, { senderId: 'b' });
+    send('hi again', 2, { senderId: 'a' });
+    send('hi', 3, { senderId: 'c' });
+
+    expect(analyzer.conversations.size).toBe(2);
+    expect(analyzer.getConversationState('family1', 'a', 'child1')).not.toBeNull();
+    expect(analyzer.getConversationState('family1', 'b', 'child1')).toBeNull();
+  });
+
+  test('sweeps conversations idle past the window as messages arrive', () => {
+    analyzer = new ConversationAnalyzer(detector, { windowMs: 60 * MINUTE, pruneIntervalMs: 30 * MINUTE });
+    send('hi', 0, { senderId: 'idle' });
+    send('hi', 10, { senderId: 'active' });
+    expect(analyzer.conversations.size).toBe(2);
+
+    send('still here', 100, { senderId: 'active' });
+    expect(analyzer.getConversationState('family1', 'idle', 'child1')).toBeNull();
+    expect(analyzer.getConversationState('family1', 'active', 'child1')).not.toBeNull();
+  });
+
+  test('resetConversation forgets one conversation', () => {
+    send('hi', 0);
+    expect(analyzer.resetConversation('family1', 'sender1', 'child1')).toBe(true);
+    expect(analyzer.getConversationState('family1', 'sender1', 'child1')).toBeNull();
+  });
+});
@@ -0,0 +1,82 @@
+const { CustomRuleService } = require('../../services/customRules');
+
+describe('CustomRuleService', () => {
+  let rules;
+
+  beforeEach(() => {
+    rules = new CustomRuleService();
+  });
+
+  describe('validateRule', () => {
+    test('accepts phrase and regex rules', () => {
+      expect(rules.validateRule({ pattern: 'Oakwood Elementary', severity: 'medium' })).toEqual([]);
+      expect(rules.validateRule({ type: 'regex', pattern: 'maple (st|street)', severity: 'high' })).toEqual([]);
+    });
+
+    test('rejects regex rules that can backtrack catastrophically', () => {
+      ['(a+)+$', '(.*a){12}x', '(\\w+\\s?){2,20}!'].forEach(pattern => {
+        const errors = rules.validateRule({ type: 'regex', pattern, severity: 'high' });
+        expect(errors.length).toBeGreaterThan(0);
+        expect(errors[0]).toMatch(/^pattern is unsafe: /);
+      });
+    });
+
+    test('does not check phrase rules as regexes', () => {
+      expect(rules.validateRule({ pattern: '(.*a){12}x', severity: 'low' })).toEqual([]);
+    });
+
+    test('rejects regex rules that match empty text', () => {
+      expect(rules.validateRule({ type: 'regex', pattern: 'x?y?', severity: 'low' }))
+        .toEqual(['pattern must not match empty text']);
+    });
+
+    test('reports bad fields', () => {
+      const errors = rules.validateRule({ type: 'glob', pattern: 'a', severity: 'urgent', enabled: 'yes' });
+      expect(errors).toEqual([
+        'type must be one of: phrase, regex',
+        'pattern must be a string of at least 2 characters',
+        'severity must be one of: low, medium, high, critical',
+        'enabled must be a boolean'
+      ]);
+    });
+  });
+
+  test('validateRules prefixes errors with the rule index and caps the list', () => {
+    expect(rules.validateRules([{ pattern: 'ok', severity: 'low' }, { pattern: 'x', severity: 'low' }]))
+      .toEqual(['customRules[1].pattern must be a string of at least 2 characters']);
+    expect(rules.validateRules(new Array(51).fill({ pattern: 'ok', severity: 'low' })))
+      .toEqual(['A family can have at most 50 custom rules']);
+  });
+
+  test('compiles enabled phrases against normalized text', () => {
+    rules.setRules('family1', [
+      { pattern: 'Oakwood Elem', severity: 'medium' },
+      { pattern: 'maple street', severity: 'high', enabled: false }
+    ]);
+
+    const compiled = rules.getCompiledRules('family1');
+    expect(compiled).toHaveLength(1);
+    expect(compiled[0].riskScore).toBe(5);
+    expect(compiled[0].pattern.test('i go to oakwood elem')).toBe(true);
+    expect(compiled[0].pattern.test('oakwood elementary')).toBe(false);
+  });
+
+  test('setRules replaces the compiled cache', () => {
+    rules.setRules('family1', [{ pattern: 'oakwood', severity: 'low' }]);
+    expect(rules.getCompiledRules('family1')).toHaveLength(1);
+
+    rules.setRules('family1', []);
+    expect(rules.getCompiledRules('family1')).toEqual([]);
+    expect(rules.getRules('family2')).toEqual([]);
+  });
+
+  test('buildRules stores nothing until storeRules', () => {
+    const built = rules.buildRules([{ pattern: 'oakwood', severity: 'low', enabled: false }]);
+
+    expect(built).toEqual([expect.objectContaining({ id: expect.any(String), label: 'oakwood', type: 'phrase', enabled: false })]);
+    expect(rules.getRules('family1')).toEqual([]);
+
+    expect(rules.storeRules('family1', built)).toBe(built);
+    expect(rules.getRules('family1')).toBe(built);
+  });
+});
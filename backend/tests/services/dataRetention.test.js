@@ -0,0 +1,106 @@
+const { DataRetentionService } = require('../../services/dataRetention');
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = new Date('2026-06-01T00:00:00Z').getTime();
+
+describe('DataRetentionService', () => {
+  let configs;
+  let interactionModel;
+  let alertModel;
+  let handleIndex;
+  let service;
+
+  beforeEach(() => {
+    configs = [];
+    const query = { select: () => query, lean: async () => configs };
+    interactionModel = { deleteMany: jest.fn(async () => ({ deletedCount: 2 })) };
+    alertModel = { deleteMany: jest.fn(async () => ({ deletedCount: 1 })) };
+    handleIndex = { loadAll: jest.fn(async () => 0) };
+    service = new DataRetentionService({
+      configModel: { find: () => query },
+      interactionModel,
+      alertModel,
+      handleIndex,
+      intervalMs: 60 * 1000
+    });
+  });
+
+  afterEach(() => {
+    service.stop();
+  });
+
+  const cutoff = (days) => new Date(now - days * DAY);
+
+  test('applies the defaults when no family has set a retention', async () => {
+    const deleted = await service.purgeExpired(now);
+
+    expect(interactionModel.deleteMany.mock.calls).toEqual([
+      [{ familyId: { $nin: [] }, timestamp: { $lt: cutoff(90) } }]
+    ]);
+    expect(alertModel.deleteMany.mock.calls).toEqual([
+      [{ familyId: { $nin: [] }, timestamp: { $lt: cutoff(365) } }]
+    ]);
+    expect(deleted).toEqual({ interactions: 2, alerts: 1 });
+  });
+
+  test('groups families by their retention', async () => {
+    configs = [
+      { familyId: 'a', dataRetention: { interactions: 30, alerts: 365 } },
+      { familyId: 'b', dataRetention: { interactions: 30, alerts: 60 } },
+      { familyId: 'c' }
+    ];
+
+    await service.purgeExpired(now);
+
+    expect(interactionModel.deleteMany.mock.calls).toEqual([
+      [{ familyId: { $in: ['a', 'b'] }, timestamp: { $lt: cutoff(30) } }],
+      [{ familyId: { $in: ['c'] }, timestamp: { $lt: cutoff(90) } }],
+      [{ familyId: { $nin: ['a', 'b', 'c'] }, timestamp: { $lt: cutoff(90) } }]
+    ]);
+    expect(alertModel.deleteMany.mock.calls).toEqual([
+      [{ familyId: { $in: ['a', 'c'] }, timestamp: { $lt: cutoff(365) } }],
+      [{ familyId: { $in: ['b'] }, timestamp: { $lt: cutoff(60) } }],
+      [{ familyId: { $nin: ['a', 'b', 'c'] }, timestamp: { $lt: cutoff(365) } }]
+    ]);
+  });
+
+  test('rebuilds the handle index only when interactions were deleted', async () => {
+    await service.purgeExpired(now);
+    expect(handleIndex.loadAll).toHaveBeenCalledTimes(1);
+
+    interactionModel.deleteMany.mockResolvedValue({ deletedCount: 0 });
+    await service.purgeExpired(now);
+    expect(handleIndex.loadAll).toHaveBeenCalledTimes(1);
+  });
+
+  test('purges on start and then on the interval', async () => {
+    jest.useFakeTimers();
+    try {
+      service.start();
+      service.start();
+      await Promise.resolve();
+      expect(interactionModel.deleteMany).toHaveBeenCalledTimes(1);
+
+      jest.advanceTimersByTime(60 * 1000);
+      await Promise.resolve();
+      expect(interactionModel.deleteMany).toHaveBeenCalledTimes(2);
+
+      service.stop();
+      jest.advanceTimersByTime(60 * 1000);
+      expect(interactionModel.deleteMany).toHaveBeenCalledTimes(2);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('logs a failed purge instead of throwing', async () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    interactionModel.deleteMany.mockRejectedValue(new Error('database unavailable'));
+
+    service.start();
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(error).toHaveBeenCalledWith('Data retention purge failed:', expect.any(Error));
+    error.mockRestore();
+  });
+});
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DetectionEvaluator, readDataset, NO_ALERT } = require('../../services/detectionEvaluator');
+
+const DATASET = path.join(__dirname, '..', '..', 'data', 'evaluation', 'dataset.jsonl');
+
+// Detector that answers from a lookup table, so scoring can be checked exactly
+const fakeDetector = (answers) => ({
+  detectThreats: (message) => {
+    const answer = answers[message] || {};
+    return {
+      severity: answer.severity || null,
+      alertCategory: answer.category || null,
+      overallRisk: answer.severity ? 7 : 0,
+      threats: answer.severity ? [{ type: 'test', category: answer.category }] : []
+    };
+  }
+});
+
+const writeDataset = (lines) => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'kidverse-eval-')), 'dataset.jsonl');
+  fs.writeFileSync(file, lines.join('\n'));
+  return file;
+};
+
+describe('readDataset', () => {
+  test('reads the shipped dataset', () => {
+    const examples = readDataset(DATASET);
+    expect(examples.length).toBeGreaterThan(0);
+    examples.forEach(example => {
+      expect(typeof example.message).toBe('string');
+      expect(typeof example.expectedCategory).toBe('string');
+    });
+  });
+
+  test('skips blank lines and records line numbers', () => {
+    const file = writeDataset([
+      '{"message": "hi", "expectedCategory": "none"}',
+      '',
+      '{"message": "whats your address", "expectedCategory": "personal_info_request", "expectedSeverity": "high"}'
+    ]);
+    expect(readDataset(file).map(example => example.line)).toEqual([1, 3]);
+  });
+
+  test('rejects malformed lines', () => {
+    expect(() => readDataset(writeDataset(['{not json']))).toThrow(/:1 is not valid JSON/);
+    expect(() => readDataset(writeDataset(['{"message": "hi"}']))).toThrow(/needs string "message" and "expectedCategory"/);
+    expect(() => readDataset(writeDataset(['{"message": "hi", "expectedCategory": "none", "expectedSeverity": "huge"}'])))
+      .toThrow(/expectedSeverity must be one of/);
+  });
+});
+
+describe('DetectionEvaluator', () => {
+  const examples = [
+    { line: 1, message: 'secret', expectedCategory: 'predatory_behavior', expectedSeverity: 'critical' },
+    { line: 2, message: 'address', expectedCategory: 'personal_info_request', expectedSeverity: 'high' },
+    { line: 3, message: 'gg', expectedCategory: NO_ALERT, expectedSeverity: NO_ALERT },
+    { line: 4, message: 'free robux', expectedCategory: 'scam' },
+    { line: 5, message: 'hello', expectedCategory: NO_ALERT }
+  ];
+
+  const evaluator = new DetectionEvaluator({
+    detector: fakeDetector({
+      secret: { severity: 'high', category: 'predatory_behavior' },
+      address: { severity: 'high', category: 'predatory_behavior' },
+      gg: { severity: 'low', category: 'scam' }
+    })
+  });
+
+  test('scores accuracy and per-category precision and recall', () => {
+    const report = evaluator.evaluate(examples);
+
+    expect(report.total).toBe(5);
+    expect(report.accuracy).toBeCloseTo(2 / 5);
+    expect(report.categories.predatory_behavior).toMatchObject({
+      support: 1, truePositives: 1, falsePositives: 1, falseNegatives: 0, precision: 0.5, recall: 1
+    });
+    expect(report.categories.predatory_behavior.f1).toBeCloseTo(2 / 3);
+    expect(report.categories.personal_info_request).toMatchObject({ precision: 0, recall: 0, f1: 0 });
+    expect(report.categories[NO_ALERT]).toBeUndefined();
+  });
+
+  test('splits errors into false positives, false negatives and misclassifications', () => {
+    const report = evaluator.evaluate(examples);
+
+    expect(report.falsePositives.map(p => p.line)).toEqual([3]);
+    expect(report.falseNegatives.map(p => p.line)).toEqual([4]);
+    expect(report.misclassified.map(p => p.line)).toEqual([2]);
+  });
+
+  test('builds a confusion matrix with a row for no alert', () => {
+    const { labels, matrix } = evaluator.evaluate(examples).confusionMatrix;
+
+    expect(labels[labels.length - 1]).toBe(NO_ALERT);
+    expect(matrix.personal_info_request.predatory_behavior).toBe(1);
+    expect(matrix[NO_ALERT].scam).toBe(1);
+    expect(matrix[NO_ALERT][NO_ALERT]).toBe(1);
+  });
+
+  test('scores severity only where it was labeled', () => {
+    const severity = evaluator.evaluate(examples).severity;
+
+    expect(severity.evaluated).toBe(3);
+    expect(severity.exact).toBeCloseTo(1 / 3);
+    expect(severity.withinOne).toBeCloseTo(1);
+    expect(severity.mismatches.map(p => p.line)).toEqual([1, 3]);
+  });
+
+  test('compare reports fixed and regressed examples', () => {
+    const baseline = evaluator.evaluate(examples);
+    const candidate = new DetectionEvaluator({
+      detector: fakeDetector({
+        secret: { severity: 'critical', category: 'predatory_behavior' },
+        address: { severity: 'high', category: 'personal_info_request' },
+        hello: { severity: 'low', category: 'scam' }
+      })
+    }).evaluate(examples);
+
+    const diff = DetectionEvaluator.compare(baseline, candidate);
+
+    expect(diff.accuracy).toBeCloseTo(candidate.accuracy - baseline.accuracy);
+    expect(diff.fixed.map(({ before }) => before.line)).toEqual([2, 3]);
+    expect(diff.regressed.map(({ before }) => before.line)).toEqual([5]);
+    expect(diff.categories.personal_info_request.recall).toBe(1);
+  });
+
+  test('builds its own detector on a pack directory', () => {
+    const evaluation = new DetectionEvaluator({
+      packDirectory: path.join(__dirname, '..', '..', 'config', 'patterns'),
+      useClassifier: false
+    });
+
+    expect(evaluation.detector.classifier).toBeNull();
+
+    const report = evaluation.evaluate([
+      { line: 1, message: 'this is our little secret ok? dont tell your parents', expectedCategory: 'predatory_behavior' },
+      { line: 2, message: 'gg that was a fun round', expectedCategory: NO_ALERT }
+    ]);
+
+    expect(report.predictions.map(p => p.predictedCategory)).toEqual(['predatory_behavior', NO_ALERT]);
+    expect(report.accuracy).toBe(1);
+  });
+});
@@ -0,0 +1,172 @@
+const AlertDetectionService = require('../../services/alertDetection');
+const { DetectionPool, DetectionPoolError } = require('../../services/detectionPool');
+const { patternPacks } = require('../../services/patternPackLoader');
+
+// Workers run in-process: each job is answered by `Worker.respond`, on the next tick
+jest.mock('worker_threads', () => {
+  const EventEmitter = require('events');
+
+  class Worker extends EventEmitter {
+    constructor(file, options) {
+      super();
+      this.file = file;
+      this.options = options;
+      this.received = [];
+      Worker.instances.push(this);
+      setImmediate(() => this.emit('message', { type: 'ready' }));
+    }
+
+    postMessage(job) {
+      this.received.push(job);
+      if (job.type !== 'reload' && Worker.respond) {
+        setImmediate(() => Worker.respond(this, job));
+      }
+    }
+
+    terminate() {
+      this.terminated = true;
+      return Promise.resolve(0);
+    }
+  }
+  Worker.instances = [];
+  return { Worker };
+});
+
+const { Worker } = require('worker_threads');
+
+describe('DetectionPool', () => {
+  let analyzer;
+  let pool;
+
+  beforeAll(() => {
+    patternPacks.load();
+    analyzer = new AlertDetectionService({ classifier: null });
+  });
+
+  afterAll(() => {
+    analyzer.close();
+  });
+
+  beforeEach(() => {
+    Worker.instances = [];
+    Worker.respond = (worker, job) => worker.emit('message', {
+      id: job.id,
+      result: analyzer.analyzeMessage(job.message, job.context)
+    });
+  });
+
+  afterEach(async () => {
+    await pool.close();
+  });
+
+  // Lets fake workers report ready and answer
+  const settle = () => new Promise(resolve => setImmediate(resolve));
+
+  test('gives the same result as detectThreats', async () => {
+    pool = new DetectionPool({ size: 2 });
+    const message = 'this is our little secret, dont tell your parents';
+
+    const result = await pool.analyze(message, {});
+
+    expect(result).toEqual(analyzer.detectThreats(message, {}));
+    expect(pool.getStats()).toMatchObject({ workers: 2, busy: 0, completed: 1 });
+  });
+
+  test('batches keep input order', async () => {
+    pool = new DetectionPool({ size: 2 });
+
+    const results = await pool.batchAnalyze(['gg', { text: 'what grade are you in', timestamp: 'yesterday' }, 'hi']);
+
+    expect(results.map(r => r.message)).toEqual(['gg', 'what grade are you in', 'hi']);
+    expect(results[1].timestamp).toBe('yesterday');
+    expect(results[1].analysis.threats.length).toBeGreaterThan(0);
+  });
+
+  test('runs interactive jobs before waiting batch jobs', async () => {
+    pool = new DetectionPool({ size: 1, batchConcurrency: 3 });
+    const order = [];
+    Worker.respond = (worker, job) => {
+      order.push(job.message);
+      worker.emit('message', { id: job.id, result: analyzer.analyzeMessage(job.message, job.context) });
+    };
+
+    const batch = pool.batchAnalyze(['b1', 'b2', 'b3']);
+    const interactive = pool.analyze('i1');
+    await Promise.all([batch, interactive]);
+
+    expect(order.indexOf('i1')).toBeLessThan(order.indexOf('b3'));
+    expect(order.indexOf('i1')).toBe(0);
+  });
+
+  test('rejects new jobs when the queue is full', async () => {
+    pool = new DetectionPool({ size: 1, maxQueue: 1 });
+    Worker.respond = null;
+
+    const first = pool.analyze('one');
+    const second = pool.analyze('two');
+
+    await expect(second).rejects.toMatchObject({ code: 'QUEUE_FULL' });
+    expect(pool.getStats().rejected).toBe(1);
+    first.catch(() => {});
+  });
+
+  test('replaces a worker that runs past the timeout', async () => {
+    pool = new DetectionPool({ size: 1, timeoutMs: 20 });
+    Worker.respond = null;
+
+    await expect(pool.analyze('stuck')).rejects.toMatchObject({ code: 'TIMEOUT' });
+    expect(Worker.instances[0].terminated).toBe(true);
+    expect(Worker.instances).toHaveLength(2);
+    expect(pool.getStats()).toMatchObject({ workers: 1, timedOut: 1 });
+  });
+
+  test('tells workers to reload when the packs change', async () => {
+    pool = new DetectionPool({ size: 2 }).start();
+    await settle();
+
+    patternPacks.emit('loaded', patternPacks.getCurrent());
+
+    Worker.instances.forEach(worker => expect(worker.received).toContainEqual({ type: 'reload' }));
+  });
+
+  test('close rejects waiting jobs and stops following the loader', async () => {
+    const listeners = patternPacks.listenerCount('loaded');
+    pool = new DetectionPool({ size: 1 });
+    Worker.respond = null;
+
+    const running = pool.analyze('one');
+    const waiting = pool.analyze('two');
+    expect(patternPacks.listenerCount('loaded')).toBe(listeners + 2);
+
+    await pool.close();
+
+    await expect(running).rejects.toBeInstanceOf(DetectionPoolError);
+    await expect(waiting).rejects.toMatchObject({ code: 'POOL_CLOSED' });
+    await expect(pool.analyze('three')).rejects.toMatchObject({ code: 'POOL_CLOSED' });
+    expect(patternPacks.listenerCount('loaded')).toBe(listeners);
+  });
+
+  test('leaves a detector it was given open', async () => {
+    const detector = new AlertDetectionService({ classifier: null });
+    const listeners = patternPacks.listenerCount('loaded');
+    pool = new DetectionPool({ size: 1, detector }).start();
+
+    await pool.close();
+
+    expect(patternPacks.listenerCount('loaded')).toBe(listeners);
+    detector.close();
+    expect(patternPacks.listenerCount('loaded')).toBe(listeners - 1);
+  });
+});
+
+describe('AlertDetectionService.close', () => {
+  test('stops following pack reloads', () => {
+    const listeners = patternPacks.listenerCount('loaded');
+    const detectors = Array.from({ length: 5 }, () => new AlertDetectionService({ classifier: null }));
+    expect(patternPacks.listenerCount('loaded')).toBe(listeners + 5);
+
+    detectors.forEach(detector => detector.close());
+
+    expect(patternPacks.listenerCount('loaded')).toBe(listeners);
+  });
+});
@@ -0,0 +1,91 @@
+const { FamilySettingsService, DEFAULT_CONTENT_FILTERS } = require('../../services/familySettings');
+
+describe('FamilySettingsService', () => {
+  let settings;
+
+  beforeEach(() => {
+    settings = new FamilySettingsService();
+  });
+
+  describe('content filters', () => {
+    test('default to every filter on', () => {
+      expect(settings.getContentFilters('family1')).toEqual(DEFAULT_CONTENT_FILTERS);
+    });
+
+    test('merge boolean updates and ignore anything else', () => {
+      const updated = settings.setContentFilters('family1', { violence: false, adult: 'no', unknown: false });
+
+      expect(updated).toEqual({ ...DEFAULT_CONTENT_FILTERS, violence: false });
+      expect(settings.getContentFilters('family1')).toEqual(updated);
+      expect(settings.getContentFilters('family2')).toEqual(DEFAULT_CONTENT_FILTERS);
+    });
+
+    test('keep earlier updates', () => {
+      settings.setContentFilters('family1', { violence: false });
+      settings.setContentFilters('family1', { profanity: false });
+      expect(settings.getContentFilters('family1')).toMatchObject({ violence: false, profanity: false, adult: true });
+    });
+
+    test('mergeContentFilters leaves the stored filters alone', () => {
+      expect(settings.mergeContentFilters('family1', { adult: false })).toMatchObject({ adult: false, violence: true });
+      expect(settings.getContentFilters('family1')).toEqual(DEFAULT_CONTENT_FILTERS);
+    });
+  });
+
+  describe('alert thresholds', () => {
+    test('mergeAlertThresholds leaves the stored thresholds alone', () => {
+      const merged = settings.mergeAlertThresholds('family1', { excessive: { threshold: 40 } });
+
+      expect(merged.excessive).toEqual({ enabled: true, threshold: 40, severity: 'low' });
+      expect(settings.getAlertThresholds('family1').excessive.threshold).toBe(100);
+    });
+
+    test('setAlertThresholds stores the merged thresholds', () => {
+      settings.setAlertThresholds('family1', { suspicious: { enabled: false } });
+      expect(settings.getAlertThresholds('family1').suspicious).toEqual({ enabled: false, severity: 'medium' });
+    });
+  });
+
+  describe('child schedules', () => {
+    test('validate the time zone and quiet hours', () => {
+      expect(settings.validateChildSchedule({ timeZone: 'Europe/London', quietHours: { start: 21, end: 7 } })).toEqual([]);
+      expect(settings.validateChildSchedule({ quietHours: { start: 20, end: 23 } })).toEqual([]);
+      expect(settings.validateChildSchedule([])).toEqual(['Schedule must be an object']);
+      expect(settings.validateChildSchedule({})).toEqual(['Schedule needs a timeZone or quietHours']);
+      expect(settings.validateChildSchedule({ timeZone: 'Not/AZone' }))
+        .toEqual(['timeZone must be an IANA time zone, e.g. America/New_York']);
+      expect(settings.validateChildSchedule({ timeZone: 5 }))
+        .toEqual(['timeZone must be an IANA time zone, e.g. America/New_York']);
+      expect(settings.validateChildSchedule({ quietHours: { start: 22, end: 24 } }))
+        .toEqual(['quietHours must be { start, end } with different hours from 0 to 23']);
+      expect(settings.validateChildSchedule({ quietHours: { start: 6, end: 6 } })).toHaveLength(1);
+    });
+
+    test('are stored per family and child', () => {
+      const stored = settings.setChildSchedule('family1', 'child1', { timeZone: 'Europe/London' });
+
+      expect(stored).toEqual({ timeZone: 'Europe/London', quietHours: null, updatedAt: expect.any(Date) });
+      expect(settings.getChildSchedule('family1', 'child1')).toBe(stored);
+      expect(settings.getChildSchedule('family2', 'child1')).toBeNull();
+
+      expect(settings.clearChildSchedule('family1', 'child1')).toBe(true);
+      expect(settings.clearChildSchedule('family1', 'child1')).toBe(false);
+      expect(settings.getChildSchedule('family1', 'child1')).toBeNull();
+    });
+  });
+
+  describe('monitoring toggle', () => {
+    test('defaults to on', () => {
+      expect(settings.isMonitoringEnabled('family1')).toBe(true);
+    });
+
+    test('pauses and resumes one family', () => {
+      expect(settings.setMonitoringEnabled('family1', false)).toBe(false);
+      expect(settings.isMonitoringEnabled('family1')).toBe(false);
+      expect(settings.isMonitoringEnabled('family2')).toBe(true);
+
+      settings.setMonitoringEnabled('family1', true);
+      expect(settings.isMonitoringEnabled('family1')).toBe(true);
+    });
+  });
+});
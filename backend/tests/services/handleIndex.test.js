@@ -0,0 +1,101 @@
+const { HandleIndex } = require('../../services/handleIndex');
+
+const entity = (type, value, normalized = value.toLowerCase()) => ({ type, value, normalized, index: 0, length: value.length });
+
+describe('HandleIndex', () => {
+  let index;
+
+  beforeEach(() => {
+    index = new HandleIndex();
+  });
+
+  test('records contact handles and skips links', () => {
+    const recorded = index.record('family1', [entity('snapchat', 'CoolKid'), entity('url', 'free-robux.xyz')], {
+      childId: 'child1', senderId: 'sender1', platform: 'roblox'
+    });
+
+    expect(recorded).toBe(1);
+    expect(index.list('family1').map(entry => entry.handle)).toEqual(['coolkid']);
+  });
+
+  test('joins the same handle across platforms, senders and children', () => {
+    index.record('family1', [entity('snapchat', 'coolkid')], { childId: 'child1', senderId: 'a', platform: 'roblox' });
+    index.record('family1', [entity('discord', 'CoolKid')], { childId: 'child2', senderId: 'b', platform: 'minecraft' });
+
+    const entry = index.lookup('family1', '@CoolKid');
+    expect(entry.handleTypes).toEqual(['snapchat', 'discord']);
+    expect(entry.platforms).toEqual(['roblox', 'minecraft']);
+    expect(entry.senderCount).toBe(2);
+    expect(entry.childCount).toBe(2);
+    expect(entry.occurrences[0].platform).toBe('minecraft');
+  });
+
+  test('keeps families apart', () => {
+    index.record('family1', [entity('snapchat', 'coolkid')], {});
+    expect(index.lookup('family2', 'coolkid')).toBeNull();
+    expect(index.list('family2')).toEqual([]);
+  });
+
+  test('looks up phone numbers by their digits', () => {
+    index.record('family1', [entity('phone', '(555) 123-4567', '5551234567')], {});
+    expect(index.lookup('family1', '555.123.4567').handle).toBe('5551234567');
+  });
+
+  test('lists the most frequent handles first and filters by count', () => {
+    index.record('family1', [entity('snapchat', 'once')], {});
+    index.record('family1', [entity('snapchat', 'twice')], {});
+    index.record('family1', [entity('snapchat', 'twice')], {});
+
+    expect(index.list('family1').map(entry => entry.handle)).toEqual(['twice', 'once']);
+    expect(index.list('family1', { minOccurrences: 2 }).map(entry => entry.handle)).toEqual(['twice']);
+  });
+
+  test('caps the occurrences kept per handle', () => {
+    for (let i = 0; i < 205; i++) {
+      index.record('family1', [entity('snapchat', 'spam')], {});
+    }
+    expect(index.lookup('family1', 'spam').occurrenceCount).toBe(200);
+  });
+
+  test('records nothing without a family', () => {
+    expect(index.record(null, [entity('snapchat', 'coolkid')], {})).toBe(0);
+  });
+
+  describe('loadAll', () => {
+    const stored = (handles, details) => ({
+      familyId: { toString: () => 'family1' },
+      contactHandles: handles.map(([handleType, value]) => ({ handleType, value, normalized: value.toLowerCase() })),
+      ...details
+    });
+
+    test('rebuilds the index from stored interactions, oldest first', async () => {
+      const query = {
+        select: jest.fn(() => query),
+        sort: jest.fn(() => query),
+        lean: jest.fn(async () => [
+          stored([['snapchat', 'CoolKid']], { senderId: 'a', platform: 'roblox', timestamp: new Date('2026-05-01T10:00:00Z') }),
+          stored([['discord', 'coolkid'], ['phone', '5551234567']], {
+            childId: { toString: () => 'child1' },
+            senderId: 'b',
+            platform: 'minecraft',
+            threatCategories: ['offPlatform'],
+            timestamp: new Date('2026-05-02T10:00:00Z')
+          })
+        ])
+      };
+      const interactionModel = { find: jest.fn(() => query) };
+      index = new HandleIndex({ interactionModel });
+      index.record('family1', [entity('snapchat', 'stale')], {});
+
+      expect(await index.loadAll()).toBe(2);
+      expect(interactionModel.find).toHaveBeenCalledWith({ 'contactHandles.0': { $exists: true } });
+      expect(query.sort).toHaveBeenCalledWith({ timestamp: 1 });
+
+      expect(index.lookup('family1', 'stale')).toBeNull();
+      const entry = index.lookup('family1', 'CoolKid');
+      expect(entry).toMatchObject({ handleTypes: ['snapchat', 'discord'], senderCount: 2, childCount: 1, occurrenceCount: 2 });
+      expect(entry.occurrences[0]).toMatchObject({ platform: 'minecraft', threatCategories: ['offPlatform'] });
+      expect(index.lookup('family1', '555-123-4567')).not.toBeNull();
+    });
+  });
+});
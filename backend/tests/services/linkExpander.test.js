@@ -0,0 +1,97 @@
+const { LinkExpander } = require('../../services/linkExpander');
+
+const redirect = (location) => ({ status: 301, headers: { get: (name) => (name === 'location' ? location : null) } });
+const ok = () => ({ status: 200, headers: { get: () => null } });
+
+describe('LinkExpander', () => {
+  const createExpander = (fetch, options = {}) => new LinkExpander({ fetch, enabled: true, ...options });
+
+  test('follows a shortener to its destination without fetching the destination', async () => {
+    const fetch = jest.fn().mockResolvedValue(redirect('https://rbxgen.com/claim'));
+    const expander = createExpander(fetch);
+
+    await expect(expander.expand('bit.ly/abc')).resolves.toBe('https://rbxgen.com/claim');
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(fetch).toHaveBeenCalledWith('http://bit.ly/abc', expect.objectContaining({ method: 'HEAD', redirect: 'manual' }));
+  });
+
+  test('follows chains of shorteners and relative locations', async () => {
+    const fetch = jest.fn()
+      .mockResolvedValueOnce(redirect('https://tinyurl.com/next'))
+      .mockResolvedValueOnce(redirect('/final'))
+      .mockResolvedValueOnce(redirect('https://example.com/page'));
+    const expander = createExpander(fetch);
+
+    await expect(expander.expand('https://bit.ly/abc')).resolves.toBe('https://example.com/page');
+    expect(fetch.mock.calls.map(([url]) => url)).toEqual([
+      'https://bit.ly/abc', 'https://tinyurl.com/next', 'https://tinyurl.com/final'
+    ]);
+  });
+
+  test('gives up after too many shortener hops', async () => {
+    const fetch = jest.fn().mockResolvedValue(redirect('https://bit.ly/loop'));
+    await expect(createExpander(fetch).expand('bit.ly/abc')).resolves.toBeNull();
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('never contacts hosts off the shortener list', async () => {
+    const fetch = jest.fn();
+    await expect(createExpander(fetch).expand('https://example.com/abc')).resolves.toBeNull();
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('returns null when the request fails, times out or does not redirect', async () => {
+    await expect(createExpander(jest.fn().mockRejectedValue(new Error('timeout'))).expand('bit.ly/a')).resolves.toBeNull();
+    await expect(createExpander(jest.fn().mockResolvedValue(ok())).expand('bit.ly/a')).resolves.toBeNull();
+    await expect(createExpander(jest.fn().mockResolvedValue(redirect('javascript:alert(1)'))).expand('bit.ly/a')).resolves.toBeNull();
+  });
+
+  test('passes an abort signal with the timeout', async () => {
+    const fetch = jest.fn().mockResolvedValue(ok());
+    await createExpander(fetch, { timeoutMs: 50 }).expand('bit.ly/a');
+    expect(fetch.mock.calls[0][1].signal).toBeInstanceOf(AbortSignal);
+  });
+
+  test('caches expansions, including failures', async () => {
+    const fetch = jest.fn().mockResolvedValue(redirect('https://example.com'));
+    const expander = createExpander(fetch);
+
+    await expander.expand('bit.ly/abc');
+    await expander.expand('bit.ly/abc');
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('expandLinks maps each shortened link in a message to its destination', async () => {
+    const fetch = jest.fn(async (url) => (url.includes('good') ? redirect('https://example.com') : ok()));
+    const expander = createExpander(fetch);
+
+    await expect(expander.expandLinks('see bit.ly/good and bit.ly/bad and roblox.com')).resolves.toEqual({
+      'bit.ly/good': 'https://example.com/'
+    });
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('does nothing when disabled', async () => {
+    const fetch = jest.fn();
+    await expect(createExpander(fetch, { enabled: false }).expandLinks('bit.ly/abc')).resolves.toEqual({});
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('stays off unless LINK_EXPANSION_ENABLED=true', async () => {
+    const previous = process.env.LINK_EXPANSION_ENABLED;
+    const fetch = jest.fn();
+    try {
+      delete process.env.LINK_EXPANSION_ENABLED;
+      expect(new LinkExpander({ fetch }).enabled).toBe(false);
+
+      process.env.LINK_EXPANSION_ENABLED = 'true';
+      expect(new LinkExpander({ fetch }).enabled).toBe(true);
+    } finally {
+      if (previous === undefined) {
+        delete process.env.LINK_EXPANSION_ENABLED;
+      } else {
+        process.env.LINK_EXPANSION_ENABLED = previous;
+      }
+    }
+  });
+});
@@ -0,0 +1,252 @@
+const mongoose = require('mongoose');
+const AlertDetectionService = require('../../services/alertDetection');
+const { MessageMonitor } = require('../../services/messageMonitor');
+const { FamilySettingsService } = require('../../services/familySettings');
+
+const familyId = new mongoose.Types.ObjectId().toString();
+
+describe('MessageMonitor', () => {
+  let detector;
+  let pool;
+  let alertModel;
+  let interactionModel;
+  let safetyStatus;
+  let linkExpander;
+  let monitor;
+
+  beforeAll(() => {
+    detector = new AlertDetectionService({ classifier: null });
+  });
+
+  beforeEach(() => {
+    const familySettings = new FamilySettingsService();
+    const run = (message, context) => detector.analyzeMessage(message, detector.resolveContext(context));
+
+    pool = {
+      analyze: jest.fn(async (message, context) => run(message, context)),
+      batchAnalyze: jest.fn(async (messages, context) => messages.map(entry => {
+        const text = entry.text || entry;
+        return { message: text, timestamp: entry.timestamp || new Date(), analysis: run(text, context) };
+      }))
+    };
+    alertModel = { create: jest.fn(async (doc) => ({ _id: new mongoose.Types.ObjectId(), status: 'pending', ...doc })) };
+    interactionModel = { create: jest.fn(async (doc) => doc), insertMany: jest.fn(async (docs) => docs) };
+    safetyStatus = { invalidate: jest.fn() };
+    linkExpander = { expandLinks: jest.fn(async () => ({})) };
+
+    monitor = new MessageMonitor({ pool, familySettings, alertModel, interactionModel, safetyStatus, linkExpander, detector });
+  });
+
+  describe('validateRequest', () => {
+    test('accepts a message with a valid context timestamp', () => {
+      expect(monitor.validateRequest({ message: 'hi', context: { timestamp: '2026-05-01T10:00:00Z' } })).toEqual([]);
+      expect(monitor.validateRequest({ message: 'hi', context: { timestamp: Date.now() } })).toEqual([]);
+    });
+
+    test('rejects an invalid context timestamp', () => {
+      expect(monitor.validateRequest({ message: 'hi', context: { timestamp: 'yesterday-ish' } }))
+        .toEqual(['context.timestamp must be a valid date']);
+      expect(monitor.validateRequest({ message: 'hi', context: { timestamp: { $gt: 1 } } }))
+        .toEqual(['context.timestamp must be a valid date']);
+    });
+
+    test('rejects an invalid timestamp on a batched message', () => {
+      const errors = monitor.validateRequest({
+        messages: [{ text: 'a', timestamp: '2026-05-01T10:00:00Z' }, { text: 'b', timestamp: 'not a date' }]
+      });
+      expect(errors).toEqual(['messages[1].timestamp must be a valid date']);
+    });
+  });
+
+  describe('monitoring paused', () => {
+    beforeEach(() => {
+      monitor.familySettings.setMonitoringEnabled(familyId, false);
+    });
+
+    test('analyzes and stores nothing', async () => {
+      const result = await monitor.analyze('this is our little secret', { familyId });
+
+      expect(result).toEqual({ analysis: null, alert: null, monitoringEnabled: false });
+      expect(pool.analyze).not.toHaveBeenCalled();
+      expect(alertModel.create).not.toHaveBeenCalled();
+      expect(interactionModel.create).not.toHaveBeenCalled();
+      expect(monitor.presentResult(result, 'child')).toBe(result);
+    });
+
+    test('skips every message of a batch', async () => {
+      const results = await monitor.analyzeBatch(['hello', { text: 'bye', timestamp: '2026-05-01T10:00:00Z' }], { familyId });
+
+      expect(results.map(({ message, analysis, alert }) => ({ message, analysis, alert }))).toEqual([
+        { message: 'hello', analysis: null, alert: null },
+        { message: 'bye', analysis: null, alert: null }
+      ]);
+      expect(results[1].timestamp).toBe('2026-05-01T10:00:00Z');
+      expect(pool.batchAnalyze).not.toHaveBeenCalled();
+      expect(interactionModel.insertMany).not.toHaveBeenCalled();
+    });
+
+    test('resumes when monitoring is turned back on', async () => {
+      monitor.familySettings.setMonitoringEnabled(familyId, true);
+      const { analysis } = await monitor.analyze('hi there', { familyId });
+      expect(analysis).not.toBeNull();
+    });
+  });
+
+  describe('conversation tracking', () => {
+    const start = new Date('2026-05-01T15:00:00Z').getTime();
+    const context = (minutes, extra = {}) => ({
+      familyId,
+      senderId: 'sender-1',
+      childId: new mongoose.Types.ObjectId().toString(),
+      timestamp: new Date(start + minutes * 60 * 1000).toISOString(),
+      ...extra
+    });
+
+    test('adds a grooming progression to the message that completes it', async () => {
+      const first = context(0);
+      const opening = await monitor.analyze("you're so mature for your age", first);
+      expect(opening.analysis.threats.map(t => t.type)).not.toContain('grooming_progression');
+
+      const { analysis, alert } = await monitor.analyze("your parents don't understand you",
+        { ...first, timestamp: context(5).timestamp });
+
+      expect(analysis.threats.map(t => t.type)).toContain('grooming_progression');
+      expect(analysis.threats.find(t => t.type === 'grooming_progression').recommendations).toBeUndefined();
+      expect(analysis.alertCategory).toBe('predatory_behavior');
+      expect(alert).not.toBeNull();
+      expect(alertModel.create.mock.calls.pop()[0].threats.map(t => t.type)).toContain('grooming_progression');
+    });
+
+    test('reports a finding once until its risk rises', async () => {
+      const base = context(0);
+      const at = (minutes) => ({ ...base, timestamp: context(minutes).timestamp });
+
+      await monitor.analyze("you're so mature for your age", at(0));
+      const reported = await monitor.analyze("your parents don't understand you", at(5));
+      const repeated = await monitor.analyze('how was your day', at(10));
+
+      expect(reported.analysis.threats.map(t => t.type)).toContain('grooming_progression');
+      expect(repeated.analysis.threats.map(t => t.type)).not.toContain('grooming_progression');
+      expect(repeated.alert).toBeNull();
+
+      const escalated = await monitor.analyze("this is our little secret, don't tell", at(15));
+      expect(escalated.analysis.threats.map(t => t.type)).toContain('grooming_progression');
+    });
+
+    test('keeps conversations in different families apart', async () => {
+      const otherFamily = new mongoose.Types.ObjectId().toString();
+      const base = context(0);
+
+      await monitor.analyze("you're so mature for your age", base);
+      const { analysis } = await monitor.analyze("your parents don't understand you",
+        { ...base, familyId: otherFamily, timestamp: context(5).timestamp });
+
+      expect(analysis.threats.map(t => t.type)).not.toContain('grooming_progression');
+    });
+
+    test('adds behavior anomalies, such as a message burst', async () => {
+      const base = context(0);
+      let result;
+      for (let i = 0; i < 10; i++) {
+        result = await monitor.analyze(`hey ${i}`, { ...base, timestamp: new Date(start + i * 1000).toISOString() });
+      }
+
+      const burst = result.analysis.threats.find(t => t.category === 'messageBurst');
+      expect(burst).toMatchObject({ type: 'behavioral_anomaly', riskScore: 5 });
+      expect(result.analysis.overallRisk).toBe(5);
+      expect(result.analysis.severity).toBe('medium');
+      expect(result.analysis.scoreBreakdown.primary).toMatchObject({ type: 'behavioral_anomaly', category: 'messageBurst' });
+      expect(result.analysis.recommendations.length).toBeGreaterThan(0);
+      expect(result.alert).toMatchObject({ category: 'cyberbullying', severity: 'medium' });
+    });
+
+    test('tracks each message of a batch', async () => {
+      const base = context(0);
+      const results = await monitor.analyzeBatch([
+        { text: "you're so mature for your age", timestamp: context(0).timestamp },
+        { text: "your parents don't understand you", timestamp: context(5).timestamp }
+      ], { familyId, senderId: base.senderId, childId: base.childId });
+
+      expect(results[1].analysis.threats.map(t => t.type)).toContain('grooming_progression');
+      expect(interactionModel.insertMany.mock.calls[0][0][1].alertId).toBe(results[1].alert.id);
+    });
+
+    test('does not track messages without a sender and child', async () => {
+      await monitor.analyze("you're so mature for your age", { familyId });
+      expect(monitor.conversationAnalyzer.conversations.size).toBe(0);
+      expect(monitor.behaviorAnalyzer.pairs.size).toBe(0);
+    });
+  });
+
+  describe('link expansion', () => {
+    test('passes expanded shortened links to the analysis', async () => {
+      linkExpander.expandLinks.mockResolvedValue({ 'bit.ly/xyz': 'https://rbxgen.com/claim' });
+
+      const { analysis, alert } = await monitor.analyze('free robux at bit.ly/xyz', { familyId });
+
+      expect(pool.analyze.mock.calls[0][1].expandedLinks).toEqual({ 'bit.ly/xyz': 'https://rbxgen.com/claim' });
+      expect(analysis.threats.map(t => t.category)).toContain('blocklistedDomain');
+      expect(alert).not.toBeNull();
+    });
+
+    test('leaves the context alone when nothing expands', async () => {
+      await monitor.analyze('hi there', { familyId });
+      expect(pool.analyze.mock.calls[0][1]).toEqual({ familyId });
+    });
+
+    test('does not expand links the child sends', async () => {
+      await monitor.analyze('look bit.ly/xyz', { familyId, speakerRole: 'child' });
+      expect(linkExpander.expandLinks).not.toHaveBeenCalled();
+    });
+
+    test('expands the links in every message of a batch', async () => {
+      linkExpander.expandLinks.mockImplementation(async (text) =>
+        (text.includes('bit.ly/a') ? { 'bit.ly/a': 'https://rbxgen.com' } : {}));
+
+      await monitor.analyzeBatch(['hello', { text: 'bit.ly/a', timestamp: new Date().toISOString() }], { familyId });
+
+      expect(linkExpander.expandLinks.mock.calls.map(([text]) => text)).toEqual(['hello', 'bit.ly/a']);
+      expect(pool.batchAnalyze.mock.calls[0][1].expandedLinks).toEqual({ 'bit.ly/a': 'https://rbxgen.com' });
+    });
+  });
+
+  describe('stored interactions', () => {
+    test('keep the contact handles the other party sent', async () => {
+      await monitor.analyze('add me on snap: coolkid2012', { familyId });
+
+      const stored = interactionModel.create.mock.calls[0][0];
+      expect(stored.contactHandles).toEqual([{ handleType: 'snapchat', value: 'coolkid2012', normalized: 'coolkid2012' }]);
+      expect(stored.threatCategories.length).toBeGreaterThan(0);
+    });
+
+    test('leave the handle fields out when there are none', async () => {
+      await monitor.analyze('hi there', { familyId });
+
+      const stored = interactionModel.create.mock.calls[0][0];
+      expect(stored).not.toHaveProperty('contactHandles');
+      expect(stored).not.toHaveProperty('threatCategories');
+    });
+  });
+
+  describe('child distress', () => {
+    test('always raises an alert, whatever the thresholds', async () => {
+      monitor.familySettings.setAlertThresholds(familyId, {
+        suspicious: { enabled: false },
+        inappropriate: { enabled: false }
+      });
+
+      const { alert } = await monitor.analyze('i feel so alone', { familyId, speakerRole: 'child' });
+      expect(alert).toMatchObject({ category: 'child_wellbeing', audience: 'guardians' });
+    });
+
+    test('withholds the result from everyone but guardians', async () => {
+      const result = await monitor.analyze('i feel so alone', { familyId, speakerRole: 'child' });
+
+      expect(monitor.presentResult(result, 'parent')).toBe(result);
+      expect(monitor.presentResult(result, 'child')).toEqual({
+        analysis: { audience: 'guardians', withheld: true },
+        alert: null
+      });
+    });
+  });
+});
@@ -0,0 +1,268 @@
+const mongoose = require('mongoose');
+const { MonitoringConfigService } = require('../../services/monitoringConfig');
+const { FamilySettingsService } = require('../../services/familySettings');
+const { CustomRuleService } = require('../../services/customRules');
+const { SensitivityProfileService } = require('../../services/sensitivityProfiles');
+
+const familyId = new mongoose.Types.ObjectId().toString();
+const childId = new mongoose.Types.ObjectId().toString();
+
+// Stand-in for the MonitoringConfig model's query helpers
+const query = (value) => ({ lean: async () => value });
+
+describe('MonitoringConfigService', () => {
+  let configModel;
+  let sensitivityProfiles;
+  let service;
+
+  beforeEach(() => {
+    configModel = {
+      find: jest.fn(() => query([])),
+      findOne: jest.fn(() => query(null)),
+      findOneAndUpdate: jest.fn(() => query({})),
+      updateOne: jest.fn(async () => ({}))
+    };
+    sensitivityProfiles = new SensitivityProfileService();
+    service = new MonitoringConfigService({
+      configModel,
+      familySettings: new FamilySettingsService(),
+      customRuleService: new CustomRuleService(),
+      sensitivityProfiles
+    });
+  });
+
+  describe('updateConfig', () => {
+    const failWrite = () => configModel.findOneAndUpdate.mockImplementation(() => {
+      throw new Error('database unavailable');
+    });
+
+    test('stores the merged settings before detection uses them', async () => {
+      configModel.findOneAndUpdate.mockImplementation((filter, update) => {
+        expect(service.familySettings.getContentFilters(familyId).profanity).toBe(true);
+        return query({ ...update.$set, updatedAt: new Date() });
+      });
+
+      const config = await service.updateConfig(familyId, {
+        monitoringEnabled: false,
+        contentFilters: { profanity: false },
+        alertThresholds: { suspicious: { severity: 'high' } },
+        dataRetention: { interactions: '30' }
+      }, 'parent-1');
+
+      const { $set } = configModel.findOneAndUpdate.mock.calls[0][1];
+      expect($set).toMatchObject({
+        monitoringEnabled: false,
+        contentFilters: { profanity: false, violence: true, adult: true, personalInfo: true },
+        alertThresholds: { suspicious: { enabled: true, severity: 'high' }, inappropriate: { severity: 'high' } },
+        dataRetention: { interactions: 30, alerts: 365 },
+        updatedBy: 'parent-1'
+      });
+      expect(service.familySettings.isMonitoringEnabled(familyId)).toBe(false);
+      expect(service.familySettings.getAlertThresholds(familyId).suspicious.severity).toBe('high');
+      expect(config).toMatchObject({ monitoringEnabled: false, contentFilters: { profanity: false } });
+    });
+
+    test('keeps detection on the old settings when the write fails', async () => {
+      failWrite();
+
+      await expect(service.updateConfig(familyId, {
+        monitoringEnabled: false,
+        contentFilters: { profanity: false },
+        customRules: [{ pattern: 'oakwood', severity: 'high' }]
+      })).rejects.toThrow('database unavailable');
+
+      expect(service.familySettings.isMonitoringEnabled(familyId)).toBe(true);
+      expect(service.familySettings.getContentFilters(familyId).profanity).toBe(true);
+      expect(service.customRules.getRules(familyId)).toEqual([]);
+    });
+
+    test('uses the custom rules exactly as stored', async () => {
+      await service.updateConfig(familyId, { customRules: [{ pattern: 'oakwood', severity: 'high' }] });
+
+      const stored = configModel.findOneAndUpdate.mock.calls[0][1].$set.customRules;
+      expect(stored).toEqual([expect.objectContaining({ id: expect.any(String), pattern: 'oakwood', enabled: true })]);
+      expect(service.customRules.getRules(familyId)).toBe(stored);
+    });
+  });
+
+  describe('suppressed patterns', () => {
+    const secrecy = { type: 'predatory_language', category: 'secrecy', pattern: 'our little secret' };
+    const gifts = { type: 'predatory_language', category: 'giftManipulation', pattern: 'free robux' };
+
+    test('stores the family\'s full list before suppressing', async () => {
+      configModel.findOneAndUpdate.mockImplementation(() => {
+        expect(service.familySettings.getSuppressedKeys(familyId).size).toBe(1);
+        return query({});
+      });
+      service.familySettings.suppressPattern(familyId, gifts);
+
+      const entry = await service.suppressPattern(familyId, secrecy, 'parent-1');
+
+      const { $set } = configModel.findOneAndUpdate.mock.calls[0][1];
+      expect($set.suppressedPatterns).toEqual([expect.objectContaining(gifts), entry]);
+      expect($set.updatedBy).toBe('parent-1');
+      expect(service.familySettings.getSuppressedPatterns(familyId)).toHaveLength(2);
+    });
+
+    test('does not suppress when the write fails', async () => {
+      configModel.findOneAndUpdate.mockImplementation(() => {
+        throw new Error('database unavailable');
+      });
+
+      await expect(service.suppressPattern(familyId, secrecy)).rejects.toThrow('database unavailable');
+      expect(service.familySettings.getSuppressedPatterns(familyId)).toEqual([]);
+    });
+
+    test('removes a suppression from storage, then from detection', async () => {
+      service.familySettings.suppressPattern(familyId, secrecy);
+      service.familySettings.suppressPattern(familyId, gifts);
+
+      expect(await service.unsuppressPattern(familyId, secrecy, 'parent-1')).toBe(true);
+      expect(configModel.updateOne).toHaveBeenCalledWith(
+        { familyId },
+        { $set: { suppressedPatterns: [expect.objectContaining(gifts)], updatedBy: 'parent-1' } }
+      );
+      expect(service.familySettings.getSuppressedPatterns(familyId)).toEqual([expect.objectContaining(gifts)]);
+    });
+
+    test('does not write when the pattern is not suppressed', async () => {
+      expect(await service.unsuppressPattern(familyId, secrecy)).toBe(false);
+      expect(configModel.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('sensitivity overrides', () => {
+    test('stores an override before detection uses it', async () => {
+      configModel.findOneAndUpdate.mockImplementation(() => {
+        expect(sensitivityProfiles.getOverride(familyId, childId)).toBeNull();
+        return query({});
+      });
+
+      const stored = await service.setSensitivityOverride(familyId, childId, { profile: 'young' }, 'parent-1');
+
+      const [filter, update, options] = configModel.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ familyId });
+      expect(update.$set[`sensitivityOverrides.${childId}`]).toEqual(stored);
+      expect(update.$set.updatedBy).toBe('parent-1');
+      expect(options).toMatchObject({ upsert: true });
+      expect(sensitivityProfiles.getOverride(familyId, childId)).toEqual(stored);
+    });
+
+    test('leaves detection alone when the write fails', async () => {
+      configModel.findOneAndUpdate.mockImplementation(() => {
+        throw new Error('database unavailable');
+      });
+
+      await expect(service.setSensitivityOverride(familyId, childId, { profile: 'young' })).rejects.toThrow('database unavailable');
+      expect(sensitivityProfiles.getOverride(familyId, childId)).toBeNull();
+    });
+
+    test('removes a stored override', async () => {
+      sensitivityProfiles.setOverride(familyId, childId, { profile: 'young' });
+
+      expect(await service.clearSensitivityOverride(familyId, childId, 'parent-1')).toBe(true);
+      expect(configModel.updateOne).toHaveBeenCalledWith(
+        { familyId },
+        { $unset: { [`sensitivityOverrides.${childId}`]: '' }, $set: { updatedBy: 'parent-1' } }
+      );
+      expect(sensitivityProfiles.getOverride(familyId, childId)).toBeNull();
+    });
+
+    test('does not write when there is nothing to clear', async () => {
+      expect(await service.clearSensitivityOverride(familyId, childId)).toBe(false);
+      expect(configModel.updateOne).not.toHaveBeenCalled();
+    });
+
+    test('keeps the override when removing it fails', async () => {
+      sensitivityProfiles.setOverride(familyId, childId, { profile: 'young' });
+      configModel.updateOne.mockRejectedValue(new Error('database unavailable'));
+
+      await expect(service.clearSensitivityOverride(familyId, childId)).rejects.toThrow('database unavailable');
+      expect(sensitivityProfiles.getOverride(familyId, childId)).not.toBeNull();
+    });
+  });
+
+  describe('child schedules', () => {
+    const schedule = { timeZone: 'America/Chicago', quietHours: { start: 21, end: 7 } };
+
+    test('stores a schedule before behavior checks use it', async () => {
+      configModel.findOneAndUpdate.mockImplementation(() => {
+        expect(service.familySettings.getChildSchedule(familyId, childId)).toBeNull();
+        return query({});
+      });
+
+      const stored = await service.setChildSchedule(familyId, childId, schedule, 'parent-1');
+
+      const [filter, update] = configModel.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ familyId });
+      expect(update.$set[`childSchedules.${childId}`]).toEqual({ ...schedule, updatedAt: expect.any(Date) });
+      expect(update.$set.updatedBy).toBe('parent-1');
+      expect(stored).toMatchObject(schedule);
+      expect(service.familySettings.getChildSchedule(familyId, childId)).toEqual(stored);
+    });
+
+    test('leaves behavior checks alone when the write fails', async () => {
+      configModel.findOneAndUpdate.mockImplementation(() => {
+        throw new Error('database unavailable');
+      });
+
+      await expect(service.setChildSchedule(familyId, childId, schedule)).rejects.toThrow('database unavailable');
+      expect(service.familySettings.getChildSchedule(familyId, childId)).toBeNull();
+    });
+
+    test('removes a stored schedule', async () => {
+      service.familySettings.setChildSchedule(familyId, childId, schedule);
+
+      expect(await service.clearChildSchedule(familyId, childId, 'parent-1')).toBe(true);
+      expect(configModel.updateOne).toHaveBeenCalledWith(
+        { familyId },
+        { $unset: { [`childSchedules.${childId}`]: '' }, $set: { updatedBy: 'parent-1' } }
+      );
+      expect(service.familySettings.getChildSchedule(familyId, childId)).toBeNull();
+      expect(await service.clearChildSchedule(familyId, childId)).toBe(false);
+    });
+  });
+
+  describe('loadAll', () => {
+    test('restores settings, suppressions, sensitivity overrides and schedules after a restart', async () => {
+      configModel.find.mockReturnValue(query([{
+        familyId: new mongoose.Types.ObjectId(familyId),
+        monitoringEnabled: false,
+        contentFilters: { profanity: false },
+        customRules: [{ id: 'rule-1', label: 'School', pattern: 'oakwood', type: 'phrase', severity: 'high', enabled: true,
+          updatedAt: '2026-05-01T10:00:00.000Z' }],
+        suppressedPatterns: [
+          { type: 'predatory_language', category: 'secrecy', pattern: 'our little secret', suppressedAt: '2026-05-02T10:00:00.000Z' }
+        ],
+        sensitivityOverrides: {
+          [childId]: { profile: 'teen', riskAdjustments: { scam: 2 }, recommendationThresholds: {}, updatedAt: '2026-05-01T10:00:00.000Z' }
+        },
+        childSchedules: {
+          [childId]: { timeZone: 'Asia/Tokyo', quietHours: null, updatedAt: '2026-05-03T10:00:00.000Z' }
+        }
+      }]));
+
+      expect(await service.loadAll()).toBe(1);
+      expect(service.familySettings.isMonitoringEnabled(familyId)).toBe(false);
+      expect(service.familySettings.getContentFilters(familyId).profanity).toBe(false);
+      expect(service.customRules.getRules(familyId)[0]).toMatchObject({ id: 'rule-1', updatedAt: '2026-05-01T10:00:00.000Z' });
+      expect(service.familySettings.getSuppressedPatterns(familyId)).toEqual([{
+        type: 'predatory_language',
+        category: 'secrecy',
+        pattern: 'our little secret',
+        suppressedAt: new Date('2026-05-02T10:00:00.000Z')
+      }]);
+      expect(sensitivityProfiles.getOverride(familyId, childId)).toEqual({
+        profile: 'teen',
+        riskAdjustments: { scam: 2 },
+        recommendationThresholds: {},
+        updatedAt: new Date('2026-05-01T10:00:00.000Z')
+      });
+      expect(service.familySettings.getChildSchedule(familyId, childId)).toEqual({
+        timeZone: 'Asia/Tokyo',
+        quietHours: null,
+        updatedAt: new Date('2026-05-03T10:00:00.000Z')
+      });
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const { PatternFeedbackService, getPatternKey } = require('../../services/patternFeedback');
+const { patternPacks } = require('../../services/patternPackLoader');
+
+const family = new mongoose.Types.ObjectId().toString();
+const secrecy = { type: 'predatory_language', category: 'secrecy', pattern: 'our little secret' };
+const compliment = { type: 'predatory_language', category: 'inappropriateCompliments', pattern: 'so mature' };
+
+describe('PatternFeedbackService', () => {
+  let feedback;
+
+  beforeAll(() => {
+    patternPacks.load();
+  });
+
+  beforeEach(() => {
+    feedback = new PatternFeedbackService({ alertModel: {}, minReviews: 3 });
+  });
+
+  const stats = (entry) => feedback.getPatternStats().find(s => getPatternKey(s) === getPatternKey(entry));
+
+  test('counts confirmations and dismissals per pattern', () => {
+    expect(feedback.recordReview(family, 'a1', 'resolved', [secrecy, compliment])).toBe(2);
+    expect(feedback.recordReview(family, 'a2', 'dismissed', [compliment, compliment])).toBe(1);
+
+    expect(stats(secrecy)).toMatchObject({ confirmed: 1, dismissed: 0, reviews: 1 });
+    expect(stats(compliment)).toMatchObject({ confirmed: 1, dismissed: 1, observedPrecision: 0.5 });
+  });
+
+  test('reviewing again replaces the earlier decision and pending withdraws it', () => {
+    feedback.recordReview(family, 'a1', 'resolved', [secrecy]);
+    feedback.recordReview(family, 'a1', 'dismissed', [secrecy]);
+    expect(stats(secrecy)).toMatchObject({ confirmed: 0, dismissed: 1 });
+
+    expect(feedback.recordReview(family, 'a1', 'pending', [secrecy])).toBe(0);
+    expect(stats(secrecy)).toBeUndefined();
+  });
+
+  test('suggests suppressing a pattern a family keeps dismissing', () => {
+    ['a1', 'a2', 'a3'].forEach(id => feedback.recordReview(family, id, 'dismissed', [compliment]));
+
+    expect(feedback.getSuppressionSuggestions(family)).toEqual([{ ...compliment, dismissed: 3 }]);
+    expect(feedback.getSuppressionSuggestions(family, new Set([getPatternKey(compliment)]))).toEqual([]);
+  });
+
+  test('suggests removing a pattern parents almost always dismiss', () => {
+    feedback = new PatternFeedbackService({ alertModel: {}, minReviews: 3, priorWeight: 1 });
+    for (let i = 0; i < 10; i++) {
+      feedback.recordReview(`family-${i}`, `a${i}`, 'dismissed', [compliment]);
+    }
+
+    expect(stats(compliment).suggestion).toMatchObject({ action: 'remove' });
+  });
+
+  test('validates patterns sent to the suppression routes', () => {
+    expect(feedback.validatePatterns([secrecy])).toEqual([]);
+    expect(feedback.validatePatterns('secret')).toEqual(['patterns must be an array']);
+    expect(feedback.validatePatterns([{ type: 'x', category: '' }])).toEqual([
+      'patterns[0].category must be a non-empty string',
+      'patterns[0].pattern must be a non-empty string'
+    ]);
+  });
+
+  test('loadAll rebuilds the counts from reviewed alerts', async () => {
+    const stored = [
+      { _id: new mongoose.Types.ObjectId(), familyId: family, status: 'resolved', matchedPatterns: [secrecy] },
+      { _id: new mongoose.Types.ObjectId(), familyId: family, status: 'dismissed', matchedPatterns: [compliment] },
+      { _id: new mongoose.Types.ObjectId(), familyId: family, status: 'escalated', matchedPatterns: [secrecy, compliment] }
+    ];
+    const query = { select: jest.fn(() => query), lean: jest.fn(async () => stored) };
+    const alertModel = { find: jest.fn(() => query) };
+    feedback = new PatternFeedbackService({ alertModel });
+    feedback.recordReview(family, 'stale', 'dismissed', [secrecy]);
+
+    await expect(feedback.loadAll()).resolves.toBe(3);
+
+    expect(alertModel.find.mock.calls[0][0].status).toEqual({ $in: ['resolved', 'escalated', 'dismissed'] });
+    expect(stats(secrecy)).toMatchObject({ confirmed: 2, dismissed: 0 });
+    expect(stats(compliment)).toMatchObject({ confirmed: 1, dismissed: 1 });
+  });
+});
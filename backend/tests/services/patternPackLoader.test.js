@@ -0,0 +1,183 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  PatternPackLoader,
+  PatternPackError,
+  validatePatternPack,
+  mergePatternPacks,
+  compilePatternPack
+} = require('../../services/patternPackLoader');
+
+const validPack = (overrides = {}) => ({
+  name: 'test-pack',
+  version: '1.0.0',
+  language: 'en',
+  changelog: [{ version: '1.0.0', changes: ['Initial pack'] }],
+  threatTypes: {
+    scam: {
+      freeRobux: { riskScore: 6, confidence: 0.8, patterns: ['free robux'] }
+    }
+  },
+  ...overrides
+});
+
+describe('validatePatternPack', () => {
+  test('accepts a well-formed pack', () => {
+    expect(validatePatternPack(validPack())).toEqual([]);
+  });
+
+  test('accepts the packs shipped in config/patterns', () => {
+    const loader = new PatternPackLoader();
+    expect(() => loader.load()).not.toThrow();
+    expect(loader.getCurrent().packs.map(pack => pack.name)).toContain('core');
+  });
+
+  test('rejects a non-object pack', () => {
+    expect(validatePatternPack([])).toEqual(['Pack must be a JSON object']);
+  });
+
+  test('requires a semantic version with a matching changelog entry', () => {
+    const errors = validatePatternPack(validPack({ version: '1.1' }));
+    expect(errors).toContain('version must be a semantic version string (e.g. 1.2.0)');
+
+    const missing = validatePatternPack(validPack({ version: '1.1.0' }));
+    expect(missing).toContain('changelog must contain an entry for version 1.1.0');
+  });
+
+  test('rejects unknown threat types and out-of-range scores', () => {
+    const errors = validatePatternPack(validPack({
+      threatTypes: {
+        spam: { ads: { riskScore: 1, confidence: 0.5, patterns: ['buy now'] } },
+        scam: { freeRobux: { riskScore: 11, confidence: 2, patterns: ['free robux'] } }
+      }
+    }));
+    expect(errors.some(error => error.startsWith('threatTypes.spam is not a known threat type'))).toBe(true);
+    expect(errors).toContain('threatTypes.scam.freeRobux.riskScore must be a number between 0 and 10');
+    expect(errors).toContain('threatTypes.scam.freeRobux.confidence must be a number between 0 and 1');
+  });
+
+  test('rejects invalid and unsafe regular expressions', () => {
+    const errors = validatePatternPack(validPack({
+      threatTypes: {
+        scam: { freeRobux: { riskScore: 6, confidence: 0.8, patterns: ['free (robux', '(a+)+$'] } }
+      }
+    }));
+    expect(errors[0]).toMatch(/patterns\[0\] is not a valid regular expression/);
+    expect(errors[1]).toMatch(/patterns\[1\] is unsafe/);
+  });
+
+  test('rejects bad flags and context enhancer multipliers', () => {
+    const errors = validatePatternPack(validPack({
+      threatTypes: {
+        scam: { freeRobux: { riskScore: 6, confidence: 0.8, flags: 'g', patterns: ['free robux'] } }
+      },
+      contextEnhancers: { urgency: { multiplier: 5, patterns: ['right now'] } }
+    }));
+    expect(errors).toContain('threatTypes.scam.freeRobux.flags may only contain i, m, s and u');
+    expect(errors).toContain('contextEnhancers.urgency.multiplier must be a number between 1 and 3');
+  });
+});
+
+describe('mergePatternPacks', () => {
+  test('appends patterns for a repeated category and keeps the first pack scores', () => {
+    const core = compilePatternPack(validPack());
+    const extra = compilePatternPack(validPack({
+      name: 'extra',
+      threatTypes: { scam: { freeRobux: { riskScore: 2, confidence: 0.5, patterns: ['robux gratis'] } } }
+    }));
+
+    const merged = mergePatternPacks([core, extra]);
+    expect(merged.threatTypes.scam.freeRobux.riskScore).toBe(6);
+    expect(merged.threatTypes.scam.freeRobux.patterns.map(pattern => pattern.source))
+      .toEqual(['free robux', 'robux gratis']);
+  });
+
+  test('builds a table per language', () => {
+    const en = compilePatternPack(validPack());
+    const es = compilePatternPack(validPack({ name: 'es', language: 'es' }));
+
+    const merged = mergePatternPacks([en, es]);
+    expect(Object.keys(merged.languages).sort()).toEqual(['en', 'es']);
+    expect(merged.languages.es.threatTypes.scam.freeRobux.patterns).toHaveLength(1);
+  });
+});
+
+describe('PatternPackLoader', () => {
+  let directory;
+  let loader;
+
+  const writePack = (file, pack) => {
+    fs.writeFileSync(path.join(directory, file), typeof pack === 'string' ? pack : JSON.stringify(pack));
+  };
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'kidverse-packs-'));
+    loader = new PatternPackLoader({ directory });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    loader.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('throws a PatternPackError listing validation errors', () => {
+    expect.assertions(3);
+    writePack('bad.json', validPack({ version: 'one' }));
+
+    expect(() => loader.load()).toThrow(PatternPackError);
+    try {
+      loader.load();
+    } catch (error) {
+      expect(error.message).toBe('Pattern pack bad.json failed validation');
+      expect(error.errors.length).toBeGreaterThan(0);
+    }
+  });
+
+  test('rejects an empty directory, invalid JSON and duplicate pack names', () => {
+    expect(() => loader.load()).toThrow(/No pattern packs found/);
+
+    writePack('a.json', '{ not json');
+    expect(() => loader.load()).toThrow(/is not valid JSON/);
+
+    writePack('a.json', validPack());
+    writePack('b.json', validPack());
+    expect(() => loader.load()).toThrow(/used by more than one file/);
+  });
+
+  test('reload keeps the last good packs when a new pack is invalid', () => {
+    writePack('a.json', validPack());
+    const loaded = jest.fn();
+    const rejected = jest.fn();
+    loader.on('loaded', loaded);
+    loader.on('rejected', rejected);
+
+    expect(loader.reload()).toBe(true);
+    const good = loader.getCurrent();
+
+    writePack('a.json', validPack({ threatTypes: { scam: { freeRobux: { riskScore: 6, confidence: 0.8, patterns: ['(a*)*b'] } } } }));
+    expect(loader.reload()).toBe(false);
+
+    expect(loader.getCurrent()).toBe(good);
+    expect(loaded).toHaveBeenCalledTimes(1);
+    expect(rejected).toHaveBeenCalledWith(expect.any(PatternPackError));
+  });
+
+  test('reload applies a new version', () => {
+    writePack('a.json', validPack());
+    loader.load();
+
+    writePack('a.json', validPack({
+      version: '1.1.0',
+      changelog: [{ version: '1.1.0', changes: ['Add gift card scam'] }, { version: '1.0.0', changes: ['Initial pack'] }],
+      threatTypes: { scam: { freeRobux: { riskScore: 6, confidence: 0.8, patterns: ['free robux', 'gift card'] } } }
+    }));
+
+    expect(loader.reload()).toBe(true);
+    expect(loader.getCurrent().packs[0].version).toBe('1.1.0');
+    expect(loader.getCurrent().threatTypes.scam.freeRobux.patterns).toHaveLength(2);
+  });
+});
@@ -0,0 +1,79 @@
+const PIILeakDetector = require('../../services/piiLeakDetector');
+const AlertDetectionService = require('../../services/alertDetection');
+
+describe('PIILeakDetector', () => {
+  const detector = new PIILeakDetector();
+  const types = (message) => detector.detect(message).leaks.map(leak => leak.type);
+
+  test.each([
+    ['call me at 555-123-4567', 'phoneNumber'],
+    ['my email is kid123@example.com', 'email'],
+    ['i live at 42 maple street', 'streetAddress'],
+    ['my address is 7 oak ave, apt 3', 'streetAddress'],
+    ['i go to Oakwood Elementary', 'schoolName'],
+    ['My name is Emma Johnson', 'fullName'],
+    ['my birthday is march 3rd', 'birthday'],
+    ['i was born on 04/12/2014', 'birthday'],
+    ['i was born in 2014', 'birthday'],
+    ['i was born in may 2015', 'birthday']
+  ])('finds %s', (message, type) => {
+    expect(types(message)).toEqual([type]);
+  });
+
+  test.each([
+    'i live on the 2nd floor',
+    'i live at my grandmas on weekends',
+    'my address is private lol',
+    'i live on roblox basically',
+    'this game was made in 2014',
+    'my name is emma'
+  ])('ignores %s', (message) => {
+    expect(types(message)).toEqual([]);
+  });
+
+  test('masks each leaked value and leaves the rest of the message', () => {
+    const { maskedMessage } = detector.detect('i live at 42 maple street and i was born in 2014!');
+    expect(maskedMessage).toBe('i live at [address removed] and i was born in [birthday removed]!');
+  });
+
+  test('takes in the unit number after a lead-in', () => {
+    const [leak] = detector.detect('my address is 7 oak ave, apt 3').leaks;
+    expect(leak.text).toBe('7 oak ave, apt 3');
+  });
+
+  test('keeps the higher-risk leak where spans overlap', () => {
+    const { leaks } = detector.detect('my number is 555-123-4567');
+    expect(leaks).toHaveLength(1);
+    expect(leaks[0].riskScore).toBe(9);
+  });
+
+  test('handles non-string input', () => {
+    expect(detector.detect(undefined)).toEqual({ leaks: [], maskedMessage: '' });
+  });
+});
+
+describe('AlertDetectionService personal information leaks', () => {
+  let detector;
+
+  beforeAll(() => {
+    detector = new AlertDetectionService({ classifier: null });
+  });
+
+  test('flags and masks leaks in the child\'s own messages', () => {
+    const result = detector.analyzeMessage('i live at 42 maple street', { speakerRole: 'child' });
+    expect(result.threats.map(t => t.type)).toContain('personal_info_leak');
+    expect(result.maskedMessage).toBe('i live at [address removed]');
+  });
+
+  test('does not flag a floor number as an address', () => {
+    const result = detector.analyzeMessage('i live on the 2nd floor', { speakerRole: 'child' });
+    expect(result.threats).toEqual([]);
+    expect(result.severity).toBeNull();
+  });
+
+  test('ignores messages from the other party', () => {
+    const result = detector.analyzeMessage('i live at 42 maple street', { speakerRole: 'other' });
+    expect(result.threats.map(t => t.type)).not.toContain('personal_info_leak');
+    expect(result.maskedMessage).toBe('i live at 42 maple street');
+  });
+});
@@ -0,0 +1,105 @@
+const { RiskAggregator, MAX_RISK } = require('../../services/riskAggregator');
+
+const threat = (category, riskScore, confidence, extra = {}) => ({ type: 'test', category, riskScore, confidence, ...extra });
+
+describe('RiskAggregator', () => {
+  const aggregator = new RiskAggregator();
+
+  test('a single threat keeps its own score and confidence', () => {
+    const result = aggregator.aggregate([threat('grooming', 6, 0.8)]);
+
+    expect(result.riskScore).toBe(6);
+    expect(result.confidence).toBe(0.8);
+    expect(result.breakdown.corroboration.points).toBe(0);
+    expect(result.breakdown.enhancers.points).toBe(0);
+  });
+
+  test('the highest scoring threat is primary whatever the order', () => {
+    const threats = [threat('weak', 6, 0.5), threat('strong', 8, 0.8)];
+
+    const forward = aggregator.aggregate(threats);
+    const reversed = aggregator.aggregate([...threats].reverse());
+
+    expect(forward.primary.category).toBe('strong');
+    expect(forward).toEqual(reversed);
+  });
+
+  test('other threats close part of the gap to 10', () => {
+    // strength = 0.5 * 0.5 * 6 / 10 = 0.15 of the 2 remaining points
+    const result = aggregator.aggregate([threat('strong', 8, 0.8), threat('weak', 6, 0.5)]);
+
+    expect(result.riskScore).toBeCloseTo(8.3);
+    expect(result.breakdown.corroboration.threats).toEqual([
+      { type: 'test', category: 'weak', riskScore: 6, strength: 0.15 }
+    ]);
+    // 1 - (1 - 0.8) * (1 - 0.5 * 0.5)
+    expect(result.confidence).toBeCloseTo(0.85);
+  });
+
+  test('corroboration is capped', () => {
+    const others = Array.from({ length: 20 }, (_, i) => threat(`other${i}`, 10, 1));
+    const result = aggregator.aggregate([threat('primary', 10.5, 1), ...others]);
+    const capped = aggregator.aggregate([threat('primary', 5, 1), ...others.map(t => ({ ...t, riskScore: 4 }))]);
+
+    expect(result.riskScore).toBe(MAX_RISK);
+    expect(capped.breakdown.corroboration.points).toBe(2);
+    expect(capped.riskScore).toBe(7);
+  });
+
+  test('more evidence never lowers the score', () => {
+    const base = aggregator.aggregate([threat('primary', 7, 0.9)]);
+    const more = aggregator.aggregate([threat('primary', 7, 0.9), threat('other', 2, 0.3)]);
+
+    expect(more.riskScore).toBeGreaterThanOrEqual(base.riskScore);
+    expect(more.confidence).toBeGreaterThanOrEqual(base.confidence);
+  });
+
+  test('enhancers scale with the primary score', () => {
+    const enhancers = [{ name: 'secrecy', multiplier: 1.3, pattern: 'secret' }];
+
+    // 4 remaining points * 0.3 * 6 / 10
+    const serious = aggregator.aggregate([threat('grooming', 6, 1)], enhancers);
+    const weak = aggregator.aggregate([threat('grooming', 2, 1)], enhancers);
+
+    expect(serious.riskScore).toBeCloseTo(6.72);
+    expect(serious.breakdown.enhancers.matched).toEqual([{ ...enhancers[0], strength: 0.3 }]);
+    expect(weak.riskScore - 2).toBeLessThan(serious.riskScore - 6);
+  });
+
+  test('enhancers are capped', () => {
+    const enhancers = ['secrecy', 'urgency', 'ageGap'].map(name => ({ name, multiplier: 2, pattern: name }));
+    const result = aggregator.aggregate([threat('grooming', 6, 1)], enhancers);
+
+    expect(result.breakdown.enhancers.points).toBe(2);
+    expect(result.riskScore).toBe(8);
+  });
+
+  test('limits can be configured', () => {
+    const strict = new RiskAggregator({ maxCorroboration: 0.5, maxEnhancerBonus: 0.25 });
+    const result = strict.aggregate(
+      [threat('primary', 5, 1), threat('other', 4, 1)],
+      [{ name: 'secrecy', multiplier: 2, pattern: 'secret' }]
+    );
+
+    expect(result.breakdown.corroboration.cap).toBe(0.5);
+    expect(result.breakdown.enhancers.cap).toBe(0.25);
+    expect(result.riskScore).toBe(5.75);
+  });
+
+  test('the breakdown records the primary threat before context adjustment', () => {
+    const adjusted = threat('grooming', 7.5, 0.9, { baseRiskScore: 5, contextFactors: [{ factor: 'ageGap' }] });
+
+    expect(aggregator.aggregate([adjusted]).breakdown.primary).toEqual({
+      type: 'test',
+      category: 'grooming',
+      baseRiskScore: 5,
+      contextFactors: [{ factor: 'ageGap' }],
+      riskScore: 7.5,
+      confidence: 0.9
+    });
+    expect(aggregator.aggregate([threat('scam', 4, 0.5)]).breakdown.primary).toMatchObject({
+      baseRiskScore: 4,
+      contextFactors: []
+    });
+  });
+});
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const { SafetyStatusService } = require('../../services/safetyStatus');
+
+const familyId = new mongoose.Types.ObjectId().toString();
+
+describe('SafetyStatusService', () => {
+  let alertModel;
+  let interactionModel;
+  let service;
+
+  beforeEach(() => {
+    alertModel = {
+      countDocuments: jest.fn(async () => 1),
+      aggregate: jest.fn(async () => [{ _id: 'high', count: 2 }, { _id: 'low', count: 1 }])
+    };
+    interactionModel = { countDocuments: jest.fn(async () => 5) };
+    service = new SafetyStatusService({
+      alertModel,
+      interactionModel,
+      monitoringConfig: { getConfig: jest.fn(async () => ({ monitoringEnabled: true })) },
+      cacheTtlMs: 60 * 1000
+    });
+  });
+
+  test('summarizes the family\'s interactions and alerts', async () => {
+    const summary = await service.getStatus(familyId, 'guardians');
+
+    expect(summary).toMatchObject({
+      overallStatus: 'warning',
+      statistics: { totalInteractions: 5, flaggedInteractions: 5, activeAlerts: 3, resolvedAlerts: 1, monitoringEnabled: true },
+      activeAlertsBySeverity: { critical: 0, high: 2, medium: 0, low: 1 },
+      recentActivity: { last24Hours: { interactions: 5, alerts: 1 } }
+    });
+  });
+
+  describe('audience', () => {
+    test('guardians count every record', async () => {
+      await service.getStatus(familyId, 'guardians');
+
+      expect(interactionModel.countDocuments.mock.calls.every(([filter]) => filter.audience === undefined)).toBe(true);
+      expect(alertModel.countDocuments.mock.calls.every(([filter]) => filter.audience === undefined)).toBe(true);
+      expect(alertModel.aggregate.mock.calls[0][0][0].$match.audience).toBeUndefined();
+    });
+
+    test('everyone else never counts guardian-only records', async () => {
+      const hidden = { $ne: 'guardians' };
+      await service.getStatus(familyId, 'family');
+
+      interactionModel.countDocuments.mock.calls.forEach(([filter]) => expect(filter.audience).toEqual(hidden));
+      alertModel.countDocuments.mock.calls.forEach(([filter]) => expect(filter.audience).toEqual(hidden));
+      expect(alertModel.aggregate.mock.calls[0][0][0].$match.audience).toEqual(hidden);
+    });
+
+    test('defaults to the family audience', async () => {
+      await service.getStatus(familyId);
+      expect(alertModel.aggregate.mock.calls[0][0][0].$match.audience).toEqual({ $ne: 'guardians' });
+    });
+
+    test('caches each audience separately', async () => {
+      alertModel.aggregate
+        .mockResolvedValueOnce([{ _id: 'critical', count: 1 }])
+        .mockResolvedValueOnce([]);
+
+      const guardians = await service.getStatus(familyId, 'guardians');
+      const family = await service.getStatus(familyId, 'family');
+
+      expect(guardians.overallStatus).toBe('critical');
+      expect(family.overallStatus).toBe('safe');
+      expect(await service.getStatus(familyId, 'guardians')).toBe(guardians);
+      expect(await service.getStatus(familyId, 'family')).toBe(family);
+      expect(alertModel.aggregate).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('caching', () => {
+    test('serves the cached summary until it expires', async () => {
+      const first = await service.getStatus(familyId, 'guardians');
+      expect(await service.getStatus(familyId, 'guardians')).toBe(first);
+
+      service.cache.get(`${familyId}:guardians`).expiresAt = Date.now() - 1;
+      expect(await service.getStatus(familyId, 'guardians')).not.toBe(first);
+    });
+
+    test('invalidate drops every audience\'s summary', async () => {
+      await service.getStatus(familyId, 'guardians');
+      await service.getStatus(familyId, 'family');
+
+      service.invalidate(familyId);
+
+      expect(service.cache.size).toBe(0);
+    });
+
+    test('does not cache a summary computed across an invalidation', async () => {
+      let release;
+      alertModel.aggregate.mockImplementationOnce(() => new Promise(resolve => {
+        release = () => resolve([]);
+      }));
+
+      const pending = service.getStatus(familyId, 'guardians');
+      await new Promise(resolve => setImmediate(resolve));
+      service.invalidate(familyId);
+      release();
+      await pending;
+
+      expect(service.cache.has(`${familyId}:guardians`)).toBe(false);
+
+      await service.getStatus(familyId, 'guardians');
+      expect(service.cache.has(`${familyId}:guardians`)).toBe(true);
+    });
+
+    test('an invalidation of another family does not stop caching', async () => {
+      let release;
+      alertModel.aggregate.mockImplementationOnce(() => new Promise(resolve => {
+        release = () => resolve([]);
+      }));
+
+      const pending = service.getStatus(familyId, 'guardians');
+      await new Promise(resolve => setImmediate(resolve));
+      service.invalidate(new mongoose.Types.ObjectId().toString());
+      release();
+      await pending;
+
+      expect(service.cache.has(`${familyId}:guardians`)).toBe(true);
+    });
+  });
+});
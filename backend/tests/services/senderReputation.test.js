@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+const { SenderReputationService } = require('../../services/senderReputation');
+const AlertDetectionService = require('../../services/alertDetection');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const storedAlert = (familyId, overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  familyId,
+  platform: 'Roblox',
+  senderId: 'BadActor99',
+  riskScore: 8,
+  category: 'predatory_behavior',
+  timestamp: new Date(),
+  ...overrides
+});
+
+const families = Array.from({ length: 3 }, () => new mongoose.Types.ObjectId().toString());
+
+describe('SenderReputationService', () => {
+  let reputation;
+
+  beforeEach(() => {
+    reputation = new SenderReputationService({ secret: 'test-secret', alertModel: {} });
+  });
+
+  test('unknown senders have no reputation', () => {
+    expect(reputation.getSummary('Roblox', 'nobody', families[0])).toMatchObject({
+      level: 'none', alertCount: 0, familyCount: 0, firstSeen: null
+    });
+  });
+
+  test('only guardian-confirmed alerts count', () => {
+    const alert = storedAlert(families[0]);
+
+    expect(reputation.recordReview(alert, 'dismissed')).toBe(false);
+    expect(reputation.recordReview(alert, 'pending')).toBe(false);
+    expect(reputation.getSummary('Roblox', 'BadActor99').alertCount).toBe(0);
+
+    expect(reputation.recordReview(alert, 'resolved')).toBe(true);
+    expect(reputation.getSummary('roblox', 'badactor99')).toMatchObject({ level: 'low', alertCount: 1, familyCount: 1 });
+  });
+
+  test('reviewing again replaces the earlier decision', () => {
+    const alert = storedAlert(families[0]);
+
+    reputation.recordReview(alert, 'resolved');
+    reputation.recordReview(alert, 'escalated');
+    expect(reputation.getSummary('Roblox', 'BadActor99').alertCount).toBe(1);
+
+    reputation.recordReview(alert, 'dismissed');
+    expect(reputation.getSummary('Roblox', 'BadActor99').level).toBe('none');
+  });
+
+  test('low-risk alerts never count', () => {
+    expect(reputation.recordReview(storedAlert(families[0], { riskScore: 3 }), 'resolved')).toBe(false);
+  });
+
+  test('one family confirming many alerts stays at low', () => {
+    for (let i = 0; i < 12; i++) {
+      reputation.recordReview(storedAlert(families[0]), 'resolved');
+    }
+
+    expect(reputation.getSummary('Roblox', 'BadActor99')).toMatchObject({ level: 'low', alertCount: 12, familyCount: 1 });
+  });
+
+  test('levels need both the family and the alert threshold', () => {
+    reputation.recordReview(storedAlert(families[0]), 'resolved');
+    reputation.recordReview(storedAlert(families[1]), 'resolved');
+    expect(reputation.getSummary('Roblox', 'BadActor99').level).toBe('low');
+
+    reputation.recordReview(storedAlert(families[1]), 'resolved');
+    expect(reputation.getSummary('Roblox', 'BadActor99').level).toBe('elevated');
+
+    families.forEach(familyId => {
+      for (let i = 0; i < 3; i++) {
+        reputation.recordReview(storedAlert(familyId), 'resolved');
+      }
+    });
+    expect(reputation.getSummary('Roblox', 'BadActor99')).toMatchObject({ level: 'high', alertCount: 12, familyCount: 3 });
+  });
+
+  test('summaries reveal no family or alert ids', () => {
+    const alert = storedAlert(families[0]);
+    const day = alert.timestamp.toISOString().slice(0, 10);
+    reputation.recordReview(alert, 'resolved');
+
+    const summary = reputation.getSummary('Roblox', 'BadActor99', families[1]);
+    expect(summary).toMatchObject({ firstSeen: day, lastSeen: day, reportedByYourFamily: false });
+    expect(JSON.stringify(summary)).not.toContain(families[0]);
+    expect(JSON.stringify(summary)).not.toContain(alert._id.toString());
+    expect(reputation.getSummary('Roblox', 'BadActor99', families[0]).reportedByYourFamily).toBe(true);
+  });
+
+  test('keeps reports in alert order whatever the review order', () => {
+    const later = new Date(Date.now() - DAY);
+    const earlier = new Date(Date.now() - 10 * DAY);
+    reputation.recordReview(storedAlert(families[0], { timestamp: later }), 'resolved');
+    reputation.recordReview(storedAlert(families[1], { timestamp: earlier }), 'resolved');
+
+    expect(reputation.getSummary('Roblox', 'BadActor99')).toMatchObject({
+      firstSeen: earlier.toISOString().slice(0, 10),
+      lastSeen: later.toISOString().slice(0, 10)
+    });
+  });
+
+  test('forgets alerts older than the window', () => {
+    reputation.recordReview(storedAlert(families[0], { timestamp: new Date(Date.now() - 100 * DAY) }), 'resolved');
+
+    expect(reputation.getSummary('Roblox', 'BadActor99').alertCount).toBe(0);
+  });
+
+  test('loadAll rebuilds from confirmed alerts in the window', async () => {
+    const stored = [storedAlert(families[0]), storedAlert(families[1]), storedAlert(families[1])];
+    const query = { select: jest.fn(() => query), lean: jest.fn(async () => stored) };
+    const alertModel = { find: jest.fn(() => query) };
+    reputation = new SenderReputationService({ secret: 'test-secret', alertModel });
+    reputation.recordReview(storedAlert(families[2], { senderId: 'stale' }), 'resolved');
+
+    await expect(reputation.loadAll()).resolves.toBe(3);
+
+    const filter = alertModel.find.mock.calls[0][0];
+    expect(filter.status).toEqual({ $in: ['resolved', 'escalated'] });
+    expect(filter.timestamp.$gte.getTime()).toBeCloseTo(Date.now() - 90 * DAY, -4);
+    expect(reputation.getSummary('Roblox', 'BadActor99')).toMatchObject({ level: 'elevated', familyCount: 2 });
+    expect(reputation.getSummary('Roblox', 'stale').alertCount).toBe(0);
+  });
+});
+
+describe('AlertDetectionService with sender reputation', () => {
+  let reputation;
+  let detector;
+
+  beforeAll(() => {
+    reputation = new SenderReputationService({ secret: 'test-secret', alertModel: {} });
+    detector = new AlertDetectionService({ classifier: null, senderReputation: reputation });
+  });
+
+  const context = (familyId) => ({ familyId, platform: 'Roblox', senderId: 'BadActor99', speakerRole: 'other' });
+
+  test('detection alone never counts against the sender', () => {
+    detector.detectThreats('this is our little secret, dont tell your parents', context(families[0]));
+
+    expect(reputation.getSummary('Roblox', 'BadActor99').alertCount).toBe(0);
+  });
+
+  test('a sender confirmed by several families raises the risk', () => {
+    const message = 'this is our little secret, dont tell your parents';
+    const before = detector.analyzeMessage(message, context(families[0]));
+
+    families.forEach(familyId => {
+      for (let i = 0; i < 4; i++) {
+        reputation.recordReview(storedAlert(familyId), 'escalated');
+      }
+    });
+    const after = detector.analyzeMessage(message, context(families[0]));
+    const factor = after.contextFactors.find(entry => entry.factor === 'knownOffender');
+
+    expect(factor).toMatchObject({ value: 3, reason: 'Guardians in several families have confirmed alerts about this sender' });
+    expect(after.overallRisk).toBeGreaterThan(before.overallRisk);
+  });
+});
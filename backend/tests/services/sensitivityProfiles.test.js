@@ -0,0 +1,167 @@
+const AlertDetectionService = require('../../services/alertDetection');
+const { SensitivityProfileService, DEFAULT_RECOMMENDATION_THRESHOLDS } = require('../../services/sensitivityProfiles');
+
+const YEAR = 365.25 * 24 * 60 * 60 * 1000;
+
+describe('SensitivityProfileService', () => {
+  let profiles;
+
+  beforeEach(() => {
+    profiles = new SensitivityProfileService();
+  });
+
+  describe('resolve', () => {
+    test('picks the profile for the child\'s age band', () => {
+      expect(profiles.resolve({ childAge: 7 })).toMatchObject({ name: 'young', source: 'age' });
+      expect(profiles.resolve({ childAge: 9 })).toMatchObject({ name: 'preteen' });
+      expect(profiles.resolve({ childAge: 16 })).toMatchObject({ name: 'teen' });
+    });
+
+    test('works out the age from a date of birth', () => {
+      const childDateOfBirth = new Date(Date.now() - 10.5 * YEAR).toISOString();
+      expect(profiles.getChildAge({ childDateOfBirth })).toBe(10);
+      expect(profiles.resolve({ childDateOfBirth }).name).toBe('preteen');
+    });
+
+    test('returns null when the age is unknown or outside every band', () => {
+      expect(profiles.resolve({})).toBeNull();
+      expect(profiles.resolve({ childDateOfBirth: 'not a date' })).toBeNull();
+      expect(profiles.resolve({ childAge: 30 })).toBeNull();
+    });
+
+    test('falls back to the default recommendation thresholds', () => {
+      const custom = new SensitivityProfileService({
+        profiles: { all: { label: 'All ages', minAge: 0, maxAge: 99, riskAdjustments: {} } }
+      });
+      expect(custom.resolve({ childAge: 5 }).recommendationThresholds).toEqual(DEFAULT_RECOMMENDATION_THRESHOLDS);
+    });
+
+    test('a parent\'s override beats the age band', () => {
+      profiles.setOverride('family1', 'child1', { profile: 'young', riskAdjustments: { scam: 2 } });
+
+      const profile = profiles.resolve({ familyId: 'family1', childId: 'child1', childAge: 15 });
+      expect(profile).toMatchObject({ name: 'young', source: 'override' });
+      expect(profile.riskAdjustments).toMatchObject({ predatory_language: 1.2, scam: 2 });
+    });
+
+    test('an override without a profile fine-tunes the age band', () => {
+      profiles.setOverride('family1', 'child1', { recommendationThresholds: { low: 3.5 } });
+
+      const profile = profiles.resolve({ familyId: 'family1', childId: 'child1', childAge: 15 });
+      expect(profile).toMatchObject({ name: 'teen', source: 'override' });
+      expect(profile.recommendationThresholds).toEqual({ critical: 9, high: 7.5, medium: 5.5, low: 3.5 });
+    });
+
+    test('an override applies even when the age is unknown', () => {
+      profiles.setOverride('family1', 'child1', { riskAdjustments: { scam: 1.5 } });
+      expect(profiles.resolve({ familyId: 'family1', childId: 'child1' })).toMatchObject({
+        name: 'custom',
+        label: 'Custom',
+        riskAdjustments: { scam: 1.5 }
+      });
+    });
+
+    test('overrides are scoped to the family', () => {
+      profiles.setOverride('family1', 'child1', { profile: 'young' });
+      expect(profiles.resolve({ familyId: 'family2', childId: 'child1', childAge: 15 }).name).toBe('teen');
+    });
+  });
+
+  test('getAdjustment prefers type.category over type', () => {
+    const profile = { riskAdjustments: { inappropriate_content: 1.3, 'inappropriate_content.profanity': 0.6 } };
+
+    expect(profiles.getAdjustment(profile, { type: 'inappropriate_content', category: 'profanity' })).toBe(0.6);
+    expect(profiles.getAdjustment(profile, { type: 'inappropriate_content', category: 'violence' })).toBe(1.3);
+    expect(profiles.getAdjustment(profile, { type: 'scam', category: 'robux' })).toBe(1);
+  });
+
+  describe('validateOverride', () => {
+    test('accepts a valid override', () => {
+      expect(profiles.validateOverride({
+        profile: 'teen',
+        riskAdjustments: { predatory_language: 1.5, 'cyberbullying.insults': 0.5 },
+        recommendationThresholds: { critical: 8.5 }
+      })).toEqual([]);
+    });
+
+    test('rejects unknown profiles, types and priorities', () => {
+      expect(profiles.validateOverride([])).toEqual(['Override must be an object']);
+      expect(profiles.validateOverride({ profile: 'toddler' })[0]).toMatch(/^profile must be one of: young, preteen, teen/);
+      expect(profiles.validateOverride({ riskAdjustments: { spam: 2 } })[0]).toMatch(/^riskAdjustments.spam must be a threat type/);
+      expect(profiles.validateOverride({ riskAdjustments: { 'scam.a.b': 2 } })[0]).toMatch(/^riskAdjustments.scam.a.b/);
+      expect(profiles.validateOverride({ recommendationThresholds: { urgent: 9 } }))
+        .toEqual(['recommendationThresholds.urgent is not a priority (critical, high, medium, low)']);
+    });
+
+    test('rejects multipliers and scores out of range', () => {
+      expect(profiles.validateOverride({ riskAdjustments: { scam: 5 } }))
+        .toEqual(['riskAdjustments.scam must be a number from 0.25 to 3']);
+      expect(profiles.validateOverride({ recommendationThresholds: { low: -1 } }))
+        .toEqual(['recommendationThresholds.low must be a number from 0 to 10']);
+    });
+
+    test('rejects thresholds that do not decrease once merged with the profile', () => {
+      expect(profiles.validateOverride({ profile: 'young', recommendationThresholds: { medium: 6 } }))
+        .toEqual(['recommendationThresholds must decrease from critical to low']);
+      expect(profiles.validateOverride({ profile: 'young', recommendationThresholds: { medium: 5 } })).toEqual([]);
+    });
+  });
+
+  describe('overrides', () => {
+    test('stores the normalized override', () => {
+      const stored = profiles.setOverride('family1', 'child1', { profile: 'teen' });
+
+      expect(stored).toEqual({ profile: 'teen', riskAdjustments: {}, recommendationThresholds: {}, updatedAt: expect.any(Date) });
+      expect(profiles.getOverride('family1', 'child1')).toBe(stored);
+    });
+
+    test('keeps the stored time of a loaded override', () => {
+      const stored = profiles.setOverride('family1', 'child1', { profile: 'teen', updatedAt: '2026-05-01T10:00:00.000Z' });
+      expect(stored.updatedAt.toISOString()).toBe('2026-05-01T10:00:00.000Z');
+    });
+
+    test('clearOverride goes back to the age band', () => {
+      profiles.setOverride('family1', 'child1', { profile: 'young' });
+
+      expect(profiles.clearOverride('family1', 'child1')).toBe(true);
+      expect(profiles.clearOverride('family1', 'child1')).toBe(false);
+      expect(profiles.getOverride('family1', 'child1')).toBeNull();
+    });
+  });
+
+  test('listProfiles names every profile', () => {
+    expect(profiles.listProfiles().map(profile => profile.name)).toEqual(['young', 'preteen', 'teen']);
+  });
+
+  describe('in detection', () => {
+    let detector;
+
+    beforeAll(() => {
+      detector = new AlertDetectionService({ classifier: null, sensitivityProfiles: new SensitivityProfileService() });
+    });
+
+    afterAll(() => {
+      detector.close();
+    });
+
+    const analyze = (context) => detector.analyzeMessage('this is our little secret', { familyId: 'family1', ...context });
+
+    test('weighs threats more for younger children', () => {
+      const unknown = analyze({});
+      const young = analyze({ childAge: 7 });
+
+      expect(unknown.sensitivityProfile).toBeNull();
+      expect(young.sensitivityProfile).toEqual({ name: 'young', label: 'Ages 3-8', source: 'age' });
+      expect(young.overallRisk).toBeGreaterThan(unknown.overallRisk);
+      expect(young.contextFactors).toContainEqual(expect.objectContaining({ factor: 'ageProfile', value: 'young' }));
+    });
+
+    test('follows a parent\'s override', () => {
+      detector.sensitivityProfiles.setOverride('family1', 'child1', { riskAdjustments: { predatory_language: 0.5 } });
+
+      const overridden = analyze({ childId: 'child1', childAge: 7 });
+      expect(overridden.sensitivityProfile.source).toBe('override');
+      expect(overridden.overallRisk).toBeLessThan(analyze({}).overallRisk);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TextClassifier, DEFAULT_MIN_PRECISION } = require('../../services/textClassifier');
+
+const corpus = [
+  ...['gg nice game', 'see you tomorrow', 'lol that was funny', 'want to build a house', 'nice outfit',
+    'my cat is sleeping', 'good luck on your test', 'what level are you'].map(text => ({ text, label: 'safe' })),
+  ...['whats your snapchat', 'add me on discord', 'lets talk on snapchat instead', 'message me on discord',
+    'do you have snapchat'].map(text => ({ text, label: 'off_platform_pressure' }))
+];
+
+describe('TextClassifier', () => {
+  let classifier;
+
+  beforeEach(() => {
+    classifier = new TextClassifier({ minFeatureCount: 1 }).train(corpus);
+  });
+
+  test('requires safe examples', () => {
+    expect(() => new TextClassifier().train([{ text: 'add me', label: 'scam' }])).toThrow(/must include "safe"/);
+    expect(() => new TextClassifier().train([])).toThrow(/at least one/);
+  });
+
+  test('predicts the label of paraphrases', () => {
+    const prediction = classifier.predict('add me on snapchat');
+    expect(prediction.label).toBe('off_platform_pressure');
+    expect(prediction.riskProbability).toBeGreaterThan(0.5);
+  });
+
+  test('refuses to predict without a model', () => {
+    expect(() => new TextClassifier().predict('hi')).toThrow(/no model/);
+  });
+
+  describe('evaluate', () => {
+    test('reports precision and recall on held-out examples', () => {
+      const evaluation = classifier.evaluate([
+        { text: 'add me on snapchat', label: 'off_platform_pressure' },
+        { text: 'gg see you tomorrow', label: 'safe' }
+      ], 0.5);
+
+      expect(evaluation).toMatchObject({ examples: 2, threshold: 0.5, precision: 1, recall: 1, falsePositives: [] });
+    });
+
+    test('lists false positives', () => {
+      const evaluation = classifier.evaluate([
+        { text: 'add me on snapchat', label: 'off_platform_pressure' },
+        { text: 'do you have discord', label: 'safe' }
+      ], 0.5);
+
+      expect(evaluation.precision).toBe(0.5);
+      expect(evaluation.falsePositives).toEqual(['do you have discord']);
+    });
+
+    test('gives no precision when nothing was flagged', () => {
+      expect(classifier.evaluate([{ text: 'nice outfit', label: 'safe' }], 0.5).precision).toBe(0);
+    });
+  });
+
+  describe('meetsPrecision', () => {
+    test('is false for a model never evaluated', () => {
+      expect(classifier.meetsPrecision()).toBe(false);
+    });
+
+    test('compares the held-out precision to the target', () => {
+      classifier.evaluation = { precision: 0.85 };
+      expect(classifier.meetsPrecision()).toBe(0.85 >= DEFAULT_MIN_PRECISION);
+      expect(classifier.meetsPrecision(0.8)).toBe(true);
+    });
+  });
+
+  test('saves and loads the model with its evaluation', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'kidverse-model-')), 'model.json');
+    classifier.evaluate([{ text: 'add me on snapchat', label: 'off_platform_pressure' }], 0.5);
+    classifier.save(file);
+
+    const loaded = new TextClassifier().load(file);
+    expect(loaded.evaluation).toEqual(classifier.evaluation);
+    expect(loaded.predict('add me on snapchat')).toEqual(classifier.predict('add me on snapchat'));
+
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,64 @@
+const { EntityExtractor } = require('../../utils/entityExtractor');
+const TextNormalizer = require('../../utils/textNormalizer');
+
+describe('EntityExtractor', () => {
+  const extractor = new EntityExtractor();
+  const normalizer = new TextNormalizer();
+  const extract = (message) => extractor.extract(normalizer.normalize(message))
+    .map(({ type, value, normalized }) => ({ type, value, normalized }));
+
+  test('finds handles after a platform keyword', () => {
+    expect(extract('add my snap: Cool.Kid22')).toEqual([
+      { type: 'snapchat', value: 'Cool.Kid22', normalized: 'cool.kid22' }
+    ]);
+    expect(extract('my insta is @sk8r_girl')).toEqual([
+      { type: 'instagram', value: 'sk8r_girl', normalized: 'sk8r_girl' }
+    ]);
+  });
+
+  test('finds handles after an obfuscated platform keyword', () => {
+    expect(extract('d i s c o r d: gamerdude')).toEqual([
+      { type: 'discord', value: 'gamerdude', normalized: 'gamerdude' }
+    ]);
+  });
+
+  test('ignores words that follow a platform name but are not handles', () => {
+    expect(extract('add me on discord pls')).toEqual([]);
+    expect(extract('snap me later')).toEqual([]);
+  });
+
+  test('finds legacy discord tags on their own', () => {
+    expect(extract('im Gamer#1234')).toEqual([
+      { type: 'discord', value: 'Gamer#1234', normalized: 'gamer#1234' }
+    ]);
+  });
+
+  test('finds handles in profile URLs', () => {
+    const types = extract('see instagram.com/secret.pics').map(entity => entity.type);
+    expect(types).toContain('instagram');
+    expect(types).toContain('url');
+  });
+
+  test('canonicalizes phone numbers and URLs', () => {
+    expect(extract('text me (555) 123-4567')).toEqual([
+      { type: 'phone', value: '(555) 123-4567', normalized: '5551234567' }
+    ]);
+    expect(extract('go to https://Free-Robux.xyz/claim/')).toEqual([
+      { type: 'url', value: 'https://Free-Robux.xyz/claim/', normalized: 'free-robux.xyz/claim' }
+    ]);
+  });
+
+  test('does not report the domain inside an email as a URL', () => {
+    expect(extract('email me at kid@example.com')).toEqual([
+      { type: 'email', value: 'kid@example.com', normalized: 'kid@example.com' }
+    ]);
+  });
+
+  test('reports each value once', () => {
+    expect(extract('my snap is coolkid, snap coolkid')).toHaveLength(1);
+  });
+
+  test('accepts raw strings', () => {
+    expect(extractor.extract('snap: coolkid').map(entity => entity.normalized)).toEqual(['coolkid']);
+  });
+});
@@ -0,0 +1,144 @@
+const EventEmitter = require('events');
+const jwt = require('jsonwebtoken');
+const MonitoringSocketHandler = require('../../utils/monitoringSocketHandler');
+const { MessageMonitor } = require('../../services/messageMonitor');
+const { FamilySettingsService } = require('../../services/familySettings');
+
+const familyId = 'family-1';
+
+// Just enough of a Socket.IO namespace to drive the handler
+const createNamespace = () => {
+  const namespace = new EventEmitter();
+  namespace.middleware = [];
+  namespace.emitted = [];
+  namespace.use = (fn) => namespace.middleware.push(fn);
+  namespace.to = (room) => ({ emit: (event, data) => namespace.emitted.push({ room, event, data }) });
+  return namespace;
+};
+
+const createSocket = (user) => {
+  const socket = new EventEmitter();
+  socket.user = user;
+  socket.rooms = [];
+  socket.join = (room) => socket.rooms.push(room);
+  return socket;
+};
+
+describe('MonitoringSocketHandler', () => {
+  let namespace;
+  let monitor;
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+  });
+
+  beforeEach(() => {
+    namespace = createNamespace();
+    monitor = new MessageMonitor({ familySettings: new FamilySettingsService(), detector: {} });
+    monitor.analyze = jest.fn(async () => ({ analysis: { audience: 'family', threats: [] }, alert: null }));
+    new MonitoringSocketHandler(namespace, monitor);
+  });
+
+  const authenticate = (handshake) => new Promise(resolve => {
+    const socket = { handshake: { auth: {}, headers: {}, ...handshake } };
+    namespace.middleware[0](socket, (error) => resolve({ socket, error }));
+  });
+
+  const send = (socket, data) => new Promise(resolve => socket.emit('analyze_message', data, resolve));
+
+  describe('authentication', () => {
+    test('accepts a token carrying a family', async () => {
+      const token = jwt.sign({ userId: 'agent-1', familyId, role: 'child' }, process.env.JWT_SECRET);
+      const { socket, error } = await authenticate({ auth: { token } });
+
+      expect(error).toBeUndefined();
+      expect(socket.user).toMatchObject({ familyId, role: 'child' });
+    });
+
+    test('rejects a missing token and a token without a family', async () => {
+      expect((await authenticate({})).error.message).toBe('Authentication token required');
+
+      const token = jwt.sign({ userId: 'agent-1' }, process.env.JWT_SECRET);
+      expect((await authenticate({ headers: { authorization: `Bearer ${token}` } })).error.message)
+        .toBe('Account is not linked to a family');
+    });
+  });
+
+  test('only guardians join the family room', () => {
+    const parent = createSocket({ userId: 'p', familyId, role: 'parent' });
+    const child = createSocket({ userId: 'c', familyId, role: 'child' });
+    namespace.emit('connection', parent);
+    namespace.emit('connection', child);
+
+    expect(parent.rooms).toEqual([`family_${familyId}`]);
+    expect(child.rooms).toEqual([]);
+  });
+
+  test('pushes new alerts to the family room', () => {
+    monitor.notify(familyId, 'new_alert', { id: 'alert-1' });
+    expect(namespace.emitted).toEqual([{ room: `family_${familyId}`, event: 'new_alert', data: { id: 'alert-1' } }]);
+  });
+
+  describe('analyze_message', () => {
+    let socket;
+
+    beforeEach(() => {
+      socket = createSocket({ userId: 'agent-1', familyId, role: 'parent' });
+      namespace.emit('connection', socket);
+    });
+
+    test('acknowledges with the result', async () => {
+      const reply = await send(socket, { message: 'hi there', context: { timestamp: '2026-05-01T10:00:00Z' } });
+
+      expect(reply).toEqual({ success: true, analysis: { audience: 'family', threats: [] }, alert: null });
+      expect(monitor.analyze).toHaveBeenCalledWith('hi there', { familyId, timestamp: '2026-05-01T10:00:00Z' });
+    });
+
+    test('rejects an invalid timestamp', async () => {
+      const reply = await send(socket, { message: 'hi', context: { timestamp: 'not a date' } });
+
+      expect(reply).toEqual({ success: false, error: 'Invalid request', message: 'context.timestamp must be a valid date' });
+      expect(monitor.analyze).not.toHaveBeenCalled();
+    });
+
+    test('takes one message per event', async () => {
+      const reply = await send(socket, { messages: ['a', 'b'] });
+      expect(reply).toMatchObject({ success: false, message: 'Stream one message per event' });
+    });
+
+    test('reports an overloaded pool with its code', async () => {
+      monitor.analyze.mockRejectedValue(Object.assign(new Error('Detection queue is full'), { code: 'QUEUE_FULL' }));
+
+      const reply = await send(socket, { message: 'hi' });
+      expect(reply).toMatchObject({ success: false, error: 'Analysis unavailable', code: 'QUEUE_FULL' });
+    });
+  });
+
+  describe('contact_event', () => {
+    const childId = '507f1f77bcf86cd799439011';
+    let socket;
+
+    const report = (data) => new Promise(resolve => socket.emit('contact_event', data, resolve));
+
+    beforeEach(() => {
+      socket = createSocket({ userId: 'agent-1', familyId, role: 'parent' });
+      namespace.emit('connection', socket);
+    });
+
+    test('passes a block to the behavior analyzer', async () => {
+      const record = jest.spyOn(monitor.behaviorAnalyzer, 'recordInteraction');
+
+      const reply = await report({ event: 'block', context: { senderId: 'sender-1', childId, timestamp: '2026-05-01T10:00:00Z' } });
+
+      expect(reply).toMatchObject({ success: true, event: 'block', recorded: true });
+      expect(record).toHaveBeenCalledWith({
+        familyId, senderId: 'sender-1', childId, timestamp: new Date('2026-05-01T10:00:00Z'), type: 'block'
+      });
+    });
+
+    test('rejects an invalid event', async () => {
+      const reply = await report({ event: 'block', context: { childId } });
+      expect(reply).toEqual({ success: false, error: 'Invalid request', message: 'context.senderId is required' });
+    });
+  });
+});
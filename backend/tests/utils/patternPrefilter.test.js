@@ -0,0 +1,116 @@
+const { PatternPrefilter, extractRequiredLiterals } = require('../../utils/patternPrefilter');
+const TextNormalizer = require('../../utils/textNormalizer');
+const { CustomRuleService } = require('../../services/customRules');
+const { patternPacks } = require('../../services/patternPackLoader');
+const AlertDetectionService = require('../../services/alertDetection');
+
+const normalizer = new TextNormalizer();
+
+describe('extractRequiredLiterals', () => {
+  test('finds the longest literal run of each alternative', () => {
+    expect(extractRequiredLiterals('\\bsend me (?:a )?pic')).toEqual(['send me ']);
+    expect(extractRequiredLiterals('snap ?chat|discord')).toEqual(['snap', 'discord']);
+  });
+
+  test('keeps characters a quantifier requires and drops optional ones', () => {
+    expect(extractRequiredLiterals('cool+est')).toEqual(['cool']);
+    expect(extractRequiredLiterals('colou?r')).toEqual(['colo']);
+  });
+
+  test('gives up when an alternative has no usable literal', () => {
+    expect(extractRequiredLiterals('s.?n.?a.?p')).toBeNull();
+    expect(extractRequiredLiterals('secret|ok')).toBeNull();
+    expect(extractRequiredLiterals('secret', 'iu')).toBeNull();
+  });
+});
+
+describe('PatternPrefilter', () => {
+  let prefilter;
+
+  beforeAll(() => {
+    prefilter = new PatternPrefilter().build(patternPacks.load());
+  });
+
+  test('indexes most pack patterns', () => {
+    expect(prefilter.stats.indexed).toBeGreaterThan(prefilter.stats.patterns / 2);
+  });
+
+  test('rules out patterns whose literal is absent and keeps unindexed ones', () => {
+    const [pattern] = prefilter.requirements.keys();
+    const literal = extractRequiredLiterals(pattern.source, pattern.flags)[0];
+
+    expect(prefilter.mayMatch(pattern, normalizer.normalize('gg nice game'))).toBe(false);
+    expect(prefilter.mayMatch(pattern, normalizer.normalize(`well ${literal} then`))).toBe(true);
+    expect(prefilter.mayMatch(/s.?n.?a.?p/i, normalizer.normalize('gg nice game'))).toBe(true);
+  });
+
+  describe('filterRules', () => {
+    const rules = new CustomRuleService().compileRules([
+      { id: 'r1', label: 'School', type: 'phrase', pattern: 'Oakwood Elementary', severity: 'high', enabled: true },
+      { id: 'r2', label: 'Street', type: 'phrase', pattern: 'Maple Street', severity: 'medium', enabled: true },
+      { id: 'r3', label: 'Short', type: 'regex', pattern: '\\bok\\b', severity: 'low', enabled: true }
+    ]);
+
+    test('keeps only rules whose text is present, plus rules it cannot index', () => {
+      const kept = prefilter.filterRules(rules, normalizer.normalize('i go to 0akw00d elementary'));
+
+      expect(kept.map(rule => rule.id)).toEqual(['r1', 'r3']);
+      expect(prefilter.filterRules([], normalizer.normalize('hi'))).toEqual([]);
+    });
+
+    test('reuses the index for copies of the same rule set', () => {
+      prefilter.ruleIndexes.clear();
+      prefilter.filterRules(rules, normalizer.normalize('hi'));
+      prefilter.filterRules(structuredClone(rules), normalizer.normalize('maple street'));
+
+      expect(prefilter.ruleIndexes.size).toBe(1);
+    });
+
+    test('drops the least recently used rule set past capacity', () => {
+      prefilter.ruleIndexes.clear();
+      for (let i = 0; i <= 1000; i++) {
+        prefilter.filterRules([{ id: `r${i}`, pattern: new RegExp(`phrase number ${i}`, 'i') }], normalizer.normalize('hi'));
+      }
+
+      expect(prefilter.ruleIndexes.size).toBe(1000);
+      expect([...prefilter.ruleIndexes.keys()][0]).toBe('i/phrase number 1');
+    });
+  });
+});
+
+describe('AlertDetectionService custom rule prefilter', () => {
+  const rules = new CustomRuleService().compileRules([
+    { id: 'school', label: 'School', type: 'phrase', pattern: 'Oakwood Elementary', severity: 'high', enabled: true },
+    { id: 'street', label: 'Street', type: 'phrase', pattern: 'Maple Street', severity: 'medium', enabled: true }
+  ]);
+
+  let prefiltered;
+  let unfiltered;
+
+  beforeAll(() => {
+    prefiltered = new AlertDetectionService({ classifier: null, usePatternPrefilter: true });
+    unfiltered = new AlertDetectionService({ classifier: null, usePatternPrefilter: false });
+  });
+
+  test('never runs a rule whose text is absent', () => {
+    const spy = jest.spyOn(rules[1].pattern, 'test');
+
+    prefiltered.analyzeMessage('do you go to 0akw00d elementary?', { customRules: rules });
+
+    expect(spy).not.toHaveBeenCalled();
+    spy.mockRestore();
+  });
+
+  test('gives the same results as running every rule', () => {
+    ['do you go to 0akw00d elementary?', 'i live on maple street', 'gg nice game'].forEach(message => {
+      const summarize = (result) => result.threats
+        .filter(threat => threat.type === 'custom_rule')
+        .map(({ ruleId, matches }) => ({ ruleId, matches }));
+
+      expect(summarize(prefiltered.analyzeMessage(message, { customRules: rules })))
+        .toEqual(summarize(unfiltered.analyzeMessage(message, { customRules: rules })));
+    });
+    expect(prefiltered.analyzeMessage('i live on maple street', { customRules: rules }).threats
+      .map(threat => threat.ruleId)).toContain('street');
+  });
+});
@@ -0,0 +1,52 @@
+const { checkRegexSafety, isSafeRegex } = require('../../utils/regexSafety');
+
+describe('checkRegexSafety', () => {
+  test.each([
+    'free robux',
+    '\\bmeet (me|up) (at|in)\\b',
+    '(?<![a-z0-9])oakwood(?![a-z0-9])',
+    'send (me )?(a )?(pic|photo)s?',
+    '(\\d{3}[-. ]?){2}\\d{4}',
+    '\\b(ab){3}\\b',
+    '(a+)?b'
+  ])('accepts %s', (source) => {
+    expect(checkRegexSafety(source)).toEqual({ safe: true, reasons: [] });
+  });
+
+  test.each([
+    ['(a+)+$', /unbounded quantifier/],
+    ['(\\w*)*x', /unbounded quantifier/],
+    ['(.*a){12}x', /unbounded quantifier/],
+    ['(a+){2}b', /unbounded quantifier/],
+    ['((a+)b){3,5}', /unbounded quantifier/],
+    ['(a{1,60})+', /unbounded quantifier/]
+  ])('rejects repeated groups containing an unbounded quantifier: %s', (source, reason) => {
+    const { safe, reasons } = checkRegexSafety(source);
+    expect(safe).toBe(false);
+    expect(reasons.join(' ')).toMatch(reason);
+  });
+
+  test('treats a bounded repeat over the limit as unbounded', () => {
+    expect(isSafeRegex('(a{1,51})+')).toBe(false);
+    expect(isSafeRegex('x{1,51}y{1,51}')).toBe(true);
+  });
+
+  test('rejects overlapping adjacent repeats', () => {
+    expect(checkRegexSafety('\\s*\\s*x').reasons[0]).toMatch(/Adjacent unbounded repeats/);
+    expect(isSafeRegex('\\w+\\d+')).toBe(false);
+    expect(isSafeRegex('[^\\s]+\\s+')).toBe(true);
+  });
+
+  test('rejects repeated alternation with overlapping alternatives', () => {
+    expect(isSafeRegex('(a|ab)+c')).toBe(false);
+    expect(isSafeRegex('(a|a){20}')).toBe(false);
+    expect(isSafeRegex('(cat|dog)+')).toBe(true);
+  });
+
+  test('rejects backreferences, invalid patterns and overlong sources', () => {
+    expect(checkRegexSafety('(a)\\1').reasons).toContain('Backreferences are not allowed');
+    expect(checkRegexSafety('(a').reasons[0]).toMatch(/^Invalid regular expression/);
+    expect(checkRegexSafety('').safe).toBe(false);
+    expect(checkRegexSafety('a'.repeat(20), { maxLength: 10 }).reasons).toContain('Pattern is longer than 10 characters');
+  });
+});
@@ -0,0 +1,70 @@
+const TextNormalizer = require('../../utils/textNormalizer');
+
+describe('TextNormalizer', () => {
+  const normalizer = new TextNormalizer();
+  const normalize = (text) => normalizer.normalize(text).text;
+  const variants = (text) => normalizer.normalize(text).variants.map(variant => variant.text);
+
+  test.each([
+    ['h3ll0 fr13nd', 'hello friend'],
+    ['s3cr3t', 'secret'],
+    ['dis\u200Bcord', 'discord'],
+    ['d\u0456scord', 'discord'],
+    ['seeeeecret', 'secret'],
+    ['d i s c o r d', 'discord'],
+    ['s.n.a.p.c.h.a.t', 'snapchat'],
+    ['snap chat', 'snapchat'],
+    ['DISCORD', 'discord'],
+    ['café', 'cafe']
+  ])('normalizes %j to %j', (input, expected) => {
+    expect(normalize(input)).toBe(expected);
+  });
+
+  test('leaves numbers that are not leetspeak alone', () => {
+    expect(normalize('i am 12 years old')).toBe('i am 12 years old');
+    expect(normalize('me@example.com')).toBe('me@example.com');
+  });
+
+  describe('spaced letters', () => {
+    test.each([
+      'i m a girl',
+      'r u o k',
+      'u r a b*tch',
+      'a b c'
+    ])('does not join chat shorthand in %j', (input) => {
+      expect(normalize(input)).toBe(input);
+    });
+
+    test('keeps single-letter words ahead of a spaced-out word apart', () => {
+      expect(normalize('u r a b i t c h')).toBe('u r a bitch');
+      expect(normalize('u r a l o s e r')).toBe('u r a loser');
+    });
+
+    test('offers the run joined whole and unjoined as variants', () => {
+      expect(normalize('a s s h o l e')).toBe('a sshole');
+      expect(variants('a s s h o l e')).toEqual(['asshole', 'a s s h o l e']);
+    });
+
+    test('has no variants when nothing was joined', () => {
+      expect(variants('hello there')).toEqual([]);
+      expect(variants('i m a girl')).toEqual([]);
+    });
+
+    test('variants map back to the original text', () => {
+      const [whole] = normalizer.normalize('hey a s s h o l e').variants;
+      const start = whole.text.indexOf('asshole');
+      expect(whole.mapSpan(start, start + 7).text).toBe('a s s h o l e');
+    });
+  });
+
+  test('maps normalized spans back to the original characters', () => {
+    const result = normalizer.normalize('add me on d1sc0rd!!');
+    const start = result.text.indexOf('discord');
+    expect(result.mapSpan(start, start + 'discord'.length)).toEqual({ index: 10, length: 7, text: 'd1sc0rd' });
+  });
+
+  test('handles non-string input', () => {
+    expect(normalize(undefined)).toBe('');
+    expect(normalize(42)).toBe('42');
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Contact entity extraction for Kidverse detection
+ * Pulls Discord tags, Snapchat/Instagram/TikTok handles, phone numbers,
+ * emails and URLs out of messages so they can be attached to threats
+ */
+
+const PHONE_PATTERNS = [
+  /(?<![\d+])(?:\+?1[\s.-]?)?\(?[2-9]\d{2}\)?[\s.-]?\d{3}[\s.-]?\d{4}(?!\d)/g,
+  /(?<![\d+])\+(?:[2-9]\d{0,2})[\s.-]?\d{2,4}[\s.-]?\d{3,4}[\s.-]?\d{3,4}(?!\d)/g
+];
+
+const EMAIL_PATTERN = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi;
+
+const URL_PATTERNS = [
+  /\b(?:https?:\/\/|www\.)[^\s<>"']+/gi,
+  /\b(?:[a-z0-9-]+\.)+(?:com|net|org|gg|io|xyz|ly|co|me|tk|ml|ga|cf|gq|link|site|online|info|biz|app|dev|us|uk|ru|top|click|live|shop)(?:\/[^\s<>"']*)?(?![a-z0-9@])/gi
+];
+
+// Platform keyword (on normalized text) followed by the handle (on original text)
+const HANDLE_PLATFORMS = {
+  discord: {
+    keyword: /\b(?:discord|disc)(?![a-z0-9])(?: (?:tag|name|user|username|id|handle))?(?: is)?(?: ?[:=-])?/g,
+    handle: /\s*@?([a-z0-9_][a-z0-9_.]{1,31}(?:#\d{4})?)/iy
+  },
+  snapchat: {
+    keyword: /\b(?:snapchat|snap|sc)(?![a-z0-9])(?: (?:name|user|username|handle|id))?(?: is)?(?: ?[:=-])?/g,
+    handle: /\s*@?([a-z0-9][a-z0-9._-]{2,14})/iy
+  },
+  instagram: {
+    keyword: /\b(?:instagram|insta|ig)(?![a-z0-9])(?: (?:name|user|username|handle|id))?(?: is)?(?: ?[:=-])?/g,
+    handle: /\s*@?([a-z0-9_][a-z0-9_.]{1,29})/iy
+  },
+  tiktok: {
+    keyword: /\btiktok(?![a-z0-9])(?: (?:name|user|username|handle|id))?(?: is)?(?: ?[:=-])?/g,
+    handle: /\s*@?([a-z0-9_][a-z0-9_.]{1,23})/iy
+  }
+};
+
+// Discord's legacy name#1234 tags are unambiguous on their own
+const DISCORD_TAG = /(?<![\w#])([a-z0-9_.]{2,32}#\d{4})(?!\d)/gi;
+
+// Profile URLs that name the platform and handle directly
+const PROFILE_URLS = [
+  { type: 'instagram', pattern: /instagram\.com\/([a-z0-9_.]{2,30})/gi },
+  { type: 'tiktok', pattern: /tiktok\.com\/@([a-z0-9_.]{2,24})/gi },
+  { type: 'snapchat', pattern: /snapchat\.com\/add\/([a-z0-9._-]{3,15})/gi },
+  { type: 'discord', pattern: /discord(?:app)?\.com\/users\/(\d{15,20})/gi }
+];
+
+// Words that follow a platform name but are not handles
+const NOT_HANDLES = new Set([
+  'is', 'me', 'pls', 'please', 'now', 'and', 'or', 'to', 'the', 'it', 'so', 'ok', 'okay',
+  'lol', 'tag', 'name', 'username', 'handle', 'user', 'later', 'then', 'too', 'bro', 'rn',
+  'instead', 'because', 'cause', 'cuz', 'if', 'for', 'with', 'we', 'you', 'u', 'i',
+  'better', 'server', 'chat', 'call', 'dm', 'dms', 'account', 'app', 'on', 'at', 'its',
+  'there', 'yet', 'tho', 'though', 'btw', 'com', 'voice', 'private', 'privately'
+]);
+
+class EntityExtractor {
+  /**
+   * Extract contact entities from a message
+   * @param {string|Object} message - Raw text, or a TextNormalizer result
+   * @returns {Array<Object>} { type, value, normalized, index, length }
+   */
+  extract(message) {
+    const original = typeof message === 'string' ? message : message.original;
+    const normalized = typeof message === 'string' ? null : message;
+    const entities = [];
+
+    this.extractHandles(original, normalized, entities);
+    this.extractMatches(original, [DISCORD_TAG], 'discord', entities);
+    PROFILE_URLS.forEach(({ type, pattern }) => this.extractMatches(original, [pattern], type, entities));
+    this.extractMatches(original, [EMAIL_PATTERN], 'email', entities);
+    this.extractMatches(original, PHONE_PATTERNS, 'phone', entities);
+    this.extractMatches(original, URL_PATTERNS, 'url', entities);
+
+    return this.dedupe(entities);
+  }
+
+  /**
+   * Handles that follow a platform keyword ("my snap is cool.kid")
+   */
+  extractHandles(original, normalized, entities) {
+    const text = normalized ? normalized.text : original.toLowerCase();
+
+    Object.entries(HANDLE_PLATFORMS).forEach(([type, { keyword, handle }]) => {
+      keyword.lastIndex = 0;
+      let match;
+
+      while ((match = keyword.exec(text)) !== null) {
+        const end = normalized
+          ? normalized.mapSpan(match.index, match.index + match[0].length)
+          : { index: match.index, length: match[0].length };
+
+        handle.lastIndex = end.index + end.length;
+        const found = handle.exec(original);
+
+        if (found && !NOT_HANDLES.has(found[1].toLowerCase())) {
+          const value = found[1];
+          entities.push(this.createEntity(type, value, found.index + found[0].length - value.length));
+        }
+      }
+    });
+  }
+
+  /**
+   * Entities matched by a standalone pattern; group 1 is the value if present
+   */
+  extractMatches(original, patterns, type, entities) {
+    patterns.forEach(pattern => {
+      pattern.lastIndex = 0;
+      let match;
+
+      while ((match = pattern.exec(original)) !== null) {
+        const value = (match[1] || match[0]).replace(/[.,!?)]+$/, '');
+        const index = match.index + match[0].indexOf(value);
+        entities.push(this.createEntity(type, value, index));
+      }
+    });
+  }
+
+  /**
+   * Build an entity with a canonical value used for indexing
+   */
+  createEntity(type, value, index) {
+    let normalizedValue = value.toLowerCase().replace(/^@/, '');
+
+    if (type === 'phone') {
+      normalizedValue = value.replace(/[^\d+]/g, '');
+    } else if (type === 'url') {
+      normalizedValue = normalizedValue.replace(/^https?:\/\//, '').replace(/\/$/, '');
+    }
+
+    return {
+      type,
+      value,
+      normalized: normalizedValue,
+      index,
+      length: value.length
+    };
+  }
+
+  /**
+   * Drop repeats and matches that sit inside an email or phone number
+   */
+  dedupe(entities) {
+    const seen = new Set();
+    const priority = { discord: 0, snapchat: 0, instagram: 0, tiktok: 0, email: 1, phone: 2, url: 3 };
+    const sorted = [...entities].sort((a, b) => priority[a.type] - priority[b.type] || a.index - b.index);
+    const kept = [];
+
+    sorted.forEach(entity => {
+      const key = `${entity.type}:${entity.normalized}`;
+      if (seen.has(key)) {
+        return;
+      }
+
+      const inside = kept.some(other =>
+        other.type !== entity.type &&
+        ['email', 'phone'].includes(other.type) &&
+        entity.index >= other.index && entity.index + entity.length <= other.index + other.length
+      );
+
+      if (!inside) {
+        seen.add(key);
+        kept.push(entity);
+      }
+    });
+
+    return kept.sort((a, b) => a.index - b.index);
+  }
+}
+
+module.exports = {
+  EntityExtractor,
+  PHONE_PATTERNS,
+  EMAIL_PATTERN,
+  URL_PATTERNS
+};
@@ -0,0 +1,112 @@
+/**
+ * Lightweight offline language identification for Kidverse detection
+ * Scores a message against common function words for each supported
+ * language; chat messages are too short for n-gram models to be reliable
+ */
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Frequent short words, written the way TextNormalizer outputs them
+// (lower case, accents removed). Words shared by several languages still
+// count for each of them.
+const STOPWORDS = {
+  en: [
+    'the', 'and', 'is', 'are', 'you', 'your', 'ur', 'u', 'to', 'of', 'in', 'it', 'what', 'where',
+    'do', 'does', 'i', 'im', "i'm", 'my', 'me', 'can', 'how', 'old', 'live', 'lol', 'wanna', 'with',
+    'this', 'that', 'have', 'got', 'want', 'dont', "don't", 'not', 'be', 'we', 'they', 'just', 'hey',
+    'hi', 'yes', 'no', 'on', 'at', 'for', 'so', 'will', 'was', 'tell', 'please', 'pls'
+  ],
+  es: [
+    'que', 'de', 'el', 'la', 'los', 'las', 'y', 'en', 'un', 'una', 'es', 'por', 'para', 'con', 'no',
+    'tu', 'te', 'mi', 'me', 'donde', 'como', 'eres', 'tienes', 'estas', 'pero', 'muy', 'si', 'hola',
+    'quieres', 'vives', 'anos', 'cual', 'yo', 'soy', 'nada', 'tus', 'padres', 'dime', 'vamos', 'aqui',
+    'mas', 'puedes', 'quiero', 'nosotros', 'tambien', 'ahora', 'esta'
+  ],
+  pt: [
+    'que', 'de', 'o', 'a', 'os', 'as', 'e', 'em', 'um', 'uma', 'voce', 'vc', 'nao', 'para', 'pra',
+    'com', 'meu', 'minha', 'seu', 'sua', 'onde', 'mora', 'tem', 'esta', 'ta', 'muito', 'oi', 'quer',
+    'tudo', 'bem', 'eu', 'sou', 'nos', 'gente', 'vamos', 'aqui', 'mais', 'pode', 'quero', 'tambem',
+    'agora', 'ninguem', 'seus', 'pais', 'anos'
+  ],
+  fr: [
+    'le', 'la', 'les', 'de', 'des', 'et', 'est', 'un', 'une', 'tu', 'te', 'je', 'vous', 'pas', 'ne',
+    'que', 'qui', 'ou', 'avec', 'pour', 'mon', 'ma', 'ton', 'ta', 'tes', 'ans', 'salut', 'habites',
+    "c'est", "t'es", "j'ai", "t'as", 'moi', 'toi', 'quoi', 'oui', 'non', 'mais', 'tres', 'veux',
+    'peux', 'on', 'nous', 'chez', 'ici', 'parents'
+  ],
+  de: [
+    'der', 'die', 'das', 'und', 'ist', 'ich', 'du', 'nicht', 'ein', 'eine', 'wo', 'wohnst', 'mit',
+    'fur', 'dein', 'deine', 'mein', 'meine', 'bist', 'hast', 'hallo', 'wie', 'alt', 'jahre', 'was',
+    'wer', 'auf', 'zu', 'mir', 'dich', 'dir', 'uns', 'wir', 'ja', 'nein', 'aber', 'sehr', 'kannst',
+    'willst', 'eltern', 'niemandem', 'schule', 'hier', 'jetzt', 'auch'
+  ]
+};
+
+// Characters that only appear in one of the supported languages
+// (checked on the original text, before accents are removed)
+const SCRIPT_HINTS = {
+  es: /[ñ¿¡]/i,
+  pt: /[ãõ]/i,
+  fr: /[èœ]|ç[aeiou]/i,
+  de: /[ßäöü]/i
+};
+
+class LanguageDetector {
+  /**
+   * @param {Object} options
+   * @param {Array<string>} options.languages - Languages to consider
+   * @param {number} options.minScore - Word hits needed before leaving the default language
+   */
+  constructor(options = {}) {
+    this.languages = options.languages || Object.keys(STOPWORDS);
+    this.minScore = options.minScore || 1;
+    this.stopwords = {};
+    this.languages.forEach(language => {
+      this.stopwords[language] = new Set(STOPWORDS[language] || []);
+    });
+  }
+
+  /**
+   * Identify the language of a message
+   * @param {string|Object} message - Raw text, or a TextNormalizer result
+   * @returns {Object} { language, confidence, scores }
+   */
+  detect(message) {
+    const original = typeof message === 'string' ? message : message.original;
+    const text = typeof message === 'string' ? message.toLowerCase() : message.text;
+    const tokens = text.match(/[a-z']+/g) || [];
+    const scores = {};
+
+    this.languages.forEach(language => {
+      const words = this.stopwords[language];
+      scores[language] = tokens.filter(token => words.has(token)).length;
+
+      if (SCRIPT_HINTS[language] && SCRIPT_HINTS[language].test(original)) {
+        scores[language] += 2;
+      }
+    });
+
+    const ranked = [...this.languages].sort((a, b) =>
+      scores[b] - scores[a] || (a === DEFAULT_LANGUAGE ? -1 : b === DEFAULT_LANGUAGE ? 1 : 0)
+    );
+    const [best, runnerUp] = ranked;
+
+    if (scores[best] < this.minScore) {
+      return { language: DEFAULT_LANGUAGE, confidence: 0, scores };
+    }
+
+    const margin = scores[best] - (runnerUp ? scores[runnerUp] : 0);
+    const confidence = Math.min(1, (margin + 1) / (scores[best] + 1)) * Math.min(1, scores[best] / 3);
+
+    return {
+      language: best,
+      confidence: Math.round(confidence * 100) / 100,
+      scores
+    };
+  }
+}
+
+module.exports = {
+  LanguageDetector,
+  DEFAULT_LANGUAGE
+};
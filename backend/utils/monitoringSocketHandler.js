@@ -0,0 +1,123 @@
+const jwt = require('jsonwebtoken');
+const { promisify } = require('util');
+const { messageMonitor: defaultMonitor, GUARDIAN_ROLES } = require('../services/messageMonitor');
+
+/**
+ * Socket.IO handler for monitoring agents streaming messages for analysis
+ * Agents send `analyze_message` and get the result in the acknowledgement,
+ * and report blocks and unblocks with `contact_event`; guardians connected
+ * to the same namespace receive `new_alert` events
+ */
+class MonitoringSocketHandler {
+  /**
+   * @param {Namespace} namespace - Socket.IO namespace, e.g. io.of('/monitoring')
+   * @param {MessageMonitor} monitor - Analyzes messages and raises alerts
+   */
+  constructor(namespace, monitor = defaultMonitor) {
+    this.namespace = namespace;
+    this.monitor = monitor;
+    this.setupMiddleware();
+    this.setupEventHandlers();
+
+    this.monitor.setNotifier((familyId, event, data) => {
+      this.namespace.to(`family_${familyId}`).emit(event, data);
+    });
+  }
+
+  /**
+   * Require a JWT carrying the user's id, family and role
+   */
+  setupMiddleware() {
+    this.namespace.use(async (socket, next) => {
+      try {
+        const token = socket.handshake.auth.token || socket.handshake.headers.authorization?.replace('Bearer ', '');
+
+        if (!token) {
+          return next(new Error('Authentication token required'));
+        }
+
+        const decoded = await promisify(jwt.verify)(token, process.env.JWT_SECRET);
+        if (!decoded.familyId) {
+          return next(new Error('Account is not linked to a family'));
+        }
+
+        socket.user = decoded;
+        next();
+      } catch (error) {
+        console.error('Monitoring socket authentication error:', error.message);
+        next(new Error('Authentication failed'));
+      }
+    });
+  }
+
+  /**
+   * Setup event handlers for socket connections
+   */
+  setupEventHandlers() {
+    this.namespace.on('connection', (socket) => {
+      // Only guardians hear about alerts; an agent on the child's device does not
+      if (GUARDIAN_ROLES.includes(socket.user.role)) {
+        socket.join(`family_${socket.user.familyId}`);
+      }
+
+      socket.on('analyze_message', (data, ack) => {
+        this.handleAnalyzeMessage(socket, data, ack);
+      });
+
+      socket.on('contact_event', (data, ack) => {
+        this.handleContactEvent(socket, data, ack);
+      });
+    });
+  }
+
+  /**
+   * Analyze one streamed message: { message, context }
+   */
+  async handleAnalyzeMessage(socket, data, ack) {
+    const reply = typeof ack === 'function' ? ack : (response) => socket.emit('analysis_result', response);
+
+    try {
+      const errors = this.monitor.validateRequest(data);
+      if (errors.length > 0 || data.messages !== undefined) {
+        reply({ success: false, error: 'Invalid request', message: errors.join('; ') || 'Stream one message per event' });
+        return;
+      }
+
+      const context = this.monitor.buildContext(socket.user, data.context);
+      const result = await this.monitor.analyze(data.message, context);
+
+      reply({ success: true, ...this.monitor.presentResult(result, socket.user.role) });
+    } catch (error) {
+      if (error.code === 'QUEUE_FULL' || error.code === 'TIMEOUT') {
+        reply({ success: false, error: 'Analysis unavailable', code: error.code, message: error.message });
+        return;
+      }
+
+      console.error('Error analyzing streamed message:', error);
+      reply({ success: false, error: 'Internal server error', message: 'Failed to analyze message' });
+    }
+  }
+
+  /**
+   * Record a block or unblock: { event, context: { senderId, childId, timestamp } }
+   */
+  handleContactEvent(socket, data, ack) {
+    const reply = typeof ack === 'function' ? ack : (response) => socket.emit('contact_event_result', response);
+
+    try {
+      const errors = this.monitor.validateContactEvent(data, socket.user);
+      if (errors.length > 0) {
+        reply({ success: false, error: 'Invalid request', message: errors.join('; ') });
+        return;
+      }
+
+      const context = this.monitor.buildContext(socket.user, data.context);
+      reply({ success: true, ...this.monitor.recordContactEvent(data.event, context) });
+    } catch (error) {
+      console.error('Error recording contact event:', error);
+      reply({ success: false, error: 'Internal server error', message: 'Failed to record contact event' });
+    }
+  }
+}
+
+module.exports = MonitoringSocketHandler;
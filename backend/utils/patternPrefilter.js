@@ -0,0 +1,338 @@
+/**
+ * Single-pass literal prefilter for pattern pack and custom rule matching
+ * The prefilter never matches anything itself: every pattern is reduced to
+ * the literal text any match must contain, one Aho-Corasick scan per message
+ * finds which of those literals occur, and only patterns whose literal was
+ * found are run as regular expressions, so match results are the same as
+ * running every pattern.
+ */
+
+// Shorter literals occur in too many messages to be worth indexing
+const MIN_LITERAL_LENGTH = 3;
+
+// Distinct custom rule sets kept indexed before the least recently used is dropped
+const MAX_RULE_INDEXES = 1000;
+
+// Escapes that stand for themselves; letters and digits are classes, assertions or codes
+const LITERAL_ESCAPE = /^[^A-Za-z0-9]$/;
+
+// Only ASCII literals: case-insensitive matching folds them one to one with toLowerCase
+const ASCII_LITERAL = /^[\x20-\x7e]$/;
+
+const QUANTIFIER = /^(?:[*+?]|\{(\d+)(?:,\d*)?\})\??/;
+
+/**
+ * Index just past the group or class that opens at `start`
+ */
+const skipBracketed = (source, start) => {
+  let depth = 0;
+  let inClass = false;
+
+  for (let i = start; i < source.length; i++) {
+    const ch = source[i];
+    if (ch === '\\') {
+      i++;
+    } else if (inClass) {
+      inClass = ch !== ']';
+      if (!inClass && source[start] === '[') return i + 1;
+    } else if (ch === '[') {
+      inClass = true;
+    } else if (ch === '(') {
+      depth++;
+    } else if (ch === ')' && --depth === 0) {
+      return i + 1;
+    }
+  }
+
+  return source.length;
+};
+
+/**
+ * Length of the escape sequence at `start`, including the backslash
+ */
+const escapeLength = (source, start) => {
+  const rest = source.slice(start + 1);
+  const match = /^(?:x[0-9a-fA-F]{2}|u\{[0-9a-fA-F]+\}|u[0-9a-fA-F]{4}|c[A-Za-z]|[pPk]<[^>]*>|[pP]\{[^}]*\}|\d+)/.exec(rest);
+  return 1 + (match ? match[0].length : 1);
+};
+
+/**
+ * Split a pattern into its top-level alternatives
+ */
+const splitAlternatives = (source) => {
+  const alternatives = [];
+  let start = 0;
+
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '\\') {
+      i++;
+    } else if (source[i] === '(' || source[i] === '[') {
+      i = skipBracketed(source, i) - 1;
+    } else if (source[i] === '|') {
+      alternatives.push(source.slice(start, i));
+      start = i + 1;
+    }
+  }
+
+  alternatives.push(source.slice(start));
+  return alternatives;
+};
+
+/**
+ * Runs of literal characters every match of one alternative contains
+ * Groups, classes and assertions end a run, and an optional character is dropped
+ */
+const literalRuns = (alternative) => {
+  const runs = [];
+  let current = '';
+  const endRun = () => {
+    if (current) runs.push(current);
+    current = '';
+  };
+
+  let i = 0;
+  while (i < alternative.length) {
+    const ch = alternative[i];
+    let atom = null;
+    let next = i + 1;
+
+    if (ch === '\\') {
+      next = i + escapeLength(alternative, i);
+      atom = next === i + 2 && LITERAL_ESCAPE.test(alternative[i + 1]) ? alternative[i + 1] : null;
+    } else if (ch === '(' || ch === '[') {
+      next = skipBracketed(alternative, i);
+    } else if (!'.^${'.includes(ch)) {
+      atom = ch;
+    }
+
+    const quantifier = QUANTIFIER.exec(alternative.slice(next));
+    if (quantifier) {
+      const min = quantifier[0][0] === '+' ? 1 : quantifier[1] !== undefined ? parseInt(quantifier[1], 10) : 0;
+      if (atom !== null && min >= 1 && ASCII_LITERAL.test(atom)) {
+        current += atom;
+      }
+      endRun();
+      next += quantifier[0].length;
+    } else if (atom !== null && ASCII_LITERAL.test(atom)) {
+      current += atom;
+    } else {
+      endRun();
+    }
+
+    i = next;
+  }
+
+  endRun();
+  return runs;
+};
+
+/**
+ * Literals a pattern needs, one per top-level alternative, or null when some
+ * alternative has no usable literal and the pattern must always run
+ * @param {string} source - Pattern source
+ * @param {string} flags - Pattern flags
+ * @returns {Array<string>|null} Lower-cased literals
+ */
+const extractRequiredLiterals = (source, flags = '') => {
+  // Unicode case folding can match non-ASCII characters to ASCII literals
+  if (flags.includes('u') || flags.includes('v')) {
+    return null;
+  }
+
+  const literals = [];
+  for (const alternative of splitAlternatives(source)) {
+    const longest = literalRuns(alternative).reduce((best, run) => run.length > best.length ? run : best, '');
+    if (longest.length < MIN_LITERAL_LENGTH) {
+      return null;
+    }
+    literals.push(longest.toLowerCase());
+  }
+
+  return literals;
+};
+
+/**
+ * Aho-Corasick automaton over a set of literals
+ */
+class LiteralAutomaton {
+  constructor(literals) {
+    this.nodes = [{ next: new Map(), fail: 0, outputs: [] }];
+
+    literals.forEach((literal, id) => {
+      let node = 0;
+      for (const ch of literal) {
+        if (!this.nodes[node].next.has(ch)) {
+          this.nodes.push({ next: new Map(), fail: 0, outputs: [] });
+          this.nodes[node].next.set(ch, this.nodes.length - 1);
+        }
+        node = this.nodes[node].next.get(ch);
+      }
+      this.nodes[node].outputs.push(id);
+    });
+
+    // Breadth-first, so every failure target is finished before it is used
+    const queue = [...this.nodes[0].next.values()];
+    while (queue.length > 0) {
+      const node = queue.shift();
+      this.nodes[node].next.forEach((child, ch) => {
+        let fail = this.nodes[node].fail;
+        while (fail !== 0 && !this.nodes[fail].next.has(ch)) {
+          fail = this.nodes[fail].fail;
+        }
+        const target = this.nodes[fail].next.get(ch);
+        this.nodes[child].fail = target !== undefined && target !== child ? target : 0;
+        this.nodes[child].outputs.push(...this.nodes[this.nodes[child].fail].outputs);
+        queue.push(child);
+      });
+    }
+  }
+
+  /**
+   * Add the id of every literal occurring in `text` to `found`
+   */
+  scan(text, found) {
+    let node = 0;
+    for (const ch of text) {
+      while (node !== 0 && !this.nodes[node].next.has(ch)) {
+        node = this.nodes[node].fail;
+      }
+      node = this.nodes[node].next.get(ch) || 0;
+      this.nodes[node].outputs.forEach(id => found.add(id));
+    }
+    return found;
+  }
+}
+
+class PatternPrefilter {
+  constructor() {
+    this.requirements = new Map(); // RegExp -> literal ids, any of which must occur
+    this.automaton = new LiteralAutomaton([]);
+    this.scans = new WeakMap(); // normalized message -> Set of literal ids found
+    this.ruleIndexes = new Map(); // rule set signature -> { requirements, automaton }, least recently used first
+    this.stats = { patterns: 0, indexed: 0, literals: 0 };
+  }
+
+  /**
+   * Index every pattern in a merged pack set
+   * @param {Object} packSet - Merged packs from PatternPackLoader
+   * @returns {PatternPrefilter} this
+   */
+  build(packSet) {
+    const literalIds = new Map();
+    const patterns = new Set();
+    const collect = (tables) => {
+      Object.values(tables.threatTypes || {}).forEach(categories => {
+        Object.values(categories).forEach(config => config.patterns.forEach(p => patterns.add(p)));
+      });
+      Object.values(tables.contextEnhancers || {}).forEach(config => config.patterns.forEach(p => patterns.add(p)));
+    };
+
+    collect(packSet);
+    Object.values(packSet.languages || {}).forEach(collect);
+
+    this.requirements = new Map();
+    patterns.forEach(pattern => {
+      const literals = extractRequiredLiterals(pattern.source, pattern.flags);
+      if (!literals) {
+        return;
+      }
+      this.requirements.set(pattern, literals.map(literal => {
+        if (!literalIds.has(literal)) literalIds.set(literal, literalIds.size);
+        return literalIds.get(literal);
+      }));
+    });
+
+    this.automaton = new LiteralAutomaton([...literalIds.keys()]);
+    this.scans = new WeakMap();
+    this.stats = { patterns: patterns.size, indexed: this.requirements.size, literals: literalIds.size };
+    return this;
+  }
+
+  /**
+   * Literals found in a message, scanned once and cached for the message
+   * @param {Object} normalized - Output of TextNormalizer.normalize
+   */
+  scan(normalized) {
+    if (!this.scans.has(normalized)) {
+      this.scans.set(normalized, this.scanWith(this.automaton, normalized));
+    }
+    return this.scans.get(normalized);
+  }
+
+  /**
+   * Literals of one automaton found in a message's text, variants and raw text
+   */
+  scanWith(automaton, normalized) {
+    const found = automaton.scan(normalized.text.toLowerCase(), new Set());
+    // Patterns fall back to the variants and raw text, so their literals count too
+    (normalized.variants || []).forEach(variant => automaton.scan(variant.text.toLowerCase(), found));
+    automaton.scan(normalized.original.toLowerCase(), found);
+    return found;
+  }
+
+  /**
+   * Whether a pack pattern could match the message; false means it certainly
+   * can't. Patterns that were not indexed always could.
+   */
+  mayMatch(pattern, normalized) {
+    const required = this.requirements.get(pattern);
+    if (!required) {
+      return true;
+    }
+    const found = this.scan(normalized);
+    return required.some(id => found.has(id));
+  }
+
+  /**
+   * Custom rules that could match the message, in their original order.
+   * Rules change at runtime and reach worker threads as copies, so each
+   * distinct rule set is indexed by its pattern text and the index reused.
+   * @param {Array<Object>} rules - Compiled rules, each with a `pattern` RegExp
+   * @param {Object} normalized - Output of TextNormalizer.normalize
+   */
+  filterRules(rules, normalized) {
+    if (rules.length === 0) {
+      return rules;
+    }
+
+    const index = this.getRuleIndex(rules);
+    const found = this.scanWith(index.automaton, normalized);
+    return rules.filter((rule, i) => !index.requirements[i] || index.requirements[i].some(id => found.has(id)));
+  }
+
+  /**
+   * Literal index for a custom rule set, built on first use
+   */
+  getRuleIndex(rules) {
+    const signature = rules.map(({ pattern }) => `${pattern.flags}/${pattern.source}`).join('\n');
+    let index = this.ruleIndexes.get(signature);
+
+    if (index) {
+      // Re-insert so the map stays ordered by use
+      this.ruleIndexes.delete(signature);
+    } else {
+      const literalIds = new Map();
+      const requirements = rules.map(({ pattern }) => {
+        const literals = extractRequiredLiterals(pattern.source, pattern.flags);
+        return literals && literals.map(literal => {
+          if (!literalIds.has(literal)) literalIds.set(literal, literalIds.size);
+          return literalIds.get(literal);
+        });
+      });
+      index = { requirements, automaton: new LiteralAutomaton([...literalIds.keys()]) };
+    }
+
+    this.ruleIndexes.set(signature, index);
+    if (this.ruleIndexes.size > MAX_RULE_INDEXES) {
+      const [leastRecent] = this.ruleIndexes.keys();
+      this.ruleIndexes.delete(leastRecent);
+    }
+
+    return index;
+  }
+}
+
+module.exports = {
+  PatternPrefilter,
+  extractRequiredLiterals
+};
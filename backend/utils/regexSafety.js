@@ -0,0 +1,193 @@
+/**
+ * Regular expression safety checks
+ * Rejects patterns prone to catastrophic backtracking before they are compiled
+ */
+
+// Bounded repeats above this are treated like unbounded ones
+const MAX_BOUNDED_REPEAT = 50;
+
+// Atoms that match almost any character, so they overlap with nearly everything
+const BROAD_ATOM = /^(\.|\\[WSD]|\[\^.*)$/;
+
+/**
+ * Whether two single-character atoms can match the same character
+ * (conservative: unknown pairs of different atoms are assumed not to)
+ */
+const atomsOverlap = (a, b) => {
+  if (a === null || b === null) {
+    return false;
+  }
+  // [^\s] never overlaps \s
+  const negates = (negated, atom) => negated === `[^${atom}]` || negated === `[^${atom.replace(/^\[|\]$/g, '')}]`;
+  if (negates(a, b) || negates(b, a)) {
+    return false;
+  }
+  if (a === b || BROAD_ATOM.test(a) || BROAD_ATOM.test(b)) {
+    return true;
+  }
+  const word = (atom) => atom === '\\w';
+  const wordChar = (atom) => /^[A-Za-z0-9_]$/.test(atom) || atom === '\\d';
+  return (word(a) && wordChar(b)) || (word(b) && wordChar(a));
+};
+
+/**
+ * Read a quantifier starting at `index`, if there is one
+ * @returns {Object|null} { length, unbounded, repeats } - `repeats` when it
+ *   can match its atom more than once
+ */
+const readQuantifier = (source, index) => {
+  const ch = source[index];
+
+  if (ch === '*' || ch === '+') {
+    return { length: source[index + 1] === '?' ? 2 : 1, unbounded: true, repeats: true };
+  }
+  if (ch === '?') {
+    return { length: source[index + 1] === '?' ? 2 : 1, unbounded: false, repeats: false };
+  }
+  if (ch === '{') {
+    const match = /^\{(\d+)(,(\d*))?\}\??/.exec(source.slice(index));
+    if (match) {
+      const max = match[2] === undefined ? Number(match[1]) : (match[3] === '' ? Infinity : Number(match[3]));
+      return { length: match[0].length, unbounded: max > MAX_BOUNDED_REPEAT, repeats: max > 1 };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check a regular expression source for constructs that can backtrack
+ * catastrophically
+ * @param {string} source - Pattern source without delimiters
+ * @param {Object} options
+ * @param {number} options.maxLength - Longest source accepted
+ * @returns {Object} { safe, reasons }
+ */
+const checkRegexSafety = (source, options = {}) => {
+  const maxLength = options.maxLength || 500;
+  const reasons = [];
+
+  if (typeof source !== 'string' || source.length === 0) {
+    return { safe: false, reasons: ['Pattern must be a non-empty string'] };
+  }
+
+  if (source.length > maxLength) {
+    reasons.push(`Pattern is longer than ${maxLength} characters`);
+  }
+
+  try {
+    new RegExp(source);
+  } catch (error) {
+    return { safe: false, reasons: [`Invalid regular expression: ${error.message}`] };
+  }
+
+  // Each frame tracks whether its group contains an unbounded repeat, the
+  // first atom of each alternative, and the last unbounded atom seen
+  const newFrame = () => ({ unbounded: false, firstAtoms: [null], atStart: true, lastUnbounded: null });
+  const stack = [newFrame()];
+  let i = 0;
+
+  // Record a consumed atom in the current frame
+  const addAtom = (atom, quantifier) => {
+    const frame = stack[stack.length - 1];
+    const unbounded = Boolean(quantifier && quantifier.unbounded);
+
+    if (frame.atStart) {
+      frame.firstAtoms[frame.firstAtoms.length - 1] = atom;
+      frame.atStart = false;
+    }
+
+    // \s*\s*, \w+\d+, .*.* - the split point can fall anywhere
+    if (unbounded && atomsOverlap(frame.lastUnbounded, atom)) {
+      reasons.push('Adjacent unbounded repeats of overlapping characters (e.g. \\s*\\s*) can backtrack heavily');
+    }
+    frame.lastUnbounded = unbounded ? atom : (quantifier && quantifier.length > 0 ? frame.lastUnbounded : null);
+    frame.unbounded = frame.unbounded || unbounded;
+  };
+
+  while (i < source.length) {
+    const ch = source[i];
+    let atom;
+
+    if (ch === '\\') {
+      if (/[1-9]/.test(source[i + 1]) || source[i + 1] === 'k') {
+        reasons.push('Backreferences are not allowed');
+      }
+      atom = source.slice(i, i + 2);
+      i += 2;
+      // Word boundaries and other assertions consume nothing
+      if (/^\\[bB]$/.test(atom)) {
+        continue;
+      }
+    } else if (ch === '[') {
+      const start = i;
+      i++;
+      while (i < source.length && source[i] !== ']') {
+        i += source[i] === '\\' ? 2 : 1;
+      }
+      i++;
+      atom = source.slice(start, i);
+    } else if (ch === '(') {
+      stack.push(newFrame());
+      i++;
+      if (source[i] === '?') {
+        // Skip group modifiers such as ?:, ?=, ?!, ?<=, ?<name>
+        const modifier = /^\?(:|=|!|<=|<!|<[A-Za-z_]\w*>)/.exec(source.slice(i));
+        i += modifier ? modifier[0].length : 1;
+      }
+      continue;
+    } else if (ch === ')') {
+      const frame = stack.length > 1 ? stack.pop() : newFrame();
+      i++;
+      const quantifier = readQuantifier(source, i);
+      if (quantifier) {
+        // (a+)+ and (.*a){12} alike: each repeat can re-split the inner run,
+        // so a small bound still multiplies the work exponentially
+        if (quantifier.repeats && frame.unbounded) {
+          reasons.push('Repeating a group that contains an unbounded quantifier (e.g. (a+)+ or (.*a){12}) can backtrack catastrophically');
+        }
+        // (a|ab)+, (\w|\d){20}: more than one alternative can match the same text
+        const alternatives = frame.firstAtoms;
+        if (quantifier.repeats && alternatives.length > 1 && alternatives.some((a, index) =>
+          a === null || alternatives.slice(index + 1).some(b => b === null || atomsOverlap(a, b)))) {
+          reasons.push('Repeated alternation with overlapping alternatives (e.g. (a|ab)+) can backtrack catastrophically');
+        }
+        i += quantifier.length;
+      }
+      stack[stack.length - 1].unbounded = stack[stack.length - 1].unbounded || frame.unbounded;
+      addAtom(`(${frame.firstAtoms.join('|')})`, quantifier);
+      continue;
+    } else if (ch === '|') {
+      const frame = stack[stack.length - 1];
+      frame.firstAtoms.push(null);
+      frame.atStart = true;
+      frame.lastUnbounded = null;
+      i++;
+      continue;
+    } else if (ch === '^' || ch === '$') {
+      i++;
+      continue;
+    } else {
+      atom = ch;
+      i++;
+    }
+
+    const quantifier = readQuantifier(source, i);
+    if (quantifier) {
+      i += quantifier.length;
+    }
+    addAtom(atom, quantifier);
+  }
+
+  return { safe: reasons.length === 0, reasons: [...new Set(reasons)] };
+};
+
+/**
+ * Convenience wrapper returning only the verdict
+ */
+const isSafeRegex = (source, options) => checkRegexSafety(source, options).safe;
+
+module.exports = {
+  checkRegexSafety,
+  isSafeRegex
+};
@@ -0,0 +1,343 @@
+/**
+ * Obfuscation-resistant text normalization for Kidverse detection
+ * Undoes leetspeak, letter spacing, homoglyphs, repeated letters and
+ * zero-width characters while keeping a map back to the original offsets
+ */
+
+// Invisible characters used to split words past filters
+const INVISIBLE = /[\u00AD\u034F\u061C\u115F\u1160\u17B4\u17B5\u180E\u200B-\u200F\u202A-\u202E\u2060-\u2064\u206A-\u206F\u3164\uFE00-\uFE0F\uFEFF]/;
+
+// Combining marks left over after canonical decomposition
+const COMBINING_MARK = /\p{M}/u;
+
+// Cyrillic and Greek letters that render like Latin letters
+const HOMOGLYPHS = {
+  'а': 'a', 'в': 'b', 'е': 'e', 'ё': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o',
+  'р': 'p', 'с': 'c', 'т': 't', 'у': 'y', 'х': 'x', 'ѕ': 's', 'і': 'i', 'ї': 'i',
+  'ј': 'j', 'ԁ': 'd', 'ԛ': 'q', 'ԝ': 'w', 'ɡ': 'g', 'ո': 'n', 'ս': 'u',
+  'α': 'a', 'β': 'b', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o',
+  'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x', 'ω': 'w'
+};
+
+// Emoji and symbols used in place of letters
+const EMOJI_LETTERS = {
+  '🅰': 'a', '🅱': 'b', '🅾': 'o', '🅿': 'p', 'ℹ': 'i', 'Ⓜ': 'm', '⭕': 'o',
+  '❌': 'x', '✖': 'x', '💲': 's', '❗': 'i', '❕': 'i'
+};
+
+// Leetspeak substitutions, only applied next to letters
+const LEET = {
+  '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b',
+  '@': 'a', '$': 's', '!': 'i', '|': 'l', '+': 't'
+};
+
+const QUOTES = {
+  '‘': '\'', '’': '\'', 'ʼ': '\'', '`': '\'', '´': '\'',
+  '“': '"', '”': '"'
+};
+
+// Letters Unicode normalization leaves alone (German, French, Danish)
+const LIGATURES = { 'ß': 'ss', 'œ': 'oe', 'æ': 'ae' };
+
+// Separators used to space out the letters of a word
+const SEPARATOR = /[\s._*~-]/;
+const LETTER = /[a-z]/;
+const EMAIL_TOKEN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Spaced-out letters are only joined in runs at least this long, so chat
+// shorthand like "i m a girl" stays as it is
+const MIN_SPACED_LETTERS = 4;
+
+// Single-letter chat words ("u r a ..."), kept apart from a spaced-out word
+// they lead
+const SINGLE_LETTER_WORDS = new Set(['i', 'a', 'u', 'r']);
+
+class TextNormalizer {
+  /**
+   * @param {Object} options
+   * @param {Array<string>} options.joinWords - Words re-joined when split by separators
+   * @param {number} options.maxRepeat - Letter runs longer than this collapse to one letter
+   */
+  constructor(options = {}) {
+    this.maxRepeat = options.maxRepeat || 2;
+    this.joinWords = options.joinWords || [
+      'discord', 'snapchat', 'instagram', 'tiktok', 'whatsapp', 'facetime',
+      'telegram', 'skype', 'roblox', 'robux', 'secret', 'parents', 'address'
+    ];
+    this.joinPattern = new RegExp(
+      this.joinWords
+        .map(word => word.split('').join('[\\s._*~-]*'))
+        .join('|'),
+      'g'
+    );
+  }
+
+  /**
+   * Normalize a message for pattern matching
+   * @param {string} text - Raw message text
+   * @returns {Object} { original, text, offsets, mapSpan, variants } where offsets[i] is
+   *   the [start, end) range in the original text of normalized character i, and
+   *   variants are the same shape with spaced letters joined whole or not at all
+   */
+  normalize(text) {
+    const original = typeof text === 'string' ? text : String(text || '');
+    let chars = this.decompose(original);
+
+    chars = this.replaceLeet(chars);
+    chars = this.collapseRepeats(chars);
+
+    const result = this.finish(original, this.joinSpacedLetters(chars, true));
+
+    // Where a spaced-out word starts is a guess ("a b i t c h", "a s s"), so
+    // patterns also get the letters joined whole and left unjoined
+    const joinedWhole = this.joinSpacedLetters(chars, false);
+    result.variants = joinedWhole.length === chars.length ? [] : [joinedWhole, chars]
+      .map(variant => this.finish(original, variant))
+      .filter((variant, i, all) => variant.text !== result.text &&
+        all.findIndex(other => other.text === variant.text) === i);
+
+    return result;
+  }
+
+  /**
+   * Last steps shared by the joined and unjoined text
+   */
+  finish(original, chars) {
+    chars = this.joinSplitWords(chars);
+    chars = this.collapseWhitespace(chars);
+
+    const offsets = chars.map(c => [c.start, c.end]);
+
+    return {
+      original,
+      text: chars.map(c => c.ch).join(''),
+      offsets,
+      mapSpan: (start, end) => TextNormalizer.mapSpan(offsets, original, start, end)
+    };
+  }
+
+  /**
+   * Map a [start, end) range in normalized text back to the original text
+   */
+  static mapSpan(offsets, original, start, end) {
+    if (offsets.length === 0 || end <= start) {
+      return { index: 0, length: 0, text: '' };
+    }
+
+    const first = offsets[Math.min(start, offsets.length - 1)];
+    const last = offsets[Math.min(end, offsets.length) - 1];
+
+    return {
+      index: first[0],
+      length: last[1] - first[0],
+      text: original.slice(first[0], last[1])
+    };
+  }
+
+  /**
+   * Split the original text into lower-case, Latin-folded characters,
+   * each remembering where it came from
+   */
+  decompose(original) {
+    const chars = [];
+    let position = 0;
+
+    for (const symbol of original) {
+      const start = position;
+      const end = position + symbol.length;
+      position = end;
+
+      if (INVISIBLE.test(symbol)) {
+        continue;
+      }
+
+      let folded = EMOJI_LETTERS[symbol] || QUOTES[symbol] || this.foldRegionalIndicator(symbol);
+
+      if (!folded) {
+        folded = symbol
+          .normalize('NFKC')
+          .normalize('NFD')
+          .split('')
+          .filter(ch => !COMBINING_MARK.test(ch))
+          .join('')
+          .toLowerCase()
+          .replace(/[ßœæ]/g, ch => LIGATURES[ch]);
+      }
+
+      for (const ch of folded) {
+        chars.push({ ch: HOMOGLYPHS[ch] || ch, start, end });
+      }
+    }
+
+    return chars;
+  }
+
+  /**
+   * Regional indicators and enclosed letters (🇩, 🅓, 🄳) back to a-z
+   */
+  foldRegionalIndicator(symbol) {
+    const code = symbol.codePointAt(0);
+    const ranges = [0x1F1E6, 0x1F150, 0x1F170, 0x1F130, 0x1F110];
+
+    for (const base of ranges) {
+      if (code >= base && code < base + 26) {
+        return String.fromCharCode(97 + code - base);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Replace leetspeak digits and symbols that sit inside words
+   */
+  replaceLeet(chars) {
+    const isLetter = (i) => i >= 0 && i < chars.length && LETTER.test(chars[i].ch);
+    const tokenAt = (i) => {
+      let s = i;
+      let e = i;
+      while (s > 0 && !/\s/.test(chars[s - 1].ch)) s--;
+      while (e < chars.length - 1 && !/\s/.test(chars[e + 1].ch)) e++;
+      return chars.slice(s, e + 1).map(c => c.ch).join('');
+    };
+
+    return chars.map((c, i) => {
+      const replacement = LEET[c.ch];
+      if (!replacement) {
+        return c;
+      }
+
+      if (/\d/.test(c.ch)) {
+        // Find the digit run this character belongs to
+        let s = i;
+        let e = i;
+        while (s > 0 && /\d/.test(chars[s - 1].ch)) s--;
+        while (e < chars.length - 1 && /\d/.test(chars[e + 1].ch)) e++;
+
+        const left = isLetter(s - 1);
+        const right = isLetter(e + 1);
+        const runLength = e - s + 1;
+        const allLeet = chars.slice(s, e + 1).every(d => LEET[d.ch]);
+
+        if (allLeet && ((left && right) || (runLength === 1 && (left || right)))) {
+          return { ...c, ch: replacement };
+        }
+        return c;
+      }
+
+      const atTokenStart = i === 0 || /\s/.test(chars[i - 1].ch);
+
+      if (c.ch === '@') {
+        return isLetter(i - 1) && isLetter(i + 1) && !EMAIL_TOKEN.test(tokenAt(i))
+          ? { ...c, ch: replacement }
+          : c;
+      }
+
+      return isLetter(i + 1) && (isLetter(i - 1) || atTokenStart)
+        ? { ...c, ch: replacement }
+        : c;
+    });
+  }
+
+  /**
+   * Collapse stretched letters ("sooooo", "seeecret")
+   */
+  collapseRepeats(chars) {
+    const result = [];
+    let i = 0;
+
+    while (i < chars.length) {
+      let j = i;
+      while (j + 1 < chars.length && chars[j + 1].ch === chars[i].ch) j++;
+
+      const runLength = j - i + 1;
+      if (LETTER.test(chars[i].ch) && runLength > this.maxRepeat) {
+        result.push({ ch: chars[i].ch, start: chars[i].start, end: chars[j].end });
+      } else {
+        result.push(...chars.slice(i, j + 1));
+      }
+      i = j + 1;
+    }
+
+    return result;
+  }
+
+  /**
+   * Join runs of MIN_SPACED_LETTERS or more single letters split by one
+   * separator ("d i s c o r d", "s.n.a.p")
+   * @param {boolean} keepWords - Leave single-letter chat words at the start
+   *   of a run apart ("u r a b i t c h" -> "u r a bitch")
+   */
+  joinSpacedLetters(chars, keepWords = true) {
+    const isSingle = (i) => LETTER.test(chars[i].ch) &&
+      (i === 0 || !LETTER.test(chars[i - 1].ch)) &&
+      (i === chars.length - 1 || !LETTER.test(chars[i + 1].ch));
+
+    const drop = new Set();
+    let i = 0;
+
+    while (i < chars.length) {
+      if (!isSingle(i)) {
+        i++;
+        continue;
+      }
+
+      let j = i;
+      const letters = [i];
+      while (
+        j + 2 < chars.length &&
+        SEPARATOR.test(chars[j + 1].ch) &&
+        isSingle(j + 2)
+      ) {
+        j += 2;
+        letters.push(j);
+      }
+
+      let first = 0;
+      while (keepWords && first < letters.length && SINGLE_LETTER_WORDS.has(chars[letters[first]].ch)) {
+        first++;
+      }
+      if (letters.length - first >= MIN_SPACED_LETTERS) {
+        // The separator after each letter but the last sits just after it
+        letters.slice(first, -1).forEach(index => drop.add(index + 1));
+      }
+      i = j + 1;
+    }
+
+    return chars.filter((_, index) => !drop.has(index));
+  }
+
+  /**
+   * Re-join watched words split by separators ("snap chat", "dis-cord")
+   */
+  joinSplitWords(chars) {
+    const text = chars.map(c => c.ch).join('');
+    const drop = new Set();
+
+    this.joinPattern.lastIndex = 0;
+    let match;
+    while ((match = this.joinPattern.exec(text)) !== null) {
+      for (let i = match.index; i < match.index + match[0].length; i++) {
+        if (SEPARATOR.test(chars[i].ch)) {
+          drop.add(i);
+        }
+      }
+      if (match[0].length === 0) {
+        this.joinPattern.lastIndex++;
+      }
+    }
+
+    return chars.filter((_, index) => !drop.has(index));
+  }
+
+  /**
+   * Collapse whitespace runs into a single space
+   */
+  collapseWhitespace(chars) {
+    return chars
+      .filter((c, i) => !(/\s/.test(c.ch) && i > 0 && /\s/.test(chars[i - 1].ch)))
+      .map(c => (/\s/.test(c.ch) ? { ...c, ch: ' ' } : c));
+  }
+}
+
+module.exports = TextNormalizer;
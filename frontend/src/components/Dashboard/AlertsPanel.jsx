@@ -9,6 +9,10 @@ const AlertsPanel = ({ alerts }) => {
         return '🚨';
       case 'cyberbullying':
         return '🛡️';
+      case 'scam':
+        return '🎣';
+      case 'child_wellbeing':
+        return '💙';
       default:
         return '⚡';
     }
@@ -22,6 +26,10 @@ const AlertsPanel = ({ alerts }) => {
         return 'border-l-red-500 bg-red-50';
       case 'cyberbullying':
         return 'border-l-orange-500 bg-orange-50';
+      case 'scam':
+        return 'border-l-purple-500 bg-purple-50';
+      case 'child_wellbeing':
+        return 'border-l-blue-500 bg-blue-50';
       default:
         return 'border-l-gray-500 bg-gray-50';
     }
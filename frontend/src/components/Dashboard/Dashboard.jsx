@@ -10,7 +10,8 @@ const Dashboard = () => {
   const [filters, setFilters] = useState({
     platform: 'all',
     timeRange: '24h',
-    threatLevel: 'all'
+    threatLevel: 'all',
+    category: 'all'
   });
   
   const [filteredData, setFilteredData] = useState(sampleData);
@@ -52,6 +53,8 @@ const Dashboard = () => {
     filtered.alerts = sampleData.alerts.filter(alert => {
       const platformMatch = filters.platform === 'all' || 
         alert.platform.toLowerCase() === filters.platform;
+      const categoryMatch = filters.category === 'all' || 
+        alert.category === filters.category;
       
       const now = new Date();
       const alertTime = new Date(alert.timestamp);
@@ -70,7 +73,7 @@ const Dashboard = () => {
           break;
       }
       
-      return platformMatch && timeMatch;
+      return platformMatch && categoryMatch && timeMatch;
     });
     
     setFilteredData(filtered);
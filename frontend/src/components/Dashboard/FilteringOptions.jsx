@@ -8,6 +8,14 @@ const FilteringOptions = ({ filters, onFilterChange }) => {
     { value: '30d', label: 'Last 30 Days' }
   ];
   const threatLevels = ['All', 'High', 'Medium', 'Low'];
+  const alertCategories = [
+    { value: 'all', label: 'All' },
+    { value: 'predatory_behavior', label: 'Predatory Behavior' },
+    { value: 'cyberbullying', label: 'Cyberbullying' },
+    { value: 'inappropriate_content', label: 'Inappropriate Content' },
+    { value: 'scam', label: 'Scams' },
+    { value: 'child_wellbeing', label: 'Child Wellbeing' }
+  ];
 
   return (
     <div className="bg-white p-6 rounded-lg shadow-sm border border-gray-200">
@@ -15,7 +23,7 @@ const FilteringOptions = ({ filters, onFilterChange }) => {
         Filter Options
       </h3>
       
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
         {/* Platform Filter */}
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -69,13 +77,31 @@ const FilteringOptions = ({ filters, onFilterChange }) => {
             ))}
           </select>
         </div>
+
+        {/* Alert Category Filter */}
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Alert Type
+          </label>
+          <select 
+            value={filters.category}
+            onChange={(e) => onFilterChange({ ...filters, category: e.target.value })}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            {alertCategories.map(category => (
+              <option key={category.value} value={category.value}>
+                {category.label}
+              </option>
+            ))}
+          </select>
+        </div>
       </div>
 
       {/* Quick Actions */}
       <div className="mt-4 pt-4 border-t border-gray-200">
         <div className="flex flex-wrap gap-2">
           <button 
-            onClick={() => onFilterChange({ platform: 'all', timeRange: '24h', threatLevel: 'all' })}
+            onClick={() => onFilterChange({ platform: 'all', timeRange: '24h', threatLevel: 'all', category: 'all' })}
             className="px-3 py-1 text-sm bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 transition-colors"
           >
             Reset Filters
@@ -86,6 +112,12 @@ const FilteringOptions = ({ filters, onFilterChange }) => {
           >
             High Risk Only
           </button>
+          <button 
+            onClick={() => onFilterChange({ ...filters, category: 'scam' })}
+            className="px-3 py-1 text-sm bg-purple-100 text-purple-700 rounded-md hover:bg-purple-200 transition-colors"
+          >
+            Scams Only
+          </button>
           <button 
             onClick={() => onFilterChange({ ...filters, timeRange: '24h' })}
             className="px-3 py-1 text-sm bg-blue-100 text-blue-700 rounded-md hover:bg-blue-200 transition-colors"
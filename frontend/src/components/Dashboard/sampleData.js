@@ -130,6 +130,21 @@ export const sampleData = {
         messages: ['Borderline inappropriate jokes'],
         riskFactors: ['Minor language issues']
       }
+    },
+    {
+      id: 5,
+      category: 'scam',
+      severity: 'medium',
+      platform: 'Roblox',
+      description: 'User "RichTrader" proposed a trust trade and offered to double items',
+      timestamp: new Date(Date.now() - 6 * 60 * 60 * 1000).toISOString(),
+      details: {
+        messages: [
+          'Trust trade? Give me your limiteds first',
+          'I\'ll give it all back plus more'
+        ],
+        riskFactors: ['Trust trade', 'Item doubling']
+      }
     }
   ],
   